@@ -9,6 +9,9 @@
  * - processImageGeneration(prompt, style, aspectRatio) - Process image generation
  */
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/viral');
+
 /**
  * Generate Image
  * @param {string} prompt - Text prompt describing the image
@@ -60,17 +63,7 @@ async function generateImage(prompt, style, aspectRatio, imageCount) {
  * @throws {Error} If validation fails
  */
 function validatePrompt(prompt) {
-    if (!prompt || prompt.trim().length === 0) {
-        throw new Error('Prompt is required');
-    }
-
-    if (prompt.length < 10) {
-        throw new Error('Prompt must be at least 10 characters long');
-    }
-
-    if (prompt.length > 1000) {
-        throw new Error('Prompt must be less than 1000 characters');
-    }
+    assertValid(schemas.aiImageGenerator, { prompt });
 
     // Check for inappropriate content (basic validation)
     const inappropriateWords = []; // Add words to filter if needed
@@ -152,19 +145,7 @@ async function processImageGeneration(prompt, style, aspectRatio) {
  * @returns {boolean} True if valid
  */
 function validateStyle(style) {
-    const validStyles = [
-        'realistic',
-        'artistic',
-        'cartoon',
-        'anime',
-        '3d',
-        'oil-painting',
-        'watercolor',
-        'sketch',
-        'cyberpunk',
-        'fantasy'
-    ];
-    return validStyles.includes(style);
+    return schemas.IMAGE_STYLES.includes(style);
 }
 
 /**
@@ -173,8 +154,7 @@ function validateStyle(style) {
  * @returns {boolean} True if valid
  */
 function validateAspectRatio(aspectRatio) {
-    const validRatios = ['1:1', '16:9', '9:16', '4:3', '3:4'];
-    return validRatios.includes(aspectRatio);
+    return schemas.ASPECT_RATIOS.includes(aspectRatio);
 }
 
 module.exports = {
@@ -0,0 +1,199 @@
+/**
+ * API Key Controller
+ *
+ * This controller handles issuing, listing and revoking API keys
+ *
+ * Each key has a rate limit (requests per time window) and a quota
+ * (requests per day or month). The raw key is only returned once, when it
+ * is created; only its SHA-256 hash is stored.
+ *
+ * Functions:
+ * - createApiKey(keyData) - Issue a new API key
+ * - listApiKeys() - List all API keys (without secrets)
+ * - revokeApiKey(keyId) - Revoke an API key
+ * - findActiveApiKey(rawKey) - Resolve a raw key to its active key record
+ * - validateKeyData(keyData) - Validate API key settings
+ */
+
+const crypto = require('crypto');
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+
+const apiKeysRepository = getRepository('apiKeys');
+
+const DEFAULT_RATE_LIMIT = { limit: 120, windowSeconds: 60 };
+const DEFAULT_QUOTA = { limit: 10000, period: 'day' };
+const QUOTA_PERIODS = ['day', 'month'];
+
+// Settings accepted when issuing a key; omitted limits use the defaults above
+const KEY_DATA_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: {
+            type: 'string',
+            minLength: 2,
+            errorMessage: 'Key name must be at least 2 characters'
+        },
+        rateLimit: {
+            type: 'object',
+            errorMessage: { type: 'Rate limit must be an object with limit and windowSeconds' },
+            properties: {
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 100000,
+                    errorMessage: 'Rate limit must be an integer between 1 and 100000'
+                },
+                windowSeconds: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 86400,
+                    errorMessage: 'Rate limit window must be between 1 and 86400 seconds'
+                }
+            }
+        },
+        quota: {
+            type: 'object',
+            errorMessage: { type: 'Quota must be an object with limit and period' },
+            properties: {
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    errorMessage: 'Quota must be a positive integer'
+                },
+                period: {
+                    type: 'string',
+                    enum: QUOTA_PERIODS,
+                    errorMessage: 'Quota period must be "day" or "month"'
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Create API Key
+ * @param {Object} keyData - { name: string, rateLimit?: { limit, windowSeconds }, quota?: { limit, period } }
+ * @returns {Promise<Object>} Key record including the raw key (shown only once)
+ */
+async function createApiKey(keyData) {
+    try {
+        const { name, rateLimit = {}, quota = {} } = validateKeyData(keyData);
+
+        const rawKey = `ft_${crypto.randomBytes(24).toString('base64url')}`;
+
+        const record = await apiKeysRepository.create({
+            name: name.trim(),
+            keyPrefix: rawKey.slice(0, 10),
+            keyHash: hashKey(rawKey),
+            rateLimit: {
+                limit: rateLimit.limit || DEFAULT_RATE_LIMIT.limit,
+                windowSeconds: rateLimit.windowSeconds || DEFAULT_RATE_LIMIT.windowSeconds
+            },
+            quota: {
+                limit: quota.limit || DEFAULT_QUOTA.limit,
+                period: quota.period || DEFAULT_QUOTA.period
+            },
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        });
+
+        return {
+            ...toPublicKey(record),
+            key: rawKey
+        };
+
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        throw error;
+    }
+}
+
+/**
+ * List API Keys
+ * @returns {Promise<Array<Object>>} Key records without secrets
+ */
+async function listApiKeys() {
+    try {
+        const keys = await apiKeysRepository.find({}, { sortBy: 'createdAt', order: 'desc' });
+
+        return keys.map(toPublicKey);
+
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        throw error;
+    }
+}
+
+/**
+ * Revoke API Key
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object|null>} Revoked key record, or null if not found
+ */
+async function revokeApiKey(keyId) {
+    try {
+        const key = await apiKeysRepository.updateOne({ id: keyId }, {
+            status: 'revoked',
+            revokedAt: new Date().toISOString()
+        });
+
+        return key ? toPublicKey(key) : null;
+
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Find Active API Key
+ * @param {string} rawKey - Raw key sent by the client
+ * @returns {Promise<Object|null>} Key record, or null if unknown or revoked
+ */
+async function findActiveApiKey(rawKey) {
+    if (!rawKey) {
+        return null;
+    }
+
+    const key = await apiKeysRepository.findOne({ keyHash: hashKey(rawKey), status: 'active' });
+    return key ? toPublicKey(key) : null;
+}
+
+/**
+ * Validate API Key Settings
+ * @param {Object} keyData - API key settings
+ * @returns {Object} Validated settings (numeric strings converted to numbers)
+ * @throws {ValidationError} If validation fails
+ */
+function validateKeyData(keyData) {
+    return assertValid(KEY_DATA_SCHEMA, keyData || {});
+}
+
+/**
+ * Hash API Key
+ * @param {string} rawKey - Raw key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashKey(rawKey) {
+    return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+}
+
+/**
+ * Strip the key hash from a stored key
+ * @param {Object} key - Stored key record
+ * @returns {Object} Key as returned by the API
+ */
+function toPublicKey(key) {
+    const { keyHash, ...publicKey } = key;
+    return publicKey;
+}
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    findActiveApiKey,
+    validateKeyData
+};
@@ -0,0 +1,230 @@
+/**
+ * Auth Controller
+ *
+ * This controller handles user accounts and session tokens
+ *
+ * Sessions use opaque bearer tokens: the raw token is returned to the client
+ * once, and only its SHA-256 hash is stored, so a leaked data file cannot be
+ * used to impersonate users. Passwords are hashed with scrypt.
+ *
+ * Functions:
+ * - registerUser(email, password, name) - Create a user account and start a session
+ * - loginUser(email, password) - Verify credentials and start a session
+ * - logoutUser(token) - End a session
+ * - getUserByToken(token) - Resolve a session token to its user
+ * - validateCredentials(email, password) - Validate email and password format
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getRepository } = require('../storage');
+const { HttpError } = require('../utils/errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const usersRepository = getRepository('users');
+const sessionsRepository = getRepository('sessions');
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const PASSWORD_KEY_LENGTH = 64;
+
+/**
+ * Register User
+ * @param {string} email - Email address (used as login)
+ * @param {string} password - Plain-text password
+ * @param {string} name - Display name (optional)
+ * @returns {Promise<Object>} { user, token, expiresAt }
+ */
+async function registerUser(email, password, name) {
+    try {
+        validateCredentials(email, password);
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const existing = await usersRepository.findOne({ email: normalizedEmail });
+        if (existing) {
+            throw new HttpError(409, 'An account with this email already exists');
+        }
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        const passwordHash = await hashPassword(password, salt);
+
+        const user = await usersRepository.create({
+            email: normalizedEmail,
+            name: (name || '').trim() || normalizedEmail.split('@')[0],
+            passwordSalt: salt,
+            passwordHash,
+            createdAt: new Date().toISOString()
+        });
+
+        const session = await createSession(user.id);
+
+        return {
+            user: toPublicUser(user),
+            ...session
+        };
+
+    } catch (error) {
+        console.error('Error registering user:', error);
+        throw error;
+    }
+}
+
+/**
+ * Login User
+ * @param {string} email - Email address
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} { user, token, expiresAt }
+ */
+async function loginUser(email, password) {
+    try {
+        if (!email || !password) {
+            throw new HttpError(400, 'Email and password are required');
+        }
+
+        const user = await usersRepository.findOne({ email: String(email).trim().toLowerCase() });
+        if (!user) {
+            throw new HttpError(401, 'Invalid email or password');
+        }
+
+        const passwordHash = await hashPassword(String(password), user.passwordSalt);
+        const matches = crypto.timingSafeEqual(
+            Buffer.from(passwordHash, 'hex'),
+            Buffer.from(user.passwordHash, 'hex')
+        );
+        if (!matches) {
+            throw new HttpError(401, 'Invalid email or password');
+        }
+
+        const session = await createSession(user.id);
+
+        return {
+            user: toPublicUser(user),
+            ...session
+        };
+
+    } catch (error) {
+        console.error('Error logging in user:', error);
+        throw error;
+    }
+}
+
+/**
+ * Logout User
+ * @param {string} token - Session token
+ * @returns {Promise<boolean>} True if a session was ended
+ */
+async function logoutUser(token) {
+    try {
+        return await sessionsRepository.deleteOne({ tokenHash: hashToken(token) });
+
+    } catch (error) {
+        console.error('Error logging out user:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get User by Session Token
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} Public user object, or null if the token is unknown or expired
+ */
+async function getUserByToken(token) {
+    if (!token) {
+        return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const session = await sessionsRepository.findOne({ tokenHash });
+    if (!session) {
+        return null;
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+        await sessionsRepository.deleteOne({ tokenHash });
+        return null;
+    }
+
+    const user = await usersRepository.findOne({ id: session.userId });
+    return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Validate Credentials
+ * @param {string} email - Email address
+ * @param {string} password - Plain-text password
+ * @throws {HttpError} If validation fails
+ */
+function validateCredentials(email, password) {
+    if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+        throw new HttpError(400, 'A valid email address is required');
+    }
+
+    if (!password || typeof password !== 'string' || password.length < 8) {
+        throw new HttpError(400, 'Password must be at least 8 characters');
+    }
+
+    if (password.length > 128) {
+        throw new HttpError(400, 'Password must be at most 128 characters');
+    }
+}
+
+/**
+ * Create Session for a User
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+    await sessionsRepository.create({
+        userId,
+        tokenHash: hashToken(token),
+        createdAt: new Date().toISOString(),
+        expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+/**
+ * Hash Password with scrypt
+ * @param {string} password - Plain-text password
+ * @param {string} salt - Hex salt
+ * @returns {Promise<string>} Hex password hash
+ */
+async function hashPassword(password, salt) {
+    const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return derivedKey.toString('hex');
+}
+
+/**
+ * Hash Session Token
+ * @param {string} token - Raw session token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Strip credentials from a stored user
+ * @param {Object} user - Stored user record
+ * @returns {Object} User as returned by the API
+ */
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        createdAt: user.createdAt
+    };
+}
+
+module.exports = {
+    registerUser,
+    loginUser,
+    logoutUser,
+    getUserByToken,
+    validateCredentials
+};
@@ -1,77 +1,143 @@
 /**
  * Budget Planner Controller
- * 
- * This controller handles budget planning and calculation functionality
- * 
+ *
+ * This controller handles budget planning and calculation functionality:
+ * the category breakdown, a needs/wants/savings score against a budget rule
+ * (50/30/20, 70/20/10 or a custom split), overspend alerts and, for
+ * signed-in users, month-over-month trends across saved monthly budgets.
+ *
  * Functions:
- * - calculateBudget(income, expenses) - Calculate budget summary and breakdown
+ * - calculateBudget(inputs, userId) - Calculate budget summary, rule score and alerts; save the month for signed-in users
  * - calculateSavings(income, totalExpenses) - Calculate savings/deficit
  * - calculatePercentages(expenses, totalExpenses) - Calculate category percentages
- * - validateBudgetInputs(income, expenses) - Validate input parameters
+ * - getExpenseType(expense) - Need, want or savings for an expense
+ * - analyzeBudgetRule(income, expenses, split) - Needs/wants/savings shares against a rule
+ * - getOverspendAlerts(income, expenses, buckets) - Categories, buckets and totals over their limits
+ * - getBudgetHistory(userId) - Get a user's saved months with trends
+ * - calculateTrends(months) - Month-over-month changes and rolling averages
+ * - validateBudgetInputs(inputs) - Validate input parameters
  */
 
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/finance');
+
+const budgetMonthsRepository = getRepository('budgetMonths');
+
+// Percent of income for needs, wants and savings
+const BUDGET_RULE_SPLITS = {
+    '50/30/20': { needs: 50, wants: 30, savings: 20 },
+    '70/20/10': { needs: 70, wants: 20, savings: 10 }
+};
+
+const TYPE_BUCKETS = {
+    need: 'needs',
+    want: 'wants',
+    savings: 'savings'
+};
+
+// Words at the start of a category name that suggest its type when none is given; anything else is a want
+const TYPE_KEYWORDS = {
+    savings: ['saving', 'invest', 'sip', 'mutual fund', 'ppf', 'epf', 'nps', 'fd', 'rd', 'emergency', 'retirement'],
+    need: ['rent', 'emi', 'loan', 'grocer', 'utilit', 'electric', 'water', 'gas', 'insurance', 'medic', 'health',
+        'school', 'education', 'fee', 'transport', 'fuel', 'commut', 'phone', 'mobile', 'internet', 'tax']
+};
+
+const ROLLING_WINDOW_MONTHS = 3;
+
 /**
  * Calculate Budget
- * @param {number} income - Monthly income
- * @param {Array<Object>} expenses - Array of expense objects {category: string, amount: number}
- * @returns {Promise<Object>} Budget calculation results with breakdown
+ * When a userId is given the budget is saved as that user's budget for the
+ * month (replacing an earlier one for the same month) and trends across the
+ * saved months are returned.
+ * @param {Object} inputs - Planner inputs (see schemas/finance.js budgetPlanner)
+ * @param {number} inputs.income - Monthly income
+ * @param {Array<Object>} inputs.expenses - Expenses ({ category, amount, type?, budget? })
+ * @param {string} inputs.rule - Budget rule name (default '50/30/20')
+ * @param {Object} inputs.customRule - Own { needs, wants, savings } split; overrides rule
+ * @param {string} inputs.month - Month of the budget (YYYY-MM, default: this month)
+ * @param {string} userId - User ID (optional)
+ * @returns {Promise<Object>} Budget calculation results with breakdown, rule score, alerts and trends
  */
-async function calculateBudget(income, expenses) {
+async function calculateBudget(inputs, userId) {
     try {
         // Validate inputs
-        validateBudgetInputs(income, expenses);
+        const { income, rule, customRule, ...rest } = validateBudgetInputs(inputs);
+        const now = new Date();
+        const month = rest.month || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+        const expenses = rest.expenses.map(expense => ({
+            ...expense,
+            category: expense.category || 'Uncategorized',
+            type: getExpenseType(expense)
+        }));
+        const guessedTypes = rest.expenses
+            .filter(expense => !expense.type && expense.amount > 0)
+            .map(expense => expense.category || 'Uncategorized');
 
         // Calculate total expenses
         const totalExpenses = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
 
         // Calculate savings (positive = savings, negative = deficit)
-        const savings = income - totalExpenses;
-        const savingsPercentage = income > 0 ? (savings / income) * 100 : 0;
+        const { savings, savingsPercentage } = calculateSavings(income, totalExpenses);
 
         // Calculate percentage for each expense category
         const expensesWithPercentage = expenses
             .filter(exp => exp.amount > 0)
             .map(exp => ({
-                category: exp.category || 'Uncategorized',
-                amount: exp.amount,
-                percentage: totalExpenses > 0 ? (exp.amount / totalExpenses) * 100 : 0
+                category: exp.category,
+                type: exp.type,
+                amount: Math.round(exp.amount * 100) / 100,
+                percentage: totalExpenses > 0 ? Math.round((exp.amount / totalExpenses) * 10000) / 100 : 0
             }))
             .sort((a, b) => b.amount - a.amount); // Sort by amount (descending)
 
-        // Prepare chart data
-        const chartData = expensesWithPercentage.map(exp => ({
-            category: exp.category,
-            value: exp.amount,
-            percentage: exp.percentage
-        }));
+        const split = customRule || BUDGET_RULE_SPLITS[rule];
+        const ruleAnalysis = analyzeBudgetRule(income, expenses, split);
+        const alerts = getOverspendAlerts(income, expenses, ruleAnalysis.buckets);
 
-        // Round values to 2 decimal places
-        const totalExpensesRounded = Math.round(totalExpenses * 100) / 100;
-        const savingsRounded = Math.round(savings * 100) / 100;
-        const savingsPercentageRounded = Math.round(savingsPercentage * 100) / 100;
+        let trends = null;
+
+        if (userId) {
+            await budgetMonthsRepository.replaceMany({ userId, month }, [{
+                userId,
+                month,
+                income,
+                totalExpenses: Math.round(totalExpenses * 100) / 100,
+                savings,
+                savingsPercentage,
+                buckets: Object.fromEntries(Object.entries(ruleAnalysis.buckets).map(([bucket, data]) => [bucket, data.amount])),
+                score: ruleAnalysis.score,
+                expenses: expensesWithPercentage.map(({ percentage, ...expense }) => expense),
+                createdAt: new Date().toISOString()
+            }]);
+
+            ({ trends } = await getBudgetHistory(userId));
+        }
 
         return {
             income,
-            expenses: expensesWithPercentage.map(exp => ({
-                category: exp.category,
-                amount: Math.round(exp.amount * 100) / 100,
-                percentage: Math.round(exp.percentage * 100) / 100
-            })),
-            totalExpenses: totalExpensesRounded,
-            savings: savingsRounded,
-            savingsPercentage: savingsPercentageRounded,
+            month,
+            expenses: expensesWithPercentage,
+            totalExpenses: Math.round(totalExpenses * 100) / 100,
+            savings,
+            savingsPercentage,
             breakdown: {
-                byCategory: expensesWithPercentage.map(exp => ({
+                byCategory: expensesWithPercentage.map(({ category, amount, percentage }) => ({ category, amount, percentage })),
+                chartData: expensesWithPercentage.map(exp => ({
                     category: exp.category,
-                    amount: Math.round(exp.amount * 100) / 100,
-                    percentage: Math.round(exp.percentage * 100) / 100
-                })),
-                chartData: chartData.map(item => ({
-                    category: item.category,
-                    value: Math.round(item.value * 100) / 100,
-                    percentage: Math.round(item.percentage * 100) / 100
+                    value: exp.amount,
+                    percentage: exp.percentage
                 }))
-            }
+            },
+            rule: {
+                name: customRule ? 'custom' : rule,
+                split,
+                ...ruleAnalysis
+            },
+            alerts,
+            guessedTypes,
+            trends
         };
 
     } catch (error) {
@@ -120,35 +186,208 @@ function calculatePercentages(expenses, totalExpenses) {
 }
 
 /**
- * Validate Budget Input Parameters
+ * Get Expense Type
+ * @param {Object} expense - Expense ({ category, type? })
+ * @returns {string} The given type, or one guessed from the category name ('need' | 'want' | 'savings')
+ */
+function getExpenseType(expense) {
+    if (expense.type) {
+        return expense.type;
+    }
+
+    const category = (expense.category || '').toLowerCase();
+    const matches = keywords => keywords.some(keyword => new RegExp(`\\b${keyword}`).test(category));
+
+    if (matches(TYPE_KEYWORDS.savings)) return 'savings';
+    if (matches(TYPE_KEYWORDS.need)) return 'need';
+    return 'want';
+}
+
+/**
+ * Analyze Budget Rule
+ * Savings are the expenses tagged savings plus any income left unspent.
+ * The score is 100 minus the percentage points by which needs and wants go
+ * over their targets and savings fall short of theirs.
  * @param {number} income - Monthly income
- * @param {Array<Object>} expenses - Array of expense objects
- * @throws {Error} If validation fails
+ * @param {Array<Object>} expenses - Expenses with types
+ * @param {Object} split - Target { needs, wants, savings } in percent of income
+ * @returns {Object} { buckets: { needs, wants, savings }, score }
  */
-function validateBudgetInputs(income, expenses) {
-    if (!income || income <= 0) {
-        throw new Error('Income must be greater than 0');
+function analyzeBudgetRule(income, expenses, split) {
+    const amounts = { needs: 0, wants: 0, savings: 0 };
+    expenses.forEach(expense => {
+        amounts[TYPE_BUCKETS[expense.type]] += expense.amount;
+    });
+
+    const totalExpenses = expenses.reduce((sum, exp) => sum + exp.amount, 0);
+    amounts.savings += Math.max(0, income - totalExpenses);
+
+    let deviation = 0;
+    const buckets = {};
+
+    Object.keys(amounts).forEach(bucket => {
+        const percentage = (amounts[bucket] / income) * 100;
+        const target = split[bucket];
+        deviation += bucket === 'savings' ? Math.max(0, target - percentage) : Math.max(0, percentage - target);
+
+        buckets[bucket] = {
+            amount: Math.round(amounts[bucket] * 100) / 100,
+            percentage: Math.round(percentage * 100) / 100,
+            target,
+            targetAmount: Math.round(income * target) / 100
+        };
+    });
+
+    return {
+        buckets,
+        score: Math.max(0, Math.round(100 - deviation))
+    };
+}
+
+/**
+ * Get Overspend Alerts
+ * @param {number} income - Monthly income
+ * @param {Array<Object>} expenses - Expenses with types and optional budgets
+ * @param {Object} buckets - Bucket analysis from analyzeBudgetRule
+ * @returns {Array<Object>} Alerts ({ scope: 'category' | 'bucket' | 'total', name, amount, limit, difference, message });
+ *   difference is how far over the limit, or for savings how far short of the target
+ */
+function getOverspendAlerts(income, expenses, buckets) {
+    const alerts = [];
+    const format = amount => `₹${(Math.round(amount * 100) / 100).toLocaleString('en-IN')}`;
+    const alert = (scope, name, amount, limit, message) => alerts.push({
+        scope,
+        name,
+        amount: Math.round(amount * 100) / 100,
+        limit: Math.round(limit * 100) / 100,
+        difference: Math.round(Math.abs(amount - limit) * 100) / 100,
+        message
+    });
+
+    expenses
+        .filter(expense => expense.budget !== undefined && expense.amount > expense.budget)
+        .forEach(expense => alert('category', expense.category, expense.amount, expense.budget,
+            `${expense.category} is ${format(expense.amount - expense.budget)} over its ${format(expense.budget)} budget`));
+
+    ['needs', 'wants'].forEach(bucket => {
+        const { amount, percentage, target, targetAmount } = buckets[bucket];
+        if (amount > targetAmount) {
+            alert('bucket', bucket, amount, targetAmount,
+                `${bucket[0].toUpperCase()}${bucket.slice(1)} take ${percentage}% of income, above the ${target}% target`);
+        }
+    });
+
+    const { amount: saved, percentage: savedPercentage, target: savingsTarget, targetAmount: savingsTargetAmount } = buckets.savings;
+    if (saved < savingsTargetAmount) {
+        alert('bucket', 'savings', saved, savingsTargetAmount,
+            `Savings are ${savedPercentage}% of income, below the ${savingsTarget}% target`);
     }
 
-    if (!expenses || !Array.isArray(expenses)) {
-        throw new Error('Expenses must be an array');
+    const totalExpenses = expenses.reduce((sum, exp) => sum + exp.amount, 0);
+    if (totalExpenses > income) {
+        alert('total', 'expenses', totalExpenses, income, `Expenses exceed income by ${format(totalExpenses - income)}`);
     }
 
-    expenses.forEach((exp, index) => {
-        if (!exp.category || typeof exp.category !== 'string') {
-            throw new Error(`Expense at index ${index} must have a valid category`);
-        }
+    return alerts;
+}
 
-        if (exp.amount < 0) {
-            throw new Error(`Expense amount at index ${index} cannot be negative`);
-        }
+/**
+ * Get Budget History
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { months: saved budgets, oldest first, trends }
+ */
+async function getBudgetHistory(userId) {
+    const records = await budgetMonthsRepository.find({ userId }, { sortBy: 'month', order: 'asc' });
+    const months = records.map(({ userId: owner, ...record }) => record);
+
+    return {
+        months,
+        trends: calculateTrends(months)
+    };
+}
+
+/**
+ * Calculate Trends
+ * Rolling averages cover the last few saved months up to and including each
+ * month, so gaps between saved months are skipped rather than counted as zero.
+ * @param {Array<Object>} months - Saved budgets, oldest first
+ * @returns {Object} { rollingWindow, months: Array<row>, categoryChanges (latest month against the one before) }
+ */
+function calculateTrends(months) {
+    const average = (rows, key) => Math.round(rows.reduce((sum, row) => sum + row[key], 0) / rows.length * 100) / 100;
+    const change = (current, previous) => ({
+        amount: Math.round((current - previous) * 100) / 100,
+        percentage: previous !== 0 ? Math.round(((current - previous) / previous) * 10000) / 100 : null
+    });
+
+    const rows = months.map((record, index) => {
+        const previous = index > 0 ? months[index - 1] : null;
+        const window = months.slice(Math.max(0, index - ROLLING_WINDOW_MONTHS + 1), index + 1);
+
+        return {
+            month: record.month,
+            income: record.income,
+            totalExpenses: record.totalExpenses,
+            savings: record.savings,
+            savingsPercentage: record.savingsPercentage,
+            score: record.score,
+            change: previous && {
+                income: change(record.income, previous.income),
+                totalExpenses: change(record.totalExpenses, previous.totalExpenses),
+                savings: change(record.savings, previous.savings)
+            },
+            rollingAverage: {
+                income: average(window, 'income'),
+                totalExpenses: average(window, 'totalExpenses'),
+                savings: average(window, 'savings')
+            }
+        };
     });
+
+    let categoryChanges = [];
+    if (months.length > 1) {
+        const totalsByCategory = record => record.expenses.reduce((totals, expense) => ({
+            ...totals,
+            [expense.category]: Math.round(((totals[expense.category] || 0) + expense.amount) * 100) / 100
+        }), {});
+        const latest = totalsByCategory(months[months.length - 1]);
+        const previous = totalsByCategory(months[months.length - 2]);
+
+        categoryChanges = [...new Set([...Object.keys(latest), ...Object.keys(previous)])]
+            .map(category => ({
+                category,
+                previous: previous[category] || 0,
+                current: latest[category] || 0,
+                change: change(latest[category] || 0, previous[category] || 0)
+            }))
+            .sort((a, b) => Math.abs(b.change.amount) - Math.abs(a.change.amount));
+    }
+
+    return {
+        rollingWindow: ROLLING_WINDOW_MONTHS,
+        months: rows,
+        categoryChanges
+    };
+}
+
+/**
+ * Validate Budget Input Parameters
+ * @param {Object} inputs - Planner inputs (see calculateBudget)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateBudgetInputs(inputs) {
+    return assertValid(schemas.budgetPlanner, inputs);
 }
 
 module.exports = {
     calculateBudget,
     calculateSavings,
     calculatePercentages,
+    getExpenseType,
+    analyzeBudgetRule,
+    getOverspendAlerts,
+    getBudgetHistory,
+    calculateTrends,
     validateBudgetInputs
 };
-
@@ -0,0 +1,473 @@
+/**
+ * Capital Gains Calculator Controller
+ *
+ * This controller handles capital gains tax on equity, debt fund and property
+ * sales. Each lot is classified as short-term or long-term by the holding
+ * period of its asset class under the rules in force on its sale date (see
+ * taxRules/index.js). Within each financial year, losses are set off against
+ * gains, the section 112A exemption is applied to long-term equity gains and
+ * the remaining gains are taxed lot by lot. Lots can also come from a broker
+ * tradebook, whose buys and sells are matched first-in first-out.
+ *
+ * Surcharge is not computed, as it depends on total income.
+ *
+ * Functions:
+ * - calculateCapitalGains(inputs) - Calculate capital gains tax for lots and/or a tradebook
+ * - calculateLotGain(lot, options) - Classify a lot and compute its gain and tax rate
+ * - applySetOffAndExemption(lots, ruleSet) - Set off losses and apply the exemption for one financial year
+ * - getCapitalGainsRules(ruleSet, sellDate, assetClass) - Get the asset class rules in force on a date
+ * - isLongTerm(buyDate, sellDate, longTermMonths) - Whether a holding period is long-term
+ * - calculateIndexedCost(cost, buyDate, saleFinancialYear) - Index a cost with the cost inflation index
+ * - parseTradebook(text) - Parse broker tradebook CSV into trades
+ * - matchLotsFifo(trades, assetClass) - Match sells to the earliest buys of each symbol
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { parseCsv, parseCsvDate } = require('../utils/csv');
+const { HttpError, ValidationError } = require('../utils/errors');
+const { getRuleSet, getFinancialYear, getAssessmentYear, getCostInflationIndex } = require('../taxRules');
+const schemas = require('../schemas/finance');
+
+const TRADEBOOK_COLUMNS = ['symbol', 'trade_date', 'trade_type', 'quantity', 'price'];
+
+// Grandfathering of listed equity gains (section 112A) and the indexation base year
+const GRANDFATHERING_DATE = '2018-02-01';
+const INDEXATION_BASE_DATE = '2001-04-01';
+
+// Tolerance for fractional units left over after FIFO matching
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Calculate Capital Gains Tax
+ * @param {Object} inputs - Calculator inputs
+ * @param {Array<Object>} inputs.lots - Lots bought and sold (see schemas/finance.js capitalGainsLot)
+ * @param {string} inputs.tradebook - Broker tradebook CSV (optional)
+ * @param {string} inputs.tradebookAssetClass - Asset class of the tradebook trades (default 'equity')
+ * @param {number} inputs.slabRate - Marginal slab rate for gains taxed at slab rates (default 30)
+ * @param {boolean} inputs.resident - Resident individual (default true)
+ * @returns {Promise<Object>} Per-lot gains and tax, per-year summaries and totals
+ */
+async function calculateCapitalGains(inputs) {
+    try {
+        // Validate inputs
+        const { lots, tradebook, tradebookAssetClass, slabRate, resident } = validateInputs(inputs);
+
+        const allLots = lots.map(lot => ({ ...lot, source: 'lots' }));
+        let openPositions = [];
+
+        if (tradebook) {
+            const matched = matchLotsFifo(parseTradebook(tradebook), tradebookAssetClass);
+            allLots.push(...matched.lots);
+            openPositions = matched.openPositions;
+        }
+
+        const results = allLots.map((lot, index) => ({ lot: index + 1, ...calculateLotGain(lot, { slabRate, resident }) }));
+
+        // Set-off and the exemption work per financial year
+        const financialYears = [...new Set(results.map(result => result.financialYear))].sort();
+        const years = financialYears.map(financialYear => applySetOffAndExemption(
+            results.filter(result => result.financialYear === financialYear),
+            getRuleSet(getAssessmentYear(financialYear))
+        ));
+
+        const sum = key => Math.round(years.reduce((total, year) => total + year[key], 0) * 100) / 100;
+
+        return {
+            lots: results.map(roundLot),
+            years,
+            totals: {
+                shortTermGains: sum('shortTermGains'),
+                shortTermLosses: sum('shortTermLosses'),
+                longTermGains: sum('longTermGains'),
+                longTermLosses: sum('longTermLosses'),
+                exemptionUsed: sum('exemptionUsed'),
+                taxableGains: sum('taxableGains'),
+                tax: sum('tax'),
+                cess: sum('cess'),
+                totalTax: sum('totalTax')
+            },
+            openPositions
+        };
+
+    } catch (error) {
+        console.error('Error calculating capital gains:', error);
+        throw error;
+    }
+}
+
+/**
+ * Calculate Lot Gain
+ * Long-term gains use the indexed cost where the asset class allows it;
+ * for property with an indexation option the lower tax is chosen.
+ * @param {Object} lot - Validated lot ({ assetClass, quantity, buyDate, buyPrice, sellDate, sellPrice, expenses, name?, source })
+ * @param {Object} options - { slabRate, resident }
+ * @returns {Object} Lot with term, cost, gain, tax rate and notes
+ * @throws {HttpError} 422 if there are no tax rules for the financial year of the sale
+ */
+function calculateLotGain(lot, { slabRate, resident }) {
+    const financialYear = getFinancialYear(lot.sellDate);
+    const assessmentYear = getAssessmentYear(financialYear);
+    const ruleSet = getRuleSet(assessmentYear);
+
+    if (!ruleSet) {
+        throw new HttpError(422, `Capital gains rules for financial year ${financialYear} are not available`);
+    }
+
+    const rules = getCapitalGainsRules(ruleSet, lot.sellDate, lot.assetClass);
+    const notes = [];
+
+    const alwaysShortTerm = rules.shortTermIfAcquiredFrom !== undefined && lot.buyDate >= rules.shortTermIfAcquiredFrom;
+    const term = !alwaysShortTerm && isLongTerm(lot.buyDate, lot.sellDate, rules.longTermMonths) ? 'long' : 'short';
+    if (alwaysShortTerm && isLongTerm(lot.buyDate, lot.sellDate, rules.longTermMonths)) {
+        notes.push(`Acquired on or after ${rules.shortTermIfAcquiredFrom}: taxed as short-term regardless of holding period`);
+    }
+
+    const purchaseCost = lot.quantity * lot.buyPrice;
+    const saleValue = lot.quantity * lot.sellPrice;
+    const plainGain = saleValue - lot.expenses - purchaseCost;
+
+    let gain = plainGain;
+    let indexedCost = null;
+    let taxRate;
+    let taxedAtSlab = false;
+
+    if (term === 'short') {
+        taxedAtSlab = rules.shortTermRate === null;
+        taxRate = taxedAtSlab ? slabRate : rules.shortTermRate;
+    } else {
+        taxRate = rules.longTermRate;
+        const indexedOption = rules.indexedOption && resident && lot.buyDate < rules.indexedOption.acquiredBefore
+            ? rules.indexedOption
+            : null;
+
+        if (rules.indexation || indexedOption) {
+            const cost = calculateIndexedCost(purchaseCost, lot.buyDate, financialYear);
+            const indexedGain = saleValue - lot.expenses - cost;
+            const indexedRate = rules.indexation ? rules.longTermRate : indexedOption.rate;
+
+            if (rules.indexation || Math.max(0, indexedGain) * indexedRate < Math.max(0, plainGain) * taxRate) {
+                indexedCost = cost;
+                gain = indexedGain;
+                taxRate = indexedRate;
+                if (indexedOption) {
+                    notes.push(`Indexed cost at ${indexedOption.rate}% chosen: lower tax than ${rules.longTermRate}% without indexation`);
+                }
+            }
+            if (indexedCost !== null && lot.buyDate < INDEXATION_BASE_DATE) {
+                notes.push('Acquired before 1 April 2001: buy price should be the fair market value on that date');
+            }
+        }
+
+        if (lot.assetClass === 'equity' && lot.buyDate < GRANDFATHERING_DATE) {
+            notes.push('Acquired before 1 February 2018: cost may be stepped up to the 31 January 2018 price (grandfathering is not applied)');
+        }
+    }
+
+    if (lot.buyDate === lot.sellDate && lot.source === 'tradebook') {
+        notes.push('Bought and sold the same day: intraday trades are speculative business income, not capital gains');
+    }
+
+    return {
+        source: lot.source,
+        name: lot.name || null,
+        assetClass: lot.assetClass,
+        quantity: lot.quantity,
+        buyDate: lot.buyDate,
+        sellDate: lot.sellDate,
+        holdingDays: Math.round((Date.parse(lot.sellDate) - Date.parse(lot.buyDate)) / 86400000),
+        term,
+        financialYear,
+        purchaseCost,
+        indexedCost,
+        saleValue,
+        expenses: lot.expenses,
+        gain,
+        taxRate,
+        taxedAtSlab,
+        exemptionEligible: term === 'long' && rules.exemptionApplies === true,
+        notes
+    };
+}
+
+/**
+ * Apply Set-off and Exemption for One Financial Year
+ * Long-term losses are set off against long-term gains only; short-term
+ * losses against short-term gains, then long-term gains. Losses go to the
+ * most heavily taxed gains first, and the section 112A exemption to the most
+ * heavily taxed eligible gains. Unabsorbed losses are carried forward.
+ * Sets setOffApplied, exemptionApplied, taxableGain and tax on each lot.
+ * @param {Array<Object>} lots - Lots sold in the year (from calculateLotGain)
+ * @param {Object} ruleSet - Rule set for the assessment year
+ * @returns {Object} Year summary
+ */
+function applySetOffAndExemption(lots, ruleSet) {
+    lots.forEach(lot => {
+        lot.setOffApplied = 0;
+        lot.exemptionApplied = 0;
+    });
+
+    const gains = lots.filter(lot => lot.gain > 0).sort((a, b) => b.taxRate - a.taxRate);
+    const shortTermGains = gains.filter(lot => lot.term === 'short');
+    const longTermGains = gains.filter(lot => lot.term === 'long');
+    const totalLoss = term => lots
+        .filter(lot => lot.gain < 0 && lot.term === term)
+        .reduce((total, lot) => total - lot.gain, 0);
+
+    // Reduces the remaining gain of each lot in turn; returns what is left of the amount
+    const absorb = (amount, candidates, key) => candidates.reduce((remaining, lot) => {
+        const used = Math.min(remaining, lot.gain - lot.setOffApplied - lot.exemptionApplied);
+        lot[key] += used;
+        return remaining - used;
+    }, amount);
+
+    const shortTermLosses = totalLoss('short');
+    const longTermLosses = totalLoss('long');
+
+    const longTermCarriedForward = absorb(longTermLosses, longTermGains, 'setOffApplied');
+    const shortTermCarriedForward = absorb(absorb(shortTermLosses, shortTermGains, 'setOffApplied'), longTermGains, 'setOffApplied');
+
+    const ltcgExemption = ruleSet.capitalGains.ltcgExemption;
+    const exemptionUsed = ltcgExemption - absorb(ltcgExemption, longTermGains.filter(lot => lot.exemptionEligible), 'exemptionApplied');
+
+    lots.forEach(lot => {
+        lot.taxableGain = Math.max(0, lot.gain - lot.setOffApplied - lot.exemptionApplied);
+        lot.tax = (lot.taxableGain * lot.taxRate) / 100;
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    const tax = lots.reduce((total, lot) => total + lot.tax, 0);
+    const cess = (tax * ruleSet.cessRate) / 100;
+
+    return {
+        financialYear: ruleSet.financialYear,
+        assessmentYear: ruleSet.assessmentYear,
+        shortTermGains: round(shortTermGains.reduce((total, lot) => total + lot.gain, 0)),
+        shortTermLosses: round(shortTermLosses),
+        longTermGains: round(longTermGains.reduce((total, lot) => total + lot.gain, 0)),
+        longTermLosses: round(longTermLosses),
+        ltcgExemption,
+        exemptionUsed: round(exemptionUsed),
+        taxableGains: round(lots.reduce((total, lot) => total + lot.taxableGain, 0)),
+        tax: round(tax),
+        cess: round(cess),
+        totalTax: round(tax + cess),
+        lossesCarriedForward: {
+            shortTerm: round(shortTermCarriedForward),
+            longTerm: round(longTermCarriedForward)
+        }
+    };
+}
+
+/**
+ * Get Capital Gains Rules in Force on a Date
+ * @param {Object} ruleSet - Rule set for the assessment year
+ * @param {string} sellDate - Sale date (YYYY-MM-DD)
+ * @param {string} assetClass - Asset class
+ * @returns {Object} Asset class rules
+ */
+function getCapitalGainsRules(ruleSet, sellDate, assetClass) {
+    const periods = ruleSet.capitalGains.periods.filter(period => period.soldFrom <= sellDate);
+    return periods[periods.length - 1].assetClasses[assetClass];
+}
+
+/**
+ * Whether a Holding Period Is Long-term
+ * Long-term means held for more than the given number of months.
+ * @param {string} buyDate - Acquisition date (YYYY-MM-DD)
+ * @param {string} sellDate - Transfer date (YYYY-MM-DD)
+ * @param {number} longTermMonths - Holding period threshold in months
+ * @returns {boolean} True if long-term
+ */
+function isLongTerm(buyDate, sellDate, longTermMonths) {
+    const [year, month] = buyDate.split('-').map(Number);
+    const total = year * 12 + (month - 1) + longTermMonths;
+    const anniversary = `${Math.floor(total / 12)}-${String(total % 12 + 1).padStart(2, '0')}-${buyDate.slice(8)}`;
+
+    // Compared as strings so a day the month does not have (e.g. 31) still orders correctly
+    return sellDate > anniversary;
+}
+
+/**
+ * Calculate Indexed Cost
+ * Formula: Cost × CII(year of sale) / CII(year of acquisition)
+ * @param {number} cost - Purchase cost
+ * @param {string} buyDate - Acquisition date (YYYY-MM-DD)
+ * @param {string} saleFinancialYear - Financial year of the sale
+ * @returns {number} Indexed cost
+ * @throws {HttpError} 422 if the index of the sale year has not been notified
+ */
+function calculateIndexedCost(cost, buyDate, saleFinancialYear) {
+    const saleIndex = getCostInflationIndex(saleFinancialYear);
+    const buyIndex = getCostInflationIndex(getFinancialYear(buyDate));
+
+    if (!saleIndex || !buyIndex) {
+        throw new HttpError(422, `Cost inflation index for financial year ${saleFinancialYear} is not available`);
+    }
+
+    return (cost * saleIndex) / buyIndex;
+}
+
+/**
+ * Parse Broker Tradebook
+ * Headers are matched case-insensitively (spaces read as underscores).
+ * Dates may be YYYY-MM-DD or DD-MM-YYYY (with / or -), optionally followed by a time.
+ * @param {string} text - Tradebook CSV
+ * @returns {Array<Object>} Trades ({ row, symbol, date, type: 'buy' | 'sell', quantity, price })
+ * @throws {ValidationError} If columns are missing or a row is invalid
+ */
+function parseTradebook(text) {
+    const rows = parseCsv(text);
+    const fail = message => ({ field: 'tradebook', code: 'invalid', message });
+
+    if (rows.length < 2) {
+        throw new ValidationError([fail('Tradebook has no trades')]);
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = TRADEBOOK_COLUMNS.filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+        throw new ValidationError([fail(`Tradebook is missing columns: ${missing.join(', ')}`)]);
+    }
+
+    const column = name => headers.indexOf(name);
+    const errors = [];
+    const trades = [];
+
+    rows.slice(1).forEach((fields, index) => {
+        const row = index + 2;
+        const value = name => (fields[column(name)] || '').trim();
+
+        const symbol = value('symbol');
+        const date = parseCsvDate(value('trade_date'));
+        const type = value('trade_type').toLowerCase();
+        const quantity = Number(value('quantity'));
+        const price = Number(value('price'));
+
+        if (!symbol) {
+            errors.push(fail(`Row ${row}: symbol is required`));
+        } else if (!date) {
+            errors.push(fail(`Row ${row}: trade date must be YYYY-MM-DD or DD-MM-YYYY`));
+        } else if (type !== 'buy' && type !== 'sell') {
+            errors.push(fail(`Row ${row}: trade type must be buy or sell`));
+        } else if (!value('quantity') || !(quantity > 0)) {
+            errors.push(fail(`Row ${row}: quantity must be greater than 0`));
+        } else if (!value('price') || !(price >= 0)) {
+            errors.push(fail(`Row ${row}: price must be greater than or equal to 0`));
+        } else {
+            trades.push({ row, symbol, date, type, quantity, price });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    return trades;
+}
+
+/**
+ * Match Lots First-in First-out
+ * Trades are processed by date (in file order within a day). Each sell
+ * consumes the earliest remaining buys of its symbol, producing one lot per
+ * buy it draws from.
+ * @param {Array<Object>} trades - Trades from parseTradebook
+ * @param {string} assetClass - Asset class of the lots
+ * @returns {Object} { lots, openPositions: [{ symbol, quantity, buyDate, buyPrice }] }
+ * @throws {HttpError} 422 if a sell exceeds the quantity bought before it
+ */
+function matchLotsFifo(trades, assetClass) {
+    const holdings = new Map();
+    const lots = [];
+
+    [...trades].sort((a, b) => a.date.localeCompare(b.date)).forEach(trade => {
+        if (!holdings.has(trade.symbol)) {
+            holdings.set(trade.symbol, []);
+        }
+        const queue = holdings.get(trade.symbol);
+
+        if (trade.type === 'buy') {
+            queue.push({ date: trade.date, quantity: trade.quantity, price: trade.price });
+            return;
+        }
+
+        const held = queue.reduce((total, buy) => total + buy.quantity, 0);
+        if (held < trade.quantity - QUANTITY_EPSILON) {
+            throw new HttpError(422, `Tradebook row ${trade.row} sells ${trade.quantity} ${trade.symbol} on ${trade.date} but only ${held} are held (add the earlier purchases to the tradebook)`);
+        }
+
+        let remaining = trade.quantity;
+        while (remaining > QUANTITY_EPSILON) {
+            const buy = queue[0];
+            const quantity = Math.min(buy.quantity, remaining);
+
+            lots.push({
+                source: 'tradebook',
+                name: trade.symbol,
+                assetClass,
+                quantity,
+                buyDate: buy.date,
+                buyPrice: buy.price,
+                sellDate: trade.date,
+                sellPrice: trade.price,
+                expenses: 0
+            });
+
+            buy.quantity -= quantity;
+            remaining -= quantity;
+            if (buy.quantity <= QUANTITY_EPSILON) {
+                queue.shift();
+            }
+        }
+    });
+
+    const openPositions = [];
+    holdings.forEach((queue, symbol) => {
+        queue.forEach(buy => openPositions.push({ symbol, quantity: buy.quantity, buyDate: buy.date, buyPrice: buy.price }));
+    });
+
+    return { lots, openPositions };
+}
+
+/**
+ * Round Lot Amounts for Output
+ * @param {Object} lot - Lot result
+ * @returns {Object} Lot with amounts rounded to 2 decimal places
+ */
+function roundLot(lot) {
+    const round = value => Math.round(value * 100) / 100;
+    const { exemptionEligible, ...rest } = lot;
+
+    return {
+        ...rest,
+        purchaseCost: round(lot.purchaseCost),
+        indexedCost: lot.indexedCost === null ? null : round(lot.indexedCost),
+        saleValue: round(lot.saleValue),
+        gain: round(lot.gain),
+        setOffApplied: round(lot.setOffApplied),
+        exemptionApplied: round(lot.exemptionApplied),
+        taxableGain: round(lot.taxableGain),
+        tax: round(lot.tax)
+    };
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculateCapitalGains)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.capitalGainsCalculator, inputs);
+}
+
+module.exports = {
+    calculateCapitalGains,
+    calculateLotGain,
+    applySetOffAndExemption,
+    getCapitalGainsRules,
+    isLongTerm,
+    parseTradebook,
+    matchLotsFifo,
+    validateInputs
+};
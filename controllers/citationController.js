@@ -12,6 +12,12 @@
  * - formatChicagoCitation(sourceType, data) - Format Chicago citation
  */
 
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/student');
+
+const citationsRepository = getRepository('citations');
+
 /**
  * Generate Citation
  * @param {string} style - Citation style ('APA', 'MLA', 'Chicago')
@@ -22,9 +28,7 @@
 async function generateCitation(style, sourceType, data) {
     try {
         // Validate inputs
-        if (!['APA', 'MLA', 'Chicago'].includes(style)) {
-            throw new Error('Invalid citation style');
-        }
+        assertValid(schemas.citationGenerate, { style, sourceType, data });
 
         // TODO: Implement citation formatting logic
         // This would involve:
@@ -55,17 +59,20 @@ async function generateCitation(style, sourceType, data) {
  * Save Citation
  * @param {string} userId - User ID
  * @param {Object} citationData - Citation data
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Saved citation
  */
 async function saveCitation(userId, citationData) {
     try {
-        // TODO: Save to database
-        // This would require:
-        // 1. Database schema for citations (id, userId, style, sourceType, data, citation, createdAt)
-        // 2. Database connection and query execution
-        // 3. User authentication/authorization
+        const saved = await citationsRepository.create({
+            userId,
+            style: citationData.style,
+            sourceType: citationData.sourceType,
+            data: citationData.data || {},
+            citation: citationData.citation,
+            createdAt: new Date().toISOString()
+        });
 
-        return;
+        return toPublicCitation(saved);
 
     } catch (error) {
         console.error('Error saving citation:', error);
@@ -80,10 +87,9 @@ async function saveCitation(userId, citationData) {
  */
 async function getCitationHistory(userId) {
     try {
-        // TODO: Query database for user's citations
-        // SELECT * FROM citations WHERE userId = ? ORDER BY createdAt DESC
+        const citations = await citationsRepository.find({ userId }, { sortBy: 'createdAt', order: 'desc' });
 
-        return [];
+        return citations.map(toPublicCitation);
 
     } catch (error) {
         console.error('Error getting citation history:', error);
@@ -91,6 +97,16 @@ async function getCitationHistory(userId) {
     }
 }
 
+/**
+ * Strip internal fields from a stored citation
+ * @param {Object} citation - Stored citation record
+ * @returns {Object} Citation as returned by the API
+ */
+function toPublicCitation(citation) {
+    const { userId, ...publicCitation } = citation;
+    return publicCitation;
+}
+
 module.exports = {
     generateCitation,
     saveCitation,
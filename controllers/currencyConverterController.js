@@ -1,47 +1,52 @@
 /**
  * Currency Converter Controller
- * 
- * This controller handles currency conversion functionality
- * 
+ *
+ * This controller handles currency conversion functionality. Rates come
+ * from the configured rate provider (see exchangeRates/index.js).
+ *
  * Functions:
- * - convertCurrency(amount, fromCurrency, toCurrency) - Convert currency
- * - fetchExchangeRate(fromCurrency, toCurrency) - Fetch exchange rate from API
- * - validateCurrencyCodes(fromCurrency, toCurrency) - Validate currency codes
+ * - convertCurrency(amount, fromCurrency, toCurrency, date) - Convert currency
+ * - fetchExchangeRate(fromCurrency, toCurrency, date) - Fetch exchange rate from the rate provider
+ * - validateInputs(amount, fromCurrency, toCurrency, date) - Validate amount, currency codes and date
  * - calculateConversion(amount, exchangeRate) - Calculate converted amount
  */
 
+const { assertValid } = require('../utils/validation');
+const { getExchangeRate } = require('../exchangeRates');
+const schemas = require('../schemas/finance');
+
 /**
  * Convert Currency
  * @param {number} amount - Amount to convert
  * @param {string} fromCurrency - Source currency code (e.g., "USD", "EUR")
  * @param {string} toCurrency - Target currency code
+ * @param {string} date - Date of the rate to use (YYYY-MM-DD, optional; latest if omitted)
  * @returns {Promise<Object>} Conversion result with exchange rate and converted amount
  */
-async function convertCurrency(amount, fromCurrency, toCurrency) {
+async function convertCurrency(amount, fromCurrency, toCurrency, date) {
     try {
         // Validate inputs
-        validateCurrencyCodes(fromCurrency, toCurrency);
-
-        if (amount <= 0) {
-            throw new Error('Amount must be greater than 0');
-        }
+        ({ amount, fromCurrency, toCurrency, date } = validateInputs(amount, fromCurrency, toCurrency, date));
 
         // Fetch exchange rate
-        const exchangeRate = await fetchExchangeRate(fromCurrency, toCurrency);
+        const exchangeRate = await fetchExchangeRate(fromCurrency, toCurrency, date);
 
         // Calculate converted amount
-        const convertedAmount = calculateConversion(amount, exchangeRate);
-
-        const now = new Date().toISOString();
+        const convertedAmount = calculateConversion(amount, exchangeRate.rate);
 
         return {
             amount,
             fromCurrency,
             toCurrency,
-            exchangeRate: Math.round(exchangeRate * 100000) / 100000, // Round to 5 decimal places
+            exchangeRate: Math.round(exchangeRate.rate * 100000) / 100000, // Round to 5 decimal places
+            inverseRate: Math.round((1 / exchangeRate.rate) * 100000) / 100000,
             convertedAmount: Math.round(convertedAmount * 100) / 100, // Round to 2 decimal places
-            conversionDate: now,
-            lastUpdated: now
+            requestedDate: date || null,
+            rateDate: exchangeRate.date,
+            baseCurrency: exchangeRate.base,
+            source: exchangeRate.source,
+            conversionDate: new Date().toISOString(),
+            lastUpdated: exchangeRate.fetchedAt
         };
 
     } catch (error) {
@@ -51,30 +56,15 @@ async function convertCurrency(amount, fromCurrency, toCurrency) {
 }
 
 /**
- * Fetch Exchange Rate from API
+ * Fetch Exchange Rate from the Rate Provider
  * @param {string} fromCurrency - Source currency code
  * @param {string} toCurrency - Target currency code
- * @returns {Promise<number>} Exchange rate
+ * @param {string} date - Date (YYYY-MM-DD), or undefined for the latest rate
+ * @returns {Promise<Object>} { rate, base, date, source, fetchedAt }
+ * @throws {HttpError} 422 if no rate is available for the pair or date, 502/503 if the provider fails
  */
-async function fetchExchangeRate(fromCurrency, toCurrency) {
-    // TODO: Implement exchange rate fetching
-    // Options:
-    // 1. ExchangeRate-API (free tier available): https://www.exchangerate-api.com/
-    // 2. CurrencyAPI (free tier available): https://currencyapi.net/
-    // 3. Fixer.io (paid, reliable): https://fixer.io/
-    // 4. Open Exchange Rates (free tier available): https://openexchangerates.org/
-    // 
-    // Example implementation:
-    // const apiKey = process.env.EXCHANGE_RATE_API_KEY;
-    // const response = await fetch(`https://api.exchangerate-api.com/v4/latest/${fromCurrency}`);
-    // const data = await response.json();
-    // return data.rates[toCurrency];
-    //
-    // Note: Cache rates for performance (update every 1-24 hours depending on API)
-
-    // Placeholder - return mock rate
-    // In production, this should fetch from a real API
-    return 1;
+async function fetchExchangeRate(fromCurrency, toCurrency, date) {
+    return getExchangeRate(fromCurrency, toCurrency, date);
 }
 
 /**
@@ -88,34 +78,21 @@ function calculateConversion(amount, exchangeRate) {
 }
 
 /**
- * Validate Currency Codes
+ * Validate Input Parameters
+ * @param {number} amount - Amount to convert
  * @param {string} fromCurrency - Source currency code
  * @param {string} toCurrency - Target currency code
- * @throws {Error} If validation fails
+ * @param {string} date - Rate date (YYYY-MM-DD, optional)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers)
+ * @throws {ValidationError} If validation fails
  */
-function validateCurrencyCodes(fromCurrency, toCurrency) {
-    const validCurrencies = [
-        'USD', 'EUR', 'GBP', 'INR', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY',
-        'SGD', 'HKD', 'NZD', 'KRW', 'BRL', 'MXN', 'ZAR', 'RUB', 'AED', 'SAR', 'THB'
-    ];
-
-    if (!fromCurrency || !validCurrencies.includes(fromCurrency.toUpperCase())) {
-        throw new Error(`Invalid from currency code: ${fromCurrency}`);
-    }
-
-    if (!toCurrency || !validCurrencies.includes(toCurrency.toUpperCase())) {
-        throw new Error(`Invalid to currency code: ${toCurrency}`);
-    }
-
-    if (fromCurrency.toUpperCase() === toCurrency.toUpperCase()) {
-        throw new Error('From and to currencies must be different');
-    }
+function validateInputs(amount, fromCurrency, toCurrency, date) {
+    return assertValid(schemas.currencyConverter, { amount, fromCurrency, toCurrency, date });
 }
 
 module.exports = {
     convertCurrency,
     fetchExchangeRate,
     calculateConversion,
-    validateCurrencyCodes
+    validateInputs
 };
-
@@ -0,0 +1,230 @@
+/**
+ * Debt Payoff Planner Controller
+ *
+ * This controller plans paying off several debts from one monthly budget.
+ * Every month each debt accrues interest and gets its minimum payment; the
+ * rest of the budget goes to the first unpaid debt in the strategy's order,
+ * and the payments of paid-off debts roll over to the next one.
+ * - snowball: smallest balance first
+ * - avalanche: highest APR first
+ * - custom: by each debt's priority, then in the order given
+ *
+ * Functions:
+ * - planDebtPayoff(inputs) - Simulate every strategy and compare them
+ * - getPayoffOrder(debts, strategy) - Indexes of the debts in the order they are targeted
+ * - simulatePayoff(debts, monthlyBudget, order, startDate) - Month-by-month payoff with a fixed budget
+ * - summarizeDebt(debt) - Monthly interest and minimum-only payoff for one debt
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { calculateRemainingMonths, addMonths, getDefaultStartDate } = require('./emiCalculatorController');
+const schemas = require('../schemas/finance');
+
+const DEBT_PAYOFF_STRATEGIES = ['snowball', 'avalanche', 'custom'];
+
+// Budgets at or below the interest are rejected by the schema; this stops plans that barely exceed it
+const MAX_PLAN_MONTHS = 1200;
+
+/**
+ * Plan Debt Payoff
+ * @param {Object} inputs - Planner inputs
+ * @param {Array<Object>} inputs.debts - Debts ({ name, balance, apr, minimumPayment, priority? })
+ * @param {number} inputs.monthlyBudget - Total paid towards all debts each month
+ * @param {string} inputs.startDate - Month of the first payment (YYYY-MM, default: next month)
+ * @returns {Promise<Object>} Per-debt summary and one plan per strategy
+ */
+async function planDebtPayoff(inputs) {
+    try {
+        // Validate inputs
+        const { debts, monthlyBudget, startDate: requestedStartDate } = validateInputs(inputs);
+        const startDate = requestedStartDate || getDefaultStartDate();
+
+        const summaries = debts.map(summarizeDebt);
+        const strategies = DEBT_PAYOFF_STRATEGIES.map(strategy => ({
+            strategy,
+            ...simulatePayoff(debts, monthlyBudget, getPayoffOrder(debts, strategy), startDate)
+        }));
+
+        const finished = strategies.filter(plan => plan.debtFree);
+        const best = finished.reduce((current, plan) => (!current
+            || plan.totalInterest < current.totalInterest
+            || (plan.totalInterest === current.totalInterest && plan.months < current.months)
+            ? plan
+            : current), null);
+
+        const notes = summaries
+            .filter(summary => !summary.coversInterest)
+            .map(summary => `The minimum payment on ${summary.name} does not cover its monthly interest (₹${summary.monthlyInterest.toLocaleString('en-IN')}); paying only the minimum never clears it`);
+        if (finished.length < strategies.length) {
+            notes.push(`Some strategies do not clear the debts within ${MAX_PLAN_MONTHS} months; increase the monthly budget`);
+        }
+
+        return {
+            monthlyBudget,
+            totalMinimumPayment: Math.round(debts.reduce((total, item) => total + item.minimumPayment, 0) * 100) / 100,
+            totalBalance: Math.round(debts.reduce((total, item) => total + item.balance, 0) * 100) / 100,
+            startDate,
+            debts: summaries,
+            strategies,
+            bestStrategy: best ? best.strategy : null,
+            notes
+        };
+
+    } catch (error) {
+        console.error('Error planning debt payoff:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get Payoff Order
+ * @param {Array<Object>} debts - Validated debts
+ * @param {string} strategy - 'snowball' | 'avalanche' | 'custom'
+ * @returns {Array<number>} Debt indexes, first target first
+ */
+function getPayoffOrder(debts, strategy) {
+    const compare = {
+        // Ties go to the costlier debt for snowball and the smaller one for avalanche
+        snowball: (a, b) => a.balance - b.balance || b.apr - a.apr,
+        avalanche: (a, b) => b.apr - a.apr || a.balance - b.balance,
+        custom: (a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity)
+    }[strategy];
+
+    return debts
+        .map((item, index) => ({ ...item, index }))
+        .sort((a, b) => compare(a, b) || a.index - b.index)
+        .map(item => item.index);
+}
+
+/**
+ * Simulate Payoff
+ * Interest accrues on each balance at APR / 12 before the month's payments.
+ * @param {Array<Object>} debts - Validated debts
+ * @param {number} monthlyBudget - Total paid each month
+ * @param {Array<number>} order - Debt indexes in the order extra payments go to
+ * @param {string} startDate - Month of the first payment (YYYY-MM)
+ * @returns {Object} { order, debtFree, months, debtFreeDate, totalInterest, totalPaid, debts, timeline }
+ */
+function simulatePayoff(debts, monthlyBudget, order, startDate) {
+    const balances = debts.map(item => item.balance);
+    const interestPaid = debts.map(() => 0);
+    const totalPaid = debts.map(() => 0);
+    const payoffMonths = debts.map(() => null);
+    const timeline = [];
+
+    const isOpen = index => balances[index] > 0.005;
+
+    for (let month = 1; debts.some((_, index) => isOpen(index)) && month <= MAX_PLAN_MONTHS; month++) {
+        const payments = debts.map(() => 0);
+        let monthInterest = 0;
+        let available = monthlyBudget;
+
+        debts.forEach((item, index) => {
+            if (!isOpen(index)) return;
+
+            const interest = balances[index] * item.apr / (12 * 100);
+            balances[index] += interest;
+            interestPaid[index] += interest;
+            monthInterest += interest;
+
+            payments[index] = Math.min(item.minimumPayment, balances[index]);
+            available -= payments[index];
+        });
+
+        // What is left of the budget, including the minimums of paid-off debts, goes down the order
+        for (const index of order) {
+            const remaining = balances[index] - payments[index];
+            if (available <= 0.005) break;
+            if (remaining <= 0.005) continue;
+
+            const extra = Math.min(available, remaining);
+            payments[index] += extra;
+            available -= extra;
+        }
+
+        debts.forEach((_, index) => {
+            if (payments[index] === 0) return;
+
+            balances[index] -= payments[index];
+            totalPaid[index] += payments[index];
+            if (!isOpen(index) && payoffMonths[index] === null) {
+                balances[index] = 0;
+                payoffMonths[index] = month;
+            }
+        });
+
+        timeline.push({
+            month,
+            date: addMonths(startDate, month - 1),
+            payment: Math.round(payments.reduce((total, payment) => total + payment, 0) * 100) / 100,
+            interest: Math.round(monthInterest * 100) / 100,
+            balance: Math.round(balances.reduce((total, balance) => total + balance, 0) * 100) / 100,
+            debts: debts.map((item, index) => ({
+                name: item.name,
+                payment: Math.round(payments[index] * 100) / 100,
+                balance: Math.round(balances[index] * 100) / 100
+            }))
+        });
+    }
+
+    const debtFree = payoffMonths.every(month => month !== null);
+    const months = debtFree ? Math.max(...payoffMonths) : null;
+
+    return {
+        order: order.map(index => debts[index].name),
+        debtFree,
+        months,
+        debtFreeDate: debtFree ? addMonths(startDate, months - 1) : null,
+        totalInterest: Math.round(interestPaid.reduce((total, interest) => total + interest, 0) * 100) / 100,
+        totalPaid: Math.round(totalPaid.reduce((total, paid) => total + paid, 0) * 100) / 100,
+        debts: debts.map((item, index) => ({
+            name: item.name,
+            payoffMonth: payoffMonths[index],
+            payoffDate: payoffMonths[index] === null ? null : addMonths(startDate, payoffMonths[index] - 1),
+            interestPaid: Math.round(interestPaid[index] * 100) / 100,
+            totalPaid: Math.round(totalPaid[index] * 100) / 100
+        })),
+        timeline
+    };
+}
+
+/**
+ * Summarize Debt
+ * @param {Object} debt - Validated debt
+ * @returns {Object} { name, balance, apr, minimumPayment, monthlyInterest, coversInterest, minimumOnlyMonths }
+ */
+function summarizeDebt(debt) {
+    const monthlyInterest = debt.balance * debt.apr / (12 * 100);
+    const coversInterest = debt.minimumPayment > monthlyInterest;
+
+    return {
+        name: debt.name,
+        balance: debt.balance,
+        apr: debt.apr,
+        minimumPayment: debt.minimumPayment,
+        monthlyInterest: Math.round(monthlyInterest * 100) / 100,
+        coversInterest,
+        // Months to clear the debt paying only its minimum, as an EMI
+        minimumOnlyMonths: coversInterest ? calculateRemainingMonths(debt.balance, debt.apr, debt.minimumPayment) : null
+    };
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Planner inputs (see planDebtPayoff)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.debtPayoffPlanner, inputs);
+}
+
+module.exports = {
+    DEBT_PAYOFF_STRATEGIES,
+    planDebtPayoff,
+    getPayoffOrder,
+    simulatePayoff,
+    summarizeDebt,
+    validateInputs
+};
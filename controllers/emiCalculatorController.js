@@ -1,95 +1,233 @@
 /**
  * EMI Calculator Controller
- * 
- * This controller handles EMI (Equated Monthly Installment) calculation functionality
- * 
+ *
+ * This controller handles EMI (Equated Monthly Installment) calculation functionality,
+ * including amortization schedules with prepayments and floating-rate resets
+ *
  * Functions:
- * - calculateEMI(loanAmount, interestRate, tenureMonths) - Calculate EMI and totals
- * - generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, monthlyEMI) - Generate amortization schedule
- * - validateInputs(loanAmount, interestRate, tenureMonths) - Validate input parameters
+ * - calculateEMI(inputs) - Calculate EMI and totals, and the effect of any loan events
+ * - calculateMonthlyEMI(principal, interestRate, months) - EMI that repays a principal over a number of months
+ * - calculateRemainingMonths(balance, interestRate, monthlyEMI) - Months needed to repay a balance at a given EMI
+ * - generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, monthlyEMI, events, startDate) - Generate amortization schedule
+ * - exportScheduleCsv(inputs) - Amortization schedule as CSV
+ * - addMonths(yearMonth, months) - Add months to a YYYY-MM date
+ * - getDefaultStartDate() - Next month as YYYY-MM
+ * - validateInputs(inputs) - Validate input parameters
  */
 
+const { assertValid } = require('../utils/validation');
+const { toCsv } = require('../utils/csv');
+const schemas = require('../schemas/finance');
+
+// Months between recurring prepayments
+const FREQUENCY_MONTHS = {
+    monthly: 1,
+    quarterly: 3,
+    yearly: 12
+};
+
+// Stops schedules that rate resets stretch out indefinitely
+const MAX_SCHEDULE_MONTHS = 1200;
+
+const SCHEDULE_CSV_COLUMNS = [
+    { key: 'month', header: 'Month' },
+    { key: 'date', header: 'Date' },
+    { key: 'interestRate', header: 'Interest Rate (%)' },
+    { key: 'openingBalance', header: 'Opening Balance' },
+    { key: 'emi', header: 'EMI' },
+    { key: 'interest', header: 'Interest' },
+    { key: 'principal', header: 'Principal' },
+    { key: 'prepayment', header: 'Prepayment' },
+    { key: 'balance', header: 'Closing Balance' }
+];
+
 /**
  * Calculate EMI (Equated Monthly Installment)
- * @param {number} loanAmount - Principal loan amount
- * @param {number} interestRate - Annual interest rate (as percentage, e.g., 8.5 for 8.5%)
- * @param {number} tenureMonths - Loan tenure in months
+ * @param {Object} inputs - Calculator inputs
+ * @param {number} inputs.loanAmount - Principal loan amount
+ * @param {number} inputs.interestRate - Annual interest rate (as percentage, e.g., 8.5 for 8.5%)
+ * @param {number} inputs.tenureMonths - Loan tenure in months
+ * @param {string} inputs.startDate - Month of the first EMI (YYYY-MM, default: next month)
+ * @param {Array<Object>} inputs.events - Prepayments and rate resets (see schemas/finance.js loanEvent)
+ * @param {boolean} inputs.includeSchedule - Include the amortization schedule
  * @returns {Promise<Object>} EMI calculation results
  */
-async function calculateEMI(loanAmount, interestRate, tenureMonths) {
+async function calculateEMI(inputs) {
     try {
         // Validate inputs
-        validateInputs(loanAmount, interestRate, tenureMonths);
+        const { loanAmount, interestRate, tenureMonths, startDate: requestedStartDate, events, includeSchedule } = validateInputs(inputs);
+        const startDate = requestedStartDate || getDefaultStartDate();
 
-        // Convert annual interest rate to monthly rate (as decimal)
-        const monthlyRate = interestRate / (12 * 100);
-        
         // Calculate EMI using standard formula
         // EMI = [P × R × (1+R)^N] / [(1+R)^N - 1]
         // Where: P = Principal, R = Monthly Interest Rate, N = Number of months
-        let monthlyEMI;
-        
-        if (monthlyRate === 0) {
-            // If interest rate is 0, EMI is simply principal divided by months
-            monthlyEMI = loanAmount / tenureMonths;
-        } else {
-            const factor = Math.pow(1 + monthlyRate, tenureMonths);
-            monthlyEMI = (loanAmount * monthlyRate * factor) / (factor - 1);
-        }
+        const monthlyEMI = calculateMonthlyEMI(loanAmount, interestRate, tenureMonths);
 
         // Calculate totals
         const totalPayable = monthlyEMI * tenureMonths;
         const totalInterest = totalPayable - loanAmount;
 
-        // Round to 2 decimal places
-        monthlyEMI = Math.round(monthlyEMI * 100) / 100;
-        const totalPayableRounded = Math.round(totalPayable * 100) / 100;
-        const totalInterestRounded = Math.round(totalInterest * 100) / 100;
-
-        return {
+        const result = {
             loanAmount,
             interestRate,
             tenureMonths,
-            monthlyEMI,
-            totalInterest: totalInterestRounded,
-            totalPayable: totalPayableRounded
+            monthlyEMI: Math.round(monthlyEMI * 100) / 100,
+            totalInterest: Math.round(totalInterest * 100) / 100,
+            totalPayable: Math.round(totalPayable * 100) / 100,
+            startDate,
+            closureDate: addMonths(startDate, tenureMonths - 1)
         };
 
+        let schedule = null;
+
+        if (events.length > 0) {
+            // Compare the schedule with events against the original loan
+            schedule = generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, monthlyEMI, events, startDate);
+
+            const scenarioInterest = schedule.reduce((sum, row) => sum + row.interest, 0);
+            const totalPrepayments = schedule.reduce((sum, row) => sum + row.prepayment, 0);
+            // The final instalment is usually smaller, so report the one before it
+            const emiAfterEvents = schedule.length > 1 ? schedule[schedule.length - 2].emi : schedule[0].emi;
+
+            result.scenario = {
+                tenureMonths: schedule.length,
+                closureDate: schedule[schedule.length - 1].date,
+                emiAfterEvents,
+                totalInterest: Math.round(scenarioInterest * 100) / 100,
+                totalPrepayments: Math.round(totalPrepayments * 100) / 100,
+                // EMIs and prepayments together repay the principal plus interest
+                totalPayable: Math.round((loanAmount + scenarioInterest) * 100) / 100,
+                interestSaved: Math.round((totalInterest - scenarioInterest) * 100) / 100,
+                monthsSaved: tenureMonths - schedule.length
+            };
+        }
+
+        if (includeSchedule) {
+            result.amortizationSchedule = schedule
+                || generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, monthlyEMI, [], startDate);
+        }
+
+        return result;
+
     } catch (error) {
         console.error('Error calculating EMI:', error);
         throw error;
     }
 }
 
+/**
+ * Calculate Monthly EMI
+ * Formula: EMI = [P × R × (1+R)^N] / [(1+R)^N - 1]
+ * @param {number} principal - Amount to repay
+ * @param {number} interestRate - Annual interest rate (as percentage)
+ * @param {number} months - Number of months
+ * @returns {number} Monthly EMI (unrounded)
+ */
+function calculateMonthlyEMI(principal, interestRate, months) {
+    const monthlyRate = interestRate / (12 * 100);
+
+    if (monthlyRate === 0) {
+        // If interest rate is 0, EMI is simply principal divided by months
+        return principal / months;
+    }
+
+    const factor = Math.pow(1 + monthlyRate, months);
+    return (principal * monthlyRate * factor) / (factor - 1);
+}
+
+/**
+ * Calculate Remaining Months
+ * Formula: N = -log(1 - P × R / EMI) / log(1 + R)
+ * @param {number} balance - Outstanding balance
+ * @param {number} interestRate - Annual interest rate (as percentage)
+ * @param {number} monthlyEMI - Monthly EMI (must exceed the monthly interest)
+ * @returns {number} Months needed, rounded up
+ */
+function calculateRemainingMonths(balance, interestRate, monthlyEMI) {
+    const monthlyRate = interestRate / (12 * 100);
+
+    const months = monthlyRate === 0
+        ? balance / monthlyEMI
+        : -Math.log(1 - (balance * monthlyRate) / monthlyEMI) / Math.log(1 + monthlyRate);
+
+    // Tolerance keeps float noise from adding a month
+    return Math.ceil(months - 1e-9);
+}
+
 /**
  * Generate amortization schedule
+ * Rate resets apply from the EMI of their month; prepayments are made right
+ * after that month's EMI. Each event either keeps the EMI and changes the
+ * remaining tenure, or keeps the tenure and recalculates the EMI.
  * @param {number} loanAmount - Principal loan amount
  * @param {number} interestRate - Annual interest rate (as percentage)
  * @param {number} tenureMonths - Loan tenure in months
  * @param {number} monthlyEMI - Monthly EMI amount
+ * @param {Array<Object>} events - Validated prepayments and rate resets (default none)
+ * @param {string} startDate - Month of the first EMI (YYYY-MM, default: next month)
  * @returns {Array<Object>} Amortization schedule array
  */
-function generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, monthlyEMI) {
-    // TODO: Implement amortization schedule generation
-    // This function should generate a month-by-month breakdown showing:
-    // - Month number
-    // - Principal component of EMI
-    // - Interest component of EMI
-    // - Remaining balance
-    
+function generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, monthlyEMI, events = [], startDate = getDefaultStartDate()) {
     const schedule = [];
-    const monthlyRate = interestRate / (12 * 100);
     let balance = loanAmount;
+    let rate = interestRate;
+    let emi = monthlyEMI;
+    let endMonth = tenureMonths;
+
+    // Recalculate the EMI or the planned end after an event changes the balance or rate
+    const reschedule = (monthsPaid, adjust) => {
+        const remainingMonths = endMonth - monthsPaid;
+        const monthlyInterest = balance * rate / (12 * 100);
+
+        if (balance <= 0) {
+            endMonth = monthsPaid;
+        } else if (adjust === 'emi' && remainingMonths > 0) {
+            emi = calculateMonthlyEMI(balance, rate, remainingMonths);
+        } else if (emi <= monthlyInterest) {
+            // The EMI no longer covers the interest, so it has to go up
+            emi = calculateMonthlyEMI(balance, rate, Math.max(remainingMonths, 1));
+        } else {
+            endMonth = monthsPaid + calculateRemainingMonths(balance, rate, emi);
+        }
+    };
+
+    for (let month = 1; balance > 0.005 && month <= MAX_SCHEDULE_MONTHS; month++) {
+        const openingBalance = balance;
+
+        events
+            .filter(event => event.type === 'rate-change' && event.month === month)
+            .forEach(event => {
+                rate = event.interestRate;
+                reschedule(month - 1, event.adjust);
+            });
+
+        const interestComponent = balance * rate / (12 * 100);
+        const payment = Math.min(emi, balance + interestComponent);
+        const principalComponent = payment - interestComponent;
+        balance -= principalComponent;
 
-    for (let month = 1; month <= tenureMonths; month++) {
-        const interestComponent = balance * monthlyRate;
-        const principalComponent = monthlyEMI - interestComponent;
-        balance = balance - principalComponent;
+        let prepayment = 0;
+        events
+            .filter(event => event.type === 'prepayment' && isPrepaymentDue(event, month))
+            .forEach(event => {
+                const amount = Math.min(event.amount, balance);
+                if (amount <= 0) {
+                    return;
+                }
+                prepayment += amount;
+                balance -= amount;
+                reschedule(month, event.adjust);
+            });
 
         schedule.push({
             month,
+            date: addMonths(startDate, month - 1),
+            interestRate: rate,
+            openingBalance: Math.round(openingBalance * 100) / 100,
+            emi: Math.round(payment * 100) / 100,
             principal: Math.round(principalComponent * 100) / 100,
             interest: Math.round(interestComponent * 100) / 100,
+            prepayment: Math.round(prepayment * 100) / 100,
             balance: Math.max(0, Math.round(balance * 100) / 100) // Ensure balance doesn't go negative
         });
     }
@@ -98,29 +236,76 @@ function generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, mo
 }
 
 /**
- * Validate input parameters
- * @param {number} loanAmount - Principal loan amount
- * @param {number} interestRate - Annual interest rate
- * @param {number} tenureMonths - Loan tenure in months
- * @throws {Error} If validation fails
+ * Check Whether a Prepayment Is Due
+ * @param {Object} event - Prepayment event
+ * @param {number} month - EMI number
+ * @returns {boolean} True if the prepayment is made after this EMI
  */
-function validateInputs(loanAmount, interestRate, tenureMonths) {
-    if (!loanAmount || loanAmount <= 0) {
-        throw new Error('Loan amount must be greater than 0');
+function isPrepaymentDue(event, month) {
+    if (month < event.month || (event.untilMonth !== undefined && month > event.untilMonth)) {
+        return false;
     }
-
-    if (interestRate < 0 || interestRate > 100) {
-        throw new Error('Interest rate must be between 0 and 100');
+    if (event.frequency === 'once') {
+        return month === event.month;
     }
+    return (month - event.month) % FREQUENCY_MONTHS[event.frequency] === 0;
+}
+
+/**
+ * Export Amortization Schedule as CSV
+ * Uses the schedule with events when events are given, otherwise the original loan's
+ * @param {Object} inputs - Calculator inputs (see calculateEMI)
+ * @returns {Promise<string>} CSV text
+ */
+async function exportScheduleCsv(inputs) {
+    try {
+        const result = await calculateEMI({ ...inputs, includeSchedule: true });
+        return toCsv(SCHEDULE_CSV_COLUMNS, result.amortizationSchedule);
 
-    if (!tenureMonths || tenureMonths <= 0 || !Number.isInteger(tenureMonths)) {
-        throw new Error('Loan tenure must be a positive integer (in months)');
+    } catch (error) {
+        console.error('Error exporting EMI schedule:', error);
+        throw error;
     }
 }
 
+/**
+ * Add Months to a Year-Month
+ * @param {string} yearMonth - Date in YYYY-MM format
+ * @param {number} months - Months to add
+ * @returns {string} Date in YYYY-MM format
+ */
+function addMonths(yearMonth, months) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    const total = year * 12 + (month - 1) + months;
+    return `${Math.floor(total / 12)}-${String(total % 12 + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get Default Start Date
+ * @returns {string} Next month in YYYY-MM format
+ */
+function getDefaultStartDate() {
+    const now = new Date();
+    return addMonths(`${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`, 1);
+}
+
+/**
+ * Validate input parameters
+ * @param {Object} inputs - Calculator inputs (see calculateEMI)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.emiCalculator, inputs);
+}
+
 module.exports = {
     calculateEMI,
+    calculateMonthlyEMI,
+    calculateRemainingMonths,
     generateAmortizationSchedule,
+    exportScheduleCsv,
+    addMonths,
+    getDefaultStartDate,
     validateInputs
 };
-
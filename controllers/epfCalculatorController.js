@@ -0,0 +1,167 @@
+/**
+ * EPF Calculator Controller
+ *
+ * This controller handles Employees' Provident Fund (EPF) calculation
+ * functionality. The employee and employer each contribute a percentage of
+ * basic salary plus DA every month; 8.33% of wages up to the ₹15,000 ceiling
+ * is diverted from the employer's share to the Employees' Pension Scheme
+ * (EPS). Interest is worked out the EPFO way on each month's opening balance
+ * and credited once a year, so it compounds yearly rather than monthly.
+ *
+ * This is why EPF keeps its own month loop instead of using
+ * sipCalculatorController.calculateFutureValueOfAnnuity like RD and PPF:
+ * that formula compounds every period on deposits made at its start, while
+ * a month's EPF contribution only starts earning (simple) interest the
+ * following month and the year's interest is added at the end. Each year's
+ * contributions also change with the salary.
+ *
+ * Functions:
+ * - calculateEPF(inputs) - Calculate the EPF balance at retirement and year-wise growth
+ * - calculateMonthlyContributions(salary, options) - Split one month's contributions between EPF and EPS
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/finance');
+
+const EMPLOYER_CONTRIBUTION_RATE = 12;
+const PENSION_CONTRIBUTION_RATE = 8.33;
+const PENSION_WAGE_CEILING = 15000;
+
+// Interest on employee contributions above this in a year is taxable
+const TAX_FREE_CONTRIBUTION_LIMIT = 250000;
+
+/**
+ * Calculate EPF Corpus
+ * @param {Object} inputs - Calculator inputs
+ * @param {number} inputs.monthlyBasicSalary - Monthly basic salary plus DA
+ * @param {number} inputs.currentAge - Current age
+ * @param {number} inputs.retirementAge - Retirement age (default 58)
+ * @param {number} inputs.currentBalance - EPF balance today (default 0)
+ * @param {number} inputs.interestRate - Annual EPF interest rate (as percentage, default 8.25)
+ * @param {number} inputs.salaryGrowth - Yearly salary increase (as percentage, default 5)
+ * @param {number} inputs.employeeContributionRate - Employee contribution (as percentage, default 12)
+ * @param {boolean} inputs.employerOnWageCeiling - Employer contributes only on the wage ceiling (default false)
+ * @returns {Promise<Object>} EPF calculation results
+ */
+async function calculateEPF(inputs) {
+    try {
+        // Validate inputs
+        const {
+            monthlyBasicSalary, currentAge, retirementAge, currentBalance,
+            interestRate, salaryGrowth, employeeContributionRate, employerOnWageCeiling
+        } = validateInputs(inputs);
+
+        const monthlyRate = interestRate / 12 / 100;
+        const years = retirementAge - currentAge;
+        const yearWiseGrowth = [];
+        const notes = [];
+
+        let salary = monthlyBasicSalary;
+        let balance = currentBalance;
+        let totalEmployeeContribution = 0;
+        let totalEmployerContribution = 0;
+        let totalPensionContribution = 0;
+        let totalInterest = 0;
+        let taxableInterestYears = 0;
+
+        for (let year = 1; year <= years; year++) {
+            if (year > 1) {
+                salary *= 1 + salaryGrowth / 100;
+            }
+
+            const monthly = calculateMonthlyContributions(salary, { employeeContributionRate, employerOnWageCeiling });
+            let interest = 0;
+
+            for (let month = 1; month <= 12; month++) {
+                interest += balance * monthlyRate;
+                balance += monthly.employee + monthly.employer;
+            }
+            balance += interest;
+
+            totalEmployeeContribution += monthly.employee * 12;
+            totalEmployerContribution += monthly.employer * 12;
+            totalPensionContribution += monthly.pension * 12;
+            totalInterest += interest;
+            if (monthly.employee * 12 > TAX_FREE_CONTRIBUTION_LIMIT) {
+                taxableInterestYears++;
+            }
+
+            yearWiseGrowth.push({
+                year,
+                age: currentAge + year,
+                monthlyBasicSalary: Math.round(salary * 100) / 100,
+                employeeContribution: Math.round(monthly.employee * 12 * 100) / 100,
+                employerContribution: Math.round(monthly.employer * 12 * 100) / 100,
+                pensionContribution: Math.round(monthly.pension * 12 * 100) / 100,
+                interestEarned: Math.round(interest * 100) / 100,
+                balance: Math.round(balance * 100) / 100
+            });
+        }
+
+        if (taxableInterestYears > 0) {
+            notes.push(`Employee contributions exceed ₹${TAX_FREE_CONTRIBUTION_LIMIT.toLocaleString('en-IN')} a year in ${taxableInterestYears} year(s); interest on the excess is taxable`);
+        }
+
+        return {
+            monthlyBasicSalary,
+            currentAge,
+            retirementAge,
+            years,
+            interestRate,
+            salaryGrowth,
+            employeeContributionRate,
+            employerContributionRate: EMPLOYER_CONTRIBUTION_RATE,
+            currentBalance,
+            totalEmployeeContribution: Math.round(totalEmployeeContribution * 100) / 100,
+            totalEmployerContribution: Math.round(totalEmployerContribution * 100) / 100,
+            totalPensionContribution: Math.round(totalPensionContribution * 100) / 100,
+            totalInterestEarned: Math.round(totalInterest * 100) / 100,
+            maturityAmount: Math.round(balance * 100) / 100,
+            yearWiseGrowth,
+            notes
+        };
+
+    } catch (error) {
+        console.error('Error calculating EPF:', error);
+        throw error;
+    }
+}
+
+/**
+ * Calculate Monthly Contributions
+ * The employer's 12% is split: 8.33% of wages up to the ceiling goes to EPS
+ * and the rest to EPF.
+ * @param {number} salary - Monthly basic salary plus DA
+ * @param {Object} options - { employeeContributionRate, employerOnWageCeiling }
+ * @returns {Object} { employee, employer (to EPF), pension (to EPS) }
+ */
+function calculateMonthlyContributions(salary, { employeeContributionRate, employerOnWageCeiling }) {
+    const pensionableWage = Math.min(salary, PENSION_WAGE_CEILING);
+    const employerWage = employerOnWageCeiling ? pensionableWage : salary;
+
+    const employerTotal = employerWage * EMPLOYER_CONTRIBUTION_RATE / 100;
+    const pension = Math.round(pensionableWage * PENSION_CONTRIBUTION_RATE / 100);
+
+    return {
+        employee: salary * employeeContributionRate / 100,
+        employer: employerTotal - pension,
+        pension
+    };
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculateEPF)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.epfCalculator, inputs);
+}
+
+module.exports = {
+    calculateEPF,
+    calculateMonthlyContributions,
+    validateInputs
+};
@@ -1,46 +1,183 @@
 /**
  * FD Calculator Controller
- * 
- * This controller handles Fixed Deposit (FD) calculation functionality
- * 
+ *
+ * This controller handles Fixed Deposit (FD) calculation functionality:
+ * compounding frequency, cumulative or periodic-payout deposits, the
+ * senior-citizen rate bonus and TDS on interest (section 194A). Given an
+ * expected inflation rate, it also returns real (today's money) values.
+ *
  * Functions:
- * - calculateFD(principal, interestRate, tenure) - Calculate FD maturity amount
+ * - calculateFD(inputs) - Calculate FD maturity, payouts, TDS and year-wise growth
  * - calculateMaturityAmount(principal, annualRate, tenureYears, compoundingFreq) - Calculate maturity using compound interest
+ * - calculateSimpleInterest(principal, annualRate, tenureYears) - Calculate simple interest
+ * - calculatePayoutAmount(principal, annualRate, compoundingFreq, payoutFreq) - Interest paid out each payout period
  * - calculateEffectiveRate(annualRate, compoundingFreq) - Calculate effective annual rate
- * - validateInputs(principal, interestRate, tenure) - Validate input parameters
+ * - calculateTds(yearlyInterest, options) - Estimate TDS on each year's interest
+ * - getTenureYears(tenure, tenureUnit) - Convert a tenure to years
+ * - validateInputs(inputs) - Validate input parameters
  */
 
+const { assertValid } = require('../utils/validation');
+const { getRuleSet, LATEST_ASSESSMENT_YEAR } = require('../taxRules');
+const { getRealValue } = require('./sipCalculatorController');
+const { getRealRate } = require('./inflationCalculatorController');
+const schemas = require('../schemas/finance');
+
+// Periods per year for compounding and payouts; simple interest does not compound
+const FREQUENCIES = {
+    monthly: 12,
+    quarterly: 4,
+    'half-yearly': 2,
+    yearly: 1,
+    simple: null
+};
+
+// Banks pay simple interest on deposits shorter than this
+const SIMPLE_INTEREST_BELOW_MONTHS = 6;
+
+// Guards floor() against floating-point error when a tenure is a whole number of periods
+const PERIOD_EPSILON = 1e-9;
+
 /**
- * Calculate FD Maturity
- * @param {number} principal - Principal amount
- * @param {number} interestRate - Annual interest rate (as percentage)
- * @param {number} tenure - Tenure in years
+ * Calculate FD
+ * @param {Object} inputs - Calculator inputs
+ * @param {number} inputs.principal - Principal amount
+ * @param {number} inputs.interestRate - Annual interest rate (as percentage)
+ * @param {number} inputs.tenure - Tenure in tenureUnit
+ * @param {string} inputs.tenureUnit - 'years' | 'months' | 'days' (default 'years')
+ * @param {string} inputs.compounding - 'monthly' | 'quarterly' | 'half-yearly' | 'yearly' | 'simple' (default 'quarterly')
+ * @param {string} inputs.payout - 'cumulative' or a payout interval (default 'cumulative')
+ * @param {boolean} inputs.seniorCitizen - Senior citizen depositor (default false)
+ * @param {number} inputs.seniorCitizenBonus - Extra rate for senior citizens in percentage points (default 0.5)
+ * @param {boolean} inputs.panProvided - PAN given to the bank (default true)
+ * @param {boolean} inputs.form15Submitted - Form 15G/15H submitted (default false)
+ * @param {number} inputs.inflationRate - Expected annual inflation for real values (as percentage, optional)
  * @returns {Promise<Object>} FD calculation results
  */
-async function calculateFD(principal, interestRate, tenure) {
+async function calculateFD(inputs) {
     try {
         // Validate inputs
-        validateInputs(principal, interestRate, tenure);
+        const {
+            principal, interestRate, tenure, tenureUnit, payout,
+            seniorCitizen, seniorCitizenBonus, panProvided, form15Submitted, inflationRate, ...rest
+        } = validateInputs(inputs);
+
+        const notes = [];
+        const tenureYears = getTenureYears(tenure, tenureUnit);
+        const appliedRate = seniorCitizen ? Math.round((interestRate + seniorCitizenBonus) * 100) / 100 : interestRate;
+
+        let compounding = rest.compounding;
+        if (compounding !== 'simple' && tenureYears * 12 < SIMPLE_INTEREST_BELOW_MONTHS) {
+            compounding = 'simple';
+            notes.push(`Deposits shorter than ${SIMPLE_INTEREST_BELOW_MONTHS} months earn simple interest`);
+        }
+
+        const compoundingFrequency = FREQUENCIES[compounding];
+        const growth = years => (compoundingFrequency
+            ? calculateMaturityAmount(principal, appliedRate, years, compoundingFrequency)
+            : principal + calculateSimpleInterest(principal, appliedRate, years));
+
+        // Interest earned in each deposit year (the last one may be partial)
+        const depositYears = Math.ceil(tenureYears - PERIOD_EPSILON);
+        const yearEnd = year => Math.min(year, tenureYears);
+        let payoutAmount = null;
+        let payoutsCount = 0;
+        let yearlyInterest;
+        let yearlyPayouts;
+        let maturityAmount;
+
+        if (payout === 'cumulative') {
+            yearlyInterest = Array.from({ length: depositYears }, (_, index) => growth(yearEnd(index + 1)) - growth(index));
+            yearlyPayouts = yearlyInterest.map(() => 0);
+            maturityAmount = growth(tenureYears);
+        } else {
+            const payoutFrequency = FREQUENCIES[payout];
+            payoutAmount = calculatePayoutAmount(principal, appliedRate, compoundingFrequency, payoutFrequency);
+            payoutsCount = Math.floor(tenureYears * payoutFrequency + PERIOD_EPSILON);
+
+            // Interest for the part of the last period after the final payout is paid with the principal
+            const remainderYears = Math.max(0, tenureYears - payoutsCount / payoutFrequency);
+            const finalInterest = remainderYears > PERIOD_EPSILON ? growth(remainderYears) - principal : 0;
+
+            yearlyPayouts = Array.from({ length: depositYears }, (_, index) => {
+                const payoutsInYear = Math.min(payoutsCount, (index + 1) * payoutFrequency) - index * payoutFrequency;
+                return Math.max(0, payoutsInYear) * payoutAmount;
+            });
+            yearlyInterest = yearlyPayouts.map((paid, index) => paid + (index === depositYears - 1 ? finalInterest : 0));
+            maturityAmount = principal + finalInterest;
 
-        const COMPOUNDING_FREQUENCY = 4; // Quarterly compounding (standard for FDs in India)
+            if (payoutsCount === 0) {
+                notes.push(`The tenure is shorter than one ${payout} period, so all interest is paid at maturity`);
+            }
+        }
 
-        // Calculate maturity amount using compound interest formula
-        const maturityAmount = calculateMaturityAmount(principal, interestRate, tenure, COMPOUNDING_FREQUENCY);
+        const totalInterestEarned = yearlyInterest.reduce((total, interest) => total + interest, 0);
+        const tds = calculateTds(yearlyInterest, { seniorCitizen, panProvided, form15Submitted });
 
-        // Calculate total interest earned
-        const totalInterestEarned = maturityAmount - principal;
+        if (tds.totalTds > 0) {
+            notes.push('TDS is estimated on each deposit year\'s interest; banks deduct it per financial year on interest from all your deposits with them');
+            if (!panProvided) {
+                notes.push(`Without a PAN, TDS is deducted at ${tds.rate}%`);
+            }
+        }
 
-        // Calculate effective annual rate
-        const effectiveRate = calculateEffectiveRate(interestRate, COMPOUNDING_FREQUENCY);
+        // Values in today's money, each deflated from the time it is received
+        const hasInflation = inflationRate !== undefined;
+        const toReal = (value, years) => Math.round(getRealValue(value, inflationRate, years * 12) * 100) / 100;
+        const realInterestEarned = hasInflation
+            ? yearlyInterest.reduce((total, interest, index) => total + getRealValue(interest, inflationRate, yearEnd(index + 1) * 12), 0)
+            : null;
+        const effectiveRate = calculateEffectiveRate(appliedRate, compoundingFrequency);
+
+        let cumulativeInterest = 0;
+        const yearWiseGrowth = yearlyInterest.map((interest, index) => {
+            const openingBalance = payout === 'cumulative' ? growth(index) : principal;
+            // Interest for a final partial period stays in the balance and is paid with the principal
+            const interestPaidOut = yearlyPayouts[index];
+            const closingBalance = openingBalance + interest - interestPaidOut;
+            cumulativeInterest += interest;
+
+            return {
+                year: index + 1,
+                openingBalance: Math.round(openingBalance * 100) / 100,
+                interestEarned: Math.round(interest * 100) / 100,
+                payout: Math.round(interestPaidOut * 100) / 100,
+                tds: tds.yearly[index],
+                closingBalance: Math.round(closingBalance * 100) / 100,
+                cumulativeInterest: Math.round(cumulativeInterest * 100) / 100,
+                realClosingBalance: hasInflation ? toReal(closingBalance, yearEnd(index + 1)) : null
+            };
+        });
 
         return {
             principal,
             interestRate,
+            appliedRate,
+            seniorCitizen,
             tenure,
-            compoundingFrequency: COMPOUNDING_FREQUENCY,
+            tenureUnit,
+            tenureYears: Math.round(tenureYears * 10000) / 10000,
+            compounding,
+            compoundingFrequency,
+            payout,
+            payoutAmount: payoutsCount === 0 ? null : Math.round(payoutAmount * 100) / 100,
+            payoutsCount,
             maturityAmount: Math.round(maturityAmount * 100) / 100,
             totalInterestEarned: Math.round(totalInterestEarned * 100) / 100,
-            effectiveRate: Math.round(effectiveRate * 100) / 100
+            effectiveRate: Math.round(effectiveRate * 100) / 100,
+            tds: {
+                assessmentYear: tds.assessmentYear,
+                threshold: tds.threshold,
+                rate: tds.rate,
+                totalTds: tds.totalTds
+            },
+            netInterestEarned: Math.round((totalInterestEarned - tds.totalTds) * 100) / 100,
+            inflationRate: hasInflation ? inflationRate : null,
+            realMaturityAmount: hasInflation ? toReal(maturityAmount, tenureYears) : null,
+            realInterestEarned: hasInflation ? Math.round(realInterestEarned * 100) / 100 : null,
+            realEffectiveRate: hasInflation ? Math.round(getRealRate(effectiveRate, inflationRate) * 100) / 100 : null,
+            yearWiseGrowth,
+            notes
         };
 
     } catch (error) {
@@ -52,6 +189,7 @@ async function calculateFD(principal, interestRate, tenure) {
 /**
  * Calculate Maturity Amount using Compound Interest
  * Formula: A = P × (1 + r/n)^(n×t)
+ * A part period at the end earns simple interest at r/n for that fraction.
  * @param {number} principal - Principal amount
  * @param {number} annualRate - Annual interest rate (as percentage)
  * @param {number} tenureYears - Tenure in years
@@ -59,49 +197,116 @@ async function calculateFD(principal, interestRate, tenure) {
  * @returns {number} Maturity amount
  */
 function calculateMaturityAmount(principal, annualRate, tenureYears, compoundingFreq) {
+    const periodRate = annualRate / 100 / compoundingFreq;
+    const periods = tenureYears * compoundingFreq;
+    const fullPeriods = Math.floor(periods + PERIOD_EPSILON);
+    const partPeriod = Math.max(0, periods - fullPeriods);
+
+    return principal * Math.pow(1 + periodRate, fullPeriods) * (1 + periodRate * partPeriod);
+}
+
+/**
+ * Calculate Simple Interest
+ * Formula: I = P × r × t
+ * @param {number} principal - Principal amount
+ * @param {number} annualRate - Annual interest rate (as percentage)
+ * @param {number} tenureYears - Tenure in years
+ * @returns {number} Interest
+ */
+function calculateSimpleInterest(principal, annualRate, tenureYears) {
+    return principal * (annualRate / 100) * tenureYears;
+}
+
+/**
+ * Calculate Payout Amount
+ * Interest compounds within a payout period when compounding is more frequent
+ * than payouts, and is discounted when payouts are more frequent.
+ * Formula: P × ((1 + r/n)^(n/p) - 1), or P × r/p for simple interest
+ * @param {number} principal - Principal amount
+ * @param {number} annualRate - Annual interest rate (as percentage)
+ * @param {number|null} compoundingFreq - Compounding frequency per year (null for simple interest)
+ * @param {number} payoutFreq - Payouts per year
+ * @returns {number} Interest paid out each period
+ */
+function calculatePayoutAmount(principal, annualRate, compoundingFreq, payoutFreq) {
     const rateDecimal = annualRate / 100;
-    const factor = Math.pow(1 + rateDecimal / compoundingFreq, compoundingFreq * tenureYears);
-    return principal * factor;
+    if (!compoundingFreq) {
+        return principal * rateDecimal / payoutFreq;
+    }
+    return principal * (Math.pow(1 + rateDecimal / compoundingFreq, compoundingFreq / payoutFreq) - 1);
 }
 
 /**
  * Calculate Effective Annual Rate (EAR)
  * Formula: EAR = (1 + r/n)^n - 1
  * @param {number} annualRate - Annual interest rate (as percentage)
- * @param {number} compoundingFreq - Compounding frequency per year
+ * @param {number|null} compoundingFreq - Compounding frequency per year (null for simple interest)
  * @returns {number} Effective annual rate (as percentage)
  */
 function calculateEffectiveRate(annualRate, compoundingFreq) {
+    if (!compoundingFreq) {
+        return annualRate;
+    }
     const rateDecimal = annualRate / 100;
     const ear = Math.pow(1 + rateDecimal / compoundingFreq, compoundingFreq) - 1;
     return ear * 100;
 }
 
 /**
- * Validate Input Parameters
- * @param {number} principal - Principal amount
- * @param {number} interestRate - Interest rate
- * @param {number} tenure - Tenure
- * @throws {Error} If validation fails
+ * Calculate TDS
+ * Uses the latest assessment year's section 194A threshold and rates. TDS is
+ * deducted on a year's whole interest once it exceeds the threshold.
+ * @param {Array<number>} yearlyInterest - Interest earned in each deposit year
+ * @param {Object} options - { seniorCitizen, panProvided, form15Submitted }
+ * @returns {Object} { assessmentYear, threshold, rate, yearly, totalTds }
  */
-function validateInputs(principal, interestRate, tenure) {
-    if (!principal || principal < 1000) {
-        throw new Error('Principal amount must be at least ₹1,000');
-    }
+function calculateTds(yearlyInterest, { seniorCitizen, panProvided, form15Submitted }) {
+    const rules = getRuleSet(LATEST_ASSESSMENT_YEAR).tdsOnInterest;
+    const threshold = seniorCitizen ? rules.threshold.senior : rules.threshold.regular;
+    const rate = panProvided ? rules.rate : rules.rateWithoutPan;
 
-    if (!interestRate || interestRate < 1 || interestRate > 15) {
-        throw new Error('Interest rate must be between 1% and 15%');
-    }
+    const yearly = yearlyInterest.map(interest => (
+        form15Submitted || interest <= threshold ? 0 : Math.round(interest * rate) / 100
+    ));
 
-    if (!tenure || tenure <= 0 || tenure > 10) {
-        throw new Error('Tenure must be between 1 and 10 years');
-    }
+    return {
+        assessmentYear: LATEST_ASSESSMENT_YEAR,
+        threshold,
+        rate: form15Submitted ? 0 : rate,
+        yearly,
+        totalTds: Math.round(yearly.reduce((total, amount) => total + amount, 0) * 100) / 100
+    };
+}
+
+/**
+ * Get Tenure in Years
+ * @param {number} tenure - Tenure
+ * @param {string} tenureUnit - 'years' | 'months' | 'days'
+ * @returns {number} Tenure in years (365-day years)
+ */
+function getTenureYears(tenure, tenureUnit) {
+    if (tenureUnit === 'days') return tenure / 365;
+    if (tenureUnit === 'months') return tenure / 12;
+    return tenure;
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculateFD)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.fdCalculator, inputs);
 }
 
 module.exports = {
     calculateFD,
     calculateMaturityAmount,
+    calculateSimpleInterest,
+    calculatePayoutAmount,
     calculateEffectiveRate,
+    calculateTds,
+    getTenureYears,
     validateInputs
 };
-
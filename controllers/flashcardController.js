@@ -4,32 +4,33 @@
  * This controller handles flashcard functionality
  * 
  * Functions:
- * - createCard(cardData) - Create a new flashcard
+ * - createCard(userId, cardData) - Create a new flashcard
  * - getCards(userId) - Get all flashcards for a user
- * - updateCard(cardId, updates) - Update a flashcard
- * - deleteCard(cardId) - Delete a flashcard
- * - updateReview(cardId, difficulty, correct) - Update review data with spaced repetition
+ * - updateCard(userId, cardId, updates) - Update a flashcard
+ * - deleteCard(userId, cardId) - Delete a flashcard
+ * - updateReview(userId, cardId, difficulty, correct) - Update review data with spaced repetition
  * - validateCard(cardData) - Validate card data
  */
 
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/student');
+
+const cardsRepository = getRepository('flashcards');
+
 /**
  * Create Flashcard
+ * @param {string} userId - User ID
  * @param {Object} cardData - Card data
  * @returns {Promise<Object>} Created flashcard
  */
-async function createCard(cardData) {
+async function createCard(userId, cardData) {
     try {
         // Validate card data
-        validateCard(cardData);
+        cardData = validateCard(cardData);
 
-        // TODO: Save to database
-        // This would require:
-        // 1. Database schema for flashcards (id, userId, front, back, category, tags, createdAt, reviewData)
-        // 2. Database connection and query execution
-        // 3. User authentication/authorization
-
-        const card = {
-            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        const card = await cardsRepository.create({
+            userId,
             front: cardData.front,
             back: cardData.back,
             category: cardData.category,
@@ -44,9 +45,9 @@ async function createCard(cardData) {
                 interval: 1, // Days
                 easeFactor: 2.5
             }
-        };
+        });
 
-        return card;
+        return toPublicCard(card);
 
     } catch (error) {
         console.error('Error creating flashcard:', error);
@@ -61,10 +62,9 @@ async function createCard(cardData) {
  */
 async function getCards(userId) {
     try {
-        // TODO: Query database for user's flashcards
-        // SELECT * FROM flashcards WHERE userId = ? ORDER BY createdAt DESC
+        const cards = await cardsRepository.find({ userId }, { sortBy: 'createdAt', order: 'desc' });
 
-        return [];
+        return cards.map(toPublicCard);
 
     } catch (error) {
         console.error('Error getting flashcards:', error);
@@ -72,26 +72,81 @@ async function getCards(userId) {
     }
 }
 
+/**
+ * Update Flashcard
+ * @param {string} userId - User ID
+ * @param {string} cardId - Card ID
+ * @param {Object} updates - Card updates (front, back, category, tags)
+ * @returns {Promise<Object|null>} Updated flashcard, or null if the user has no such card
+ */
+async function updateCard(userId, cardId, updates) {
+    try {
+        const changes = {};
+        ['front', 'back', 'category', 'tags'].forEach(field => {
+            if (updates[field] !== undefined) {
+                changes[field] = updates[field];
+            }
+        });
+
+        const existing = await cardsRepository.findOne({ id: cardId, userId });
+        if (!existing) {
+            return null;
+        }
+
+        // Validate the card as it will look after the update
+        validateCard({ ...existing, ...changes });
+
+        const card = await cardsRepository.updateOne({ id: cardId, userId }, changes);
+
+        return card ? toPublicCard(card) : null;
+
+    } catch (error) {
+        console.error('Error updating flashcard:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete Flashcard
+ * @param {string} userId - User ID
+ * @param {string} cardId - Card ID
+ * @returns {Promise<boolean>} True if the card existed and was deleted
+ */
+async function deleteCard(userId, cardId) {
+    try {
+        return await cardsRepository.deleteOne({ id: cardId, userId });
+
+    } catch (error) {
+        console.error('Error deleting flashcard:', error);
+        throw error;
+    }
+}
+
 /**
  * Update Review Data (Spaced Repetition - Simplified SM-2)
+ * @param {string} userId - User ID
  * @param {string} cardId - Card ID
  * @param {string} difficulty - Difficulty rating ('easy', 'medium', 'hard')
  * @param {boolean} correct - Whether the answer was correct
- * @returns {Promise<Object>} Updated review data
+ * @returns {Promise<Object|null>} Updated review data, or null if the user has no such card
  */
-async function updateReview(cardId, difficulty, correct) {
+async function updateReview(userId, cardId, difficulty, correct) {
     try {
-        // TODO: Get card from database
-        // const card = await getCardById(cardId);
+        const card = await cardsRepository.findOne({ id: cardId, userId });
+        if (!card) {
+            return null;
+        }
+
+        const previous = card.reviewData || {};
 
         // Simplified SM-2 algorithm
         const reviewData = {
             lastReviewed: new Date().toISOString(),
-            reviewCount: 1, // This would be incremented from existing value
-            correctCount: correct ? 1 : 0,
-            difficulty: 2.5,
-            interval: 1,
-            easeFactor: 2.5
+            reviewCount: (previous.reviewCount || 0) + 1,
+            correctCount: (previous.correctCount || 0) + (correct ? 1 : 0),
+            difficulty: previous.difficulty || 2.5,
+            interval: previous.interval || 1,
+            easeFactor: previous.easeFactor || 2.5
         };
 
         // Update based on difficulty
@@ -111,8 +166,7 @@ async function updateReview(cardId, difficulty, correct) {
         nextReviewDate.setDate(nextReviewDate.getDate() + reviewData.interval);
         reviewData.nextReview = nextReviewDate.toISOString();
 
-        // TODO: Update in database
-        // UPDATE flashcards SET reviewData = ? WHERE id = ? AND userId = ?
+        await cardsRepository.updateOne({ id: cardId, userId }, { reviewData });
 
         return reviewData;
 
@@ -125,29 +179,28 @@ async function updateReview(cardId, difficulty, correct) {
 /**
  * Validate Card
  * @param {Object} cardData - Card data
- * @throws {Error} If validation fails
+ * @returns {Object} Validated card data
+ * @throws {ValidationError} If validation fails
  */
 function validateCard(cardData) {
-    if (!cardData.front || cardData.front.trim().length < 1) {
-        throw new Error('Front text is required');
-    }
-
-    if (!cardData.back || cardData.back.trim().length < 1) {
-        throw new Error('Back text is required');
-    }
-
-    if (!cardData.category || cardData.category.trim().length < 1) {
-        throw new Error('Category is required');
-    }
+    return assertValid(schemas.flashcard, cardData);
+}
 
-    if (cardData.tags && !Array.isArray(cardData.tags)) {
-        throw new Error('Tags must be an array');
-    }
+/**
+ * Strip internal fields from a stored flashcard
+ * @param {Object} card - Stored card record
+ * @returns {Object} Flashcard as returned by the API
+ */
+function toPublicCard(card) {
+    const { userId, ...publicCard } = card;
+    return publicCard;
 }
 
 module.exports = {
     createCard,
     getCards,
+    updateCard,
+    deleteCard,
     updateReview,
     validateCard
 };
@@ -0,0 +1,278 @@
+/**
+ * Goal Seek Controller
+ *
+ * This controller runs the finance calculators backwards: given the fixed
+ * inputs, a target for one numeric output and the input that is unknown, it
+ * finds the input value that makes the calculator return the target (the
+ * tenure for an affordable EMI, the rate for a target corpus, ...).
+ *
+ * The unknown input is searched over the range its calculator schema
+ * allows: the range is sampled (doubling the upper end when the schema sets
+ * no maximum) until two neighbouring values put the output on either side
+ * of the target, and that bracket is narrowed by bisection. Whole-number
+ * inputs such as months are narrowed to two neighbouring whole numbers and
+ * the closer one is used. Values the calculator rejects for the other
+ * inputs (a retirement age below the current age) are skipped.
+ *
+ * Outputs that are clamped (a shortfall that stays 0 once savings cover
+ * it) hit the target over a whole stretch of inputs; the search keeps
+ * narrowing to where that stretch starts rather than stopping at the
+ * first sample on it.
+ *
+ * Functions:
+ * - goalSeek(inputs) - Solve a calculator input for a target output
+ * - getSearchRange(rule) - Search interval for a numeric input from its schema
+ * - getSamplePoints(range, integer) - Values tried to find where the output crosses the target
+ * - getFieldValue(result, path) - Read a dotted field from a result
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+const { bisectionAsync } = require('../utils/solver');
+const emiCalculatorController = require('./emiCalculatorController');
+const sipCalculatorController = require('./sipCalculatorController');
+const fdCalculatorController = require('./fdCalculatorController');
+const rdCalculatorController = require('./rdCalculatorController');
+const ppfCalculatorController = require('./ppfCalculatorController');
+const epfCalculatorController = require('./epfCalculatorController');
+const retirementCorpusCalculatorController = require('./retirementCorpusCalculatorController');
+const loanEligibilityCalculatorController = require('./loanEligibilityCalculatorController');
+const rentVsBuyController = require('./rentVsBuyController');
+const schemas = require('../schemas/finance');
+
+// Calculators that can be solved, keyed by the ids in schemas.GOAL_SEEK_CALCULATORS
+const CALCULATORS = {
+    'emi-calculator': { schema: schemas.emiCalculator, calculate: emiCalculatorController.calculateEMI },
+    'sip-calculator': { schema: schemas.sipCalculator, calculate: sipCalculatorController.calculateSIP },
+    'fd-calculator': { schema: schemas.fdCalculator, calculate: fdCalculatorController.calculateFD },
+    'rd-calculator': { schema: schemas.rdCalculator, calculate: rdCalculatorController.calculateRD },
+    'ppf-calculator': { schema: schemas.ppfCalculator, calculate: ppfCalculatorController.calculatePPF },
+    'epf-calculator': { schema: schemas.epfCalculator, calculate: epfCalculatorController.calculateEPF },
+    'retirement-corpus-calculator': { schema: schemas.retirementCorpusCalculator, calculate: retirementCorpusCalculatorController.calculateCorpus },
+    'loan-eligibility-calculator': { schema: schemas.loanEligibilityCalculator, calculate: loanEligibilityCalculatorController.calculateLoanEligibility },
+    'rent-vs-buy-calculator': { schema: schemas.rentVsBuy, calculate: rentVsBuyController.compareRentVsBuy }
+};
+
+// Outcomes of a search: hit within tolerance, nearest whole number outside it, stopped short, no crossing in range
+const GOAL_SEEK_STATUSES = ['converged', 'closest-integer', 'not-converged', 'out-of-range'];
+
+// Upper end tried first, and the largest tried, for inputs without a schema maximum
+const INITIAL_UPPER = 100;
+const MAX_UPPER = 1e12;
+
+// Bounded ranges are sampled at this many equal steps to find where the output crosses the target
+const SAMPLE_INTERVALS = 20;
+
+/**
+ * Goal Seek
+ * @param {Object} inputs - Goal seek inputs
+ * @param {string} inputs.calculator - Calculator id (see schemas/finance.js GOAL_SEEK_CALCULATORS)
+ * @param {Object} inputs.inputs - Fixed calculator inputs (default {})
+ * @param {string} inputs.targetField - Result field to hit (dots for nested fields)
+ * @param {number} inputs.targetValue - Value the result field should have
+ * @param {string} inputs.unknownField - Numeric input to solve for
+ * @param {number} inputs.tolerance - Largest acceptable difference from the target (default 0.01)
+ * @returns {Promise<Object>} Solved value, the output it gives, iterations, status and the calculator result
+ * @throws {ValidationError} If the fields do not fit the calculator or the fixed inputs are invalid
+ */
+async function goalSeek(inputs) {
+    try {
+        // Validate inputs
+        const { calculator, inputs: fixedInputs, targetField, targetValue, unknownField, tolerance } = validateInputs(inputs);
+        const { schema, calculate } = CALCULATORS[calculator];
+
+        const rule = schema.properties[unknownField];
+        if (!rule || (rule.type !== 'number' && rule.type !== 'integer')) {
+            const numericFields = Object.keys(schema.properties).filter(key => ['number', 'integer'].includes(schema.properties[key].type));
+            throw new ValidationError([{
+                field: 'unknownField',
+                code: 'enum',
+                message: `Unknown field must be a numeric input of ${calculator}: ${numericFields.join(', ')}`
+            }]);
+        }
+
+        const isInteger = rule.type === 'integer';
+        const range = getSearchRange(rule);
+
+        // Calculator results by input value; null where the calculator rejects the value
+        const results = new Map();
+        let firstError = null;
+        const difference = async value => {
+            if (!results.has(value)) {
+                try {
+                    results.set(value, await calculate({ ...fixedInputs, [unknownField]: value }));
+                } catch (error) {
+                    // Values failing cross-field rules (e.g. retirement age below current age) just have no output
+                    if (!(error instanceof ValidationError)) throw error;
+                    firstError = firstError || error;
+                    results.set(value, null);
+                }
+            }
+            const output = results.get(value) ? getFieldValue(results.get(value), targetField) : undefined;
+            return typeof output === 'number' && Number.isFinite(output) ? output - targetValue : NaN;
+        };
+
+        // Walk the sample points until two neighbouring outputs straddle the target
+        let bracket = null;
+        let previous = null;
+        const evaluated = [];
+        for (const value of getSamplePoints(range, isInteger)) {
+            const point = { value, difference: await difference(value) };
+            if (!Number.isFinite(point.difference)) {
+                // Past the largest value the calculator accepts
+                if (!range.bounded && previous) break;
+                continue;
+            }
+            evaluated.push(point);
+            if (previous && (previous.difference === 0 || Math.sign(point.difference) !== Math.sign(previous.difference))) {
+                bracket = [previous, point];
+                break;
+            }
+            previous = point;
+        }
+
+        const sample = [...results.values()].find(Boolean);
+        if (!sample) {
+            // Every value was rejected, so the fixed inputs themselves are invalid
+            throw new ValidationError(firstError.errors.map(item => ({ ...item, field: item.field ? `inputs.${item.field}` : 'inputs' })));
+        }
+        if (typeof getFieldValue(sample, targetField) !== 'number') {
+            throw new ValidationError([{ field: 'targetField', code: 'invalid', message: `${targetField} is not a numeric field of the ${calculator} result` }]);
+        }
+
+        const first = evaluated[0];
+        const last = evaluated[evaluated.length - 1];
+        const searchRange = evaluated.length
+            ? {
+                lower: first.value,
+                upper: last.value,
+                outputAtLower: roundOutput(first.difference + targetValue),
+                outputAtUpper: roundOutput(last.difference + targetValue)
+            }
+            : null;
+
+        if (!bracket) {
+            return {
+                calculator,
+                unknownField,
+                targetField,
+                targetValue,
+                status: 'out-of-range',
+                solvedValue: null,
+                achievedValue: null,
+                difference: null,
+                iterations: 0,
+                searchRange,
+                bracket: null,
+                result: null
+            };
+        }
+
+        const solution = await bisectionAsync(difference, bracket[0].value, bracket[1].value, { integer: isInteger, firstRoot: true });
+        const solvedValue = isInteger ? solution.root : Number(solution.root.toPrecision(12));
+        const remaining = await difference(solvedValue);
+        const converged = Math.abs(remaining) <= tolerance;
+
+        return {
+            calculator,
+            unknownField,
+            targetField,
+            targetValue,
+            status: converged ? 'converged' : (isInteger ? 'closest-integer' : 'not-converged'),
+            solvedValue,
+            achievedValue: roundOutput(remaining + targetValue),
+            difference: roundOutput(remaining),
+            iterations: solution.iterations,
+            searchRange,
+            bracket: isInteger
+                ? {
+                    lower: { value: solution.lower, output: roundOutput(await difference(solution.lower) + targetValue) },
+                    upper: { value: solution.upper, output: roundOutput(await difference(solution.upper) + targetValue) }
+                }
+                : null,
+            result: results.get(solvedValue)
+        };
+
+    } catch (error) {
+        console.error('Error in goal seek:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get Search Range
+ * @param {Object} rule - Schema of a numeric input
+ * @returns {Object} { lower, upper, bounded: whether upper is the schema maximum }
+ */
+function getSearchRange(rule) {
+    const step = rule.type === 'integer' ? 1 : 1e-6;
+    const lower = rule.minimum !== undefined
+        ? rule.minimum
+        : rule.exclusiveMinimum !== undefined ? rule.exclusiveMinimum + step : 0;
+
+    return rule.maximum !== undefined
+        ? { lower, upper: rule.maximum, bounded: true }
+        : { lower, upper: null, bounded: false };
+}
+
+/**
+ * Get Sample Points
+ * Evenly spaced values across a bounded range; for an open-ended range the
+ * lower end and then a doubling upper end.
+ * @param {Object} range - Search range (see getSearchRange)
+ * @param {boolean} integer - Whole numbers only
+ * @returns {Array<number>} Increasing values to try
+ */
+function getSamplePoints(range, integer) {
+    const points = [range.lower];
+
+    if (range.bounded) {
+        for (let step = 1; step <= SAMPLE_INTERVALS; step++) {
+            const value = range.lower + (range.upper - range.lower) * step / SAMPLE_INTERVALS;
+            points.push(integer ? Math.round(value) : value);
+        }
+    } else {
+        for (let upper = Math.max(INITIAL_UPPER, range.lower * 2); upper <= MAX_UPPER; upper *= 2) {
+            points.push(upper);
+        }
+    }
+
+    return [...new Set(points)];
+}
+
+/**
+ * Get Field Value
+ * @param {Object} result - Calculator result
+ * @param {string} path - Field name, with dots for nested fields
+ * @returns {*} Field value, or undefined if missing
+ */
+function getFieldValue(result, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), result);
+}
+
+/**
+ * Round an output for the response (NaN becomes null)
+ */
+function roundOutput(value) {
+    return Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null;
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Goal seek inputs (see goalSeek)
+ * @returns {Object} Validated inputs (defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.goalSeek, inputs);
+}
+
+module.exports = {
+    GOAL_SEEK_STATUSES,
+    goalSeek,
+    getSearchRange,
+    getSamplePoints,
+    getFieldValue,
+    validateInputs
+};
@@ -4,13 +4,20 @@
  * This controller handles GPA calculation functionality
  * 
  * Functions:
- * - calculateGPA(semester, courses) - Calculate semester and cumulative GPA
+ * - calculateGPA(semester, courses, userId) - Calculate semester and cumulative GPA
  * - calculateGradePoints(grade) - Get grade points for a letter grade
  * - calculateGradeDistribution(courses) - Calculate grade distribution
- * - validateCourses(courses) - Validate course data
+ * - validateInputs(semester, courses) - Validate semester and course data
  * - getCumulativeGPA(userId, currentSemester) - Get cumulative GPA from previous semesters
+ * - getGPAHistory(userId) - Get user's saved semester results
  */
 
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/student');
+
+const semestersRepository = getRepository('gpaSemesters');
+
 // Grade point mapping
 const GRADE_POINTS = {
     'A+': 4.0,
@@ -29,14 +36,18 @@ const GRADE_POINTS = {
 
 /**
  * Calculate GPA
+ * When a userId is given the semester is saved to the user's GPA history
+ * (replacing an earlier result for the same semester) and the cumulative
+ * GPA covers every saved semester up to this one.
  * @param {number} semester - Semester number
  * @param {Array<Object>} courses - Array of course objects
+ * @param {string} userId - User ID (optional)
  * @returns {Promise<Object>} GPA calculation results
  */
-async function calculateGPA(semester, courses) {
+async function calculateGPA(semester, courses, userId) {
     try {
         // Validate inputs
-        validateCourses(courses);
+        ({ semester, courses } = validateInputs(semester, courses));
 
         // Calculate semester GPA
         let totalQualityPoints = 0;
@@ -59,10 +70,21 @@ async function calculateGPA(semester, courses) {
 
         const semesterGPA = totalCredits > 0 ? Math.round((totalQualityPoints / totalCredits) * 100) / 100 : 0;
 
-        // TODO: Calculate cumulative GPA from previous semesters
-        // This would require database access to retrieve previous semester data
-        // For now, return semester GPA as cumulative
-        const cumulativeGPA = semesterGPA;
+        let cumulativeGPA = semesterGPA;
+
+        if (userId) {
+            await semestersRepository.replaceMany({ userId, semester }, [{
+                userId,
+                semester,
+                courses: coursesWithPoints,
+                semesterGPA,
+                totalCredits,
+                totalQualityPoints: Math.round(totalQualityPoints * 100) / 100,
+                createdAt: new Date().toISOString()
+            }]);
+
+            cumulativeGPA = await getCumulativeGPA(userId, semester);
+        }
 
         // Calculate grade distribution
         const gradeDistribution = calculateGradeDistribution(courses);
@@ -115,53 +137,56 @@ function calculateGradeDistribution(courses) {
 }
 
 /**
- * Validate Courses
+ * Validate Inputs
+ * @param {number} semester - Semester number
  * @param {Array<Object>} courses - Array of course objects
- * @throws {Error} If validation fails
+ * @returns {Object} Validated inputs (numeric strings converted to numbers)
+ * @throws {ValidationError} If validation fails
  */
-function validateCourses(courses) {
-    if (!courses || !Array.isArray(courses) || courses.length === 0) {
-        throw new Error('At least one course is required');
-    }
-
-    courses.forEach(course => {
-        if (!course.courseName || course.courseName.trim().length < 2) {
-            throw new Error('Invalid course name');
-        }
-
-        if (!course.credits || course.credits < 1 || course.credits > 10) {
-            throw new Error('Credits must be between 1 and 10');
-        }
-
-        if (!course.grade || !GRADE_POINTS[course.grade]) {
-            throw new Error(`Invalid grade: ${course.grade}`);
-        }
-    });
+function validateInputs(semester, courses) {
+    return assertValid(schemas.gpaCalculator, { semester, courses });
 }
 
 /**
- * Get Cumulative GPA (Future Implementation)
+ * Get Cumulative GPA
+ * Credit-weighted average across all saved semesters up to currentSemester
  * @param {string} userId - User ID
  * @param {number} currentSemester - Current semester number
  * @returns {Promise<number>} Cumulative GPA
  */
 async function getCumulativeGPA(userId, currentSemester) {
-    // TODO: Implement database query to get all previous semester GPAs
-    // Calculate cumulative GPA from all previous semesters
-    // This would require:
-    // 1. Database schema for storing semester data
-    // 2. Query to retrieve all semesters up to currentSemester
-    // 3. Calculation of weighted average across all semesters
-    
-    // Placeholder return
-    return 0;
+    const semesters = await semestersRepository.find({ userId });
+
+    let totalQualityPoints = 0;
+    let totalCredits = 0;
+
+    semesters
+        .filter(record => record.semester <= currentSemester)
+        .forEach(record => {
+            totalQualityPoints += record.totalQualityPoints;
+            totalCredits += record.totalCredits;
+        });
+
+    return totalCredits > 0 ? Math.round((totalQualityPoints / totalCredits) * 100) / 100 : 0;
+}
+
+/**
+ * Get GPA History
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Saved semesters ordered by semester number
+ */
+async function getGPAHistory(userId) {
+    const semesters = await semestersRepository.find({ userId }, { sortBy: 'semester', order: 'asc' });
+
+    return semesters.map(({ userId: owner, ...record }) => record);
 }
 
 module.exports = {
     calculateGPA,
     calculateGradePoints,
     calculateGradeDistribution,
-    validateCourses,
-    getCumulativeGPA
+    validateInputs,
+    getCumulativeGPA,
+    getGPAHistory
 };
 
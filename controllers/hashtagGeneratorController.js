@@ -10,6 +10,12 @@
  * - validateKeywords(keywords) - Validate input keywords
  */
 
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/social-media');
+
+const savedHashtagsRepository = getRepository('savedHashtags');
+
 /**
  * Generate Hashtags
  * @param {string} keywords - Keywords or topic
@@ -57,17 +63,24 @@ async function generateHashtags(keywords, niche, platform, count) {
  * Save Hashtags
  * @param {string} userId - User ID
  * @param {Object} data - Hashtag data
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Saved hashtag set
  */
 async function saveHashtags(userId, data) {
     try {
-        // TODO: Save to database
-        // This would require:
-        // 1. Database schema for saved hashtags (id, userId, hashtags, keywords, niche, platform, createdAt)
-        // 2. Database connection and query execution
-        // 3. User authentication/authorization
+        if (!Array.isArray(data.hashtags)) {
+            throw new Error('Hashtags array is required');
+        }
 
-        return;
+        const saved = await savedHashtagsRepository.create({
+            userId,
+            hashtags: data.hashtags,
+            keywords: data.keywords || '',
+            niche: data.niche || null,
+            platform: data.platform || 'all',
+            createdAt: new Date().toISOString()
+        });
+
+        return toPublicHashtagSet(saved);
 
     } catch (error) {
         console.error('Error saving hashtags:', error);
@@ -82,10 +95,9 @@ async function saveHashtags(userId, data) {
  */
 async function getHashtagHistory(userId) {
     try {
-        // TODO: Query database for user's saved hashtags
-        // SELECT * FROM saved_hashtags WHERE userId = ? ORDER BY createdAt DESC
+        const history = await savedHashtagsRepository.find({ userId }, { sortBy: 'createdAt', order: 'desc' });
 
-        return [];
+        return history.map(toPublicHashtagSet);
 
     } catch (error) {
         console.error('Error getting hashtag history:', error);
@@ -96,16 +108,20 @@ async function getHashtagHistory(userId) {
 /**
  * Validate Keywords
  * @param {string} keywords - Keywords to validate
- * @throws {Error} If validation fails
+ * @throws {ValidationError} If validation fails
  */
 function validateKeywords(keywords) {
-    if (!keywords || keywords.trim().length === 0) {
-        throw new Error('Keywords are required');
-    }
+    assertValid(schemas.hashtagGenerate, { keywords });
+}
 
-    if (keywords.length > 500) {
-        throw new Error('Keywords must be less than 500 characters');
-    }
+/**
+ * Strip internal fields from a stored hashtag set
+ * @param {Object} hashtagSet - Stored hashtag set record
+ * @returns {Object} Hashtag set as returned by the API
+ */
+function toPublicHashtagSet(hashtagSet) {
+    const { userId, ...publicHashtagSet } = hashtagSet;
+    return publicHashtagSet;
 }
 
 module.exports = {
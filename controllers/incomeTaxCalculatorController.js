@@ -1,70 +1,104 @@
 /**
  * Income Tax Calculator Controller
- * 
- * This controller handles income tax calculation functionality
- * 
+ *
+ * This controller handles income tax calculation functionality. Each
+ * calculation applies the rule set of the requested assessment year (see
+ * taxRules/index.js) under both the old and the new regime and recommends
+ * the cheaper one. When a salary structure is given, the HRA and LTA
+ * exemptions and the employer NPS deduction are computed from it instead of
+ * being entered by hand.
+ *
  * Functions:
- * - calculateTax(annualIncome, age, deductions) - Calculate income tax
- * - getTaxSlabs(age) - Get tax slabs based on age category
+ * - calculateTax(inputs) - Calculate income tax under both regimes
+ * - calculateRegimeTax(ruleSet, regime, inputs) - Calculate income tax under one regime
+ * - calculateSalaryBreakdown(salary, ruleSet) - Compute gross salary and salary exemptions
+ * - calculateHraExemption(salary, rules) - Compute the HRA exemption (least of three limits)
+ * - calculateEmployerNpsDeduction(salary, limitPercent) - Compute the section 80CCD(2) deduction
+ * - getTaxSlabs(ruleSet, regime, age) - Get tax slabs for a regime and age category
  * - calculateTaxBySlabs(taxableIncome, slabs) - Calculate tax by applying slabs
- * - calculateDeductions(deductions) - Calculate total deductions
- * - validateInputs(annualIncome, age, deductions) - Validate input parameters
+ * - calculateDeductions(deductions, limits, age, parentsSeniorCitizen) - Apply deduction caps
+ * - calculateRebate87A(tax, taxableIncome, rebate) - Calculate the section 87A rebate
+ * - calculateSurcharge(tax, taxableIncome, slabs, tiers) - Calculate surcharge with marginal relief
+ * - validateInputs(inputs) - Validate input parameters
  */
 
+const { assertValid } = require('../utils/validation');
+const { getRuleSet, TAX_REGIMES } = require('../taxRules');
+const schemas = require('../schemas/finance');
+
+const DEDUCTION_LABELS = {
+    section80C: 'Section 80C',
+    section80CCD1B: 'Section 80CCD(1B)',
+    section80D: 'Section 80D (self and family)',
+    section80DParents: 'Section 80D (parents)',
+    hra: 'HRA exemption',
+    section80G: 'Section 80G',
+    other: 'Other deductions'
+};
+
 /**
  * Calculate Income Tax
- * @param {number} annualIncome - Annual income
- * @param {string} age - Age category ('below-60' | '60-80' | 'above-80')
- * @param {Object} deductions - Deduction object
+ * @param {Object} inputs - Calculator inputs
+ * @param {string} inputs.assessmentYear - Assessment year (default: latest available)
+ * @param {number} inputs.annualIncome - Gross annual income
+ * @param {string} inputs.age - Age category ('below-60' | '60-80' | 'above-80')
+ * @param {boolean} inputs.salaried - Whether the standard deduction applies (default true)
+ * @param {boolean} inputs.parentsSeniorCitizen - Whether parents are senior citizens (default false)
+ * @param {Object} inputs.salary - Annual salary structure (optional; see schemas/finance.js)
+ * @param {Object} inputs.deductions - Deduction amounts claimed
  * @returns {Promise<Object>} Tax calculation results
  */
-async function calculateTax(annualIncome, age, deductions) {
+async function calculateTax(inputs) {
     try {
         // Validate inputs
-        validateInputs(annualIncome, age, deductions);
-
-        // Calculate total deductions
-        const totalDeductions = calculateDeductions(deductions);
-
-        // Calculate taxable income
-        const taxableIncome = Math.max(0, annualIncome - totalDeductions);
-
-        // Get tax slabs based on age
-        const taxSlabs = getTaxSlabs(age);
+        const { assessmentYear, age, salaried, parentsSeniorCitizen, salary, deductions, ...rest } = validateInputs(inputs);
 
-        // Calculate tax by slabs
-        const { totalTax: incomeTax, taxBreakdown } = calculateTaxBySlabs(taxableIncome, taxSlabs);
+        const ruleSet = getRuleSet(assessmentYear);
 
-        // Calculate cess (typically 4% of income tax)
-        const cess = (incomeTax * 4) / 100;
-
-        // Calculate total tax payable
-        const totalTaxPayable = incomeTax + cess;
+        // Gross salary counts towards annual income; anything above it is income from other sources
+        const salaryBreakdown = salary ? calculateSalaryBreakdown(salary, ruleSet) : null;
+        const annualIncome = rest.annualIncome !== undefined ? rest.annualIncome : salaryBreakdown.grossSalary;
+        if (salaryBreakdown) {
+            salaryBreakdown.otherIncome = Math.round((annualIncome - salaryBreakdown.grossSalary) * 100) / 100;
+        }
 
-        // Calculate effective tax rate
-        const effectiveTaxRate = annualIncome > 0 ? (totalTaxPayable / annualIncome) * 100 : 0;
+        // Calculate both regimes side by side
+        const regimes = {};
+        TAX_REGIMES.forEach(regime => {
+            regimes[regime] = calculateRegimeTax(ruleSet, regime, {
+                annualIncome, age, salaried, parentsSeniorCitizen, deductions, salary: salaryBreakdown
+            });
+        });
 
-        // Calculate after-tax income
-        const afterTaxIncome = annualIncome - totalTaxPayable;
+        // The new regime is the default, so it wins a tie
+        const recommendedRegime = regimes.old.totalTaxPayable < regimes.new.totalTaxPayable ? 'old' : 'new';
+        const otherRegime = recommendedRegime === 'old' ? 'new' : 'old';
+        const recommended = regimes[recommendedRegime];
+        const savings = regimes[otherRegime].totalTaxPayable - recommended.totalTaxPayable;
 
-        // Round values
         return {
+            assessmentYear,
+            financialYear: ruleSet.financialYear,
             annualIncome,
             age,
+            salaried,
             deductions,
-            totalDeductions: Math.round(totalDeductions * 100) / 100,
-            taxableIncome: Math.round(taxableIncome * 100) / 100,
-            taxSlabs: taxBreakdown.map(slab => ({
-                slab: slab.slab,
-                income: Math.round(slab.income * 100) / 100,
-                rate: slab.rate,
-                tax: Math.round(slab.tax * 100) / 100
-            })),
-            incomeTax: Math.round(incomeTax * 100) / 100,
-            cess: Math.round(cess * 100) / 100,
-            totalTaxPayable: Math.round(totalTaxPayable * 100) / 100,
-            effectiveTaxRate: Math.round(effectiveTaxRate * 100) / 100,
-            afterTaxIncome: Math.round(afterTaxIncome * 100) / 100
+            salaryBreakdown,
+            regimes,
+            recommendedRegime,
+            savings: Math.round(savings * 100) / 100,
+            recommendation: savings > 0
+                ? `${recommended.name} saves ₹${formatNumber(savings)} in tax`
+                : 'Both regimes result in the same tax; the new regime is the default',
+            // Figures of the recommended regime, as returned before both regimes were compared
+            totalDeductions: recommended.totalDeductions,
+            taxableIncome: recommended.taxableIncome,
+            taxSlabs: recommended.taxSlabs,
+            incomeTax: recommended.incomeTax,
+            cess: recommended.cess,
+            totalTaxPayable: recommended.totalTaxPayable,
+            effectiveTaxRate: recommended.effectiveTaxRate,
+            afterTaxIncome: recommended.afterTaxIncome
         };
 
     } catch (error) {
@@ -74,36 +108,187 @@ async function calculateTax(annualIncome, age, deductions) {
 }
 
 /**
- * Get Tax Slabs Based on Age
+ * Calculate Income Tax Under One Regime
+ * @param {Object} ruleSet - Rule set for the assessment year
+ * @param {string} regime - 'old' | 'new'
+ * @param {Object} inputs - Validated inputs ({ annualIncome, age, salaried, parentsSeniorCitizen, deductions, salary })
+ * @param {Object|null} inputs.salary - Salary breakdown from calculateSalaryBreakdown, or null
+ * @returns {Object} Regime tax calculation
+ */
+function calculateRegimeTax(ruleSet, regime, { annualIncome, age, salaried, parentsSeniorCitizen, deductions, salary }) {
+    const rules = ruleSet.regimes[regime];
+    const notes = [];
+
+    const standardDeduction = salaried ? Math.min(rules.standardDeduction, salary ? salary.grossSalary : annualIncome) : 0;
+
+    // The computed HRA exemption replaces a hand-entered one
+    const claimedDeductions = salary ? { ...deductions, hra: salary.hraExemption.exemption } : deductions;
+    if (salary && deductions.hra > 0 && deductions.hra !== salary.hraExemption.exemption && rules.allowsDeductions) {
+        notes.push(`HRA exemption of ₹${formatNumber(salary.hraExemption.exemption)} computed from the salary structure replaces the ₹${formatNumber(deductions.hra)} entered`);
+    }
+
+    let allowedDeductions = {};
+    let deductionTotal = 0;
+    let ltaExemption = 0;
+
+    if (rules.allowsDeductions) {
+        const result = calculateDeductions(claimedDeductions, ruleSet.deductionLimits, age, parentsSeniorCitizen);
+        allowedDeductions = result.allowed;
+        deductionTotal = result.total;
+        notes.push(...result.notes);
+        ltaExemption = salary ? salary.ltaExemption : 0;
+    } else {
+        const claimed = Object.keys(DEDUCTION_LABELS).filter(key => claimedDeductions[key] > 0);
+        if (salary && salary.ltaExemption > 0) {
+            claimed.push('lta');
+        }
+        if (claimed.length > 0) {
+            const labels = claimed.map(key => (key === 'lta' ? 'LTA exemption' : DEDUCTION_LABELS[key]));
+            notes.push(`${rules.name} does not allow: ${labels.join(', ')}`);
+        }
+    }
+
+    // Employer NPS contributions are deductible under both regimes
+    let employerNpsDeduction = 0;
+    if (salary && salary.components.employerNps > 0) {
+        employerNpsDeduction = calculateEmployerNpsDeduction(salary.components, rules.employerNpsLimit);
+        allowedDeductions.section80CCD2 = employerNpsDeduction;
+        if (employerNpsDeduction < salary.components.employerNps) {
+            notes.push(`Section 80CCD(2) capped at ₹${formatNumber(employerNpsDeduction)} (${rules.employerNpsLimit}% of basic + DA; employer contributed ₹${formatNumber(salary.components.employerNps)})`);
+        }
+    }
+
+    const totalDeductions = standardDeduction + deductionTotal + ltaExemption + employerNpsDeduction;
+    const taxableIncome = Math.max(0, annualIncome - totalDeductions);
+
+    // Slab tax, then the 87A rebate, then surcharge and cess on what remains
+    const slabs = getTaxSlabs(ruleSet, regime, age);
+    const { totalTax: taxBeforeRebate, taxBreakdown } = calculateTaxBySlabs(taxableIncome, slabs);
+
+    const rebate87A = calculateRebate87A(taxBeforeRebate, taxableIncome, rules.rebate87A);
+    if (rebate87A > 0) {
+        notes.push(`Section 87A rebate of ₹${formatNumber(rebate87A)} applied`);
+    }
+    const incomeTax = taxBeforeRebate - rebate87A;
+
+    const { surcharge, surchargeRate, marginalRelief } = calculateSurcharge(incomeTax, taxableIncome, slabs, rules.surcharge);
+    if (marginalRelief > 0) {
+        notes.push(`Marginal relief of ₹${formatNumber(marginalRelief)} applied on surcharge`);
+    }
+
+    const cess = ((incomeTax + surcharge) * ruleSet.cessRate) / 100;
+    const totalTaxPayable = incomeTax + surcharge + cess;
+    const effectiveTaxRate = annualIncome > 0 ? (totalTaxPayable / annualIncome) * 100 : 0;
+
+    return {
+        regime,
+        name: rules.name,
+        standardDeduction,
+        allowedDeductions,
+        salaryBreakdown: salary ? {
+            grossSalary: salary.grossSalary,
+            hraExemption: allowedDeductions.hra || 0,
+            ltaExemption,
+            standardDeduction,
+            taxableSalary: Math.round((salary.grossSalary - (allowedDeductions.hra || 0) - ltaExemption - standardDeduction) * 100) / 100,
+            employerNpsDeduction
+        } : null,
+        totalDeductions: Math.round(totalDeductions * 100) / 100,
+        taxableIncome: Math.round(taxableIncome * 100) / 100,
+        taxSlabs: taxBreakdown.map(slab => ({
+            slab: slab.slab,
+            income: Math.round(slab.income * 100) / 100,
+            rate: slab.rate,
+            tax: Math.round(slab.tax * 100) / 100
+        })),
+        taxBeforeRebate: Math.round(taxBeforeRebate * 100) / 100,
+        rebate87A: Math.round(rebate87A * 100) / 100,
+        incomeTax: Math.round(incomeTax * 100) / 100,
+        surchargeRate,
+        surcharge: Math.round(surcharge * 100) / 100,
+        marginalRelief: Math.round(marginalRelief * 100) / 100,
+        cess: Math.round(cess * 100) / 100,
+        totalTaxPayable: Math.round(totalTaxPayable * 100) / 100,
+        effectiveTaxRate: Math.round(effectiveTaxRate * 100) / 100,
+        afterTaxIncome: Math.round((annualIncome - totalTaxPayable) * 100) / 100,
+        notes
+    };
+}
+
+/**
+ * Calculate Salary Breakdown
+ * Gross salary includes the employer NPS contribution, which is taxed as a
+ * perquisite and deducted again under section 80CCD(2).
+ * @param {Object} salary - Validated annual salary structure
+ * @param {Object} ruleSet - Rule set for the assessment year
+ * @returns {Object} { components, grossSalary, hraExemption, ltaExemption }
+ */
+function calculateSalaryBreakdown(salary, ruleSet) {
+    const { basic, da, hraReceived, lta, ltaClaimed, employerNps, otherAllowances } = salary;
+    const grossSalary = basic + da + hraReceived + lta + employerNps + otherAllowances;
+
+    return {
+        components: { basic, da, hraReceived, lta, employerNps, otherAllowances },
+        grossSalary: Math.round(grossSalary * 100) / 100,
+        hraExemption: calculateHraExemption(salary, ruleSet.hraExemption),
+        ltaExemption: Math.min(lta, ltaClaimed)
+    };
+}
+
+/**
+ * Calculate HRA Exemption (section 10(13A), rule 2A)
+ * Exemption = least of: HRA received, rent paid in excess of 10% of salary,
+ * and 50% (metro) or 40% (non-metro) of salary, where salary is basic + DA.
+ * @param {Object} salary - Validated annual salary structure
+ * @param {Object} rules - HRA rules of the rule set ({ metroPercent, nonMetroPercent, rentExcessPercent })
+ * @returns {Object} The three limits, the exemption, the limit that applied and the taxable HRA
+ */
+function calculateHraExemption(salary, rules) {
+    const salaryForHra = salary.basic + salary.da;
+    const percent = salary.metroCity ? rules.metroPercent : rules.nonMetroPercent;
+
+    const limits = {
+        'hra-received': salary.hraReceived,
+        'rent-paid': Math.max(0, salary.rentPaid - (salaryForHra * rules.rentExcessPercent) / 100),
+        'percent-of-salary': (salaryForHra * percent) / 100
+    };
+    const limitingFactor = Object.keys(limits).reduce((least, key) => (limits[key] < limits[least] ? key : least));
+    const exemption = Math.round(limits[limitingFactor] * 100) / 100;
+
+    return {
+        hraReceived: salary.hraReceived,
+        rentPaid: salary.rentPaid,
+        metroCity: salary.metroCity,
+        salaryForHra,
+        rentInExcessOfSalary: Math.round(limits['rent-paid'] * 100) / 100,
+        percentOfSalary: Math.round(limits['percent-of-salary'] * 100) / 100,
+        percent,
+        exemption,
+        limitingFactor,
+        taxableHra: Math.round((salary.hraReceived - exemption) * 100) / 100
+    };
+}
+
+/**
+ * Calculate Employer NPS Deduction (section 80CCD(2))
+ * @param {Object} components - Salary components ({ basic, da, employerNps })
+ * @param {number} limitPercent - Cap as a percentage of basic + DA
+ * @returns {number} Deductible employer contribution
+ */
+function calculateEmployerNpsDeduction(components, limitPercent) {
+    const cap = ((components.basic + components.da) * limitPercent) / 100;
+    return Math.round(Math.min(components.employerNps, cap) * 100) / 100;
+}
+
+/**
+ * Get Tax Slabs
+ * @param {Object} ruleSet - Rule set for the assessment year
+ * @param {string} regime - 'old' | 'new'
  * @param {string} age - Age category
  * @returns {Array<Object>} Tax slabs array
  */
-function getTaxSlabs(age) {
-    // TODO: Update tax slabs based on current tax laws
-    // Tax slabs vary by country and change annually
-    // This is a simplified version - update with actual current tax slabs
-
-    if (age === 'below-60') {
-        return [
-            { min: 0, max: 250000, rate: 0 },
-            { min: 250000, max: 500000, rate: 5 },
-            { min: 500000, max: 1000000, rate: 20 },
-            { min: 1000000, max: Infinity, rate: 30 }
-        ];
-    } else if (age === '60-80') {
-        return [
-            { min: 0, max: 300000, rate: 0 },
-            { min: 300000, max: 500000, rate: 5 },
-            { min: 500000, max: 1000000, rate: 20 },
-            { min: 1000000, max: Infinity, rate: 30 }
-        ];
-    } else { // above-80
-        return [
-            { min: 0, max: 500000, rate: 0 },
-            { min: 500000, max: 1000000, rate: 20 },
-            { min: 1000000, max: Infinity, rate: 30 }
-        ];
-    }
+function getTaxSlabs(ruleSet, regime, age) {
+    return ruleSet.regimes[regime].slabs[age];
 }
 
 /**
@@ -137,18 +322,93 @@ function calculateTaxBySlabs(taxableIncome, slabs) {
 }
 
 /**
- * Calculate Total Deductions
- * @param {Object} deductions - Deduction object
- * @returns {number} Total deductions amount
+ * Calculate Allowed Deductions
+ * Applies the caps of the rule set and notes every deduction that was capped.
+ * @param {Object} deductions - Deduction amounts claimed
+ * @param {Object} limits - Deduction limits of the rule set
+ * @param {string} age - Age category of the taxpayer
+ * @param {boolean} parentsSeniorCitizen - Whether the parents are senior citizens
+ * @returns {Object} { allowed: amounts by deduction, total, notes }
  */
-function calculateDeductions(deductions) {
-    const section80C = Math.min(deductions.section80C || 0, 150000); // Max ₹1.5 lakh
-    const section80D = Math.min(deductions.section80D || 0, 100000); // Max varies
-    const hra = deductions.hra || 0;
-    const section80G = deductions.section80G || 0;
-    const other = deductions.other || 0;
-
-    return section80C + section80D + hra + section80G + other;
+function calculateDeductions(deductions, limits, age, parentsSeniorCitizen) {
+    const caps = {
+        section80C: limits.section80C,
+        section80CCD1B: limits.section80CCD1B,
+        section80D: limits.section80D.self[age],
+        section80DParents: parentsSeniorCitizen ? limits.section80D.parents.senior : limits.section80D.parents.regular
+    };
+
+    const allowed = {};
+    const notes = [];
+
+    Object.keys(DEDUCTION_LABELS).forEach(key => {
+        const claimed = deductions[key] || 0;
+        const cap = caps[key];
+
+        if (cap !== undefined && claimed > cap) {
+            allowed[key] = cap;
+            notes.push(`${DEDUCTION_LABELS[key]} capped at ₹${formatNumber(cap)} (claimed ₹${formatNumber(claimed)})`);
+        } else {
+            allowed[key] = claimed;
+        }
+    });
+
+    const total = Object.values(allowed).reduce((sum, amount) => sum + amount, 0);
+
+    return { allowed, total, notes };
+}
+
+/**
+ * Calculate Section 87A Rebate
+ * With marginal relief, tax above the income limit cannot exceed the income above it.
+ * @param {number} tax - Tax on taxable income
+ * @param {number} taxableIncome - Taxable income
+ * @param {Object} rebate - Rebate rules ({ incomeLimit, maxRebate, marginalRelief })
+ * @returns {number} Rebate amount
+ */
+function calculateRebate87A(tax, taxableIncome, rebate) {
+    if (taxableIncome <= rebate.incomeLimit) {
+        return Math.min(tax, rebate.maxRebate);
+    }
+
+    const excessIncome = taxableIncome - rebate.incomeLimit;
+    if (rebate.marginalRelief && tax > excessIncome) {
+        return tax - excessIncome;
+    }
+
+    return 0;
+}
+
+/**
+ * Calculate Surcharge with Marginal Relief
+ * Tax plus surcharge cannot exceed the tax plus surcharge at the tier
+ * threshold by more than the income above that threshold.
+ * @param {number} tax - Income tax after rebate
+ * @param {number} taxableIncome - Taxable income
+ * @param {Array<Object>} slabs - Tax slabs (to compute tax at the threshold)
+ * @param {Array<Object>} tiers - Surcharge tiers ({ threshold, rate }, ascending)
+ * @returns {Object} { surcharge, surchargeRate, marginalRelief }
+ */
+function calculateSurcharge(tax, taxableIncome, slabs, tiers) {
+    const tierIndex = tiers.reduce((found, tier, index) => (taxableIncome > tier.threshold ? index : found), -1);
+
+    if (tierIndex === -1) {
+        return { surcharge: 0, surchargeRate: 0, marginalRelief: 0 };
+    }
+
+    const tier = tiers[tierIndex];
+    const previousRate = tierIndex > 0 ? tiers[tierIndex - 1].rate : 0;
+
+    const fullSurcharge = (tax * tier.rate) / 100;
+    const taxAtThreshold = calculateTaxBySlabs(tier.threshold, slabs).totalTax;
+    const maximumTotal = taxAtThreshold * (1 + previousRate / 100) + (taxableIncome - tier.threshold);
+    const surcharge = Math.max(0, Math.min(tax + fullSurcharge, maximumTotal) - tax);
+
+    return {
+        surcharge,
+        surchargeRate: tier.rate,
+        marginalRelief: fullSurcharge - surcharge
+    };
 }
 
 /**
@@ -165,38 +425,24 @@ function formatNumber(num) {
 
 /**
  * Validate Input Parameters
- * @param {number} annualIncome - Annual income
- * @param {string} age - Age category
- * @param {Object} deductions - Deduction object
- * @throws {Error} If validation fails
+ * @param {Object} inputs - Calculator inputs (see calculateTax)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
  */
-function validateInputs(annualIncome, age, deductions) {
-    if (!annualIncome || annualIncome < 0) {
-        throw new Error('Annual income must be greater than or equal to 0');
-    }
-
-    if (!age || !['below-60', '60-80', 'above-80'].includes(age)) {
-        throw new Error('Invalid age category');
-    }
-
-    if (!deductions || typeof deductions !== 'object') {
-        throw new Error('Deductions must be an object');
-    }
-
-    // Validate deduction amounts are non-negative
-    const deductionKeys = ['section80C', 'section80D', 'hra', 'section80G', 'other'];
-    deductionKeys.forEach(key => {
-        if (deductions[key] !== undefined && deductions[key] < 0) {
-            throw new Error(`Deduction ${key} cannot be negative`);
-        }
-    });
+function validateInputs(inputs) {
+    return assertValid(schemas.incomeTaxCalculator, inputs);
 }
 
 module.exports = {
     calculateTax,
+    calculateRegimeTax,
+    calculateSalaryBreakdown,
+    calculateHraExemption,
+    calculateEmployerNpsDeduction,
     getTaxSlabs,
     calculateTaxBySlabs,
     calculateDeductions,
+    calculateRebate87A,
+    calculateSurcharge,
     validateInputs
 };
-
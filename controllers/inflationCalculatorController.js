@@ -0,0 +1,174 @@
+/**
+ * Inflation Calculator Controller
+ *
+ * This controller handles inflation and purchasing power: converting an
+ * amount between two years with a bundled CPI series (see cpi/index.js),
+ * or projecting it forward at an assumed inflation rate.
+ *
+ * For an amount converted from one year to another:
+ * - equivalent amount: what the amount bought in the first year costs in the second
+ * - purchasing power: what the same amount buys in the second year, in first-year money
+ * - inflation rate and cumulative inflation: price rise from the earlier year to the later one
+ *
+ * Functions:
+ * - calculateInflation(inputs) - Convert an amount between years or project it forward
+ * - listCpiSeries() - Bundled CPI series and the years they cover
+ * - getRealRate(nominalRate, inflationRate) - Return after inflation
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { HttpError } = require('../utils/errors');
+const { CPI_SERIES_IDS, getCpiSeries } = require('../cpi');
+const schemas = require('../schemas/finance');
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Calculate Inflation
+ * @param {Object} inputs - Calculator inputs
+ * @param {string} inputs.mode - 'historical' | 'projection' (default 'historical')
+ * @param {number} inputs.amount - Amount in fromYear money (historical) or today's money (projection)
+ * @param {string} inputs.series - CPI series id (default 'india-cpi'); historical mode
+ * @param {number} inputs.fromYear - Year the amount is in; historical mode
+ * @param {number} inputs.toYear - Year to convert to (earlier or later); historical mode
+ * @param {number} inputs.inflationRate - Assumed annual inflation (as percentage); projection mode
+ * @param {number} inputs.years - Years to project; projection mode
+ * @returns {Promise<Object>} Equivalent amount, purchasing power, average inflation and year-wise values
+ * @throws {HttpError} 422 if the CPI series has no value for either year
+ */
+async function calculateInflation(inputs) {
+    try {
+        // Validate inputs
+        const { mode, amount, ...rest } = validateInputs(inputs);
+
+        let years;
+        let inflationRate;
+        let priceRatio;
+        let priceRise;
+        let yearWise;
+        let historical = null;
+
+        if (mode === 'historical') {
+            const { fromYear, toYear } = rest;
+            const series = await getCpiSeries(rest.series);
+            const missing = [fromYear, toYear].find(year => series.values[year] === undefined);
+            if (missing !== undefined) {
+                throw new HttpError(422, `No ${series.name} value for ${missing} (available: ${series.firstYear}-${series.lastYear})`);
+            }
+
+            const cpiFrom = series.values[fromYear];
+            const cpiTo = series.values[toYear];
+            const step = toYear >= fromYear ? 1 : -1;
+
+            years = Math.abs(toYear - fromYear);
+            priceRatio = cpiTo / cpiFrom;
+            // Prices rise from the earlier year to the later one whichever way the amount is converted
+            priceRise = step === 1 ? priceRatio : 1 / priceRatio;
+            inflationRate = years > 0 ? (Math.pow(priceRise, 1 / years) - 1) * 100 : 0;
+
+            yearWise = [];
+            for (let year = fromYear; year !== toYear + step; year += step) {
+                const cpi = series.values[year];
+                const previous = series.values[year - 1];
+                yearWise.push({
+                    year,
+                    cpi,
+                    inflation: previous !== undefined ? round((cpi / previous - 1) * 100) : null,
+                    equivalentAmount: round(amount * cpi / cpiFrom),
+                    purchasingPower: round(amount * cpiFrom / cpi)
+                });
+            }
+
+            historical = {
+                series: series.id,
+                seriesName: series.name,
+                currency: series.currency,
+                fromYear,
+                toYear,
+                cpiFrom,
+                cpiTo,
+                firstYear: series.firstYear,
+                lastYear: series.lastYear
+            };
+        } else {
+            years = rest.years;
+            inflationRate = rest.inflationRate;
+            priceRatio = Math.pow(1 + inflationRate / 100, years);
+            priceRise = priceRatio;
+
+            yearWise = Array.from({ length: years }, (_, index) => {
+                const growth = Math.pow(1 + inflationRate / 100, index + 1);
+                return {
+                    year: index + 1,
+                    cpi: null,
+                    inflation: inflationRate,
+                    equivalentAmount: round(amount * growth),
+                    purchasingPower: round(amount / growth)
+                };
+            });
+        }
+
+        return {
+            mode,
+            amount,
+            years,
+            inflationRate: round(inflationRate),
+            cumulativeInflation: round((priceRise - 1) * 100),
+            equivalentAmount: round(amount * priceRatio),
+            purchasingPower: round(amount / priceRatio),
+            yearWise,
+            historical
+        };
+
+    } catch (error) {
+        console.error('Error calculating inflation:', error);
+        throw error;
+    }
+}
+
+/**
+ * List CPI Series
+ * @returns {Promise<Object>} { series: Array<{ id, name, currency, firstYear, lastYear }> }
+ */
+async function listCpiSeries() {
+    try {
+        const series = await Promise.all(CPI_SERIES_IDS.map(getCpiSeries));
+
+        return {
+            series: series.map(({ id, name, currency, firstYear, lastYear }) => ({ id, name, currency, firstYear, lastYear }))
+        };
+
+    } catch (error) {
+        console.error('Error listing CPI series:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get Real Rate
+ * Formula: (1 + nominal) / (1 + inflation) - 1
+ * @param {number} nominalRate - Annual return (as percentage)
+ * @param {number} inflationRate - Annual inflation (as percentage)
+ * @returns {number} Annual return after inflation (as percentage)
+ */
+function getRealRate(nominalRate, inflationRate) {
+    return ((1 + nominalRate / 100) / (1 + inflationRate / 100) - 1) * 100;
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculateInflation)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.inflationCalculator, inputs);
+}
+
+module.exports = {
+    calculateInflation,
+    listCpiSeries,
+    getRealRate,
+    validateInputs
+};
@@ -1,28 +1,34 @@
 /**
  * Interest Calculator Controller
  * 
- * This controller handles Simple and Compound Interest calculation functionality
+ * This controller handles Simple and Compound Interest calculation functionality.
+ * Given an expected inflation rate, it also returns real (today's money) values.
  * 
  * Functions:
- * - calculateInterest(principal, interestRate, timePeriod, interestType) - Calculate interest
+ * - calculateInterest(principal, interestRate, timePeriod, interestType, inflationRate) - Calculate interest
  * - calculateSimpleInterest(principal, rate, time) - Calculate simple interest
  * - calculateCompoundInterest(principal, rate, time) - Calculate compound interest
  * - generateYearWiseBreakdown(principal, rate, time, interestType) - Generate breakdown
- * - validateInputs(principal, interestRate, timePeriod, interestType) - Validate inputs
+ * - validateInputs(principal, interestRate, timePeriod, interestType, inflationRate) - Validate inputs
  */
 
+const { assertValid } = require('../utils/validation');
+const { getRealValue } = require('./sipCalculatorController');
+const schemas = require('../schemas/finance');
+
 /**
  * Calculate Interest (Simple or Compound)
  * @param {number} principal - Principal amount
  * @param {number} interestRate - Annual interest rate (as percentage, e.g., 8.5 for 8.5%)
  * @param {number} timePeriod - Time period in years
  * @param {string} interestType - 'simple' or 'compound'
+ * @param {number} inflationRate - Expected annual inflation for real values (as percentage, optional)
  * @returns {Promise<Object>} Interest calculation results with breakdown
  */
-async function calculateInterest(principal, interestRate, timePeriod, interestType) {
+async function calculateInterest(principal, interestRate, timePeriod, interestType, inflationRate) {
     try {
         // Validate inputs
-        validateInputs(principal, interestRate, timePeriod, interestType);
+        ({ principal, interestRate, timePeriod, interestType, inflationRate } = validateInputs(principal, interestRate, timePeriod, interestType, inflationRate));
 
         let interestAmount, totalAmount;
 
@@ -47,6 +53,11 @@ async function calculateInterest(principal, interestRate, timePeriod, interestTy
         totalAmount = Math.round(totalAmount * 100) / 100;
         const growthRateRounded = Math.round(growthRate * 100) / 100;
 
+        // Values in today's money when an inflation rate is given
+        const hasInflation = inflationRate !== undefined;
+        const toReal = (value, years) => Math.round(getRealValue(value, inflationRate, years * 12) * 100) / 100;
+        const realTotalAmount = hasInflation ? toReal(totalAmount, timePeriod) : null;
+
         return {
             principal,
             interestRate,
@@ -55,11 +66,16 @@ async function calculateInterest(principal, interestRate, timePeriod, interestTy
             interestAmount,
             totalAmount,
             growthRate: growthRateRounded,
+            inflationRate: hasInflation ? inflationRate : null,
+            realTotalAmount,
+            realInterestAmount: hasInflation ? Math.round((realTotalAmount - principal) * 100) / 100 : null,
+            realGrowthRate: hasInflation ? Math.round((realTotalAmount - principal) / principal * 10000) / 100 : null,
             yearWiseBreakdown: yearWiseBreakdown.map(item => ({
                 year: item.year,
                 principalAtStart: Math.round(item.principalAtStart * 100) / 100,
                 interestForYear: Math.round(item.interestForYear * 100) / 100,
-                totalAtEnd: Math.round(item.totalAtEnd * 100) / 100
+                totalAtEnd: Math.round(item.totalAtEnd * 100) / 100,
+                realTotalAtEnd: hasInflation ? toReal(item.totalAtEnd, item.year) : null
             }))
         };
 
@@ -169,24 +185,12 @@ function generateYearWiseBreakdown(principal, rate, time, interestType) {
  * @param {number} interestRate - Annual interest rate
  * @param {number} timePeriod - Time period in years
  * @param {string} interestType - Interest type ('simple' or 'compound')
- * @throws {Error} If validation fails
+ * @param {number} inflationRate - Expected annual inflation (optional)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers)
+ * @throws {ValidationError} If validation fails
  */
-function validateInputs(principal, interestRate, timePeriod, interestType) {
-    if (!principal || principal <= 0) {
-        throw new Error('Principal amount must be greater than 0');
-    }
-
-    if (interestRate < 0 || interestRate > 100) {
-        throw new Error('Interest rate must be between 0 and 100');
-    }
-
-    if (!timePeriod || timePeriod <= 0 || timePeriod > 100) {
-        throw new Error('Time period must be between 0.1 and 100 years');
-    }
-
-    if (!interestType || !['simple', 'compound'].includes(interestType)) {
-        throw new Error('Interest type must be "simple" or "compound"');
-    }
+function validateInputs(principal, interestRate, timePeriod, interestType, inflationRate) {
+    return assertValid(schemas.interestCalculator, { principal, interestRate, timePeriod, interestType, inflationRate });
 }
 
 module.exports = {
@@ -10,6 +10,9 @@
  * - validateProfileData(profileData) - Validate input data
  */
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/social-media');
+
 /**
  * Analyze Profile
  * @param {Object} profileData - Profile data object
@@ -18,7 +21,7 @@
 async function analyzeProfile(profileData) {
     try {
         // Validate inputs
-        validateProfileData(profileData);
+        profileData = validateProfileData(profileData);
 
         // Calculate profile score
         const scoreResult = calculateProfileScore(profileData);
@@ -291,36 +294,15 @@ function generateRecommendations(profileData, categoryScores) {
 /**
  * Validate Profile Data
  * @param {Object} profileData - Profile data to validate
- * @throws {Error} If validation fails
+ * @returns {Object} Validated profile data (missing fields defaulted)
+ * @throws {ValidationError} If validation fails
  */
 function validateProfileData(profileData) {
     if (!profileData) {
         throw new Error('Profile data is required');
     }
 
-    if (profileData.headline && profileData.headline.length > 120) {
-        throw new Error('Headline must be 120 characters or less');
-    }
-
-    if (profileData.summary && profileData.summary.length > 2000) {
-        throw new Error('Summary must be 2000 characters or less');
-    }
-
-    if (profileData.experienceCount !== undefined && (profileData.experienceCount < 0 || profileData.experienceCount > 50)) {
-        throw new Error('Experience count must be between 0 and 50');
-    }
-
-    if (profileData.educationCount !== undefined && (profileData.educationCount < 0 || profileData.educationCount > 20)) {
-        throw new Error('Education count must be between 0 and 20');
-    }
-
-    if (profileData.skillsCount !== undefined && (profileData.skillsCount < 0 || profileData.skillsCount > 50)) {
-        throw new Error('Skills count must be between 0 and 50');
-    }
-
-    if (profileData.connections !== undefined && profileData.connections < 0) {
-        throw new Error('Connections must be a non-negative number');
-    }
+    return assertValid(schemas.linkedinProfileOptimizer, profileData);
 }
 
 module.exports = {
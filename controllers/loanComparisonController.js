@@ -0,0 +1,287 @@
+/**
+ * Loan Comparison Controller
+ *
+ * This controller compares loan offers by what they really cost, and
+ * whether switching an existing loan to a new lender pays off. Each offer's
+ * EMI schedule comes from the EMI calculator; on top of the interest it
+ * counts the processing fee, other charges, insurance sold with the loan
+ * and prepayment penalties.
+ *
+ * The APR is the yearly rate (monthly rate × 12, like the quoted rate) at
+ * which the amount actually received equals everything paid back, so fees
+ * and upfront insurance raise it above the quoted rate.
+ *
+ * Functions:
+ * - compareLoans(inputs) - Rank loan offers by APR and total cost
+ * - analyzeRefinance(inputs) - Net savings and break-even month of moving a loan to each offer
+ * - evaluateOffer(loanAmount, offer, prepayments) - Schedule, costs and APR of one offer
+ * - calculateAPR(amountReceived, payments) - Annual percentage rate of monthly payments
+ * - findBreakEvenMonth(current, next, switchingCosts) - Month from which switching has cost less than staying
+ * - validateInputs(inputs) - Validate comparison input parameters
+ * - validateRefinanceInputs(inputs) - Validate refinance input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { findRoot } = require('../utils/solver');
+const { calculateMonthlyEMI, generateAmortizationSchedule } = require('./emiCalculatorController');
+const schemas = require('../schemas/finance');
+
+/**
+ * Compare Loans
+ * @param {Object} inputs - Comparison inputs
+ * @param {number} inputs.loanAmount - Amount borrowed
+ * @param {Array<Object>} inputs.offers - Offers (see schemas/finance.js loanOffer)
+ * @param {Array<Object>} inputs.prepayments - Prepayments made on whichever offer is taken (default none)
+ * @returns {Promise<Object>} Offers ranked by APR, with the lowest-APR and lowest-cost offers
+ */
+async function compareLoans(inputs) {
+    try {
+        // Validate inputs
+        const { loanAmount, offers, prepayments } = validateInputs(inputs);
+
+        const evaluated = offers
+            .map(offer => evaluateOffer(loanAmount, offer, prepayments))
+            .sort((a, b) => (a.apr ?? Infinity) - (b.apr ?? Infinity) || a.totalCost - b.totalCost)
+            .map(({ schedule, ...offer }, index) => ({ rank: index + 1, ...offer }));
+
+        const lowestApr = evaluated[0];
+        const lowestCost = evaluated.reduce((best, offer) => (offer.totalCost < best.totalCost ? offer : best));
+
+        const notes = [];
+        if (lowestCost.name !== lowestApr.name) {
+            notes.push(`${lowestApr.name} has the lowest APR, but ${lowestCost.name} costs less in total because it is repaid over ${lowestCost.closingMonth} months instead of ${lowestApr.closingMonth}`);
+        }
+
+        return {
+            loanAmount,
+            offers: evaluated,
+            lowestApr: lowestApr.name,
+            lowestTotalCost: lowestCost.name,
+            notes
+        };
+
+    } catch (error) {
+        console.error('Error comparing loans:', error);
+        throw error;
+    }
+}
+
+/**
+ * Analyze Refinance
+ * Switching means paying the current lender's foreclosure penalty and the
+ * new lender's upfront costs, then repaying the outstanding balance on the
+ * new terms. Amounts are not discounted.
+ * @param {Object} inputs - Refinance inputs
+ * @param {Object} inputs.currentLoan - { outstandingBalance, interestRate, remainingMonths, foreclosurePenaltyPercent }
+ * @param {Array<Object>} inputs.offers - Offers to switch to (tenureMonths defaults to the remaining months)
+ * @returns {Promise<Object>} Current loan summary and offers ranked by net savings
+ */
+async function analyzeRefinance(inputs) {
+    try {
+        // Validate inputs
+        const { currentLoan, offers } = validateRefinanceInputs(inputs);
+        const { outstandingBalance, interestRate, remainingMonths, foreclosurePenaltyPercent } = currentLoan;
+
+        const round = value => Math.round(value * 100) / 100;
+        const currentEMI = calculateMonthlyEMI(outstandingBalance, interestRate, remainingMonths);
+        const currentSchedule = generateAmortizationSchedule(outstandingBalance, interestRate, remainingMonths, currentEMI);
+        // Totals are the balance plus the interest column, so interest saved and net savings agree
+        const currentInterest = currentSchedule.reduce((sum, row) => sum + row.interest, 0);
+        const currentTotal = outstandingBalance + currentInterest;
+        const foreclosurePenalty = outstandingBalance * foreclosurePenaltyPercent / 100;
+
+        const evaluated = offers
+            .map(offer => {
+                const { schedule, ...terms } = evaluateOffer(outstandingBalance, { tenureMonths: remainingMonths, ...offer }, []);
+                const switchingCosts = foreclosurePenalty + terms.upfrontCosts;
+                const newInterest = schedule.reduce((sum, row) => sum + row.interest, 0);
+                const newTotal = schedule[0].openingBalance + newInterest;
+                const netSavings = currentTotal - newTotal - switchingCosts;
+
+                return {
+                    name: terms.name,
+                    interestRate: terms.interestRate,
+                    tenureMonths: terms.tenureMonths,
+                    monthlyEMI: terms.monthlyEMI,
+                    monthlySaving: round(currentEMI - terms.monthlyEMI),
+                    switchingCosts: {
+                        foreclosurePenalty: round(foreclosurePenalty),
+                        processingFee: terms.processingFee,
+                        otherCharges: terms.otherCharges,
+                        insurancePremium: terms.insuranceFinanced ? 0 : terms.insurancePremium,
+                        total: round(switchingCosts)
+                    },
+                    insuranceFinanced: terms.insuranceFinanced,
+                    totalInterest: terms.totalInterest,
+                    interestSaved: round(currentInterest - newInterest),
+                    netSavings: round(netSavings),
+                    breakEvenMonth: findBreakEvenMonth(currentSchedule, schedule, switchingCosts),
+                    worthSwitching: netSavings > 0,
+                    apr: terms.apr
+                };
+            })
+            .sort((a, b) => b.netSavings - a.netSavings)
+            .map((offer, index) => ({ rank: index + 1, ...offer }));
+
+        const best = evaluated[0].worthSwitching ? evaluated[0] : null;
+        const notes = [];
+        if (!best) {
+            notes.push('None of the offers saves money after switching costs; staying with the current loan is cheaper');
+        }
+        evaluated
+            .filter(offer => offer.worthSwitching && offer.monthlySaving < 0)
+            .forEach(offer => notes.push(`${offer.name} saves overall but raises the EMI by ₹${(-offer.monthlySaving).toLocaleString('en-IN')} a month`));
+        evaluated
+            .filter(offer => !offer.worthSwitching && offer.monthlySaving > 0)
+            .forEach(offer => notes.push(`${offer.name} lowers the EMI but costs more overall once its longer tenure or switching costs are counted`));
+
+        return {
+            currentLoan: {
+                outstandingBalance,
+                interestRate,
+                remainingMonths,
+                monthlyEMI: round(currentEMI),
+                totalInterest: round(currentInterest),
+                totalPayable: round(currentTotal),
+                foreclosurePenalty: round(foreclosurePenalty)
+            },
+            offers: evaluated,
+            bestOffer: best ? best.name : null,
+            notes
+        };
+
+    } catch (error) {
+        console.error('Error analyzing refinance:', error);
+        throw error;
+    }
+}
+
+/**
+ * Evaluate Offer
+ * A financed insurance premium is added to the loan; otherwise it is paid
+ * upfront with the fees.
+ * @param {number} loanAmount - Amount borrowed
+ * @param {Object} offer - Validated offer
+ * @param {Array<Object>} prepayments - Validated prepayments
+ * @returns {Object} Offer terms, costs and APR, with the amortization schedule
+ */
+function evaluateOffer(loanAmount, offer, prepayments) {
+    const round = value => Math.round(value * 100) / 100;
+    const {
+        name, interestRate, tenureMonths, processingFeePercent, processingFeeCap,
+        otherCharges, prepaymentPenaltyPercent, insurancePremium, insuranceFinanced
+    } = offer;
+
+    const principal = loanAmount + (insuranceFinanced ? insurancePremium : 0);
+    const processingFee = Math.min(loanAmount * processingFeePercent / 100, processingFeeCap ?? Infinity);
+    const upfrontCosts = processingFee + otherCharges + (insuranceFinanced ? 0 : insurancePremium);
+
+    const monthlyEMI = calculateMonthlyEMI(principal, interestRate, tenureMonths);
+    const events = prepayments.map(prepayment => ({ type: 'prepayment', ...prepayment }));
+    const schedule = generateAmortizationSchedule(principal, interestRate, tenureMonths, monthlyEMI, events);
+
+    const penalties = schedule.map(row => row.prepayment * prepaymentPenaltyPercent / 100);
+    const totalInterest = schedule.reduce((sum, row) => sum + row.interest, 0);
+    const prepaymentPenalties = penalties.reduce((sum, penalty) => sum + penalty, 0);
+    const totalCost = totalInterest + processingFee + otherCharges + insurancePremium + prepaymentPenalties;
+    const apr = calculateAPR(loanAmount - upfrontCosts, schedule.map((row, index) => row.emi + row.prepayment + penalties[index]));
+
+    return {
+        name,
+        interestRate,
+        tenureMonths,
+        monthlyEMI: round(monthlyEMI),
+        closingMonth: schedule.length,
+        processingFee: round(processingFee),
+        otherCharges,
+        insurancePremium,
+        insuranceFinanced,
+        upfrontCosts: round(upfrontCosts),
+        totalInterest: round(totalInterest),
+        prepaymentPenalties: round(prepaymentPenalties),
+        totalCost: round(totalCost),
+        totalPayable: round(loanAmount + totalCost),
+        apr: apr === null ? null : Math.round(apr * 10000) / 10000,
+        schedule
+    };
+}
+
+/**
+ * Calculate APR
+ * Solves amountReceived = Σ payment_m / (1 + r)^m for the monthly rate r.
+ * @param {number} amountReceived - Amount in hand at the start, after upfront costs
+ * @param {Array<number>} payments - Payment at the end of each month
+ * @returns {number|null} APR (as percentage), or null if it could not be solved
+ */
+function calculateAPR(amountReceived, payments) {
+    const presentValue = rate => payments.reduce((sum, payment, index) => sum + payment / Math.pow(1 + rate, index + 1), 0) - amountReceived;
+    const derivative = rate => payments.reduce((sum, payment, index) => sum - (index + 1) * payment / Math.pow(1 + rate, index + 2), 0);
+
+    const result = findRoot(presentValue, { derivative, guess: 0.01, lower: -0.5, upper: 0.1 });
+    return result ? result.root * 12 * 100 : null;
+}
+
+/**
+ * Find Break-even Month
+ * The month from which the payments saved by switching (current EMIs less
+ * new EMIs, added up month by month) have covered the switching costs and
+ * stay covered. A new loan with a higher EMI only starts saving once it
+ * closes; a longer one can save early and fall behind once the current loan
+ * would have closed. With no switching costs there is nothing to recover.
+ * @param {Array<Object>} current - Schedule of the current loan
+ * @param {Array<Object>} next - Schedule of the new loan
+ * @param {number} switchingCosts - Costs paid upfront to switch
+ * @returns {number|null} Month number, or null if there are no switching costs or the savings never cover them
+ */
+function findBreakEvenMonth(current, next, switchingCosts) {
+    if (switchingCosts <= 0) {
+        return null;
+    }
+
+    let saved = 0;
+    let breakEvenMonth = null;
+
+    for (let month = 1; month <= Math.max(current.length, next.length); month++) {
+        const currentRow = current[month - 1];
+        const nextRow = next[month - 1];
+        saved += (currentRow ? currentRow.emi : 0) - (nextRow ? nextRow.emi : 0);
+
+        if (saved < switchingCosts) {
+            breakEvenMonth = null;
+        } else if (breakEvenMonth === null) {
+            breakEvenMonth = month;
+        }
+    }
+
+    return breakEvenMonth;
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Comparison inputs (see compareLoans)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.loanComparison, inputs);
+}
+
+/**
+ * Validate Refinance Input Parameters
+ * @param {Object} inputs - Refinance inputs (see analyzeRefinance)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateRefinanceInputs(inputs) {
+    return assertValid(schemas.loanRefinance, inputs);
+}
+
+module.exports = {
+    compareLoans,
+    analyzeRefinance,
+    evaluateOffer,
+    calculateAPR,
+    findBreakEvenMonth,
+    validateInputs,
+    validateRefinanceInputs
+};
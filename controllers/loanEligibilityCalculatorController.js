@@ -1,58 +1,123 @@
 /**
  * Loan Eligibility Calculator Controller
- * 
- * This controller handles loan eligibility calculation functionality
- * 
+ *
+ * This controller handles loan eligibility calculation functionality.
+ * The eligible amount is the smallest of the limits lenders apply:
+ * - FOIR: all EMIs (existing + new) must stay within a share of household income
+ * - EMI capacity: the borrower's own maximum EMI, if given
+ * - Tenure: the loan must end before the applicant reaches the lender's maximum age
+ * - LTV: the loan cannot exceed a share of the property value, if given
+ *
  * Functions:
- * - calculateLoanEligibility(monthlyIncome, emiCapacity, interestRate, loanTenure) - Calculate eligible loan amount
- * - calculateLoanAmountFromEMI(emi, monthlyRate, months) - Calculate loan amount using reverse EMI formula
- * - validateInputs(monthlyIncome, emiCapacity, interestRate, loanTenure) - Validate input parameters
+ * - calculateLoanEligibility(inputs) - Calculate eligible loan amount and the limiting constraint
+ * - evaluateEligibility(limits, interestRate, tenureYears) - Eligible amount for one rate and tenure
+ * - buildEligibilityTable(limits, interestRate, maxTenureYears) - Eligible amounts at different tenures and rates
+ * - calculateLoanAmountFromEMI(emi, annualROI, months) - Calculate loan amount using reverse EMI formula
+ * - calculateEMI(loanAmount, annualROI, months) - Calculate EMI for a loan amount
+ * - validateInputs(inputs) - Validate input parameters
  */
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/finance');
+
+const LIMITING_CONSTRAINTS = ['foir', 'emi-capacity', 'tenure', 'ltv'];
+const TABLE_TENURES = [5, 10, 15, 20, 25, 30];
+const TABLE_RATE_STEPS = [-1, -0.5, 0, 0.5, 1];
+const MAX_TENURE_YEARS = 30;
+
 /**
  * Calculate Loan Eligibility
- * @param {number} monthlyIncome - Monthly income
- * @param {number} emiCapacity - Maximum EMI capacity per month
- * @param {number} interestRate - Annual interest rate (as percentage)
- * @param {number} loanTenure - Loan tenure in years
+ * @param {Object} inputs - Calculator inputs
+ * @param {number} inputs.monthlyIncome - Monthly income of the primary applicant
+ * @param {number} inputs.existingEMIs - EMIs the primary applicant already pays (default 0)
+ * @param {Array<Object>} inputs.coApplicants - Co-applicants ({ name?, monthlyIncome, existingEMIs? })
+ * @param {number} inputs.foirCap - Lender FOIR cap (as percentage, default 50)
+ * @param {number} inputs.emiCapacity - Maximum EMI the borrower wants to pay (optional)
+ * @param {number} inputs.interestRate - Annual interest rate (as percentage)
+ * @param {number} inputs.loanTenure - Requested loan tenure in years
+ * @param {number} inputs.applicantAge - Primary applicant age (optional)
+ * @param {number} inputs.maxAgeAtMaturity - Lender limit on age at loan maturity (default 60)
+ * @param {number} inputs.propertyValue - Property value (optional)
+ * @param {number} inputs.ltvCap - Lender LTV cap (as percentage, default 80)
  * @returns {Promise<Object>} Loan eligibility calculation results
  */
-async function calculateLoanEligibility(monthlyIncome, emiCapacity, interestRate, loanTenure) {
+async function calculateLoanEligibility(inputs) {
     try {
         // Validate inputs
-        validateInputs(monthlyIncome, emiCapacity, interestRate, loanTenure);
+        const {
+            monthlyIncome,
+            existingEMIs,
+            coApplicants,
+            foirCap,
+            emiCapacity,
+            interestRate,
+            loanTenure,
+            applicantAge,
+            maxAgeAtMaturity,
+            propertyValue,
+            ltvCap
+        } = validateInputs(inputs);
+
+        // Household income and obligations
+        const totalMonthlyIncome = coApplicants.reduce((sum, coApplicant) => sum + coApplicant.monthlyIncome, monthlyIncome);
+        const totalExistingEMIs = coApplicants.reduce((sum, coApplicant) => sum + coApplicant.existingEMIs, existingEMIs);
 
-        // Calculate eligible loan amount using reverse EMI formula
-        const months = loanTenure * 12;
-        const eligibleLoanAmount = calculateLoanAmountFromEMI(emiCapacity, interestRate, months);
+        // EMI allowed by the FOIR cap after existing EMIs
+        const foirMaxEMI = Math.max(totalMonthlyIncome * foirCap / 100 - totalExistingEMIs, 0);
 
-        // Calculate total interest payable (approximate)
-        const monthlyROI = interestRate / 12 / 100;
-        let totalInterestPayable = 0;
-        
-        if (monthlyROI > 0) {
-            // Approximate calculation: Total payable - Loan amount
-            const totalPayableAmount = emiCapacity * months;
-            totalInterestPayable = totalPayableAmount - eligibleLoanAmount;
-        }
+        // Tenure allowed by the applicant's age
+        const maxTenureByAge = applicantAge !== undefined ? maxAgeAtMaturity - applicantAge : null;
 
-        const totalAmountPayable = eligibleLoanAmount + totalInterestPayable;
-        const emiCapacityPercentage = (emiCapacity / monthlyIncome) * 100;
+        const limits = {
+            foirMaxEMI,
+            emiCapacity: emiCapacity !== undefined ? emiCapacity : null,
+            maxTenureByAge,
+            maxLoanByLTV: propertyValue !== undefined ? propertyValue * ltvCap / 100 : null
+        };
+
+        const result = evaluateEligibility(limits, interestRate, loanTenure);
+        const totalAmountPayable = result.monthlyEMI * result.tenureYears * 12;
+        const totalInterestPayable = totalAmountPayable - result.eligibleLoanAmount;
 
         return {
             monthlyIncome,
-            emiCapacity,
-            emiCapacityPercentage: Math.round(emiCapacityPercentage * 100) / 100,
+            totalMonthlyIncome,
+            existingEMIs: totalExistingEMIs,
+            foirCap,
+            emiCapacity: limits.emiCapacity,
             interestRate,
             loanTenure,
-            eligibleLoanAmount: Math.round(eligibleLoanAmount * 100) / 100,
-            maximumEMI: emiCapacity,
+            eligibleTenure: result.tenureYears,
+            eligibleLoanAmount: Math.round(result.eligibleLoanAmount * 100) / 100,
+            maximumEMI: Math.round(result.monthlyEMI * 100) / 100,
             totalInterestPayable: Math.round(totalInterestPayable * 100) / 100,
             totalAmountPayable: Math.round(totalAmountPayable * 100) / 100,
+            limitingConstraint: result.limitingConstraint,
+            constraints: {
+                foir: {
+                    maxEMI: Math.round(foirMaxEMI * 100) / 100,
+                    maxLoanAmount: Math.round(calculateLoanAmountFromEMI(foirMaxEMI, interestRate, result.tenureYears * 12) * 100) / 100
+                },
+                emiCapacity: limits.emiCapacity !== null ? {
+                    maxEMI: limits.emiCapacity,
+                    maxLoanAmount: Math.round(calculateLoanAmountFromEMI(limits.emiCapacity, interestRate, result.tenureYears * 12) * 100) / 100
+                } : null,
+                tenure: {
+                    requestedYears: loanTenure,
+                    maxYears: maxTenureByAge
+                },
+                ltv: limits.maxLoanByLTV !== null ? {
+                    propertyValue,
+                    ltvCap,
+                    maxLoanAmount: Math.round(limits.maxLoanByLTV * 100) / 100
+                } : null
+            },
             eligibilityDetails: {
-                incomeMultiplier: Math.round((eligibleLoanAmount / monthlyIncome) * 100) / 100,
-                debtToIncomeRatio: Math.round(emiCapacityPercentage * 100) / 100
-            }
+                incomeMultiplier: Math.round((result.eligibleLoanAmount / totalMonthlyIncome) * 100) / 100,
+                // Share of income going to all EMIs once the new loan is taken
+                debtToIncomeRatio: Math.round(((totalExistingEMIs + result.monthlyEMI) / totalMonthlyIncome) * 10000) / 100
+            },
+            eligibilityTable: buildEligibilityTable(limits, interestRate, maxTenureByAge !== null ? Math.min(maxTenureByAge, MAX_TENURE_YEARS) : MAX_TENURE_YEARS)
         };
 
     } catch (error) {
@@ -61,6 +126,74 @@ async function calculateLoanEligibility(monthlyIncome, emiCapacity, interestRate
     }
 }
 
+/**
+ * Evaluate Eligibility for One Rate and Tenure
+ * @param {Object} limits - { foirMaxEMI, emiCapacity, maxTenureByAge, maxLoanByLTV } (null when not applied)
+ * @param {number} interestRate - Annual interest rate (as percentage)
+ * @param {number} tenureYears - Requested tenure in years
+ * @returns {Object} { tenureYears, eligibleLoanAmount, monthlyEMI, limitingConstraint }
+ */
+function evaluateEligibility(limits, interestRate, tenureYears) {
+    // The age limit shortens the tenure, which lowers the amount the same EMI repays
+    const tenureCapped = limits.maxTenureByAge !== null && limits.maxTenureByAge < tenureYears;
+    const tenure = tenureCapped ? limits.maxTenureByAge : tenureYears;
+    const months = tenure * 12;
+
+    const emiCapped = limits.emiCapacity !== null && limits.emiCapacity < limits.foirMaxEMI;
+    const availableEMI = emiCapped ? limits.emiCapacity : limits.foirMaxEMI;
+    const loanByIncome = calculateLoanAmountFromEMI(availableEMI, interestRate, months);
+
+    let eligibleLoanAmount = loanByIncome;
+    let limitingConstraint;
+
+    if (limits.maxLoanByLTV !== null && limits.maxLoanByLTV < loanByIncome) {
+        eligibleLoanAmount = limits.maxLoanByLTV;
+        limitingConstraint = 'ltv';
+    } else if (tenureCapped) {
+        limitingConstraint = 'tenure';
+    } else if (emiCapped) {
+        limitingConstraint = 'emi-capacity';
+    } else {
+        limitingConstraint = 'foir';
+    }
+
+    return {
+        tenureYears: tenure,
+        eligibleLoanAmount,
+        monthlyEMI: calculateEMI(eligibleLoanAmount, interestRate, months),
+        limitingConstraint
+    };
+}
+
+/**
+ * Build Eligibility Table
+ * Eligible amounts at standard tenures (up to the age-based maximum) and at
+ * rates around the quoted rate
+ * @param {Object} limits - Limits (see evaluateEligibility)
+ * @param {number} interestRate - Quoted annual interest rate (as percentage)
+ * @param {number} maxTenureYears - Longest tenure to include
+ * @returns {Array<Object>} Table rows
+ */
+function buildEligibilityTable(limits, interestRate, maxTenureYears) {
+    const tenures = [...new Set([...TABLE_TENURES.filter(years => years < maxTenureYears), maxTenureYears])];
+    const rates = TABLE_RATE_STEPS
+        .map(step => interestRate + step)
+        .filter(rate => rate >= 1 && rate <= 30);
+
+    return tenures.map(tenureYears => ({
+        tenureYears,
+        rates: rates.map(rate => {
+            const result = evaluateEligibility(limits, rate, tenureYears);
+            return {
+                interestRate: rate,
+                eligibleLoanAmount: Math.round(result.eligibleLoanAmount * 100) / 100,
+                monthlyEMI: Math.round(result.monthlyEMI * 100) / 100,
+                limitingConstraint: result.limitingConstraint
+            };
+        })
+    }));
+}
+
 /**
  * Calculate Loan Amount from EMI (Reverse EMI Formula)
  * Formula: Loan Amount = EMI × [(1 + r)^n - 1] / [r × (1 + r)^n]
@@ -84,42 +217,40 @@ function calculateLoanAmountFromEMI(emi, annualROI, months) {
 }
 
 /**
- * Validate Input Parameters
- * @param {number} monthlyIncome - Monthly income
- * @param {number} emiCapacity - EMI capacity
- * @param {number} interestRate - Interest rate
- * @param {number} loanTenure - Loan tenure
- * @throws {Error} If validation fails
+ * Calculate EMI
+ * Formula: EMI = P × r × (1 + r)^n / [(1 + r)^n - 1]
+ * @param {number} loanAmount - Loan amount
+ * @param {number} annualROI - Annual ROI (as percentage)
+ * @param {number} months - Number of months
+ * @returns {number} Monthly EMI
  */
-function validateInputs(monthlyIncome, emiCapacity, interestRate, loanTenure) {
-    if (!monthlyIncome || monthlyIncome < 10000) {
-        throw new Error('Monthly income must be at least ₹10,000');
-    }
-
-    if (!emiCapacity || emiCapacity < 1000) {
-        throw new Error('EMI capacity must be at least ₹1,000');
-    }
-
-    if (emiCapacity >= monthlyIncome) {
-        throw new Error('EMI capacity must be less than monthly income');
-    }
+function calculateEMI(loanAmount, annualROI, months) {
+    const monthlyRate = annualROI / 12 / 100;
 
-    if (emiCapacity > monthlyIncome * 0.8) {
-        throw new Error('EMI capacity should not exceed 80% of monthly income');
+    if (monthlyRate === 0) {
+        return loanAmount / months;
     }
 
-    if (!interestRate || interestRate < 1 || interestRate > 30) {
-        throw new Error('Interest rate must be between 1% and 30%');
-    }
+    const factor = Math.pow(1 + monthlyRate, months);
+    return loanAmount * monthlyRate * factor / (factor - 1);
+}
 
-    if (!loanTenure || loanTenure < 1 || loanTenure > 30) {
-        throw new Error('Loan tenure must be between 1 and 30 years');
-    }
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculateLoanEligibility)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.loanEligibilityCalculator, inputs);
 }
 
 module.exports = {
+    LIMITING_CONSTRAINTS,
     calculateLoanEligibility,
+    evaluateEligibility,
+    buildEligibilityTable,
     calculateLoanAmountFromEMI,
+    calculateEMI,
     validateInputs
 };
-
@@ -9,6 +9,9 @@
  * - getBenchmark(platform) - Get platform-specific benchmarks
  */
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/social-media');
+
 /**
  * Calculate Engagement Rate
  * @param {number} likes - Number of likes
@@ -21,7 +24,7 @@
 async function calculateEngagementRate(likes, comments, shares, followers, platform) {
     try {
         // Validate inputs
-        validateInputs(likes, comments, shares, followers);
+        ({ likes, comments, shares, followers } = validateInputs(likes, comments, shares, followers));
 
         // Calculate total engagement
         const totalEngagement = likes + comments + shares;
@@ -70,30 +73,11 @@ async function calculateEngagementRate(likes, comments, shares, followers, platf
  * @param {number} comments - Number of comments
  * @param {number} shares - Number of shares
  * @param {number} followers - Number of followers
- * @throws {Error} If validation fails
+ * @returns {Object} Validated inputs (numeric strings converted to numbers)
+ * @throws {ValidationError} If validation fails
  */
 function validateInputs(likes, comments, shares, followers) {
-    if (likes === undefined || likes === null || likes < 0) {
-        throw new Error('Likes must be a non-negative number');
-    }
-
-    if (comments === undefined || comments === null || comments < 0) {
-        throw new Error('Comments must be a non-negative number');
-    }
-
-    if (shares === undefined || shares === null || shares < 0) {
-        throw new Error('Shares must be a non-negative number');
-    }
-
-    if (followers === undefined || followers === null || followers <= 0) {
-        throw new Error('Followers must be a positive number');
-    }
-
-    // Check for reasonable maximums (prevent overflow)
-    const MAX_VALUE = 1000000000; // 1 billion
-    if (likes > MAX_VALUE || comments > MAX_VALUE || shares > MAX_VALUE || followers > MAX_VALUE) {
-        throw new Error('Input values are too large. Maximum value is 1 billion.');
-    }
+    return assertValid(schemas.postEngagementCalculator, { likes, comments, shares, followers });
 }
 
 /**
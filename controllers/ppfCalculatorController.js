@@ -0,0 +1,98 @@
+/**
+ * PPF Calculator Controller
+ *
+ * This controller handles Public Provident Fund (PPF) calculation
+ * functionality. The account is locked in for 15 years and can then be
+ * extended in blocks of 5 years, with or without further deposits. Deposits
+ * are assumed to be made by 5 April so they earn interest for the whole
+ * year; interest is compounded yearly.
+ *
+ * Functions:
+ * - calculatePPF(inputs) - Calculate PPF maturity and year-wise growth
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { calculateFutureValueOfAnnuity } = require('./sipCalculatorController');
+const schemas = require('../schemas/finance');
+
+const LOCK_IN_YEARS = 15;
+const EXTENSION_BLOCK_YEARS = 5;
+
+/**
+ * Calculate PPF Maturity
+ * @param {Object} inputs - Calculator inputs
+ * @param {number} inputs.yearlyContribution - Deposit at the start of each year (₹500 to ₹1,50,000)
+ * @param {number} inputs.interestRate - Annual interest rate (as percentage, default 7.1)
+ * @param {number} inputs.extensionBlocks - 5-year extensions after the lock-in (default 0)
+ * @param {boolean} inputs.extendWithContributions - Whether deposits continue during extensions (default true)
+ * @returns {Promise<Object>} PPF calculation results
+ */
+async function calculatePPF(inputs) {
+    try {
+        // Validate inputs
+        const { yearlyContribution, interestRate, extensionBlocks, extendWithContributions } = validateInputs(inputs);
+
+        const years = LOCK_IN_YEARS + extensionBlocks * EXTENSION_BLOCK_YEARS;
+        const contributionYears = extendWithContributions ? years : LOCK_IN_YEARS;
+        const rateDecimal = interestRate / 100;
+
+        // Balance at the end of a year: yearly deposits grow as an annuity, then the balance keeps compounding
+        const balanceAfter = year => calculateFutureValueOfAnnuity(yearlyContribution, interestRate, Math.min(year, contributionYears), 1)
+            * Math.pow(1 + rateDecimal, Math.max(0, year - contributionYears));
+
+        const yearWiseGrowth = [];
+        let openingBalance = 0;
+
+        for (let year = 1; year <= years; year++) {
+            const contribution = year <= contributionYears ? yearlyContribution : 0;
+            const balance = balanceAfter(year);
+
+            yearWiseGrowth.push({
+                year,
+                phase: year <= LOCK_IN_YEARS ? 'lock-in' : 'extension',
+                contribution,
+                totalContributed: yearlyContribution * Math.min(year, contributionYears),
+                interestEarned: Math.round((balance - openingBalance - contribution) * 100) / 100,
+                balance: Math.round(balance * 100) / 100
+            });
+            openingBalance = balance;
+        }
+
+        const maturityAmount = balanceAfter(years);
+        const totalContribution = yearlyContribution * contributionYears;
+
+        return {
+            yearlyContribution,
+            interestRate,
+            lockInYears: LOCK_IN_YEARS,
+            extensionBlocks,
+            extendWithContributions,
+            years,
+            totalContribution,
+            totalInterestEarned: Math.round((maturityAmount - totalContribution) * 100) / 100,
+            maturityAmount: Math.round(maturityAmount * 100) / 100,
+            lockInMaturityAmount: Math.round(balanceAfter(LOCK_IN_YEARS) * 100) / 100,
+            yearWiseGrowth
+        };
+
+    } catch (error) {
+        console.error('Error calculating PPF:', error);
+        throw error;
+    }
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculatePPF)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.ppfCalculator, inputs);
+}
+
+module.exports = {
+    calculatePPF,
+    validateInputs
+};
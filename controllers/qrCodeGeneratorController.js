@@ -12,6 +12,9 @@
 // TODO: Install qrcode package: npm install qrcode
 // const QRCode = require('qrcode');
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/viral');
+
 /**
  * Generate QR Code
  * @param {string} content - Content to encode (URL, text, etc.)
@@ -58,16 +61,10 @@ async function generateQRCode(content, size, errorCorrection, colors) {
 /**
  * Validate Content
  * @param {string} content - Content to validate
- * @throws {Error} If validation fails
+ * @throws {ValidationError} If validation fails
  */
 function validateContent(content) {
-    if (!content || content.trim().length === 0) {
-        throw new Error('Content is required');
-    }
-
-    if (content.length > 2953) {
-        throw new Error('Content is too long. Maximum length is 2953 characters for QR codes.');
-    }
+    assertValid(schemas.qrCodeGenerator, { content });
 }
 
 /**
@@ -110,8 +107,7 @@ function formatContent(content, inputType) {
  * @returns {boolean} True if valid
  */
 function validateInputType(inputType) {
-    const validTypes = ['url', 'text', 'email', 'phone', 'sms', 'wifi'];
-    return validTypes.includes(inputType);
+    return schemas.QR_INPUT_TYPES.includes(inputType);
 }
 
 /**
@@ -120,8 +116,7 @@ function validateInputType(inputType) {
  * @returns {boolean} True if valid
  */
 function validateErrorCorrection(level) {
-    const validLevels = ['L', 'M', 'Q', 'H'];
-    return validLevels.includes(level);
+    return schemas.QR_ERROR_CORRECTION_LEVELS.includes(level);
 }
 
 module.exports = {
@@ -0,0 +1,232 @@
+/**
+ * Rent vs Buy Controller
+ *
+ * This controller compares buying a home with a home loan against renting
+ * a comparable one and investing the difference. Both sides spend the same
+ * each month: the buyer pays the EMI and maintenance, the renter pays rent,
+ * and whoever pays less invests the rest at the investment return. The
+ * renter also invests what the buyer paid upfront (down payment, stamp duty
+ * and registration). Under the old tax regime the buyer's tax saved on home
+ * loan interest and principal is invested at the end of each year.
+ *
+ * Net worth each year:
+ * - buyer: property value less selling costs, less the loan balance, plus investments
+ * - renter: investments
+ *
+ * Functions:
+ * - compareRentVsBuy(inputs) - Year-by-year net worth of buying vs renting and the break-even year
+ * - calculateHomeLoanTaxSaved(interest, principal, options) - Tax saved in one year under sections 24(b) and 80C
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { calculateMonthlyEMI, generateAmortizationSchedule } = require('./emiCalculatorController');
+const { getRuleSet, LATEST_ASSESSMENT_YEAR } = require('../taxRules');
+const schemas = require('../schemas/finance');
+
+// EMI above this share of take-home income is flagged as a stretch
+const AFFORDABLE_EMI_PERCENT = 40;
+
+/**
+ * Compare Rent vs Buy
+ * @param {Object} inputs - Comparison inputs
+ * @param {number} inputs.propertyPrice - Property price
+ * @param {number} inputs.downPayment - Down payment (the rest is the home loan)
+ * @param {number} inputs.interestRate - Home loan annual interest rate (as percentage)
+ * @param {number} inputs.loanTenure - Home loan tenure in years
+ * @param {number} inputs.stampDutyPercent - Stamp duty (as percentage of the price, default 6)
+ * @param {number} inputs.registrationPercent - Registration charges (as percentage of the price, default 1)
+ * @param {number} inputs.maintenancePercent - Yearly maintenance (as percentage of the current value, default 1)
+ * @param {number} inputs.appreciationRate - Yearly property price growth (as percentage, default 5)
+ * @param {number} inputs.sellingCostPercent - Costs of selling (as percentage of the value, default 1)
+ * @param {number} inputs.monthlyRent - Rent for a comparable home today
+ * @param {number} inputs.rentEscalation - Yearly rent increase (as percentage, default 5)
+ * @param {number} inputs.investmentReturn - Annual return on invested money (as percentage, default 10)
+ * @param {number} inputs.years - Years to compare (default: the loan tenure)
+ * @param {string} inputs.taxRegime - 'old' | 'new' (default 'old')
+ * @param {number} inputs.marginalTaxRate - Marginal tax rate (as percentage, default 31.2)
+ * @param {number} inputs.otherSection80C - Section 80C deductions already claimed (default 0)
+ * @param {number} inputs.monthlyIncome - Monthly take-home income (optional)
+ * @returns {Promise<Object>} Upfront costs, affordability, break-even year and year-wise comparison
+ */
+async function compareRentVsBuy(inputs) {
+    try {
+        // Validate inputs
+        const {
+            propertyPrice, downPayment, interestRate, loanTenure,
+            stampDutyPercent, registrationPercent, maintenancePercent, appreciationRate, sellingCostPercent,
+            monthlyRent, rentEscalation, investmentReturn, taxRegime, marginalTaxRate, otherSection80C, monthlyIncome,
+            ...rest
+        } = validateInputs(inputs);
+        const years = rest.years || loanTenure;
+
+        const round = value => Math.round(value * 100) / 100;
+        const loanAmount = propertyPrice - downPayment;
+        const tenureMonths = loanTenure * 12;
+        const monthlyEMI = loanAmount > 0 ? calculateMonthlyEMI(loanAmount, interestRate, tenureMonths) : 0;
+        const schedule = loanAmount > 0 ? generateAmortizationSchedule(loanAmount, interestRate, tenureMonths, monthlyEMI) : [];
+
+        const stampDuty = propertyPrice * stampDutyPercent / 100;
+        const registration = propertyPrice * registrationPercent / 100;
+        const upfrontCost = downPayment + stampDuty + registration;
+
+        const monthlyGrowth = Math.pow(1 + investmentReturn / 100, 1 / 12);
+        let buyerInvestments = 0;
+        let renterInvestments = upfrontCost;
+        let loanBalance = loanAmount;
+        let breakEvenYear = null;
+        const totals = { emiPaid: 0, interestPaid: 0, maintenance: 0, taxSaved: 0, rentPaid: 0 };
+        const yearWiseComparison = [];
+
+        for (let year = 1; year <= years; year++) {
+            const openingValue = propertyPrice * Math.pow(1 + appreciationRate / 100, year - 1);
+            const monthlyMaintenance = openingValue * maintenancePercent / 100 / 12;
+            const rent = monthlyRent * Math.pow(1 + rentEscalation / 100, year - 1);
+            let emiPaid = 0;
+            let interestPaid = 0;
+            let principalPaid = 0;
+
+            for (let month = (year - 1) * 12 + 1; month <= year * 12; month++) {
+                const installment = schedule[month - 1];
+                if (installment) {
+                    emiPaid += installment.emi;
+                    interestPaid += installment.interest;
+                    principalPaid += installment.principal;
+                    loanBalance = installment.balance;
+                }
+
+                // Whoever spends less this month invests the difference
+                const buyerCost = (installment ? installment.emi : 0) + monthlyMaintenance;
+                buyerInvestments = buyerInvestments * monthlyGrowth + Math.max(rent - buyerCost, 0);
+                renterInvestments = renterInvestments * monthlyGrowth + Math.max(buyerCost - rent, 0);
+            }
+
+            // Stamp duty and registration are deductible under 80C in the year they are paid
+            const taxSaved = taxRegime === 'old'
+                ? calculateHomeLoanTaxSaved(interestPaid, principalPaid + (year === 1 ? stampDuty + registration : 0), { marginalTaxRate, otherSection80C })
+                : 0;
+            buyerInvestments += taxSaved;
+
+            const propertyValue = propertyPrice * Math.pow(1 + appreciationRate / 100, year);
+            const buyerNetWorth = propertyValue * (1 - sellingCostPercent / 100) - loanBalance + buyerInvestments;
+            const renterNetWorth = renterInvestments;
+            if (breakEvenYear === null && buyerNetWorth >= renterNetWorth) {
+                breakEvenYear = year;
+            }
+
+            totals.emiPaid += emiPaid;
+            totals.interestPaid += interestPaid;
+            totals.maintenance += monthlyMaintenance * 12;
+            totals.taxSaved += taxSaved;
+            totals.rentPaid += rent * 12;
+
+            yearWiseComparison.push({
+                year,
+                propertyValue: round(propertyValue),
+                loanBalance: round(loanBalance),
+                homeEquity: round(propertyValue - loanBalance),
+                emiPaid: round(emiPaid),
+                interestPaid: round(interestPaid),
+                principalPaid: round(principalPaid),
+                maintenance: round(monthlyMaintenance * 12),
+                taxSaved: round(taxSaved),
+                rentPaid: round(rent * 12),
+                buyerInvestments: round(buyerInvestments),
+                renterInvestments: round(renterInvestments),
+                buyerNetWorth: round(buyerNetWorth),
+                renterNetWorth: round(renterNetWorth),
+                difference: round(buyerNetWorth - renterNetWorth)
+            });
+        }
+
+        const final = yearWiseComparison[yearWiseComparison.length - 1];
+        const affordability = monthlyIncome
+            ? {
+                monthlyIncome,
+                emiToIncome: round(monthlyEMI / monthlyIncome * 100),
+                rentToIncome: round(monthlyRent / monthlyIncome * 100),
+                affordable: monthlyEMI / monthlyIncome * 100 <= AFFORDABLE_EMI_PERCENT
+            }
+            : null;
+
+        const notes = [];
+        if (breakEvenYear === null) {
+            notes.push(`Renting and investing stays ahead for all ${years} years`);
+        } else if (final.difference < 0) {
+            notes.push(`Buying pulls ahead in year ${breakEvenYear} but renting is ahead again by year ${years}`);
+        }
+        if (taxRegime === 'new' && loanAmount > 0) {
+            notes.push('The new tax regime allows no deduction for a self-occupied home loan; the old regime may save tax');
+        }
+        if (affordability && !affordability.affordable) {
+            notes.push(`The EMI is ${affordability.emiToIncome}% of income, above the ${AFFORDABLE_EMI_PERCENT}% usually considered affordable`);
+        }
+
+        return {
+            propertyPrice,
+            downPayment,
+            loanAmount,
+            interestRate,
+            loanTenure,
+            monthlyEMI: round(monthlyEMI),
+            years,
+            upfrontCost: {
+                downPayment,
+                stampDuty: round(stampDuty),
+                registration: round(registration),
+                total: round(upfrontCost)
+            },
+            monthlyRent,
+            rentEscalation,
+            appreciationRate,
+            investmentReturn,
+            taxRegime,
+            affordability,
+            breakEvenYear,
+            betterOption: final.difference >= 0 ? 'buy' : 'rent',
+            finalNetWorth: {
+                buy: final.buyerNetWorth,
+                rent: final.renterNetWorth,
+                difference: final.difference
+            },
+            totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)])),
+            yearWiseComparison,
+            notes
+        };
+
+    } catch (error) {
+        console.error('Error comparing rent vs buy:', error);
+        throw error;
+    }
+}
+
+/**
+ * Calculate Home Loan Tax Saved
+ * Uses the latest assessment year's limits; a self-occupied home is assumed.
+ * @param {number} interest - Home loan interest paid in the year
+ * @param {number} principal - Principal repaid (plus any stamp duty and registration) in the year
+ * @param {Object} options - { marginalTaxRate (as percentage), otherSection80C (already claimed) }
+ * @returns {number} Tax saved
+ */
+function calculateHomeLoanTaxSaved(interest, principal, { marginalTaxRate, otherSection80C }) {
+    const { section24b, section80C } = getRuleSet(LATEST_ASSESSMENT_YEAR).deductionLimits;
+
+    const deduction = Math.min(interest, section24b) + Math.min(principal, Math.max(section80C - otherSection80C, 0));
+    return deduction * marginalTaxRate / 100;
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Comparison inputs (see compareRentVsBuy)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.rentVsBuy, inputs);
+}
+
+module.exports = {
+    compareRentVsBuy,
+    calculateHomeLoanTaxSaved,
+    validateInputs
+};
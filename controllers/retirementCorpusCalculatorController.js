@@ -1,57 +1,123 @@
 /**
  * Retirement Corpus Calculator Controller
- * 
- * This controller handles retirement corpus calculation functionality
- * 
+ *
+ * This controller handles retirement corpus calculation functionality:
+ * the corpus needed to fund inflation-adjusted expenses until life
+ * expectancy, the corpus the current savings plan projects, and how the
+ * projected corpus is drawn down after retirement. A Monte Carlo mode
+ * replays the plan over many random return sequences instead of one fixed
+ * return, to show how likely the corpus is to last.
+ *
  * Functions:
- * - calculateCorpus(currentAge, retirementAge, monthlySavings, expectedROI) - Calculate retirement corpus
- * - calculateFutureValueOfAnnuity(monthlyPayment, monthlyRate, months) - Calculate FV of annuity
- * - calculateYearWiseGrowth(monthlySavings, annualROI, years, currentAge) - Generate year-wise growth data
- * - validateInputs(currentAge, retirementAge, monthlySavings, expectedROI) - Validate input parameters
+ * - calculateCorpus(inputs) - Calculate required vs projected retirement corpus
+ * - simulateCorpus(inputs) - Monte Carlo simulation of saving and drawing down the corpus
+ * - getPortfolioStats(assetClasses) - Expected return and volatility of a portfolio
+ * - createPortfolioReturn(assetClasses, normal) - Generator of random yearly portfolio returns
+ * - getPercentile(sortedValues, percentile) - Percentile of sorted values
+ * - calculateFutureValueOfAnnuity(monthlyPayment, annualROI, months) - Calculate FV of annuity
+ * - calculateRequiredCorpus(firstMonthlyWithdrawal, inflationRate, postRetirementROI, years) - Calculate corpus needed at retirement
+ * - calculateDrawdown(corpus, firstMonthlyWithdrawal, inflationRate, postRetirementROI, years, retirementAge) - Generate year-wise drawdown data
+ * - calculateYearWiseGrowth(monthlySavings, annualROI, years, currentAge, currentSavings) - Generate year-wise growth data
+ * - validateInputs(inputs) - Validate input parameters
+ * - validateSimulationInputs(inputs) - Validate simulation input parameters
  */
 
+const { assertValid } = require('../utils/validation');
+const { createRandom, createNormalRandom, randomSeed } = require('../utils/random');
+const schemas = require('../schemas/finance');
+
+const SIMULATION_PERCENTILES = [10, 50, 90];
+
 /**
  * Calculate Retirement Corpus
- * @param {number} currentAge - Current age in years
- * @param {number} retirementAge - Retirement age in years
- * @param {number} monthlySavings - Monthly savings amount
- * @param {number} expectedROI - Expected annual return on investment (as percentage)
+ * @param {Object} inputs - Calculator inputs
+ * @param {number} inputs.currentAge - Current age in years
+ * @param {number} inputs.retirementAge - Retirement age in years
+ * @param {number} inputs.lifeExpectancy - Life expectancy in years (default 85)
+ * @param {number} inputs.monthlySavings - Monthly savings amount
+ * @param {number} inputs.currentSavings - Retirement savings already invested (default 0)
+ * @param {number} inputs.expectedROI - Expected annual return until retirement (as percentage)
+ * @param {number} inputs.postRetirementROI - Expected annual return after retirement (as percentage, default 7)
+ * @param {number} inputs.inflationRate - Expected annual inflation (as percentage, default 6)
+ * @param {number} inputs.monthlyExpenses - Desired monthly expenses in retirement, in today's money
  * @returns {Promise<Object>} Retirement corpus calculation results
  */
-async function calculateCorpus(currentAge, retirementAge, monthlySavings, expectedROI) {
+async function calculateCorpus(inputs) {
     try {
         // Validate inputs
-        validateInputs(currentAge, retirementAge, monthlySavings, expectedROI);
+        const {
+            currentAge,
+            retirementAge,
+            lifeExpectancy,
+            monthlySavings,
+            currentSavings,
+            expectedROI,
+            postRetirementROI,
+            inflationRate,
+            monthlyExpenses
+        } = validateInputs(inputs);
 
-        // Calculate years until retirement
         const yearsUntilRetirement = retirementAge - currentAge;
+        const yearsInRetirement = lifeExpectancy - retirementAge;
         const months = yearsUntilRetirement * 12;
 
-        // Calculate retirement corpus using Future Value of Annuity formula
-        const corpus = calculateFutureValueOfAnnuity(monthlySavings, expectedROI, months);
+        // Corpus projected at retirement: current savings compounded plus the monthly savings annuity
+        const savingsGrowth = Math.pow(1 + expectedROI / 12 / 100, months);
+        const corpusProjected = currentSavings * savingsGrowth + calculateFutureValueOfAnnuity(monthlySavings, expectedROI, months);
 
-        // Calculate totals
-        const totalSavingsInvested = monthlySavings * months;
-        const totalReturnsEarned = corpus - totalSavingsInvested;
+        // Expenses in today's money grow with inflation until retirement
+        const monthlyExpensesAtRetirement = monthlyExpenses * Math.pow(1 + inflationRate / 100, yearsUntilRetirement);
 
-        // Calculate monthly pension estimate (assuming 20 years of retirement)
-        const retirementYears = 20;
-        const monthlyPensionEstimate = corpus / (retirementYears * 12);
+        // Corpus required to fund those expenses (rising with inflation) until life expectancy
+        const corpusRequired = calculateRequiredCorpus(monthlyExpensesAtRetirement, inflationRate, postRetirementROI, yearsInRetirement);
 
-        // Generate year-wise growth data
-        const yearWiseGrowth = calculateYearWiseGrowth(monthlySavings, expectedROI, yearsUntilRetirement, currentAge);
+        const shortfall = Math.max(corpusRequired - corpusProjected, 0);
+        const surplus = Math.max(corpusProjected - corpusRequired, 0);
+
+        // Extra monthly saving whose future value at retirement covers the shortfall
+        const extraMonthlySavingNeeded = shortfall > 0
+            ? shortfall / calculateFutureValueOfAnnuity(1, expectedROI, months)
+            : 0;
+
+        // The required corpus scales with the first withdrawal, so the projected corpus
+        // sustains a proportionally smaller (or larger) first-year monthly income
+        const monthlyPensionEstimate = corpusRequired > 0
+            ? monthlyExpensesAtRetirement * (corpusProjected / corpusRequired)
+            : 0;
+
+        const totalSavingsInvested = currentSavings + monthlySavings * months;
+        const totalReturnsEarned = corpusProjected - totalSavingsInvested;
+
+        // Generate year-wise growth and drawdown data
+        const yearWiseGrowth = calculateYearWiseGrowth(monthlySavings, expectedROI, yearsUntilRetirement, currentAge, currentSavings);
+        const drawdown = calculateDrawdown(corpusProjected, monthlyExpensesAtRetirement, inflationRate, postRetirementROI, yearsInRetirement, retirementAge);
+        const depletedYear = drawdown.find(year => year.unfundedExpenses > 0);
 
         return {
             currentAge,
             retirementAge,
+            lifeExpectancy,
             yearsUntilRetirement,
+            yearsInRetirement,
             monthlySavings,
+            currentSavings,
             expectedROI,
-            retirementCorpus: Math.round(corpus * 100) / 100,
+            postRetirementROI,
+            inflationRate,
+            monthlyExpenses,
+            monthlyExpensesAtRetirement: Math.round(monthlyExpensesAtRetirement * 100) / 100,
+            corpusRequired: Math.round(corpusRequired * 100) / 100,
+            corpusProjected: Math.round(corpusProjected * 100) / 100,
+            shortfall: Math.round(shortfall * 100) / 100,
+            surplus: Math.round(surplus * 100) / 100,
+            // Rounded up so that saving this amount closes the gap
+            extraMonthlySavingNeeded: Math.ceil(extraMonthlySavingNeeded * 100) / 100,
             totalSavingsInvested: Math.round(totalSavingsInvested * 100) / 100,
             totalReturnsEarned: Math.round(totalReturnsEarned * 100) / 100,
             monthlyPensionEstimate: Math.round(monthlyPensionEstimate * 100) / 100,
-            yearWiseGrowth
+            moneyRunsOutAtAge: depletedYear ? depletedYear.age : null,
+            yearWiseGrowth,
+            drawdown
         };
 
     } catch (error) {
@@ -60,6 +126,208 @@ async function calculateCorpus(currentAge, retirementAge, monthlySavings, expect
     }
 }
 
+/**
+ * Simulate Retirement Corpus
+ * Each trial draws a return for every year and asset class, rebalancing to
+ * the allocation yearly; asset classes are treated as uncorrelated. Within a
+ * year the return is spread evenly over the months: savings go in at the end
+ * of each month, and after retirement the inflation-adjusted expenses come
+ * out at the start of each month. A trial succeeds when the corpus covers
+ * expenses until life expectancy.
+ * @param {Object} inputs - Simulation inputs
+ * @param {number} inputs.currentAge - Current age in years
+ * @param {number} inputs.retirementAge - Retirement age in years
+ * @param {number} inputs.lifeExpectancy - Life expectancy in years (default 85)
+ * @param {number} inputs.monthlySavings - Monthly savings amount
+ * @param {number} inputs.currentSavings - Retirement savings already invested (default 0)
+ * @param {number} inputs.inflationRate - Expected annual inflation (as percentage, default 6)
+ * @param {number} inputs.monthlyExpenses - Desired monthly expenses in retirement, in today's money
+ * @param {Array<Object>} inputs.assetClasses - Portfolio until retirement ({ name, allocation, expectedReturn, volatility }, percentages)
+ * @param {Array<Object>} inputs.postRetirementAssetClasses - Portfolio after retirement (default: assetClasses)
+ * @param {number} inputs.trials - Number of trials (default 1000)
+ * @param {number} inputs.seed - Random seed (default: random)
+ * @returns {Promise<Object>} Success probability, percentile corpus paths, the fixed-return projection and
+ *   depletion ages (median and earliest among only the trials that run out of money)
+ */
+async function simulateCorpus(inputs) {
+    try {
+        // Validate inputs
+        const {
+            currentAge,
+            retirementAge,
+            lifeExpectancy,
+            monthlySavings,
+            currentSavings,
+            inflationRate,
+            monthlyExpenses,
+            assetClasses,
+            trials,
+            ...rest
+        } = validateSimulationInputs(inputs);
+        const postRetirementAssetClasses = rest.postRetirementAssetClasses || assetClasses;
+        const seed = rest.seed ?? randomSeed();
+
+        const yearsUntilRetirement = retirementAge - currentAge;
+        const yearsInRetirement = lifeExpectancy - retirementAge;
+        const years = yearsUntilRetirement + yearsInRetirement;
+        const monthlyExpensesAtRetirement = monthlyExpenses * Math.pow(1 + inflationRate / 100, yearsUntilRetirement);
+
+        const normal = createNormalRandom(createRandom(seed));
+        const accumulationReturn = createPortfolioReturn(assetClasses, normal);
+        const retirementReturn = createPortfolioReturn(postRetirementAssetClasses, normal);
+
+        // Year-end balances, one row of `years` values per trial
+        const balances = new Float64Array(trials * years);
+        const depletionAges = [];
+
+        for (let trial = 0; trial < trials; trial++) {
+            let balance = currentSavings;
+            let depletionAge = null;
+
+            for (let year = 0; year < years; year++) {
+                const retired = year >= yearsUntilRetirement;
+                const annualReturn = retired ? retirementReturn() : accumulationReturn();
+                const monthlyGrowth = Math.pow(1 + annualReturn, 1 / 12);
+
+                if (retired) {
+                    const monthlyWithdrawal = monthlyExpensesAtRetirement * Math.pow(1 + inflationRate / 100, year - yearsUntilRetirement);
+                    for (let month = 0; month < 12; month++) {
+                        if (balance < monthlyWithdrawal && depletionAge === null) {
+                            depletionAge = currentAge + year;
+                        }
+                        balance = Math.max(balance - monthlyWithdrawal, 0) * monthlyGrowth;
+                    }
+                } else {
+                    for (let month = 0; month < 12; month++) {
+                        balance = balance * monthlyGrowth + monthlySavings;
+                    }
+                }
+
+                balances[trial * years + year] = balance;
+            }
+
+            if (depletionAge !== null) {
+                depletionAges.push(depletionAge);
+            }
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        const column = new Float64Array(trials);
+        const percentilesAt = year => {
+            for (let trial = 0; trial < trials; trial++) {
+                column[trial] = balances[trial * years + year];
+            }
+            column.sort();
+            return Object.fromEntries(SIMULATION_PERCENTILES.map(percentile => [`p${percentile}`, round(getPercentile(column, percentile))]));
+        };
+
+        const percentilePaths = [];
+        for (let year = 0; year < years; year++) {
+            percentilePaths.push({
+                year: year + 1,
+                age: currentAge + year + 1,
+                phase: year < yearsUntilRetirement ? 'accumulation' : 'retirement',
+                ...percentilesAt(year)
+            });
+        }
+
+        depletionAges.sort((a, b) => a - b);
+        const portfolio = getPortfolioStats(assetClasses);
+        const postRetirementPortfolio = getPortfolioStats(postRetirementAssetClasses);
+
+        // The same plan with every year returning exactly the expected return; the fixed-return
+        // functions compound a nominal annual rate monthly, so the yearly return is converted
+        const toMonthlyCompounded = annualReturn => (Math.pow(1 + annualReturn / 100, 1 / 12) - 1) * 12 * 100;
+        const months = yearsUntilRetirement * 12;
+        const accumulationROI = toMonthlyCompounded(portfolio.expectedReturn);
+        const fixedReturnCorpus = currentSavings * Math.pow(1 + accumulationROI / 12 / 100, months)
+            + calculateFutureValueOfAnnuity(monthlySavings, accumulationROI, months);
+        const fixedReturnDepletion = calculateDrawdown(fixedReturnCorpus, monthlyExpensesAtRetirement, inflationRate, toMonthlyCompounded(postRetirementPortfolio.expectedReturn), yearsInRetirement, retirementAge)
+            .find(year => year.unfundedExpenses > 0);
+
+        return {
+            currentAge,
+            retirementAge,
+            lifeExpectancy,
+            yearsUntilRetirement,
+            yearsInRetirement,
+            monthlySavings,
+            currentSavings,
+            inflationRate,
+            monthlyExpenses,
+            monthlyExpensesAtRetirement: round(monthlyExpensesAtRetirement),
+            trials,
+            seed,
+            portfolio: { ...portfolio, assetClasses },
+            postRetirementPortfolio: { ...postRetirementPortfolio, assetClasses: postRetirementAssetClasses },
+            successProbability: Math.round((trials - depletionAges.length) / trials * 10000) / 100,
+            corpusAtRetirement: yearsUntilRetirement > 0 ? percentilesAt(yearsUntilRetirement - 1) : null,
+            medianDepletionAgeIfDepleted: depletionAges.length > 0 ? Math.round(getPercentile(depletionAges, 50)) : null,
+            earliestDepletionAge: depletionAges.length > 0 ? depletionAges[0] : null,
+            fixedReturnProjection: {
+                corpusAtRetirement: round(fixedReturnCorpus),
+                moneyRunsOutAtAge: fixedReturnDepletion ? fixedReturnDepletion.age : null
+            },
+            percentilePaths
+        };
+
+    } catch (error) {
+        console.error('Error simulating retirement corpus:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get Portfolio Stats
+ * Volatility assumes the asset classes are uncorrelated.
+ * @param {Array<Object>} assetClasses - Asset classes ({ allocation, expectedReturn, volatility }, percentages)
+ * @returns {Object} { expectedReturn, volatility } (as percentages)
+ */
+function getPortfolioStats(assetClasses) {
+    const expectedReturn = assetClasses.reduce((sum, item) => sum + item.allocation / 100 * item.expectedReturn, 0);
+    const variance = assetClasses.reduce((sum, item) => sum + Math.pow(item.allocation / 100 * item.volatility, 2), 0);
+
+    return {
+        expectedReturn: Math.round(expectedReturn * 100) / 100,
+        volatility: Math.round(Math.sqrt(variance) * 100) / 100
+    };
+}
+
+/**
+ * Create Portfolio Return
+ * Each asset class's yearly growth factor is lognormal with the given mean
+ * and standard deviation, so a year can lose at most everything.
+ * @param {Array<Object>} assetClasses - Asset classes ({ allocation, expectedReturn, volatility }, percentages)
+ * @param {Function} normal - Standard normal generator
+ * @returns {Function} Generator of yearly portfolio returns (as decimals)
+ */
+function createPortfolioReturn(assetClasses, normal) {
+    const classes = assetClasses
+        .filter(item => item.allocation > 0)
+        .map(item => {
+            const growth = 1 + item.expectedReturn / 100;
+            const sigma = Math.sqrt(Math.log(1 + Math.pow(item.volatility / 100 / growth, 2)));
+            return { weight: item.allocation / 100, mu: Math.log(growth) - sigma * sigma / 2, sigma };
+        });
+
+    return () => classes.reduce((sum, item) => sum + item.weight * (Math.exp(item.mu + item.sigma * normal()) - 1), 0);
+}
+
+/**
+ * Get Percentile
+ * Linear interpolation between the closest ranks.
+ * @param {Array<number>|Float64Array} sortedValues - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function getPercentile(sortedValues, percentile) {
+    const position = (sortedValues.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
 /**
  * Calculate Future Value of Annuity
  * Formula: FV = PMT × [((1 + r)^n - 1) / r]
@@ -82,30 +350,103 @@ function calculateFutureValueOfAnnuity(monthlyPayment, annualROI, months) {
     return futureValue;
 }
 
+/**
+ * Calculate Required Corpus
+ * Present value at retirement of monthly withdrawals taken at the start of
+ * each month and raised by inflation once a year
+ * @param {number} firstMonthlyWithdrawal - Monthly withdrawal in the first year of retirement
+ * @param {number} inflationRate - Annual inflation (as percentage)
+ * @param {number} postRetirementROI - Annual return after retirement (as percentage)
+ * @param {number} years - Years in retirement
+ * @returns {number} Corpus required at retirement
+ */
+function calculateRequiredCorpus(firstMonthlyWithdrawal, inflationRate, postRetirementROI, years) {
+    const monthlyRate = postRetirementROI / 12 / 100;
+
+    // Present value, at the start of a year, of 12 start-of-month withdrawals of 1
+    const yearFactor = monthlyRate === 0
+        ? 12
+        : (1 - Math.pow(1 + monthlyRate, -12)) / monthlyRate * (1 + monthlyRate);
+    const yearDiscount = Math.pow(1 + monthlyRate, -12);
+
+    let corpus = 0;
+    for (let year = 0; year < years; year++) {
+        const monthlyWithdrawal = firstMonthlyWithdrawal * Math.pow(1 + inflationRate / 100, year);
+        corpus += monthlyWithdrawal * yearFactor * Math.pow(yearDiscount, year);
+    }
+
+    return corpus;
+}
+
+/**
+ * Calculate Drawdown
+ * Simulates the corpus month by month after retirement: withdrawals at the
+ * start of each month, returns credited at the end
+ * @param {number} corpus - Corpus at retirement
+ * @param {number} firstMonthlyWithdrawal - Monthly withdrawal in the first year of retirement
+ * @param {number} inflationRate - Annual inflation (as percentage)
+ * @param {number} postRetirementROI - Annual return after retirement (as percentage)
+ * @param {number} years - Years in retirement
+ * @param {number} retirementAge - Retirement age
+ * @returns {Array<Object>} Year-wise drawdown data
+ */
+function calculateDrawdown(corpus, firstMonthlyWithdrawal, inflationRate, postRetirementROI, years, retirementAge) {
+    const drawdownData = [];
+    const monthlyRate = postRetirementROI / 12 / 100;
+    let balance = corpus;
+
+    for (let year = 1; year <= years; year++) {
+        const monthlyWithdrawal = firstMonthlyWithdrawal * Math.pow(1 + inflationRate / 100, year - 1);
+        const openingBalance = balance;
+        let withdrawals = 0;
+        let returns = 0;
+        let unfundedExpenses = 0;
+
+        for (let month = 1; month <= 12; month++) {
+            const withdrawal = Math.min(balance, monthlyWithdrawal);
+            withdrawals += withdrawal;
+            unfundedExpenses += monthlyWithdrawal - withdrawal;
+            balance -= withdrawal;
+
+            const interest = balance * monthlyRate;
+            returns += interest;
+            balance += interest;
+        }
+
+        drawdownData.push({
+            year,
+            age: retirementAge + year - 1,
+            monthlyWithdrawal: Math.round(monthlyWithdrawal * 100) / 100,
+            openingBalance: Math.round(openingBalance * 100) / 100,
+            withdrawals: Math.round(withdrawals * 100) / 100,
+            returns: Math.round(returns * 100) / 100,
+            closingBalance: Math.round(balance * 100) / 100,
+            unfundedExpenses: Math.round(unfundedExpenses * 100) / 100
+        });
+    }
+
+    return drawdownData;
+}
+
 /**
  * Calculate Year-wise Growth
  * @param {number} monthlySavings - Monthly savings amount
  * @param {number} annualROI - Annual ROI (as percentage)
  * @param {number} years - Number of years
  * @param {number} currentAge - Current age
+ * @param {number} currentSavings - Savings already invested (default 0)
  * @returns {Array<Object>} Year-wise growth data
  */
-function calculateYearWiseGrowth(monthlySavings, annualROI, years, currentAge) {
+function calculateYearWiseGrowth(monthlySavings, annualROI, years, currentAge, currentSavings = 0) {
     const growthData = [];
     const monthlyRate = annualROI / 12 / 100;
 
     for (let year = 1; year <= years; year++) {
         const months = year * 12;
-        let corpus;
-
-        if (monthlyRate === 0) {
-            corpus = monthlySavings * months;
-        } else {
-            const factor = Math.pow(1 + monthlyRate, months);
-            corpus = monthlySavings * ((factor - 1) / monthlyRate);
-        }
+        const corpus = currentSavings * Math.pow(1 + monthlyRate, months)
+            + calculateFutureValueOfAnnuity(monthlySavings, annualROI, months);
 
-        const totalInvested = monthlySavings * months;
+        const totalInvested = currentSavings + monthlySavings * months;
 
         growthData.push({
             year,
@@ -120,38 +461,34 @@ function calculateYearWiseGrowth(monthlySavings, annualROI, years, currentAge) {
 
 /**
  * Validate Input Parameters
- * @param {number} currentAge - Current age
- * @param {number} retirementAge - Retirement age
- * @param {number} monthlySavings - Monthly savings
- * @param {number} expectedROI - Expected ROI
- * @throws {Error} If validation fails
+ * @param {Object} inputs - Calculator inputs (see calculateCorpus)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
  */
-function validateInputs(currentAge, retirementAge, monthlySavings, expectedROI) {
-    if (!currentAge || currentAge < 18 || currentAge > 100) {
-        throw new Error('Current age must be between 18 and 100');
-    }
-
-    if (!retirementAge || retirementAge < 40 || retirementAge > 100) {
-        throw new Error('Retirement age must be between 40 and 100');
-    }
-
-    if (retirementAge <= currentAge) {
-        throw new Error('Retirement age must be greater than current age');
-    }
-
-    if (!monthlySavings || monthlySavings <= 0) {
-        throw new Error('Monthly savings must be greater than 0');
-    }
+function validateInputs(inputs) {
+    return assertValid(schemas.retirementCorpusCalculator, inputs);
+}
 
-    if (!expectedROI || expectedROI < 1 || expectedROI > 20) {
-        throw new Error('Expected ROI must be between 1% and 20%');
-    }
+/**
+ * Validate Simulation Input Parameters
+ * @param {Object} inputs - Simulation inputs (see simulateCorpus)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateSimulationInputs(inputs) {
+    return assertValid(schemas.retirementSimulation, inputs);
 }
 
 module.exports = {
     calculateCorpus,
+    simulateCorpus,
+    getPortfolioStats,
+    createPortfolioReturn,
+    getPercentile,
     calculateFutureValueOfAnnuity,
+    calculateRequiredCorpus,
+    calculateDrawdown,
     calculateYearWiseGrowth,
-    validateInputs
+    validateInputs,
+    validateSimulationInputs
 };
-
@@ -1,52 +1,125 @@
 /**
  * SIP Calculator Controller
- * 
- * This controller handles SIP (Systematic Investment Plan) calculation functionality
- * 
+ *
+ * This controller handles SIP (Systematic Investment Plan) calculation functionality:
+ * - sip: monthly SIP, optionally stepped up every year, plus an optional lumpsum at the start
+ * - swp: systematic withdrawal plan drawing a corpus down month by month
+ * - goal: monthly SIP needed to reach a target amount by a target month
+ * Every mode reports nominal values and real values in today's money.
+ *
  * Functions:
- * - calculateSIP(monthlyInvestment, investmentPeriod, expectedROI) - Calculate SIP returns
- * - calculateFutureValueOfAnnuity(monthlyPayment, monthlyRate, months) - Calculate FV of annuity
- * - calculateYearWiseGrowth(monthlyInvestment, annualROI, years) - Generate year-wise growth data
- * - validateInputs(monthlyInvestment, investmentPeriod, expectedROI) - Validate input parameters
+ * - calculateSIP(inputs) - Calculate SIP, SWP or goal results
+ * - projectSIP(plan) - Project a SIP month by month with step-up and lumpsum
+ * - projectSWP(plan) - Project withdrawals from a corpus month by month
+ * - solveGoalSIP(targetAmount, plan) - Starting monthly SIP that reaches a target
+ * - calculateFutureValueOfAnnuity(payment, annualROI, periods, periodsPerYear) - Calculate FV of a flat SIP or other level deposits
+ * - calculateSustainableWithdrawal(corpus, annualROI, months) - Level withdrawal that lasts exactly a period
+ * - applyStepUp(amount, stepUp) - Apply one year's step-up to a monthly amount
+ * - getRealValue(value, inflationRate, months) - Value in today's money
+ * - validateInputs(inputs) - Validate input parameters
  */
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/finance');
+
 /**
  * Calculate SIP Returns
- * @param {number} monthlyInvestment - Monthly investment amount
- * @param {number} investmentPeriod - Investment period in years
- * @param {number} expectedROI - Expected annual return on investment (as percentage)
+ * @param {Object} inputs - Calculator inputs (see schemas/finance.js sipCalculator)
+ * @param {string} inputs.mode - 'sip' | 'swp' | 'goal' (default 'sip')
+ * @param {number} inputs.monthlyInvestment - Monthly investment (sip)
+ * @param {number} inputs.investmentPeriod - Investment or withdrawal period in years (sip, swp)
+ * @param {number} inputs.expectedROI - Expected annual return on investment (as percentage)
+ * @param {number} inputs.lumpsum - One-time investment at the start (sip, goal)
+ * @param {Object} inputs.stepUp - Yearly increase ({ type: 'percentage' | 'amount', value })
+ * @param {number} inputs.inflationRate - Annual inflation for real values (default 6)
+ * @param {number} inputs.corpus - Corpus to withdraw from (swp)
+ * @param {number} inputs.monthlyWithdrawal - Monthly withdrawal (swp)
+ * @param {number} inputs.targetAmount - Amount to reach (goal)
+ * @param {string} inputs.targetDate - Month to reach it by, YYYY-MM (goal)
+ * @param {boolean} inputs.targetInTodaysMoney - Whether the target is in today's money (goal)
  * @returns {Promise<Object>} SIP calculation results
  */
-async function calculateSIP(monthlyInvestment, investmentPeriod, expectedROI) {
+async function calculateSIP(inputs) {
     try {
         // Validate inputs
-        validateInputs(monthlyInvestment, investmentPeriod, expectedROI);
+        const validated = validateInputs(inputs);
+        const { mode, expectedROI, inflationRate } = validated;
+        const stepUp = validated.stepUp || null;
+
+        let months;
+        let monthlyInvestment = null;
+        let projection;
+        let withdrawal = null;
+        let goal = null;
 
-        // Calculate total investment
-        const months = investmentPeriod * 12;
-        const totalInvestment = monthlyInvestment * months;
+        if (mode === 'swp') {
+            months = Math.round(validated.investmentPeriod * 12);
+            projection = projectSWP({
+                corpus: validated.corpus,
+                monthlyWithdrawal: validated.monthlyWithdrawal,
+                months,
+                expectedROI,
+                stepUp,
+                inflationRate
+            });
+            withdrawal = {
+                monthlyWithdrawal: validated.monthlyWithdrawal,
+                finalMonthlyWithdrawal: round(projection.finalMonthlyWithdrawal),
+                totalWithdrawn: round(projection.totalWithdrawn),
+                realTotalWithdrawn: round(projection.realTotalWithdrawn),
+                sustainableMonthlyWithdrawal: round(calculateSustainableWithdrawal(validated.corpus, expectedROI, months)),
+                depleted: projection.depletionMonth !== null,
+                depletionMonth: projection.depletionMonth
+            };
+        } else if (mode === 'goal') {
+            months = monthsUntil(validated.targetDate);
+            const plan = { months, expectedROI, lumpsum: validated.lumpsum, stepUp, inflationRate };
+            const nominalTarget = validated.targetInTodaysMoney
+                ? validated.targetAmount * Math.pow(1 + inflationRate / 100, months / 12)
+                : validated.targetAmount;
 
-        // Calculate SIP returns using Future Value of Annuity formula
-        const totalValue = calculateFutureValueOfAnnuity(monthlyInvestment, expectedROI, months);
+            monthlyInvestment = solveGoalSIP(nominalTarget, plan);
+            projection = projectSIP({ ...plan, monthlyInvestment });
+            goal = {
+                targetAmount: validated.targetAmount,
+                targetDate: validated.targetDate,
+                targetInTodaysMoney: validated.targetInTodaysMoney,
+                nominalTarget: round(nominalTarget),
+                requiredMonthlyInvestment: monthlyInvestment,
+                reachedWithoutSIP: monthlyInvestment === 0
+            };
+        } else {
+            months = Math.round(validated.investmentPeriod * 12);
+            monthlyInvestment = validated.monthlyInvestment;
+            projection = projectSIP({ monthlyInvestment, months, expectedROI, lumpsum: validated.lumpsum, stepUp, inflationRate });
+        }
 
-        // Calculate estimated returns
-        const estimatedReturns = totalValue - totalInvestment;
+        // A withdrawal plan starts from the corpus; the others from what was paid in
+        const { totalInvestment, totalValue } = projection;
+        const estimatedReturns = mode === 'swp'
+            ? totalValue + projection.totalWithdrawn - totalInvestment
+            : totalValue - totalInvestment;
 
         // Calculate returns percentage
         const returnsPercentage = totalInvestment > 0 ? (estimatedReturns / totalInvestment) * 100 : 0;
 
-        // Generate year-wise growth data
-        const yearWiseGrowth = calculateYearWiseGrowth(monthlyInvestment, expectedROI, investmentPeriod);
-
         return {
+            mode,
             monthlyInvestment,
-            investmentPeriod,
+            investmentPeriod: round(months / 12),
+            months,
             expectedROI,
-            totalInvestment: Math.round(totalInvestment * 100) / 100,
-            estimatedReturns: Math.round(estimatedReturns * 100) / 100,
-            totalValue: Math.round(totalValue * 100) / 100,
-            returnsPercentage: Math.round(returnsPercentage * 100) / 100,
-            yearWiseGrowth
+            inflationRate,
+            lumpsum: mode === 'swp' ? 0 : validated.lumpsum,
+            stepUp,
+            totalInvestment: round(totalInvestment),
+            estimatedReturns: round(estimatedReturns),
+            totalValue: round(totalValue),
+            realValue: round(getRealValue(totalValue, inflationRate, months)),
+            returnsPercentage: round(returnsPercentage),
+            yearWiseGrowth: projection.yearWiseGrowth,
+            withdrawal,
+            goal
         };
 
     } catch (error) {
@@ -55,90 +128,231 @@ async function calculateSIP(monthlyInvestment, investmentPeriod, expectedROI) {
     }
 }
 
+/**
+ * Project a SIP Month by Month
+ * Installments are paid at the start of each month (as in the annuity-due
+ * formula) and stepped up at the start of every year after the first.
+ * @param {Object} plan - { monthlyInvestment, months, expectedROI, lumpsum, stepUp, inflationRate }
+ * @returns {Object} { totalInvestment, totalValue, yearWiseGrowth }
+ */
+function projectSIP({ monthlyInvestment, months, expectedROI, lumpsum = 0, stepUp = null, inflationRate = 0 }) {
+    const monthlyRate = expectedROI / 12 / 100;
+    const yearWiseGrowth = [];
+
+    let installment = monthlyInvestment;
+    let totalInvestment = lumpsum;
+    let totalValue = lumpsum;
+
+    for (let month = 1; month <= months; month++) {
+        if (month > 1 && (month - 1) % 12 === 0) {
+            installment = applyStepUp(installment, stepUp);
+        }
+
+        totalInvestment += installment;
+        totalValue = (totalValue + installment) * (1 + monthlyRate);
+
+        if (month % 12 === 0 || month === months) {
+            yearWiseGrowth.push({
+                year: Math.ceil(month / 12),
+                monthlyInvestment: round(installment),
+                monthlyWithdrawal: 0,
+                totalInvestment: round(totalInvestment),
+                totalWithdrawn: 0,
+                estimatedReturns: round(totalValue - totalInvestment),
+                totalValue: round(totalValue),
+                realValue: round(getRealValue(totalValue, inflationRate, month))
+            });
+        }
+    }
+
+    return { totalInvestment, totalValue, yearWiseGrowth };
+}
+
+/**
+ * Project a Systematic Withdrawal Plan Month by Month
+ * The balance earns a month's return, then the withdrawal is taken at the
+ * end of the month; withdrawals are stepped up at the start of every year
+ * after the first. The plan stops when the corpus runs out.
+ * @param {Object} plan - { corpus, monthlyWithdrawal, months, expectedROI, stepUp, inflationRate }
+ * @returns {Object} { totalInvestment, totalValue, totalWithdrawn, realTotalWithdrawn, finalMonthlyWithdrawal, depletionMonth, yearWiseGrowth }
+ */
+function projectSWP({ corpus, monthlyWithdrawal, months, expectedROI, stepUp = null, inflationRate = 0 }) {
+    const monthlyRate = expectedROI / 12 / 100;
+    const yearWiseGrowth = [];
+
+    let withdrawal = monthlyWithdrawal;
+    let balance = corpus;
+    let totalWithdrawn = 0;
+    let realTotalWithdrawn = 0;
+    let depletionMonth = null;
+
+    for (let month = 1; month <= months && depletionMonth === null; month++) {
+        if (month > 1 && (month - 1) % 12 === 0) {
+            withdrawal = applyStepUp(withdrawal, stepUp);
+        }
+
+        balance *= 1 + monthlyRate;
+        const withdrawn = Math.min(withdrawal, balance);
+        balance -= withdrawn;
+        totalWithdrawn += withdrawn;
+        realTotalWithdrawn += getRealValue(withdrawn, inflationRate, month);
+
+        if (withdrawn < withdrawal) {
+            depletionMonth = month;
+            balance = 0;
+        }
+
+        if (month % 12 === 0 || month === months || depletionMonth !== null) {
+            yearWiseGrowth.push({
+                year: Math.ceil(month / 12),
+                monthlyInvestment: 0,
+                monthlyWithdrawal: round(withdrawal),
+                totalInvestment: corpus,
+                totalWithdrawn: round(totalWithdrawn),
+                estimatedReturns: round(balance + totalWithdrawn - corpus),
+                totalValue: round(balance),
+                realValue: round(getRealValue(balance, inflationRate, month))
+            });
+        }
+    }
+
+    return {
+        totalInvestment: corpus,
+        totalValue: balance,
+        totalWithdrawn,
+        realTotalWithdrawn,
+        finalMonthlyWithdrawal: withdrawal,
+        depletionMonth,
+        yearWiseGrowth
+    };
+}
+
+/**
+ * Solve for the Starting Monthly SIP That Reaches a Target
+ * The final value is linear in the starting SIP (a fixed-amount step-up
+ * and the lumpsum add a constant), so two projections give the answer.
+ * @param {number} targetAmount - Nominal amount to reach
+ * @param {Object} plan - { months, expectedROI, lumpsum, stepUp } (see projectSIP)
+ * @returns {number} Starting monthly SIP, rounded up to the rupee (0 if the target is reached without one)
+ */
+function solveGoalSIP(targetAmount, plan) {
+    const base = projectSIP({ ...plan, monthlyInvestment: 0 }).totalValue;
+    const perRupee = projectSIP({ ...plan, monthlyInvestment: 1 }).totalValue - base;
+
+    if (base >= targetAmount) {
+        return 0;
+    }
+
+    return Math.ceil((targetAmount - base) / perRupee);
+}
+
 /**
  * Calculate Future Value of Annuity (for SIP)
  * Formula: FV = PMT × [((1 + r)^n - 1) / r] × (1 + r)
- * @param {number} monthlyPayment - Monthly payment amount
+ * Payments are made at the start of each period and returns compound once a
+ * period, so the same formula serves monthly SIPs and RDs and yearly PPF deposits.
+ * @param {number} payment - Payment each period
  * @param {number} annualROI - Annual ROI (as percentage)
- * @param {number} months - Number of months
+ * @param {number} periods - Number of periods
+ * @param {number} periodsPerYear - Payments and compounding periods per year (default 12)
  * @returns {number} Future value (total value)
  */
-function calculateFutureValueOfAnnuity(monthlyPayment, annualROI, months) {
-    const monthlyRate = annualROI / 12 / 100;
+function calculateFutureValueOfAnnuity(payment, annualROI, periods, periodsPerYear = 12) {
+    const periodRate = annualROI / periodsPerYear / 100;
 
-    if (monthlyRate === 0) {
-        // If ROI is 0, simply multiply monthly payment by months
-        return monthlyPayment * months;
+    if (periodRate === 0) {
+        // If ROI is 0, simply multiply the payment by the number of periods
+        return payment * periods;
     }
 
-    const factor = Math.pow(1 + monthlyRate, months);
+    const factor = Math.pow(1 + periodRate, periods);
     // SIP formula includes (1 + r) multiplier for beginning-of-period payments
-    const futureValue = monthlyPayment * ((factor - 1) / monthlyRate) * (1 + monthlyRate);
+    const futureValue = payment * ((factor - 1) / periodRate) * (1 + periodRate);
 
     return futureValue;
 }
 
 /**
- * Calculate Year-wise Growth
- * @param {number} monthlyInvestment - Monthly investment amount
+ * Calculate Sustainable Withdrawal
+ * Formula: PMT = Corpus × r / (1 - (1 + r)^-n), withdrawals at month end
+ * @param {number} corpus - Corpus at the start
  * @param {number} annualROI - Annual ROI (as percentage)
- * @param {number} years - Number of years
- * @returns {Array<Object>} Year-wise growth data
+ * @param {number} months - Number of months the corpus should last
+ * @returns {number} Level monthly withdrawal that exhausts the corpus exactly
  */
-function calculateYearWiseGrowth(monthlyInvestment, annualROI, years) {
-    const growthData = [];
+function calculateSustainableWithdrawal(corpus, annualROI, months) {
     const monthlyRate = annualROI / 12 / 100;
 
-    for (let year = 1; year <= years; year++) {
-        const months = year * 12;
-        const totalInvestment = monthlyInvestment * months;
-        let totalValue;
-
-        if (monthlyRate === 0) {
-            totalValue = totalInvestment;
-        } else {
-            const factor = Math.pow(1 + monthlyRate, months);
-            totalValue = monthlyInvestment * ((factor - 1) / monthlyRate) * (1 + monthlyRate);
-        }
+    if (monthlyRate === 0) {
+        return corpus / months;
+    }
 
-        const estimatedReturns = totalValue - totalInvestment;
+    return (corpus * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months));
+}
 
-        growthData.push({
-            year,
-            totalInvestment: Math.round(totalInvestment * 100) / 100,
-            estimatedReturns: Math.round(estimatedReturns * 100) / 100,
-            totalValue: Math.round(totalValue * 100) / 100
-        });
+/**
+ * Apply One Year's Step-up
+ * @param {number} amount - Current monthly amount
+ * @param {Object|null} stepUp - { type: 'percentage' | 'amount', value }, or null for none
+ * @returns {number} Next year's monthly amount
+ */
+function applyStepUp(amount, stepUp) {
+    if (!stepUp) {
+        return amount;
     }
+    return stepUp.type === 'percentage' ? amount * (1 + stepUp.value / 100) : amount + stepUp.value;
+}
 
-    return growthData;
+/**
+ * Get Real Value
+ * Formula: Real = Nominal / (1 + inflation)^(months / 12)
+ * @param {number} value - Nominal value
+ * @param {number} inflationRate - Annual inflation (as percentage)
+ * @param {number} months - Months from today
+ * @returns {number} Value in today's money
+ */
+function getRealValue(value, inflationRate, months) {
+    return value / Math.pow(1 + inflationRate / 100, months / 12);
 }
 
 /**
- * Validate Input Parameters
- * @param {number} monthlyInvestment - Monthly investment
- * @param {number} investmentPeriod - Investment period
- * @param {number} expectedROI - Expected ROI
- * @throws {Error} If validation fails
+ * Months Until a Target Month
+ * @param {string} targetDate - Target month (YYYY-MM)
+ * @returns {number} Monthly installments from this month up to (not including) the target month
  */
-function validateInputs(monthlyInvestment, investmentPeriod, expectedROI) {
-    if (!monthlyInvestment || monthlyInvestment < 500) {
-        throw new Error('Monthly investment must be at least ₹500');
-    }
+function monthsUntil(targetDate) {
+    const [year, month] = targetDate.split('-').map(Number);
+    const now = new Date();
+    return (year - now.getFullYear()) * 12 + (month - 1 - now.getMonth());
+}
 
-    if (!investmentPeriod || investmentPeriod < 1 || investmentPeriod > 50) {
-        throw new Error('Investment period must be between 1 and 50 years');
-    }
+/**
+ * Round to 2 Decimal Places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
 
-    if (!expectedROI || expectedROI < 1 || expectedROI > 20) {
-        throw new Error('Expected ROI must be between 1% and 20%');
-    }
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculateSIP)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.sipCalculator, inputs);
 }
 
 module.exports = {
     calculateSIP,
+    projectSIP,
+    projectSWP,
+    solveGoalSIP,
     calculateFutureValueOfAnnuity,
-    calculateYearWiseGrowth,
+    calculateSustainableWithdrawal,
+    applyStepUp,
+    getRealValue,
     validateInputs
 };
-
@@ -0,0 +1,360 @@
+/**
+ * Statement Import Controller
+ *
+ * This controller turns a bank statement CSV into a budget: it maps the
+ * bank's columns (from a preset or the caller's mapping), reads debits and
+ * credits, flags duplicate transactions, assigns each debit a category and
+ * passes one month's totals to the budget planner.
+ *
+ * A debit's category comes from the first matching rule (rules sent with the
+ * request, then the user's saved rules), then the keyword dictionary, and is
+ * 'Uncategorized' otherwise.
+ *
+ * Functions:
+ * - importStatement(inputs, userId) - Import a statement and calculate the budget for one month
+ * - parseStatement(text, columns) - Read transactions from statement CSV text
+ * - resolveColumns(bank, columns) - Column mapping from a preset and overrides
+ * - markDuplicates(transactions) - Flag repeats of the same date, amount and description
+ * - categorizeTransaction(description, rules) - Category and type for a debit
+ * - getCategoryRules(userId) - Get a user's saved category rules
+ * - saveCategoryRules(userId, inputs) - Replace a user's saved category rules
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const { parseCsv, parseCsvDate, parseCsvAmount } = require('../utils/csv');
+const { ValidationError } = require('../utils/errors');
+const { checkPattern } = require('../utils/regex');
+const budgetPlannerController = require('./budgetPlannerController');
+const schemas = require('../schemas/finance');
+
+const categoryRulesRepository = getRepository('budgetCategoryRules');
+
+// Header names in each bank's CSV export
+const STATEMENT_COLUMN_PRESETS = {
+    generic: { date: 'Date', description: 'Description', amount: 'Amount' },
+    hdfc: { date: 'Date', description: 'Narration', debit: 'Withdrawal Amt.', credit: 'Deposit Amt.' },
+    icici: { date: 'Transaction Date', description: 'Transaction Remarks', debit: 'Withdrawal Amount (INR )', credit: 'Deposit Amount (INR )' },
+    sbi: { date: 'Txn Date', description: 'Description', debit: 'Debit', credit: 'Credit' },
+    axis: { date: 'Tran Date', description: 'PARTICULARS', debit: 'DR', credit: 'CR' },
+    kotak: { date: 'Transaction Date', description: 'Description', amount: 'Amount', drCr: 'Dr / Cr' }
+};
+
+const AMOUNT_COLUMNS = ['amount', 'debit', 'credit', 'drCr'];
+
+// Statements often start with account details; the header row is searched for in the first rows
+const HEADER_SEARCH_ROWS = 30;
+
+// Rules are matched against this many characters of the description, which bounds their running time
+const RULE_MATCH_LENGTH = 200;
+
+// Fallback categories when no rule matches; keywords match at the start of a word in the description
+const CATEGORY_KEYWORDS = [
+    { category: 'Rent', type: 'need', keywords: ['rent', 'nobroker'] },
+    { category: 'Loan EMI', type: 'need', keywords: ['emi', 'loan'] },
+    { category: 'Groceries', type: 'need', keywords: ['bigbasket', 'blinkit', 'zepto', 'dmart', 'grocer', 'supermarket', 'kirana'] },
+    { category: 'Utilities', type: 'need', keywords: ['electricity', 'bescom', 'tneb', 'msedcl', 'tata power', 'water', 'gas', 'broadband', 'airtel', 'jio', 'vodafone', 'bsnl', 'recharge'] },
+    { category: 'Transport', type: 'need', keywords: ['uber', 'ola', 'rapido', 'irctc', 'metro', 'fastag', 'petrol', 'fuel', 'hpcl', 'bpcl', 'iocl'] },
+    { category: 'Health', type: 'need', keywords: ['hospital', 'pharma', 'apollo', 'medplus', 'clinic', '1mg', 'netmeds'] },
+    { category: 'Insurance', type: 'need', keywords: ['insurance', 'lic', 'premium'] },
+    { category: 'Investments', type: 'savings', keywords: ['sip', 'mutual fund', 'zerodha', 'groww', 'kuvera', 'ppf', 'nps', 'recurring deposit'] },
+    { category: 'Dining out', type: 'want', keywords: ['swiggy', 'zomato', 'restaurant', 'cafe', 'starbucks', 'dominos', 'mcdonald'] },
+    { category: 'Shopping', type: 'want', keywords: ['amazon', 'flipkart', 'myntra', 'ajio', 'nykaa', 'meesho'] },
+    { category: 'Entertainment', type: 'want', keywords: ['netflix', 'spotify', 'hotstar', 'prime video', 'bookmyshow', 'pvr', 'inox'] },
+    { category: 'Cash', type: 'want', keywords: ['atm', 'cash withdrawal'] }
+].map(entry => ({
+    ...entry,
+    pattern: new RegExp(`\\b(${entry.keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'i')
+}));
+
+/**
+ * Import Statement
+ * Duplicates are left out of the budget unless includeDuplicates is set.
+ * @param {Object} inputs - Import inputs (see schemas/finance.js budgetStatementImport)
+ * @param {string} inputs.statement - Statement CSV text
+ * @param {string} inputs.bank - Column preset (default 'generic')
+ * @param {Object} inputs.columns - Header names overriding the preset
+ * @param {Array<Object>} inputs.rules - Category rules ({ pattern, category, type? })
+ * @param {string} inputs.month - Month to budget (YYYY-MM, default: the latest month in the statement)
+ * @param {number} inputs.income - Monthly income (default: credits in the month)
+ * @param {string} inputs.rule - Budget rule name
+ * @param {Object} inputs.customRule - Own { needs, wants, savings } split
+ * @param {boolean} inputs.includeDuplicates - Count duplicates in the budget (default false)
+ * @param {string} userId - User ID (optional; saved rules apply and the budget is saved)
+ * @returns {Promise<Object>} { import: summary and categorized transactions, budget: budget planner result }
+ */
+async function importStatement(inputs, userId) {
+    try {
+        // Validate inputs
+        const { statement, bank, columns, rules, income, rule, customRule, includeDuplicates, ...rest } = validateInputs(inputs);
+
+        const { transactions, skippedRows } = parseStatement(statement, resolveColumns(bank, columns));
+        if (transactions.length === 0) {
+            throw new ValidationError([{ field: 'statement', code: 'invalid', message: 'Statement has no transactions with a date and amount' }]);
+        }
+
+        markDuplicates(transactions);
+
+        // Saved rules from before patterns were checked are skipped if unsafe
+        const savedRules = userId ? (await getCategoryRules(userId)).filter(item => !checkPattern(item.pattern)) : [];
+        const allRules = [...rules, ...savedRules].map(item => ({ ...item, regex: new RegExp(item.pattern, 'i') }));
+        transactions.forEach(transaction => {
+            Object.assign(transaction, transaction.direction === 'debit'
+                ? categorizeTransaction(transaction.description, allRules)
+                : { category: null, type: null, matchedBy: null });
+        });
+
+        const month = rest.month || transactions.reduce((latest, transaction) => (transaction.date > latest ? transaction.date : latest), '').slice(0, 7);
+        const monthTransactions = transactions.filter(transaction => transaction.date.startsWith(month));
+        const counted = monthTransactions.filter(transaction => includeDuplicates || !transaction.duplicateOf);
+
+        const categories = new Map();
+        counted
+            .filter(transaction => transaction.direction === 'debit')
+            .forEach(transaction => {
+                const entry = categories.get(transaction.category) || { category: transaction.category, type: transaction.type, amount: 0, count: 0 };
+                entry.type = entry.type || transaction.type;
+                entry.amount += transaction.amount;
+                entry.count++;
+                categories.set(transaction.category, entry);
+            });
+
+        const credits = counted
+            .filter(transaction => transaction.direction === 'credit')
+            .reduce((total, transaction) => total + transaction.amount, 0);
+        const monthlyIncome = income || Math.round(credits * 100) / 100;
+        if (!monthlyIncome) {
+            throw new ValidationError([{ field: 'income', code: 'required', message: `The statement has no credits in ${month}; provide the income` }]);
+        }
+
+        const categoryTotals = [...categories.values()].map(entry => ({ ...entry, amount: Math.round(entry.amount * 100) / 100 }));
+        const budget = await budgetPlannerController.calculateBudget({
+            income: monthlyIncome,
+            expenses: categoryTotals.map(({ category, type, amount }) => ({ category, amount, ...(type && { type }) })),
+            rule,
+            customRule,
+            month
+        }, userId);
+
+        return {
+            import: {
+                bank,
+                transactionsRead: transactions.length,
+                skippedRows,
+                duplicates: transactions
+                    .filter(transaction => transaction.duplicateOf)
+                    .map(({ row, duplicateOf, date, description, amount, direction }) => ({ row, duplicateOf, date, description, amount, direction })),
+                month,
+                income: monthlyIncome,
+                incomeFromStatement: !income,
+                categories: categoryTotals.sort((a, b) => b.amount - a.amount),
+                uncategorized: counted.filter(transaction => transaction.category === 'Uncategorized').length,
+                transactions: monthTransactions
+            },
+            budget
+        };
+
+    } catch (error) {
+        console.error('Error importing statement:', error);
+        throw error;
+    }
+}
+
+/**
+ * Parse Statement
+ * The header row is the first row containing the date and description
+ * headers; rows below it without a readable date or amount (balances
+ * brought forward, footers) are skipped.
+ * @param {string} text - Statement CSV text
+ * @param {Object} columns - Header names ({ date, description, amount | debit/credit, drCr? })
+ * @returns {Object} { transactions: Array<{ row, date, description, amount, direction }>, skippedRows }
+ * @throws {ValidationError} If the header row or amount columns are not found
+ */
+function parseStatement(text, columns) {
+    const rows = parseCsv(text);
+    const normalize = header => header.toLowerCase().replace(/\s+/g, '');
+    const fail = message => new ValidationError([{ field: 'statement', code: 'invalid', message }]);
+
+    const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(fields => {
+        const headers = fields.map(normalize);
+        return headers.includes(normalize(columns.date)) && headers.includes(normalize(columns.description));
+    });
+    if (headerIndex === -1) {
+        throw fail(`Could not find a header row with "${columns.date}" and "${columns.description}" columns; check the bank or column mapping`);
+    }
+
+    const headers = rows[headerIndex].map(normalize);
+    const index = {};
+    Object.entries(columns).forEach(([key, header]) => {
+        index[key] = headers.indexOf(normalize(header));
+    });
+
+    const splitAmounts = columns.debit !== undefined || columns.credit !== undefined;
+    const missing = (splitAmounts ? ['debit', 'credit'] : ['amount', ...(columns.drCr ? ['drCr'] : [])])
+        .filter(key => columns[key] !== undefined && index[key] === -1)
+        .map(key => columns[key]);
+    if (missing.length > 0 || (!splitAmounts && !columns.amount)) {
+        throw fail(missing.length > 0
+            ? `Statement is missing the column(s): ${missing.join(', ')}`
+            : 'Map either an amount column or debit and credit columns');
+    }
+
+    const transactions = [];
+    let skippedRows = 0;
+
+    rows.slice(headerIndex + 1).forEach((fields, offset) => {
+        const value = key => (index[key] >= 0 ? (fields[index[key]] || '').trim() : '');
+        const date = parseCsvDate(value('date'));
+        let amount = null;
+        let direction = null;
+
+        if (splitAmounts) {
+            const debit = parseCsvAmount(value('debit'));
+            const credit = parseCsvAmount(value('credit'));
+            if (debit) {
+                [amount, direction] = [Math.abs(debit), 'debit'];
+            } else if (credit) {
+                [amount, direction] = [Math.abs(credit), 'credit'];
+            }
+        } else {
+            const signed = parseCsvAmount(value('amount'));
+            const marker = value('drCr').toLowerCase();
+            if (signed) {
+                amount = Math.abs(signed);
+                if (/^(dr|d|debit|withdrawal)\b/.test(marker)) direction = 'debit';
+                else if (/^(cr|c|credit|deposit)\b/.test(marker)) direction = 'credit';
+                else direction = signed < 0 ? 'debit' : 'credit';
+            }
+        }
+
+        if (!date || !amount) {
+            skippedRows++;
+            return;
+        }
+
+        transactions.push({
+            row: headerIndex + offset + 2,
+            date,
+            description: value('description').replace(/\s+/g, ' '),
+            amount: Math.round(amount * 100) / 100,
+            direction
+        });
+    });
+
+    return { transactions, skippedRows };
+}
+
+/**
+ * Resolve Columns
+ * Amount columns given in the overrides replace all of the preset's amount
+ * columns, so a preset's debit/credit pair is not mixed with a single amount.
+ * @param {string} bank - Preset name
+ * @param {Object} columns - Header name overrides
+ * @returns {Object} Column mapping
+ */
+function resolveColumns(bank, columns) {
+    const preset = { ...STATEMENT_COLUMN_PRESETS[bank] };
+    if (AMOUNT_COLUMNS.some(key => columns[key])) {
+        AMOUNT_COLUMNS.forEach(key => delete preset[key]);
+    }
+    return { ...preset, ...columns };
+}
+
+/**
+ * Mark Duplicates
+ * A transaction with the same date, direction, amount and description as an
+ * earlier one gets duplicateOf set to that one's row number.
+ * @param {Array<Object>} transactions - Parsed transactions (changed in place)
+ * @returns {Array<Object>} The same transactions
+ */
+function markDuplicates(transactions) {
+    const firstRows = new Map();
+
+    transactions.forEach(transaction => {
+        const key = [transaction.date, transaction.direction, transaction.amount.toFixed(2), transaction.description.toLowerCase()].join('|');
+        transaction.duplicateOf = firstRows.get(key) || null;
+        if (!firstRows.has(key)) {
+            firstRows.set(key, transaction.row);
+        }
+    });
+
+    return transactions;
+}
+
+/**
+ * Categorize Transaction
+ * @param {string} description - Transaction description
+ * @param {Array<Object>} rules - Rules with a compiled regex ({ regex, category, type? }), in priority order
+ * @returns {Object} { category, type (null to let the budget planner guess), matchedBy: 'rule' | 'keyword' | null }
+ */
+function categorizeTransaction(description, rules) {
+    const text = description.slice(0, RULE_MATCH_LENGTH);
+    const rule = rules.find(item => item.regex.test(text));
+    if (rule) {
+        return { category: rule.category, type: rule.type || null, matchedBy: 'rule' };
+    }
+
+    const keyword = CATEGORY_KEYWORDS.find(entry => entry.pattern.test(description));
+    if (keyword) {
+        return { category: keyword.category, type: keyword.type, matchedBy: 'keyword' };
+    }
+
+    return { category: 'Uncategorized', type: null, matchedBy: null };
+}
+
+/**
+ * Get Category Rules
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Saved rules ({ pattern, category, type? }), in priority order
+ */
+async function getCategoryRules(userId) {
+    const record = await categoryRulesRepository.findOne({ userId });
+    return record ? record.rules : [];
+}
+
+/**
+ * Save Category Rules
+ * @param {string} userId - User ID
+ * @param {Object} inputs - { rules: Array<{ pattern, category, type? }> }
+ * @returns {Promise<Array<Object>>} Saved rules
+ * @throws {ValidationError} If validation fails
+ */
+async function saveCategoryRules(userId, inputs) {
+    try {
+        const { rules } = assertValid(schemas.categoryRules, inputs);
+
+        await categoryRulesRepository.replaceMany({ userId }, [{
+            userId,
+            rules,
+            updatedAt: new Date().toISOString()
+        }]);
+
+        return rules;
+
+    } catch (error) {
+        console.error('Error saving category rules:', error);
+        throw error;
+    }
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Import inputs (see importStatement)
+ * @returns {Object} Validated inputs (defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.budgetStatementImport, inputs);
+}
+
+module.exports = {
+    importStatement,
+    parseStatement,
+    resolveColumns,
+    markDuplicates,
+    categorizeTransaction,
+    getCategoryRules,
+    saveCategoryRules,
+    validateInputs
+};
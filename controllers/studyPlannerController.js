@@ -4,38 +4,36 @@
  * This controller handles study planner functionality
  * 
  * Functions:
- * - createTask(taskData) - Create a new study task
+ * - createTask(userId, taskData) - Create a new study task
  * - getTasks(userId) - Get all tasks for a user
- * - updateTask(taskId, updates) - Update a task
- * - deleteTask(taskId) - Delete a task
+ * - updateTask(userId, taskId, updates) - Update a task
+ * - deleteTask(userId, taskId) - Delete a task
  * - saveSchedule(userId, tasks) - Save entire schedule
  * - validateTask(taskData) - Validate task data
  */
 
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/student');
+
+const tasksRepository = getRepository('studyTasks');
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
 /**
  * Create Task
+ * @param {string} userId - User ID
  * @param {Object} taskData - Task data
  * @returns {Promise<Object>} Created task
  */
-async function createTask(taskData) {
+async function createTask(userId, taskData) {
     try {
         // Validate task data
-        validateTask(taskData);
-
-        // TODO: Save to database
-        // This would require:
-        // 1. Database schema for tasks (id, userId, taskName, subject, deadline, priority, duration, reminder, completed, createdAt)
-        // 2. Database connection and query execution
-        // 3. User authentication/authorization
+        taskData = validateTask(taskData);
 
-        const task = {
-            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-            ...taskData,
-            completed: false,
-            createdAt: new Date().toISOString()
-        };
+        const task = await tasksRepository.create(buildTask(userId, taskData));
 
-        return task;
+        return toPublicTask(task);
 
     } catch (error) {
         console.error('Error creating task:', error);
@@ -50,10 +48,16 @@ async function createTask(taskData) {
  */
 async function getTasks(userId) {
     try {
-        // TODO: Query database for user's tasks
-        // SELECT * FROM tasks WHERE userId = ? ORDER BY deadline ASC, priority DESC
+        const tasks = await tasksRepository.find({ userId });
 
-        return [];
+        // Earliest deadline first, higher priority first on the same deadline
+        tasks.sort((a, b) => {
+            const deadlineDiff = new Date(a.deadline) - new Date(b.deadline);
+            if (deadlineDiff !== 0) return deadlineDiff;
+            return PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority];
+        });
+
+        return tasks.map(toPublicTask);
 
     } catch (error) {
         console.error('Error getting tasks:', error);
@@ -63,25 +67,28 @@ async function getTasks(userId) {
 
 /**
  * Update Task
+ * @param {string} userId - User ID
  * @param {string} taskId - Task ID
  * @param {Object} updates - Task updates
- * @returns {Promise<Object>} Updated task
+ * @returns {Promise<Object|null>} Updated task, or null if the user has no such task
  */
-async function updateTask(taskId, updates) {
+async function updateTask(userId, taskId, updates) {
     try {
         // Validate updates
-        if (updates.priority && !['high', 'medium', 'low'].includes(updates.priority)) {
-            throw new Error('Invalid priority');
-        }
-
-        if (updates.duration && (updates.duration <= 0 || updates.duration > 24)) {
-            throw new Error('Duration must be between 0.5 and 24 hours');
-        }
+        updates = assertValid(schemas.studyTaskUpdate, updates);
+
+        const allowedFields = ['taskName', 'subject', 'deadline', 'priority', 'duration', 'reminder', 'completed'];
+        const changes = {};
+        allowedFields.forEach(field => {
+            if (updates[field] !== undefined) {
+                changes[field] = updates[field];
+            }
+        });
+        changes.updatedAt = new Date().toISOString();
 
-        // TODO: Update in database
-        // UPDATE tasks SET ... WHERE id = ? AND userId = ?
+        const task = await tasksRepository.updateOne({ id: taskId, userId }, changes);
 
-        return { id: taskId, ...updates };
+        return task ? toPublicTask(task) : null;
 
     } catch (error) {
         console.error('Error updating task:', error);
@@ -91,15 +98,13 @@ async function updateTask(taskId, updates) {
 
 /**
  * Delete Task
+ * @param {string} userId - User ID
  * @param {string} taskId - Task ID
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} True if the task existed and was deleted
  */
-async function deleteTask(taskId) {
+async function deleteTask(userId, taskId) {
     try {
-        // TODO: Delete from database
-        // DELETE FROM tasks WHERE id = ? AND userId = ?
-
-        return;
+        return await tasksRepository.deleteOne({ id: taskId, userId });
 
     } catch (error) {
         console.error('Error deleting task:', error);
@@ -111,27 +116,20 @@ async function deleteTask(taskId) {
  * Save Schedule
  * @param {string} userId - User ID
  * @param {Array} tasks - Array of tasks
- * @returns {Promise<void>}
+ * @returns {Promise<Array>} Saved tasks
  */
 async function saveSchedule(userId, tasks) {
     try {
-        // Validate tasks array
-        if (!Array.isArray(tasks)) {
-            throw new Error('Tasks must be an array');
-        }
-
-        tasks.forEach(task => {
-            validateTask(task);
-        });
+        // Validate tasks array (every task is checked like a new task)
+        ({ tasks } = assertValid(schemas.studySchedule, { tasks }));
 
-        // TODO: Save all tasks to database
-        // This could involve:
-        // 1. Deleting existing tasks for the user
-        // 2. Inserting new tasks
-        // Or:
-        // 1. Upserting tasks (insert or update)
+        // The saved schedule replaces the user's existing tasks
+        const saved = await tasksRepository.replaceMany(
+            { userId },
+            tasks.map(task => buildTask(userId, task))
+        );
 
-        return;
+        return saved.map(toPublicTask);
 
     } catch (error) {
         console.error('Error saving schedule:', error);
@@ -142,36 +140,42 @@ async function saveSchedule(userId, tasks) {
 /**
  * Validate Task
  * @param {Object} taskData - Task data
- * @throws {Error} If validation fails
+ * @returns {Object} Validated task data (numeric strings converted to numbers)
+ * @throws {ValidationError} If validation fails
  */
 function validateTask(taskData) {
-    if (!taskData.taskName || taskData.taskName.trim().length < 2) {
-        throw new Error('Task name must be at least 2 characters');
-    }
-
-    if (!taskData.subject || taskData.subject.trim().length < 2) {
-        throw new Error('Subject must be at least 2 characters');
-    }
-
-    if (!taskData.deadline) {
-        throw new Error('Deadline is required');
-    }
-
-    if (new Date(taskData.deadline) < new Date()) {
-        throw new Error('Deadline cannot be in the past');
-    }
-
-    if (!taskData.priority || !['high', 'medium', 'low'].includes(taskData.priority)) {
-        throw new Error('Priority must be high, medium, or low');
-    }
+    return assertValid(schemas.studyTask, taskData);
+}
 
-    if (!taskData.duration || taskData.duration <= 0 || taskData.duration > 24) {
-        throw new Error('Duration must be between 0.5 and 24 hours');
-    }
+/**
+ * Build Task Record
+ * @param {string} userId - User ID
+ * @param {Object} taskData - Task data
+ * @returns {Object} Task record ready to be stored
+ */
+function buildTask(userId, taskData) {
+    return {
+        id: taskData.id,
+        userId,
+        taskName: taskData.taskName,
+        subject: taskData.subject,
+        deadline: taskData.deadline,
+        priority: taskData.priority,
+        duration: taskData.duration,
+        reminder: taskData.reminder || null,
+        completed: Boolean(taskData.completed),
+        createdAt: taskData.createdAt || new Date().toISOString()
+    };
+}
 
-    if (taskData.reminder && new Date(taskData.reminder) < new Date()) {
-        throw new Error('Reminder cannot be in the past');
-    }
+/**
+ * Strip internal fields from a stored task
+ * @param {Object} task - Stored task record
+ * @returns {Object} Task as returned by the API
+ */
+function toPublicTask(task) {
+    const { userId, ...publicTask } = task;
+    return publicTask;
 }
 
 module.exports = {
@@ -4,33 +4,36 @@
  * This controller handles Twitter post scheduling and notification functionality
  * 
  * Functions:
- * - schedulePost(postData) - Schedule a Twitter post
- * - getScheduledPosts(userId) - Get user's scheduled posts
- * - updateScheduledPost(postId, updates) - Update a scheduled post
- * - deleteScheduledPost(postId) - Delete a scheduled post
- * - sendNotification(postId) - Send notification for scheduled post
+ * - schedulePost(userId, postData) - Schedule a Twitter post
+ * - getScheduledPosts(userId, filters) - Get user's scheduled posts
+ * - updateScheduledPost(userId, postId, updates) - Update a scheduled post
+ * - deleteScheduledPost(userId, postId) - Delete a scheduled post
+ * - sendNotification(userId, postId) - Send notification for scheduled post
  * - validatePostData(postData) - Validate post data
+ * - getAnalytics(userId, dateRange) - Get scheduling analytics
  */
 
+const { getRepository } = require('../storage');
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/social-media');
+
+const postsRepository = getRepository('scheduledPosts');
+
 /**
  * Schedule Post
+ * @param {string} userId - User ID
  * @param {Object} postData - Post data object
  * @returns {Promise<Object>} Scheduled post object
  */
-async function schedulePost(postData) {
+async function schedulePost(userId, postData) {
     try {
         // Validate inputs
-        validatePostData(postData);
-
-        // Check if scheduled time is in the future
+        postData = validatePostData(postData);
         const scheduledDateTime = new Date(postData.scheduledDateTime);
-        if (scheduledDateTime <= new Date()) {
-            throw new Error('Scheduled time must be in the future');
-        }
 
         // Create scheduled post
-        const scheduledPost = {
-            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        const scheduledPost = await postsRepository.create({
+            userId,
             content: postData.content,
             scheduledDateTime: scheduledDateTime.toISOString(),
             postType: postData.postType || 'tweet',
@@ -38,17 +41,14 @@ async function schedulePost(postData) {
             enableNotifications: Boolean(postData.enableNotifications),
             status: 'scheduled',
             createdAt: new Date().toISOString()
-        };
-
-        // TODO: Save to database
-        // await saveScheduledPostToDatabase(userId, scheduledPost);
+        });
 
         // TODO: Set up notification if enabled
         // if (scheduledPost.enableNotifications) {
         //     await scheduleNotification(scheduledPost.id, scheduledDateTime);
         // }
 
-        return scheduledPost;
+        return toPublicPost(scheduledPost);
 
     } catch (error) {
         console.error('Error scheduling post:', error);
@@ -59,19 +59,32 @@ async function schedulePost(postData) {
 /**
  * Get Scheduled Posts
  * @param {string} userId - User ID
- * @param {Object} filters - Optional filters (status, date range, etc.)
+ * @param {Object} filters - Optional filters ({ status, from, to, upcomingOnly })
  * @returns {Promise<Array>} Array of scheduled posts
  */
 async function getScheduledPosts(userId, filters = {}) {
     try {
-        // TODO: Query database
-        // const posts = await queryScheduledPosts(userId, filters);
-        
-        // Filter out past posts if needed
-        // const now = new Date();
-        // return posts.filter(post => new Date(post.scheduledDateTime) > now);
+        const query = { userId };
+        if (filters.status) {
+            query.status = filters.status;
+        }
+
+        let posts = await postsRepository.find(query, { sortBy: 'scheduledDateTime', order: 'asc' });
+
+        if (filters.from) {
+            posts = posts.filter(post => new Date(post.scheduledDateTime) >= new Date(filters.from));
+        }
 
-        return [];
+        if (filters.to) {
+            posts = posts.filter(post => new Date(post.scheduledDateTime) <= new Date(filters.to));
+        }
+
+        if (filters.upcomingOnly) {
+            const now = new Date();
+            posts = posts.filter(post => new Date(post.scheduledDateTime) > now);
+        }
+
+        return posts.map(toPublicPost);
 
     } catch (error) {
         console.error('Error getting scheduled posts:', error);
@@ -81,41 +94,40 @@ async function getScheduledPosts(userId, filters = {}) {
 
 /**
  * Update Scheduled Post
+ * @param {string} userId - User ID
  * @param {string} postId - Post ID
  * @param {Object} updates - Update data
- * @returns {Promise<Object>} Updated post object
+ * @returns {Promise<Object|null>} Updated post object, or null if the user has no such post
  */
-async function updateScheduledPost(postId, updates) {
+async function updateScheduledPost(userId, postId, updates) {
     try {
-        // TODO: Validate post exists and belongs to user
-        // const post = await getScheduledPostById(postId, userId);
-        // if (!post) {
-        //     throw new Error('Post not found');
-        // }
-
-        // Validate updates if content or date/time changed
-        if (updates.content) {
-            if (updates.content.length > 280) {
-                throw new Error('Post content cannot exceed 280 characters');
-            }
+        const post = await postsRepository.findOne({ id: postId, userId });
+        if (!post) {
+            return null;
         }
 
-        if (updates.scheduledDateTime) {
-            const scheduledDateTime = new Date(updates.scheduledDateTime);
-            if (scheduledDateTime <= new Date()) {
-                throw new Error('Scheduled time must be in the future');
+        // Validate the changed fields
+        updates = assertValid(schemas.twitterPostUpdate, updates);
+
+        const changes = {};
+        ['content', 'scheduledDateTime', 'postType', 'includeMedia', 'enableNotifications'].forEach(field => {
+            if (updates[field] !== undefined) {
+                changes[field] = updates[field];
             }
+        });
+        if (changes.scheduledDateTime) {
+            changes.scheduledDateTime = new Date(changes.scheduledDateTime).toISOString();
         }
+        changes.updatedAt = new Date().toISOString();
 
-        // TODO: Update in database
-        // const updatedPost = await updateScheduledPostInDatabase(postId, updates);
+        const updatedPost = await postsRepository.updateOne({ id: postId, userId }, changes);
 
         // TODO: Update notification if time changed
         // if (updates.scheduledDateTime && post.enableNotifications) {
         //     await rescheduleNotification(postId, new Date(updates.scheduledDateTime));
         // }
 
-        return { id: postId, ...updates };
+        return updatedPost ? toPublicPost(updatedPost) : null;
 
     } catch (error) {
         console.error('Error updating scheduled post:', error);
@@ -125,26 +137,20 @@ async function updateScheduledPost(postId, updates) {
 
 /**
  * Delete Scheduled Post
+ * @param {string} userId - User ID
  * @param {string} postId - Post ID
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} True if the post existed and was deleted
  */
-async function deleteScheduledPost(postId) {
+async function deleteScheduledPost(userId, postId) {
     try {
-        // TODO: Validate post exists and belongs to user
-        // const post = await getScheduledPostById(postId, userId);
-        // if (!post) {
-        //     throw new Error('Post not found');
-        // }
-
-        // TODO: Delete from database
-        // await deleteScheduledPostFromDatabase(postId);
+        const deleted = await postsRepository.deleteOne({ id: postId, userId });
 
         // TODO: Cancel notification if exists
-        // if (post.enableNotifications) {
+        // if (deleted && post.enableNotifications) {
         //     await cancelNotification(postId);
         // }
 
-        return;
+        return deleted;
 
     } catch (error) {
         console.error('Error deleting scheduled post:', error);
@@ -154,16 +160,16 @@ async function deleteScheduledPost(postId) {
 
 /**
  * Send Notification
+ * @param {string} userId - User ID
  * @param {string} postId - Post ID
  * @returns {Promise<void>}
  */
-async function sendNotification(postId) {
+async function sendNotification(userId, postId) {
     try {
-        // TODO: Get post details
-        // const post = await getScheduledPostById(postId, userId);
-        // if (!post || !post.enableNotifications) {
-        //     return;
-        // }
+        const post = await postsRepository.findOne({ id: postId, userId });
+        if (!post || !post.enableNotifications) {
+            return;
+        }
 
         // TODO: Send notification (email, push, etc.)
         // await sendNotificationToUser(userId, {
@@ -184,61 +190,36 @@ async function sendNotification(postId) {
 /**
  * Validate Post Data
  * @param {Object} postData - Post data to validate
- * @throws {Error} If validation fails
+ * @returns {Object} Validated post data
+ * @throws {ValidationError} If validation fails
  */
 function validatePostData(postData) {
-    if (!postData.content || postData.content.trim().length === 0) {
-        throw new Error('Post content is required');
-    }
-
-    if (postData.content.length > 280) {
-        throw new Error('Post content cannot exceed 280 characters');
-    }
-
-    if (!postData.scheduledDateTime) {
-        throw new Error('Scheduled date and time are required');
-    }
-
-    const scheduledDateTime = new Date(postData.scheduledDateTime);
-    if (isNaN(scheduledDateTime.getTime())) {
-        throw new Error('Invalid scheduled date and time');
-    }
-
-    if (scheduledDateTime <= new Date()) {
-        throw new Error('Scheduled time must be in the future');
-    }
-
-    const validPostTypes = ['tweet', 'thread', 'reply'];
-    if (postData.postType && !validPostTypes.includes(postData.postType)) {
-        throw new Error('Invalid post type');
-    }
+    return assertValid(schemas.twitterPost, postData);
 }
 
 /**
  * Get Analytics
  * @param {string} userId - User ID
- * @param {Object} dateRange - Optional date range
+ * @param {Object} dateRange - Optional date range ({ from, to })
  * @returns {Promise<Object>} Analytics data
  */
 async function getAnalytics(userId, dateRange = {}) {
     try {
-        // TODO: Query database for analytics
-        // const posts = await queryScheduledPosts(userId, dateRange);
-        
+        const posts = await getScheduledPosts(userId, { status: 'scheduled', ...dateRange });
+
         // Calculate analytics
         const now = new Date();
-        const weekStart = new Date(now.setDate(now.getDate() - now.getDay()));
+        const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
         const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
 
-        // TODO: Calculate from actual data
-        // const totalScheduled = posts.length;
-        // const thisWeek = posts.filter(post => new Date(post.scheduledDateTime) >= weekStart).length;
-        // const thisMonth = posts.filter(post => new Date(post.scheduledDateTime) >= monthStart).length;
+        const totalScheduled = posts.length;
+        const thisWeek = posts.filter(post => new Date(post.scheduledDateTime) >= weekStart).length;
+        const thisMonth = posts.filter(post => new Date(post.scheduledDateTime) >= monthStart).length;
 
         return {
-            totalScheduled: 0,
-            thisWeek: 0,
-            thisMonth: 0
+            totalScheduled,
+            thisWeek,
+            thisMonth
         };
 
     } catch (error) {
@@ -247,6 +228,16 @@ async function getAnalytics(userId, dateRange = {}) {
     }
 }
 
+/**
+ * Strip internal fields from a stored post
+ * @param {Object} post - Stored post record
+ * @returns {Object} Post as returned by the API
+ */
+function toPublicPost(post) {
+    const { userId, ...publicPost } = post;
+    return publicPost;
+}
+
 module.exports = {
     schedulePost,
     getScheduledPosts,
@@ -10,6 +10,9 @@
  * - generateTags(topic, platform, category, count) - Generate tags
  */
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/social-media');
+
 /**
  * Generate Titles and Tags
  * @param {string} topic - Topic or keyword
@@ -41,20 +44,10 @@ async function generateTitlesAndTags(topic, platform, category, titleCount, tagC
 /**
  * Validate Topic
  * @param {string} topic - Topic to validate
- * @throws {Error} If validation fails
+ * @throws {ValidationError} If validation fails
  */
 function validateTopic(topic) {
-    if (!topic || topic.trim().length === 0) {
-        throw new Error('Topic is required');
-    }
-
-    if (topic.length < 2) {
-        throw new Error('Topic must be at least 2 characters long');
-    }
-
-    if (topic.length > 200) {
-        throw new Error('Topic must be less than 200 characters');
-    }
+    assertValid(schemas.videoTitleTagGenerator, { topic });
 }
 
 /**
@@ -249,8 +242,7 @@ async function generateTags(topic, platform, category, count) {
  * @returns {boolean} True if valid
  */
 function validatePlatform(platform) {
-    const validPlatforms = ['youtube', 'tiktok', 'instagram', 'facebook', 'all'];
-    return validPlatforms.includes(platform);
+    return schemas.VIDEO_PLATFORMS.includes(platform);
 }
 
 /**
@@ -260,12 +252,8 @@ function validatePlatform(platform) {
  */
 function validateCategory(category) {
     if (!category) return true; // Category is optional
-    
-    const validCategories = [
-        'education', 'entertainment', 'gaming', 'music', 'sports', 'tech',
-        'lifestyle', 'food', 'travel', 'fitness', 'beauty', 'business', 'comedy'
-    ];
-    return validCategories.includes(category);
+
+    return schemas.VIDEO_CATEGORIES.includes(category);
 }
 
 module.exports = {
@@ -0,0 +1,229 @@
+/**
+ * XIRR Calculator Controller
+ *
+ * This controller computes returns from dated cash flows: XIRR (the annual
+ * rate at which the cash flows and the current value have zero net present
+ * value), absolute return and CAGR. Amounts invested are negative and
+ * amounts taken out are positive; the current value is treated as a final
+ * inflow on the valuation date.
+ *
+ * Functions:
+ * - calculateReturns(inputs) - Calculate XIRR, absolute return and CAGR
+ * - calculateXIRR(cashFlows) - Solve for the XIRR of dated cash flows
+ * - calculateCAGR(totalInvested, finalValue, years) - Compound annual growth rate
+ * - parseCashFlowsCsv(text) - Parse date/amount CSV into cash flows
+ * - validateInputs(inputs) - Validate input parameters
+ */
+
+const { assertValid } = require('../utils/validation');
+const { parseCsv, parseCsvDate, parseCsvAmount } = require('../utils/csv');
+const { findRoot } = require('../utils/solver');
+const { HttpError, ValidationError } = require('../utils/errors');
+const schemas = require('../schemas/finance');
+
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 86400000;
+
+// Search interval for the annual rate: just above -100% up to 100%, doubled up to the cap (about 100,000,000%) if needed
+const XIRR_LOWER_BOUND = -0.9999;
+const XIRR_INITIAL_UPPER_BOUND = 1;
+const XIRR_MAX_UPPER_BOUND = Math.pow(2, 20);
+const XIRR_GUESS = 0.1;
+
+/**
+ * Calculate Returns
+ * @param {Object} inputs - Calculator inputs
+ * @param {Array<Object>} inputs.cashFlows - Dated cash flows ({ date, amount })
+ * @param {string} inputs.cashFlowsCsv - Cash flows as CSV (date, amount columns; optional)
+ * @param {number} inputs.currentValue - Value of the holdings on the valuation date
+ * @param {string} inputs.valuationDate - Valuation date (YYYY-MM-DD, default today)
+ * @returns {Promise<Object>} XIRR, absolute return, CAGR and totals
+ * @throws {HttpError} 422 if the cash flows never change sign, XIRR cannot be solved or is too high to compute
+ */
+async function calculateReturns(inputs) {
+    try {
+        // Validate inputs
+        const { cashFlows, cashFlowsCsv, currentValue, ...rest } = validateInputs(inputs);
+        const valuationDate = rest.valuationDate || new Date().toISOString().slice(0, 10);
+
+        const flows = [...cashFlows, ...(cashFlowsCsv ? parseCashFlowsCsv(cashFlowsCsv) : [])]
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const lastDate = flows[flows.length - 1].date;
+        if (lastDate > valuationDate) {
+            throw new ValidationError([{
+                field: 'valuationDate',
+                code: 'invalid',
+                message: `Valuation date cannot be before the last cash flow (${lastDate})`
+            }]);
+        }
+
+        const allFlows = currentValue > 0 ? [...flows, { date: valuationDate, amount: currentValue }] : flows;
+        if (!allFlows.some(flow => flow.amount < 0) || !allFlows.some(flow => flow.amount > 0)) {
+            throw new HttpError(422, 'XIRR needs both money invested (negative amounts) and money received (positive amounts or a current value); these cash flows never change sign');
+        }
+
+        const xirr = calculateXIRR(allFlows);
+        if (!xirr) {
+            throw new HttpError(422, 'XIRR could not be computed for these cash flows: no annual rate above -99.99% gives zero net present value');
+        }
+
+        const totalInvested = -flows.filter(flow => flow.amount < 0).reduce((total, flow) => total + flow.amount, 0);
+        const totalWithdrawn = flows.filter(flow => flow.amount > 0).reduce((total, flow) => total + flow.amount, 0);
+        const finalValue = currentValue + totalWithdrawn;
+        const gain = finalValue - totalInvested;
+        const years = (Date.parse(valuationDate) - Date.parse(flows[0].date)) / MS_PER_DAY / DAYS_PER_YEAR;
+        const cagr = totalInvested > 0 ? calculateCAGR(totalInvested, finalValue, years) : null;
+
+        const notes = [];
+        if (years < 1) {
+            notes.push('The period is shorter than a year; XIRR and CAGR are annualised and can look extreme');
+        }
+        if (flows.filter(flow => flow.amount < 0).length > 1) {
+            notes.push('CAGR treats every investment as made on the first date; XIRR accounts for when each was made');
+        }
+
+        return {
+            xirr: Math.round(xirr.rate * 10000) / 100,
+            absoluteReturn: totalInvested > 0 ? Math.round((gain / totalInvested) * 10000) / 100 : null,
+            cagr: cagr === null ? null : Math.round(cagr * 10000) / 100,
+            totalInvested: Math.round(totalInvested * 100) / 100,
+            totalWithdrawn: Math.round(totalWithdrawn * 100) / 100,
+            currentValue,
+            gain: Math.round(gain * 100) / 100,
+            firstDate: flows[0].date,
+            valuationDate,
+            years: Math.round(years * 100) / 100,
+            cashFlowCount: flows.length,
+            solver: { method: xirr.method, iterations: xirr.iterations },
+            notes
+        };
+
+    } catch (error) {
+        console.error('Error calculating XIRR:', error);
+        throw error;
+    }
+}
+
+/**
+ * Calculate XIRR
+ * Solves Σ amount / (1 + rate)^(days / 365) = 0, with days counted from the
+ * first cash flow. Newton's method is tried first; bisection is the fallback.
+ * @param {Array<Object>} cashFlows - Cash flows ({ date, amount }) sorted by date, with at least one sign change
+ * @returns {Object|null} { rate (decimal), method, iterations }, or null if no rate was found
+ * @throws {HttpError} 422 if the rate is above the search cap
+ */
+function calculateXIRR(cashFlows) {
+    const start = Date.parse(cashFlows[0].date);
+    const terms = cashFlows.map(flow => ({
+        amount: flow.amount,
+        years: (Date.parse(flow.date) - start) / MS_PER_DAY / DAYS_PER_YEAR
+    }));
+
+    const netPresentValue = rate => terms.reduce((total, term) => total + term.amount / Math.pow(1 + rate, term.years), 0);
+    const derivative = rate => terms.reduce(
+        (total, term) => total - (term.years * term.amount) / Math.pow(1 + rate, term.years + 1),
+        0
+    );
+
+    const result = findRoot(netPresentValue, {
+        derivative,
+        guess: XIRR_GUESS,
+        lower: XIRR_LOWER_BOUND,
+        upper: XIRR_INITIAL_UPPER_BOUND,
+        maxUpper: XIRR_MAX_UPPER_BOUND
+    });
+
+    if (!result) {
+        // As the rate grows the NPV tends to the first day's cash flows; still on the other side at the cap means the root is above it
+        const npvAtCap = netPresentValue(XIRR_MAX_UPPER_BOUND);
+        const firstDayTotal = terms.filter(term => term.years === 0).reduce((total, term) => total + term.amount, 0);
+        if (Number.isFinite(npvAtCap) && npvAtCap !== 0 && Math.sign(npvAtCap) !== Math.sign(firstDayTotal)) {
+            throw new HttpError(422, 'XIRR is too high to compute: these cash flows grow the money more than a million times a year');
+        }
+        return null;
+    }
+
+    return { rate: result.root, method: result.method, iterations: result.iterations };
+}
+
+/**
+ * Calculate CAGR
+ * Formula: CAGR = (Final Value / Invested)^(1 / years) - 1
+ * @param {number} totalInvested - Amount invested
+ * @param {number} finalValue - Current value plus amounts taken out
+ * @param {number} years - Years from the first investment to the valuation date
+ * @returns {number|null} CAGR as a decimal, or null for a period of zero length
+ */
+function calculateCAGR(totalInvested, finalValue, years) {
+    if (years <= 0) {
+        return null;
+    }
+    return Math.pow(finalValue / totalInvested, 1 / years) - 1;
+}
+
+/**
+ * Parse Cash Flows CSV
+ * Needs date and amount columns (headers matched case-insensitively). Dates
+ * may be YYYY-MM-DD or DD-MM-YYYY; amounts may contain thousands separators,
+ * a currency symbol or accounting brackets for negatives.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Cash flows ({ date, amount })
+ * @throws {ValidationError} If columns are missing or a row is invalid
+ */
+function parseCashFlowsCsv(text) {
+    const rows = parseCsv(text);
+    const fail = message => ({ field: 'cashFlowsCsv', code: 'invalid', message });
+
+    if (rows.length < 2) {
+        throw new ValidationError([fail('Cash flows CSV has no rows')]);
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const dateColumn = headers.indexOf('date');
+    const amountColumn = headers.indexOf('amount');
+    if (dateColumn === -1 || amountColumn === -1) {
+        throw new ValidationError([fail('Cash flows CSV must have date and amount columns')]);
+    }
+
+    const errors = [];
+    const flows = [];
+
+    rows.slice(1).forEach((fields, index) => {
+        const row = index + 2;
+        const date = parseCsvDate((fields[dateColumn] || '').trim());
+        const amount = parseCsvAmount(fields[amountColumn] || '');
+
+        if (!date) {
+            errors.push(fail(`Row ${row}: date must be YYYY-MM-DD or DD-MM-YYYY`));
+        } else if (amount === null || amount === 0) {
+            errors.push(fail(`Row ${row}: amount must be a non-zero number`));
+        } else {
+            flows.push({ date, amount });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    return flows;
+}
+
+/**
+ * Validate Input Parameters
+ * @param {Object} inputs - Calculator inputs (see calculateReturns)
+ * @returns {Object} Validated inputs (numeric strings converted to numbers, defaults applied)
+ * @throws {ValidationError} If validation fails
+ */
+function validateInputs(inputs) {
+    return assertValid(schemas.xirrCalculator, inputs);
+}
+
+module.exports = {
+    calculateReturns,
+    calculateXIRR,
+    calculateCAGR,
+    parseCashFlowsCsv,
+    validateInputs
+};
@@ -10,6 +10,9 @@
  * - generateTags(topic, category, count) - Generate optimized tags
  */
 
+const { assertValid } = require('../utils/validation');
+const schemas = require('../schemas/social-media');
+
 /**
  * Generate Titles and Tags
  * @param {string} topic - Topic or keyword
@@ -247,16 +250,10 @@ async function generateTags(topic, category, count) {
 /**
  * Validate Topic
  * @param {string} topic - Topic to validate
- * @throws {Error} If validation fails
+ * @throws {ValidationError} If validation fails
  */
 function validateTopic(topic) {
-    if (!topic || topic.trim().length === 0) {
-        throw new Error('Topic is required');
-    }
-
-    if (topic.length > 200) {
-        throw new Error('Topic must be less than 200 characters');
-    }
+    assertValid(schemas.youtubeTitleTagGenerator, { topic });
 }
 
 module.exports = {
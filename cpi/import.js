@@ -0,0 +1,57 @@
+/**
+ * CPI Import Command
+ *
+ * Merges an official CPI download into a bundled series file:
+ *
+ *   npm run cpi:import -- <series> <file> [--filter Column=Value ...]
+ *
+ * e.g. npm run cpi:import -- us-cpi-u CUUR0000SA0.csv
+ *      npm run cpi:import -- india-cpi cpi.csv --filter Sector=Combined --filter Group="General Index"
+ *
+ * See parseCpiSource in index.js for the formats read.
+ */
+
+const fs = require('fs');
+const { CPI_SERIES_IDS, importCpiSeries } = require('./index');
+
+const USAGE = `Usage: npm run cpi:import -- <${CPI_SERIES_IDS.join('|')}> <file> [--filter Column=Value ...]`;
+
+/**
+ * Run the import with command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ */
+async function main(args) {
+    const positional = [];
+    const filters = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--filter') {
+            const [column, ...value] = (args[++i] || '').split('=');
+            if (!column || value.length === 0) {
+                throw new Error(`--filter needs Column=Value\n${USAGE}`);
+            }
+            filters[column] = value.join('=');
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    const [seriesId, file] = positional;
+    if (!seriesId || !file) {
+        throw new Error(USAGE);
+    }
+
+    const result = await importCpiSeries(seriesId, fs.readFileSync(file, 'utf8'), { filters });
+
+    console.log(`Updated ${result.file} (${result.firstYear}-${result.lastYear})`);
+    console.log(`Added years: ${result.added.join(', ') || 'none'}`);
+    console.log(`Changed years: ${result.updated.join(', ') || 'none'}`);
+    if (result.skippedYears.length > 0) {
+        console.log(`Skipped incomplete years: ${result.skippedYears.join(', ')}`);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
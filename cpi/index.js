@@ -0,0 +1,284 @@
+/**
+ * Consumer Price Index Data
+ *
+ * Bundled CPI series used to convert amounts between years. Each series is
+ * a CSV file in cpi/data with one calendar-year average per row:
+ *
+ *   # comment lines (source and notes)
+ *   Year,CPI
+ *   2023,180.9
+ *
+ * The files are read on every call, so an import takes effect without a
+ * restart. They are refreshed from the official downloads with the import
+ * command (see import.js), which averages monthly values into years and
+ * merges them into the file.
+ *
+ * Environment variables:
+ * - CPI_DATA_DIR: directory with the series files (defaults to cpi/data)
+ *
+ * Functions:
+ * - getCpiSeries(seriesId) - Read a series: its index for each year and the years covered
+ * - importCpiSeries(seriesId, text, options) - Merge an official download into a series file
+ * - parseCpiFile(text) - Parse a series file into comment lines and yearly values
+ * - formatCpiFile(comments, values) - Build series file text
+ * - parseCpiSource(text, options) - Yearly averages from an official CSV download
+ * - getPeriodMonth(value) - Month of a period written as M01-M13, a number or a month name
+ * - getCpiFilePath(seriesId) - Path of a series file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../utils/csv');
+const { HttpError } = require('../utils/errors');
+
+const CPI_SERIES = {
+    'india-cpi': {
+        name: 'India CPI (Combined)',
+        currency: 'INR',
+        file: 'india-cpi.csv'
+    },
+    'us-cpi-u': {
+        name: 'US CPI-U (all items, U.S. city average)',
+        currency: 'USD',
+        file: 'us-cpi-u.csv'
+    }
+};
+const CPI_SERIES_IDS = Object.keys(CPI_SERIES);
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// Header names recognised in official downloads (compared in lower case)
+const YEAR_COLUMNS = ['year'];
+const PERIOD_COLUMNS = ['period', 'month'];
+const VALUE_COLUMNS = ['value', 'index', 'cpi', 'general index'];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Get CPI Series
+ * @param {string} seriesId - Series id (see CPI_SERIES)
+ * @returns {Promise<Object>} { id, name, currency, values: { year: index }, firstYear, lastYear }
+ * @throws {HttpError} 503 if the series file cannot be read or has no values
+ */
+async function getCpiSeries(seriesId) {
+    const series = CPI_SERIES[seriesId];
+    let text;
+    try {
+        text = await fs.promises.readFile(getCpiFilePath(seriesId), 'utf8');
+    } catch (error) {
+        console.error('Error reading CPI series:', error);
+        throw new HttpError(503, `CPI data for ${series.name} is not available`);
+    }
+
+    const { values } = parseCpiFile(text);
+    const years = Object.keys(values).map(Number).sort((a, b) => a - b);
+    if (years.length === 0) {
+        throw new HttpError(503, `CPI data for ${series.name} is not available`);
+    }
+
+    return {
+        id: seriesId,
+        name: series.name,
+        currency: series.currency,
+        values,
+        firstYear: years[0],
+        lastYear: years[years.length - 1]
+    };
+}
+
+/**
+ * Import CPI Series
+ * Years in the download replace the same years in the file; other years are kept.
+ * @param {string} seriesId - Series id (see CPI_SERIES)
+ * @param {string} text - Official CSV download (see parseCpiSource)
+ * @param {Object} options - { filters } passed to parseCpiSource
+ * @returns {Promise<Object>} { file, added, updated, skippedYears, firstYear, lastYear }
+ * @throws {Error} If the series is unknown or the download has no complete year
+ */
+async function importCpiSeries(seriesId, text, options = {}) {
+    if (!CPI_SERIES[seriesId]) {
+        throw new Error(`Unknown CPI series: ${seriesId} (expected one of: ${CPI_SERIES_IDS.join(', ')})`);
+    }
+
+    const imported = parseCpiSource(text, options);
+    const importedYears = Object.keys(imported.values);
+    if (importedYears.length === 0) {
+        throw new Error('The file has no complete year of CPI values');
+    }
+
+    const filePath = getCpiFilePath(seriesId);
+    let existing = { comments: [], values: {} };
+    try {
+        existing = parseCpiFile(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const added = importedYears.filter(year => existing.values[year] === undefined).map(Number);
+    const updated = importedYears
+        .filter(year => existing.values[year] !== undefined && existing.values[year] !== imported.values[year])
+        .map(Number);
+    const values = { ...existing.values, ...imported.values };
+
+    await fs.promises.writeFile(filePath, formatCpiFile(existing.comments, values));
+
+    const years = Object.keys(values).map(Number).sort((a, b) => a - b);
+    return {
+        file: filePath,
+        added,
+        updated,
+        skippedYears: imported.skippedYears,
+        firstYear: years[0],
+        lastYear: years[years.length - 1]
+    };
+}
+
+/**
+ * Parse CPI Series File
+ * @param {string} text - Series file contents
+ * @returns {Object} { comments: Array<string> (without the leading #), values: { year: index } }
+ */
+function parseCpiFile(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const comments = lines.filter(line => line.startsWith('#')).map(line => line.replace(/^#\s?/, ''));
+    const values = {};
+
+    parseCsv(lines.filter(line => !line.startsWith('#')).join('\n')).forEach(([year, value]) => {
+        const index = Number(value);
+        if (/^\d{4}$/.test((year || '').trim()) && Number.isFinite(index) && index > 0) {
+            values[Number(year)] = index;
+        }
+    });
+
+    return { comments, values };
+}
+
+/**
+ * Format CPI Series File
+ * @param {Array<string>} comments - Comment lines (without the leading #)
+ * @param {Object} values - Index by year
+ * @returns {string} File contents
+ */
+function formatCpiFile(comments, values) {
+    const rows = Object.keys(values)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(year => `${year},${values[year]}`);
+
+    return [...comments.map(comment => `# ${comment}`), 'Year,CPI', ...rows].join('\n') + '\n';
+}
+
+/**
+ * Parse CPI Source
+ * Reads an official CSV download with a year column, a value column (Value,
+ * Index, CPI or General Index) and optionally a period column:
+ * - BLS (Series ID, Year, Period, Label, Value): period M13 is the annual
+ *   average; otherwise M01-M12 are averaged. Other periods (S01, S02) are ignored.
+ * - MoSPI (Year, Month, ..., Index): month names are averaged; use filters to
+ *   pick one row per month (e.g. { Sector: 'Combined', Group: 'General Index' }).
+ * - Yearly files (Year, CPI) are taken as they are.
+ * Years with fewer than 12 months and no annual average are skipped.
+ * @param {string} text - CSV text
+ * @param {Object} options - { filters: { column: value } rows must match (case-insensitive) }
+ * @returns {Object} { values: { year: index }, skippedYears: Array<number> }
+ * @throws {Error} If the year or value column is missing
+ */
+function parseCpiSource(text, { filters = {} } = {}) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    const findColumn = names => columns.findIndex(name => names.includes(name));
+
+    const yearColumn = findColumn(YEAR_COLUMNS);
+    const periodColumn = findColumn(PERIOD_COLUMNS);
+    const valueColumn = findColumn(VALUE_COLUMNS);
+    if (yearColumn === -1 || valueColumn === -1) {
+        throw new Error(`The file needs a Year column and one of these value columns: ${VALUE_COLUMNS.join(', ')}`);
+    }
+
+    const filterColumns = Object.entries(filters).map(([name, value]) => {
+        const index = columns.indexOf(name.trim().toLowerCase());
+        if (index === -1) {
+            throw new Error(`Filter column not found: ${name}`);
+        }
+        return { index, value: String(value).trim().toLowerCase() };
+    });
+
+    // Monthly values and annual averages by year
+    const months = {};
+    const annual = {};
+    rows.forEach(row => {
+        if (!filterColumns.every(filter => (row[filter.index] || '').trim().toLowerCase() === filter.value)) {
+            return;
+        }
+
+        const year = Number((row[yearColumn] || '').trim());
+        const value = Number((row[valueColumn] || '').trim());
+        if (!Number.isInteger(year) || year < 1000 || !Number.isFinite(value) || value <= 0) {
+            return;
+        }
+
+        const month = periodColumn === -1 ? 13 : getPeriodMonth(row[periodColumn]);
+        if (month === 13) {
+            annual[year] = value;
+        } else if (month) {
+            months[year] = { ...months[year], [month]: value };
+        }
+    });
+
+    const values = {};
+    const skippedYears = [];
+    new Set([...Object.keys(months), ...Object.keys(annual)].map(Number)).forEach(year => {
+        const monthly = Object.values(months[year] || {});
+        if (annual[year] !== undefined) {
+            values[year] = annual[year];
+        } else if (monthly.length === 12) {
+            values[year] = Math.round(monthly.reduce((total, value) => total + value, 0) / 12 * 1000) / 1000;
+        } else {
+            skippedYears.push(year);
+        }
+    });
+
+    return { values, skippedYears: skippedYears.sort((a, b) => a - b) };
+}
+
+/**
+ * Get Period Month
+ * @param {string} value - Period as written in the file (M01-M13, 1-12 or a month name)
+ * @returns {number|null} Month 1-12, 13 for an annual average, or null for other periods
+ */
+function getPeriodMonth(value) {
+    const text = (value || '').trim().toLowerCase();
+
+    const bls = text.match(/^m(\d{2})$/);
+    if (bls) {
+        const month = Number(bls[1]);
+        return month >= 1 && month <= 13 ? month : null;
+    }
+    if (/^\d{1,2}$/.test(text)) {
+        const month = Number(text);
+        return month >= 1 && month <= 12 ? month : null;
+    }
+
+    const index = MONTH_NAMES.indexOf(text.slice(0, 3));
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Get CPI File Path
+ * @param {string} seriesId - Series id (see CPI_SERIES)
+ * @returns {string} Path of the series file
+ */
+function getCpiFilePath(seriesId) {
+    return path.join(process.env.CPI_DATA_DIR || DEFAULT_DATA_DIR, CPI_SERIES[seriesId].file);
+}
+
+module.exports = {
+    CPI_SERIES,
+    CPI_SERIES_IDS,
+    getCpiSeries,
+    importCpiSeries,
+    parseCpiFile,
+    formatCpiFile,
+    parseCpiSource,
+    getCpiFilePath
+};
@@ -0,0 +1,60 @@
+/**
+ * Cached Rate Provider
+ *
+ * Wraps a rate provider with an in-memory TTL cache keyed by date, so
+ * repeated conversions do not re-read the rate file or call the rate
+ * service. Concurrent requests for the same date share one lookup.
+ *
+ * Functions:
+ * - createCachedRateProvider(provider, options) - Wrap a provider with a TTL cache
+ */
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+/**
+ * Create Cached Rate Provider
+ * @param {Object} provider - Provider implementing getRates(date)
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlSeconds - How long a rate table is reused (default 3600)
+ * @param {Function} options.now - Clock returning a timestamp in ms (default Date.now)
+ * @returns {Object} Rate provider implementing getRates(date) and clear()
+ */
+function createCachedRateProvider(provider, { ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now } = {}) {
+    const entries = new Map();
+
+    return {
+        name: provider.name,
+
+        async getRates(date) {
+            const key = date || 'latest';
+            const timestamp = now();
+
+            // Drop expired tables so the cache does not grow without bound
+            for (const [entryKey, entry] of entries) {
+                if (entry.expiresAt <= timestamp) entries.delete(entryKey);
+            }
+
+            if (!entries.has(key)) {
+                const promise = provider.getRates(date);
+                entries.set(key, { promise, expiresAt: timestamp + ttlSeconds * 1000 });
+
+                // Failed lookups are not cached
+                promise.catch(() => {
+                    if (entries.get(key) && entries.get(key).promise === promise) {
+                        entries.delete(key);
+                    }
+                });
+            }
+
+            return entries.get(key).promise;
+        },
+
+        clear() {
+            entries.clear();
+        }
+    };
+}
+
+module.exports = {
+    createCachedRateProvider
+};
@@ -0,0 +1,79 @@
+/**
+ * HTTP Rate Provider
+ *
+ * Fetches exchange rates from an HTTP service that answers in the
+ * Frankfurter-style JSON format:
+ *   GET <baseUrl>/latest       -> { base: 'EUR', date: '2024-01-02', rates: { USD: 1.0956, ... } }
+ *   GET <baseUrl>/<YYYY-MM-DD> -> same shape, for the latest rates on or before that date
+ * Any service (or a local stand-in) answering in this format can be used.
+ *
+ * Functions:
+ * - createHttpRateProvider(options) - Create a provider backed by an HTTP rate service
+ */
+
+const { HttpError } = require('../utils/errors');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Create HTTP Rate Provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Service base URL (e.g. http://localhost:8080)
+ * @param {number} options.timeoutMs - Request timeout in milliseconds (default 5000)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {Object} Rate provider implementing getRates(date)
+ */
+function createHttpRateProvider({ baseUrl, timeoutMs = DEFAULT_TIMEOUT_MS, fetch = globalThis.fetch }) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    return {
+        name: `http:${root}`,
+
+        /**
+         * Get the rate table for a date
+         * @param {string} date - Date (YYYY-MM-DD), or undefined for the latest rates
+         * @returns {Promise<Object>} { base, date, rates, fetchedAt }
+         */
+        async getRates(date) {
+            let response;
+            try {
+                response = await fetch(`${root}/${date || 'latest'}`, {
+                    headers: { Accept: 'application/json' },
+                    signal: AbortSignal.timeout(timeoutMs)
+                });
+            } catch (error) {
+                console.error('Error fetching exchange rates:', error);
+                throw new HttpError(502, 'Exchange rate service is unavailable');
+            }
+
+            if (response.status === 404 || response.status === 422) {
+                throw new HttpError(422, `No exchange rates available for ${date || 'today'}`);
+            }
+            if (!response.ok) {
+                throw new HttpError(502, `Exchange rate service responded with status ${response.status}`);
+            }
+
+            let body;
+            try {
+                body = await response.json();
+            } catch (error) {
+                throw new HttpError(502, 'Exchange rate service returned an invalid response');
+            }
+
+            if (!body || typeof body.base !== 'string' || !body.rates || typeof body.rates !== 'object') {
+                throw new HttpError(502, 'Exchange rate service returned an invalid response');
+            }
+
+            return {
+                base: body.base.toUpperCase(),
+                date: body.date || date || new Date().toISOString().slice(0, 10),
+                rates: body.rates,
+                fetchedAt: new Date().toISOString()
+            };
+        }
+    };
+}
+
+module.exports = {
+    createHttpRateProvider
+};
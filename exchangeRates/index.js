@@ -0,0 +1,138 @@
+/**
+ * Exchange Rates
+ *
+ * Single entry point for exchange rates. Controllers ask for a rate between
+ * two currencies and never talk to a provider directly, so the source can be
+ * swapped without touching them.
+ *
+ * A rate provider implements getRates(date) -> Promise<{ base, date, rates, fetchedAt }>,
+ * returning every rate quoted against one base currency for the latest day
+ * on or before the date (or the latest day when no date is given). Rates
+ * between two other currencies are computed through the base (cross rates).
+ *
+ * Provider selection (environment variables):
+ * - EXCHANGE_RATES_PROVIDER: 'offline' (default) | 'http'
+ * - EXCHANGE_RATES_FILE: reference-rate file for the offline provider, e.g. the
+ *   ECB eurofxref-hist.csv download (defaults to the bundled sample in
+ *   exchangeRates/data, which only has a few days of approximate rates and is
+ *   meant for development)
+ * - EXCHANGE_RATES_URL: base URL for the http provider (see httpProvider.js)
+ * - EXCHANGE_RATES_CACHE_TTL_SECONDS: how long rate tables are cached (default 3600)
+ *
+ * Functions:
+ * - getExchangeRate(fromCurrency, toCurrency, date) - Get the rate between two currencies
+ * - getCrossRate(table, fromCurrency, toCurrency) - Compute a rate from a rate table
+ * - getRateProvider() - Get the active provider (created on first use)
+ * - setRateProvider(provider) - Replace the active provider (e.g. with a stub in tests)
+ * - createRateProviderFromEnv() - Create a provider from environment configuration
+ */
+
+const path = require('path');
+const { HttpError } = require('../utils/errors');
+const { createOfflineRateProvider } = require('./offlineProvider');
+const { createHttpRateProvider } = require('./httpProvider');
+const { createCachedRateProvider } = require('./cachedProvider');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'data', 'eurofxref-hist-sample.csv');
+
+let activeProvider = null;
+
+/**
+ * Get Exchange Rate
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {string} date - Date (YYYY-MM-DD), or undefined for the latest rate
+ * @returns {Promise<Object>} { rate, base, date, source, fetchedAt }
+ * @throws {HttpError} 422 if the provider has no rate for either currency or the date
+ */
+async function getExchangeRate(fromCurrency, toCurrency, date) {
+    const provider = getRateProvider();
+    const table = await provider.getRates(date);
+    const rate = getCrossRate(table, fromCurrency, toCurrency);
+
+    if (rate === null) {
+        const missing = [fromCurrency, toCurrency].filter(currency => currency !== table.base && !table.rates[currency]);
+        throw new HttpError(422, `No exchange rate available for ${fromCurrency}/${toCurrency} (${missing.join(', ')} not quoted on ${table.date})`);
+    }
+
+    return {
+        rate,
+        base: table.base,
+        date: table.date,
+        source: provider.name,
+        fetchedAt: table.fetchedAt
+    };
+}
+
+/**
+ * Get Cross Rate
+ * Formula: rate(from -> to) = rate(base -> to) / rate(base -> from)
+ * @param {Object} table - Rate table ({ base, rates })
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @returns {number|null} Units of toCurrency per unit of fromCurrency, or null if either is not quoted
+ */
+function getCrossRate(table, fromCurrency, toCurrency) {
+    const perBase = currency => (currency === table.base ? 1 : table.rates[currency]);
+    const fromRate = perBase(fromCurrency);
+    const toRate = perBase(toCurrency);
+
+    if (!fromRate || !toRate) {
+        return null;
+    }
+
+    return toRate / fromRate;
+}
+
+/**
+ * Get Active Rate Provider
+ * @returns {Object} Active provider
+ */
+function getRateProvider() {
+    if (!activeProvider) {
+        activeProvider = createRateProviderFromEnv();
+    }
+    return activeProvider;
+}
+
+/**
+ * Set Active Rate Provider
+ * @param {Object} provider - Provider implementing getRates(date)
+ */
+function setRateProvider(provider) {
+    activeProvider = provider;
+}
+
+/**
+ * Create Rate Provider from Environment Configuration
+ * @returns {Object} Configured provider, wrapped in a TTL cache
+ */
+function createRateProviderFromEnv() {
+    const type = (process.env.EXCHANGE_RATES_PROVIDER || 'offline').toLowerCase();
+    const ttlSeconds = Number(process.env.EXCHANGE_RATES_CACHE_TTL_SECONDS) || undefined;
+    let provider;
+
+    if (type === 'offline') {
+        provider = createOfflineRateProvider(process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE);
+    } else if (type === 'http') {
+        if (!process.env.EXCHANGE_RATES_URL) {
+            throw new Error('EXCHANGE_RATES_URL is required for the http exchange rate provider');
+        }
+        provider = createHttpRateProvider({ baseUrl: process.env.EXCHANGE_RATES_URL });
+    } else {
+        throw new Error(`Unknown exchange rate provider: ${type}`);
+    }
+
+    return createCachedRateProvider(provider, { ttlSeconds });
+}
+
+module.exports = {
+    getExchangeRate,
+    getCrossRate,
+    getRateProvider,
+    setRateProvider,
+    createRateProviderFromEnv,
+    createOfflineRateProvider,
+    createHttpRateProvider,
+    createCachedRateProvider
+};
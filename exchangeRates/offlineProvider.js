@@ -0,0 +1,145 @@
+/**
+ * Offline Reference-Rate Provider
+ *
+ * Serves exchange rates from a reference-rate file on disk, in the formats
+ * the European Central Bank publishes:
+ * - CSV: eurofxref.csv (latest day) or eurofxref-hist.csv (full history),
+ *   one row per day with a "Date" column and one column per currency
+ * - XML: eurofxref-daily.xml or eurofxref-hist.xml (<Cube time="..."> blocks)
+ * Rates are quoted against EUR; missing rates ("N/A" or blank) are skipped.
+ *
+ * The file is read on every call, so replacing it takes effect without a
+ * restart (wrap the provider with createCachedRateProvider to avoid the I/O).
+ *
+ * Functions:
+ * - createOfflineRateProvider(filePath) - Create a provider backed by a reference-rate file
+ * - parseReferenceRates(text) - Parse ECB CSV or XML into rate tables
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../utils/csv');
+const { HttpError } = require('../utils/errors');
+
+const ECB_BASE_CURRENCY = 'EUR';
+
+/**
+ * Create Offline Rate Provider
+ * @param {string} filePath - Path of the reference-rate file (.csv or .xml)
+ * @returns {Object} Rate provider implementing getRates(date)
+ */
+function createOfflineRateProvider(filePath) {
+    return {
+        name: `offline:${path.basename(filePath)}`,
+
+        /**
+         * Get the rate table for a date (the latest published on or before it)
+         * @param {string} date - Date (YYYY-MM-DD), or undefined for the latest rates
+         * @returns {Promise<Object>} { base, date, rates, fetchedAt }
+         */
+        async getRates(date) {
+            let text;
+            try {
+                text = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                console.error('Error reading reference rates:', error);
+                throw new HttpError(503, 'Exchange rates are not available');
+            }
+
+            // Newest first, so the first table on or before the date is the one in force
+            const tables = parseReferenceRates(text).sort((a, b) => b.date.localeCompare(a.date));
+            const table = date ? tables.find(candidate => candidate.date <= date) : tables[0];
+
+            if (!table) {
+                const earliest = tables.length > 0 ? ` (earliest available: ${tables[tables.length - 1].date})` : '';
+                throw new HttpError(422, `No exchange rates available for ${date || 'today'}${earliest}`);
+            }
+
+            return { ...table, fetchedAt: new Date().toISOString() };
+        }
+    };
+}
+
+/**
+ * Parse Reference Rates
+ * @param {string} text - ECB CSV or XML file contents
+ * @returns {Array<Object>} Rate tables ({ base, date, rates })
+ */
+function parseReferenceRates(text) {
+    return text.trimStart().startsWith('<') ? parseXmlRates(text) : parseCsvRates(text);
+}
+
+/**
+ * Parse ECB CSV Rates
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rate tables
+ */
+function parseCsvRates(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(name => name.trim());
+
+    return rows
+        .map(row => {
+            const date = toIsoDate(row[0]);
+            const rates = {};
+
+            columns.forEach((currency, index) => {
+                const value = (row[index] || '').trim();
+                const rate = Number(value);
+                if (index > 0 && /^[A-Z]{3}$/.test(currency) && value !== '' && Number.isFinite(rate) && rate > 0) {
+                    rates[currency] = rate;
+                }
+            });
+
+            return date ? { base: ECB_BASE_CURRENCY, date, rates } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Parse ECB XML Rates
+ * @param {string} text - XML text
+ * @returns {Array<Object>} Rate tables
+ */
+function parseXmlRates(text) {
+    const tables = [];
+    const cubePattern = /<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]\s*>|<Cube\s+currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]\s*\/>/g;
+    let current = null;
+    let match;
+
+    while ((match = cubePattern.exec(text)) !== null) {
+        if (match[1]) {
+            current = { base: ECB_BASE_CURRENCY, date: match[1], rates: {} };
+            tables.push(current);
+        } else if (current) {
+            current.rates[match[2]] = Number(match[3]);
+        }
+    }
+
+    return tables;
+}
+
+/**
+ * Convert an ECB Date to ISO Format
+ * The history file uses YYYY-MM-DD; the daily file uses e.g. "02 January 2024".
+ * @param {string} value - Date as written in the file
+ * @returns {string|null} Date (YYYY-MM-DD) or null if unreadable
+ */
+function toIsoDate(value) {
+    const text = (value || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return text;
+    }
+
+    const timestamp = Date.parse(`${text} UTC`);
+    return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString().slice(0, 10);
+}
+
+module.exports = {
+    createOfflineRateProvider,
+    parseReferenceRates
+};
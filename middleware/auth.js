@@ -0,0 +1,99 @@
+/**
+ * Authentication Middleware
+ *
+ * Functions:
+ * - authenticate(req, res, next) - Resolve the bearer token (if any) and set req.user
+ * - requireAuth(req, res, next) - Reject requests without an authenticated user
+ * - requireAdmin(req, res, next) - Reject requests without the admin token
+ * - getBearerToken(req) - Extract the bearer token from the Authorization header
+ */
+
+const crypto = require('crypto');
+const authController = require('../controllers/authController');
+
+/**
+ * Authenticate Request
+ * Sets req.user to { id, email, name, createdAt } when a valid session token is sent.
+ * Requests without a valid token pass through anonymously so public tools keep
+ * working; an invalid or expired token is remembered in req.authError and
+ * reported by requireAuth.
+ */
+async function authenticate(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+        if (!token) {
+            return next();
+        }
+
+        const user = await authController.getUserByToken(token);
+        if (!user) {
+            req.authError = 'Invalid or expired session token';
+            return next();
+        }
+
+        req.user = user;
+        req.authToken = token;
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Require Authenticated User
+ */
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: req.authError || 'Authentication required'
+        });
+    }
+    next();
+}
+
+/**
+ * Require Admin Token
+ * Admin routes are enabled by setting ADMIN_API_TOKEN; callers send it in
+ * the "X-Admin-Token" header.
+ */
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({
+            success: false,
+            error: 'Admin API is disabled (ADMIN_API_TOKEN is not set)'
+        });
+    }
+
+    const provided = req.get('X-Admin-Token') || '';
+    const expectedHash = crypto.createHash('sha256').update(adminToken).digest();
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+    if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Invalid admin token'
+        });
+    }
+    next();
+}
+
+/**
+ * Get Bearer Token from Request
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    authenticate,
+    requireAuth,
+    requireAdmin,
+    getBearerToken
+};
@@ -0,0 +1,178 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Requests sending a valid "X-API-Key" header are limited by that key's
+ * rate limit and quota; all other requests are limited per client IP.
+ * Every response carries X-RateLimit-Limit, X-RateLimit-Remaining and
+ * X-RateLimit-Reset (Unix seconds); keyed requests also get X-Quota-*
+ * headers. Rejected requests get 429 with a Retry-After header. A request
+ * the key's rate limit rejects is not counted against its quota.
+ *
+ * A request with an unknown or revoked key gets 401 rather than the per-IP
+ * limit, so a mistyped or revoked key is reported instead of silently
+ * running with the lower anonymous limit.
+ *
+ * Configuration (environment variables):
+ * - RATE_LIMIT_IP_MAX: requests per window for clients without a key (default 60)
+ * - RATE_LIMIT_IP_WINDOW_SECONDS: window length for IP limits (default 60)
+ * - RATE_LIMIT_STORE: 'memory' (default) | 'persistent' (counters kept in the storage layer)
+ *
+ * Functions:
+ * - createRateLimiter(options) - Create the rate limiting middleware
+ * - createCounterStoreFromEnv() - Create the counter store selected by RATE_LIMIT_STORE
+ * - getWindow(now, windowSeconds) - Get the fixed window containing a timestamp
+ * - getQuotaWindow(now, period) - Get the calendar window (UTC day or month) containing a timestamp
+ */
+
+const apiKeyController = require('../controllers/apiKeyController');
+const { getStore } = require('../storage');
+const { createMemoryCounterStore, createPersistentCounterStore } = require('../storage/counterStore');
+
+/**
+ * Create Rate Limiter
+ * @param {Object} options - { counterStore, ipLimit, ipWindowSeconds }
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter(options = {}) {
+    const counterStore = options.counterStore || createCounterStoreFromEnv();
+    const ipLimit = options.ipLimit || Number(process.env.RATE_LIMIT_IP_MAX) || 60;
+    const ipWindowSeconds = options.ipWindowSeconds || Number(process.env.RATE_LIMIT_IP_WINDOW_SECONDS) || 60;
+
+    return async function rateLimit(req, res, next) {
+        try {
+            const now = Date.now();
+            const rawKey = req.get('X-API-Key');
+
+            if (rawKey) {
+                const apiKey = await apiKeyController.findActiveApiKey(rawKey);
+                if (!apiKey) {
+                    return res.status(401).json({
+                        success: false,
+                        error: 'Invalid or revoked API key'
+                    });
+                }
+
+                req.apiKey = apiKey;
+
+                // Quota first: a request rejected by the quota must not use up the short-term rate limit
+                const quotaWindow = getQuotaWindow(now, apiKey.quota.period);
+                const quotaKey = `quota:${apiKey.id}:${quotaWindow.start}`;
+                const { count: quotaCount } = await counterStore.increment(quotaKey, quotaWindow.resetAt);
+                const setQuotaHeaders = count => res.set({
+                    'X-Quota-Limit': String(apiKey.quota.limit),
+                    'X-Quota-Remaining': String(Math.max(0, apiKey.quota.limit - count)),
+                    'X-Quota-Reset': String(Math.ceil(quotaWindow.resetAt / 1000))
+                });
+
+                setQuotaHeaders(quotaCount);
+
+                if (quotaCount > apiKey.quota.limit) {
+                    return reject(res, now, quotaWindow.resetAt, `API key quota of ${apiKey.quota.limit} requests per ${apiKey.quota.period} exceeded`);
+                }
+
+                // A request the rate limit rejects is never served, so it gives its quota back
+                return applyLimit(res, next, now, `key:${apiKey.id}`, apiKey.rateLimit.limit, apiKey.rateLimit.windowSeconds, async () => {
+                    const { count } = await counterStore.increment(quotaKey, quotaWindow.resetAt, -1);
+                    setQuotaHeaders(count);
+                });
+            }
+
+            return applyLimit(res, next, now, `ip:${req.ip}`, ipLimit, ipWindowSeconds);
+
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    async function applyLimit(res, next, now, subject, limit, windowSeconds, onReject) {
+        const window = getWindow(now, windowSeconds);
+        const { count } = await counterStore.increment(`rate:${subject}:${window.start}`, window.resetAt);
+
+        res.set({
+            'X-RateLimit-Limit': String(limit),
+            'X-RateLimit-Remaining': String(Math.max(0, limit - count)),
+            'X-RateLimit-Reset': String(Math.ceil(window.resetAt / 1000))
+        });
+
+        if (count > limit) {
+            if (onReject) await onReject();
+            return reject(res, now, window.resetAt, `Rate limit of ${limit} requests per ${windowSeconds} seconds exceeded`);
+        }
+
+        next();
+    }
+}
+
+/**
+ * Send a 429 response
+ * @param {Object} res - Express response
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} resetAt - Timestamp (ms) when the limit resets
+ * @param {string} message - Error message
+ */
+function reject(res, now, resetAt, message) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        error: message,
+        retryAfter
+    });
+}
+
+/**
+ * Create Counter Store from Environment Configuration
+ * @returns {Object} Counter store
+ */
+function createCounterStoreFromEnv() {
+    const backend = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+    if (backend === 'memory') {
+        return createMemoryCounterStore();
+    }
+
+    if (backend === 'persistent') {
+        return createPersistentCounterStore(getStore);
+    }
+
+    throw new Error(`Unknown rate limit store: ${backend}`);
+}
+
+/**
+ * Get Fixed Window
+ * @param {number} now - Timestamp (ms)
+ * @param {number} windowSeconds - Window length in seconds
+ * @returns {Object} { start, resetAt } timestamps (ms)
+ */
+function getWindow(now, windowSeconds) {
+    const windowMs = windowSeconds * 1000;
+    const start = Math.floor(now / windowMs) * windowMs;
+    return { start, resetAt: start + windowMs };
+}
+
+/**
+ * Get Quota Window
+ * @param {number} now - Timestamp (ms)
+ * @param {string} period - 'day' | 'month'
+ * @returns {Object} { start, resetAt } timestamps (ms), UTC calendar aligned
+ */
+function getQuotaWindow(now, period) {
+    const date = new Date(now);
+
+    if (period === 'month') {
+        const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+        const resetAt = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+        return { start, resetAt };
+    }
+
+    const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return { start, resetAt: start + 24 * 60 * 60 * 1000 };
+}
+
+module.exports = {
+    createRateLimiter,
+    createCounterStoreFromEnv,
+    getWindow,
+    getQuotaWindow
+};
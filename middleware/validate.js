@@ -0,0 +1,48 @@
+/**
+ * Request Validation Middleware
+ *
+ * Validates the request body against a tool schema (see utils/validation.js)
+ * before the route handler runs. On success req.body is replaced with the
+ * coerced value (numeric strings converted, defaults applied); on failure the
+ * request is rejected with 400:
+ *
+ *   {
+ *     success: false,
+ *     error: string (first error message),
+ *     errors: Array<{ field: string, code: string, message: string }>
+ *   }
+ *
+ * Functions:
+ * - validateBody(schema) - Create middleware validating req.body
+ */
+
+const { validate } = require('../utils/validation');
+
+/**
+ * Create Body Validation Middleware
+ * @param {Object} schema - Schema for the request body
+ * @returns {Function} Express middleware (exposes the schema as middleware.schema)
+ */
+function validateBody(schema) {
+    const middleware = function validateRequestBody(req, res, next) {
+        const { value, errors } = validate(schema, req.body || {});
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors[0].message,
+                errors
+            });
+        }
+
+        req.body = value;
+        next();
+    };
+
+    middleware.schema = schema;
+    return middleware;
+}
+
+module.exports = {
+    validateBody
+};
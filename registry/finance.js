@@ -0,0 +1,1120 @@
+/**
+ * Finance Tools Registry
+ *
+ * Tools served by routes/finance-tools.js. Endpoint paths are relative to
+ * the category path; input schemas are the ones the routes validate with.
+ */
+
+const schemas = require('../schemas/finance');
+const { LIMITING_CONSTRAINTS } = require('../controllers/loanEligibilityCalculatorController');
+const { DEBT_PAYOFF_STRATEGIES } = require('../controllers/debtPayoffPlannerController');
+const { GOAL_SEEK_STATUSES } = require('../controllers/goalSeekController');
+const { TAX_REGIMES, CAPITAL_GAINS_ASSET_CLASSES } = require('../taxRules');
+const { CPI_SERIES_IDS } = require('../cpi');
+const { number, integer, string, boolean, dateTime, object, arrayOf, nullable, withDescription } = require('./types');
+
+const limitingConstraint = withDescription(
+    { type: 'string', enum: LIMITING_CONSTRAINTS },
+    'Limit that determines the eligible amount'
+);
+
+const yearMonth = withDescription(string, 'YYYY-MM');
+
+const amortizationSchedule = arrayOf(object({
+    month: integer,
+    date: yearMonth,
+    interestRate: number,
+    openingBalance: number,
+    emi: number,
+    principal: number,
+    interest: number,
+    prepayment: number,
+    balance: number
+}));
+
+const corpusPercentiles = object({ p10: number, p50: number, p90: number });
+
+const simulationPortfolio = object({
+    expectedReturn: number,
+    volatility: withDescription(number, 'Asset classes taken as uncorrelated'),
+    assetClasses: arrayOf(object({ name: string, allocation: number, expectedReturn: number, volatility: number }))
+});
+
+const loanOfferTerms = {
+    name: string,
+    interestRate: number,
+    tenureMonths: integer,
+    monthlyEMI: number
+};
+
+const loanApr = withDescription(nullable(number), 'Yearly rate (monthly × 12) at which the amount received equals everything repaid');
+
+const cpiSeriesId = { type: 'string', enum: CPI_SERIES_IDS };
+
+const taxSlab = object({ slab: string, income: number, rate: number, tax: number });
+
+const hraExemption = object({
+    hraReceived: number,
+    rentPaid: number,
+    metroCity: boolean,
+    salaryForHra: withDescription(number, 'Basic + DA'),
+    rentInExcessOfSalary: withDescription(number, 'Rent paid above 10% of basic + DA'),
+    percentOfSalary: withDescription(number, '50% (metro) or 40% of basic + DA'),
+    percent: number,
+    exemption: withDescription(number, 'Least of the three limits'),
+    limitingFactor: { type: 'string', enum: ['hra-received', 'rent-paid', 'percent-of-salary'] },
+    taxableHra: number
+});
+
+const salaryBreakdown = object({
+    components: object({
+        basic: number,
+        da: number,
+        hraReceived: number,
+        lta: number,
+        employerNps: number,
+        otherAllowances: number
+    }),
+    grossSalary: number,
+    otherIncome: withDescription(number, 'Annual income above the gross salary'),
+    hraExemption,
+    ltaExemption: number
+});
+
+const regimeSalary = object({
+    grossSalary: number,
+    hraExemption: number,
+    ltaExemption: number,
+    standardDeduction: number,
+    taxableSalary: number,
+    employerNpsDeduction: withDescription(number, 'Section 80CCD(2), allowed under both regimes')
+});
+
+const regimeTax = object({
+    regime: string,
+    name: string,
+    standardDeduction: number,
+    allowedDeductions: withDescription(object(), 'Deductions after caps (only section80CCD2 under the new regime)'),
+    salaryBreakdown: nullable(regimeSalary),
+    totalDeductions: number,
+    taxableIncome: number,
+    taxSlabs: arrayOf(taxSlab),
+    taxBeforeRebate: number,
+    rebate87A: number,
+    incomeTax: number,
+    surchargeRate: number,
+    surcharge: number,
+    marginalRelief: number,
+    cess: number,
+    totalTaxPayable: number,
+    effectiveTaxRate: number,
+    afterTaxIncome: number,
+    notes: withDescription(arrayOf(string), 'Capped or disallowed deductions, rebate and relief applied')
+});
+
+const categoryAmount = object({
+    category: string,
+    amount: number,
+    percentage: number
+});
+
+const expenseType = { type: 'string', enum: schemas.EXPENSE_TYPES };
+
+const budgetSplit = object({ needs: number, wants: number, savings: number });
+
+const budgetBucket = object({
+    amount: number,
+    percentage: withDescription(number, 'Percent of income'),
+    target: number,
+    targetAmount: number
+});
+
+const budgetChange = object({ amount: number, percentage: nullable(number) });
+
+const budgetTrends = object({
+    rollingWindow: withDescription(integer, 'Saved months in each rolling average'),
+    months: arrayOf(object({
+        month: yearMonth,
+        income: number,
+        totalExpenses: number,
+        savings: number,
+        savingsPercentage: number,
+        score: integer,
+        change: withDescription(
+            nullable(object({ income: budgetChange, totalExpenses: budgetChange, savings: budgetChange })),
+            'Against the previous saved month'
+        ),
+        rollingAverage: object({ income: number, totalExpenses: number, savings: number })
+    })),
+    categoryChanges: arrayOf(object({ category: string, previous: number, current: number, change: budgetChange }))
+});
+
+const budgetResult = object({
+    income: number,
+    month: yearMonth,
+    expenses: arrayOf(object({ category: string, type: expenseType, amount: number, percentage: number })),
+    totalExpenses: number,
+    savings: withDescription(number, 'Negative when expenses exceed income'),
+    savingsPercentage: number,
+    breakdown: object({
+        byCategory: arrayOf(categoryAmount),
+        chartData: arrayOf(object({ category: string, value: number, percentage: number }))
+    }),
+    rule: object({
+        name: string,
+        split: budgetSplit,
+        buckets: object({ needs: budgetBucket, wants: budgetBucket, savings: budgetBucket }),
+        score: withDescription(integer, '0-100')
+    }),
+    alerts: arrayOf(object({
+        scope: { type: 'string', enum: ['category', 'bucket', 'total'] },
+        name: string,
+        amount: number,
+        limit: number,
+        difference: number,
+        message: string
+    })),
+    guessedTypes: withDescription(arrayOf(string), 'Categories whose type was guessed from the name'),
+    trends: nullable(budgetTrends)
+});
+
+const categoryRule = object({ pattern: withDescription(string, 'Regular expression'), category: string, type: expenseType });
+
+const statementTransactionFields = {
+    row: withDescription(integer, 'Line in the CSV'),
+    date: withDescription(string, 'YYYY-MM-DD'),
+    description: string,
+    amount: number,
+    direction: { type: 'string', enum: ['debit', 'credit'] }
+};
+
+module.exports = {
+    id: 'finance',
+    name: 'Finance Tools',
+    description: 'Loan, interest, investment, tax and budgeting calculators',
+    path: '/api/tools/finance',
+    router: require('../routes/finance-tools'),
+    file: require.resolve('../routes/finance-tools'),
+    tools: [
+        {
+            id: 'emi-calculator',
+            name: 'EMI Calculator',
+            description: 'Monthly instalment, total interest and amortization schedule for a loan, with prepayments and floating-rate resets',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/emi-calculator/calculate',
+                    inputSchema: schemas.emiCalculator,
+                    outputSchema: object({
+                        loanAmount: number,
+                        interestRate: number,
+                        tenureMonths: integer,
+                        monthlyEMI: number,
+                        totalInterest: number,
+                        totalPayable: number,
+                        startDate: yearMonth,
+                        closureDate: yearMonth,
+                        scenario: withDescription(object({
+                            tenureMonths: integer,
+                            closureDate: yearMonth,
+                            emiAfterEvents: number,
+                            totalInterest: number,
+                            totalPrepayments: number,
+                            totalPayable: number,
+                            interestSaved: withDescription(number, 'Negative when rate resets add more interest than prepayments save'),
+                            monthsSaved: integer
+                        }), 'Effect of the events against the original loan (only when events are given)'),
+                        amortizationSchedule: withDescription(amortizationSchedule, 'Only when includeSchedule is true')
+                    })
+                },
+                {
+                    method: 'POST',
+                    path: '/emi-calculator/export',
+                    inputSchema: schemas.emiCalculator,
+                    contentType: 'text/csv'
+                }
+            ]
+        },
+        {
+            id: 'loan-comparison',
+            name: 'Loan Comparison',
+            description: 'Loan offers ranked by APR and total cost including fees, insurance and prepayment penalties, and the savings and break-even month of refinancing an existing loan',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/loan-comparison/compare',
+                    inputSchema: schemas.loanComparison,
+                    outputSchema: object({
+                        loanAmount: number,
+                        offers: arrayOf(object({
+                            rank: withDescription(integer, 'By APR, then total cost'),
+                            ...loanOfferTerms,
+                            closingMonth: withDescription(integer, 'Last EMI, earlier with prepayments'),
+                            processingFee: number,
+                            otherCharges: number,
+                            insurancePremium: number,
+                            insuranceFinanced: boolean,
+                            upfrontCosts: withDescription(number, 'Fees plus insurance not financed'),
+                            totalInterest: number,
+                            prepaymentPenalties: number,
+                            totalCost: withDescription(number, 'Interest, fees, insurance and penalties'),
+                            totalPayable: number,
+                            apr: loanApr
+                        })),
+                        lowestApr: string,
+                        lowestTotalCost: string,
+                        notes: arrayOf(string)
+                    })
+                },
+                {
+                    method: 'POST',
+                    path: '/loan-comparison/refinance',
+                    inputSchema: schemas.loanRefinance,
+                    outputSchema: object({
+                        currentLoan: object({
+                            outstandingBalance: number,
+                            interestRate: number,
+                            remainingMonths: integer,
+                            monthlyEMI: number,
+                            totalInterest: number,
+                            totalPayable: number,
+                            foreclosurePenalty: number
+                        }),
+                        offers: arrayOf(object({
+                            rank: withDescription(integer, 'By net savings'),
+                            ...loanOfferTerms,
+                            monthlySaving: withDescription(number, 'Negative when the EMI goes up'),
+                            switchingCosts: object({
+                                foreclosurePenalty: number,
+                                processingFee: number,
+                                otherCharges: number,
+                                insurancePremium: number,
+                                total: number
+                            }),
+                            insuranceFinanced: boolean,
+                            totalInterest: number,
+                            interestSaved: number,
+                            netSavings: withDescription(number, 'Payments saved less switching costs'),
+                            breakEvenMonth: withDescription(nullable(integer), 'Month from which the EMIs saved by switching cover the switching costs (null if there are no switching costs or the savings never cover them)'),
+                            worthSwitching: boolean,
+                            apr: loanApr
+                        })),
+                        bestOffer: nullable(string),
+                        notes: arrayOf(string)
+                    })
+                }
+            ]
+        },
+        {
+            id: 'interest-calculator',
+            name: 'Interest Calculator',
+            description: 'Simple or compound interest with a year-wise breakdown, in nominal and real terms',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/interest-calculator/calculate',
+                    inputSchema: schemas.interestCalculator,
+                    outputSchema: object({
+                        principal: number,
+                        interestRate: number,
+                        timePeriod: number,
+                        interestType: string,
+                        interestAmount: number,
+                        totalAmount: number,
+                        growthRate: number,
+                        inflationRate: nullable(number),
+                        realTotalAmount: withDescription(nullable(number), "Total amount in today's money (null without an inflation rate)"),
+                        realInterestAmount: nullable(number),
+                        realGrowthRate: nullable(number),
+                        yearWiseBreakdown: arrayOf(object({
+                            year: integer,
+                            principalAtStart: number,
+                            interestForYear: number,
+                            totalAtEnd: number,
+                            realTotalAtEnd: nullable(number)
+                        }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'budget-planner',
+            name: 'Budget Planner',
+            description: 'Expense breakdown by category, savings rate, a needs/wants/savings score against 50/30/20-style rules and overspend alerts; bank statement CSVs are imported with rule-based categorization; signed-in users keep monthly budgets with trends and category rules',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/budget-planner/calculate',
+                    inputSchema: schemas.budgetPlanner,
+                    outputSchema: budgetResult
+                },
+                {
+                    method: 'GET',
+                    path: '/budget-planner/history',
+                    outputSchema: object({
+                        months: arrayOf(object({
+                            id: string,
+                            month: yearMonth,
+                            income: number,
+                            totalExpenses: number,
+                            savings: number,
+                            savingsPercentage: number,
+                            buckets: budgetSplit,
+                            score: integer,
+                            expenses: arrayOf(object({ category: string, type: expenseType, amount: number })),
+                            createdAt: dateTime
+                        })),
+                        trends: budgetTrends
+                    })
+                },
+                {
+                    method: 'POST',
+                    path: '/budget-planner/import',
+                    inputSchema: schemas.budgetStatementImport,
+                    outputSchema: object({
+                        import: object({
+                            bank: { type: 'string', enum: schemas.STATEMENT_PRESETS },
+                            transactionsRead: integer,
+                            skippedRows: withDescription(integer, 'Rows without a readable date or amount'),
+                            duplicates: arrayOf(object({ ...statementTransactionFields, duplicateOf: withDescription(integer, 'Row of the first occurrence') })),
+                            month: yearMonth,
+                            income: number,
+                            incomeFromStatement: withDescription(boolean, 'Income is the credits in the month'),
+                            categories: arrayOf(object({ category: string, type: nullable(expenseType), amount: number, count: integer })),
+                            uncategorized: integer,
+                            transactions: withDescription(arrayOf(object({
+                                ...statementTransactionFields,
+                                duplicateOf: nullable(integer),
+                                category: nullable(string),
+                                type: nullable(expenseType),
+                                matchedBy: nullable({ type: 'string', enum: ['rule', 'keyword'] })
+                            })), "The month's transactions; credits have no category")
+                        }),
+                        budget: budgetResult
+                    })
+                },
+                {
+                    method: 'GET',
+                    path: '/budget-planner/category-rules',
+                    outputSchema: object({ rules: arrayOf(categoryRule) })
+                },
+                {
+                    method: 'PUT',
+                    path: '/budget-planner/category-rules',
+                    inputSchema: schemas.categoryRules,
+                    outputSchema: object({ rules: arrayOf(categoryRule) })
+                }
+            ]
+        },
+        {
+            id: 'currency-converter',
+            name: 'Currency Converter',
+            description: 'Currency conversion at latest or historical reference rates, with cross rates through the provider base currency',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/currency-converter/convert',
+                    inputSchema: schemas.currencyConverter,
+                    outputSchema: object({
+                        amount: number,
+                        fromCurrency: string,
+                        toCurrency: string,
+                        exchangeRate: number,
+                        inverseRate: number,
+                        convertedAmount: number,
+                        requestedDate: nullable(string),
+                        rateDate: withDescription(string, 'Date of the rates used (YYYY-MM-DD)'),
+                        baseCurrency: withDescription(string, 'Currency the rate provider quotes against'),
+                        source: withDescription(string, 'Rate provider'),
+                        conversionDate: dateTime,
+                        lastUpdated: withDescription(dateTime, 'When the rates were loaded from the provider')
+                    })
+                }
+            ]
+        },
+        {
+            id: 'income-tax-calculator',
+            name: 'Income Tax Calculator',
+            description: 'Indian income tax under the old and new regimes for a chosen assessment year, with 87A rebate, surcharge, marginal relief, deduction caps and HRA/LTA exemptions from the salary structure',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/income-tax-calculator/calculate',
+                    inputSchema: schemas.incomeTaxCalculator,
+                    outputSchema: object({
+                        assessmentYear: string,
+                        financialYear: string,
+                        annualIncome: number,
+                        age: string,
+                        salaried: boolean,
+                        deductions: object(),
+                        salaryBreakdown: nullable(salaryBreakdown),
+                        regimes: object({
+                            old: regimeTax,
+                            new: regimeTax
+                        }),
+                        recommendedRegime: { type: 'string', enum: TAX_REGIMES },
+                        savings: withDescription(number, 'Tax saved by the recommended regime'),
+                        recommendation: string,
+                        totalDeductions: number,
+                        taxableIncome: number,
+                        taxSlabs: arrayOf(taxSlab),
+                        incomeTax: number,
+                        cess: number,
+                        totalTaxPayable: number,
+                        effectiveTaxRate: number,
+                        afterTaxIncome: number
+                    })
+                }
+            ]
+        },
+        {
+            id: 'sip-calculator',
+            name: 'SIP Calculator',
+            description: 'Monthly SIP with yearly step-up and lumpsum, systematic withdrawal plan (SWP) or the SIP needed for a goal, in nominal and real terms',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/sip-calculator/calculate',
+                    inputSchema: schemas.sipCalculator,
+                    outputSchema: object({
+                        mode: { type: 'string', enum: schemas.SIP_MODES },
+                        monthlyInvestment: withDescription(nullable(number), 'Starting SIP (the required SIP in goal mode)'),
+                        investmentPeriod: number,
+                        months: integer,
+                        expectedROI: number,
+                        inflationRate: number,
+                        lumpsum: number,
+                        stepUp: nullable(object({ type: { type: 'string', enum: schemas.STEP_UP_TYPES }, value: number })),
+                        totalInvestment: withDescription(number, 'Amount paid in (the corpus in swp mode)'),
+                        estimatedReturns: number,
+                        totalValue: withDescription(number, 'Nominal value at the end (remaining corpus in swp mode)'),
+                        realValue: withDescription(number, "Total value in today's money"),
+                        returnsPercentage: number,
+                        yearWiseGrowth: arrayOf(object({
+                            year: integer,
+                            monthlyInvestment: number,
+                            monthlyWithdrawal: number,
+                            totalInvestment: number,
+                            totalWithdrawn: number,
+                            estimatedReturns: number,
+                            totalValue: number,
+                            realValue: number
+                        })),
+                        withdrawal: nullable(object({
+                            monthlyWithdrawal: number,
+                            finalMonthlyWithdrawal: number,
+                            totalWithdrawn: number,
+                            realTotalWithdrawn: number,
+                            sustainableMonthlyWithdrawal: withDescription(number, 'Level withdrawal that lasts exactly the period'),
+                            depleted: boolean,
+                            depletionMonth: nullable(integer)
+                        })),
+                        goal: nullable(object({
+                            targetAmount: number,
+                            targetDate: string,
+                            targetInTodaysMoney: boolean,
+                            nominalTarget: number,
+                            requiredMonthlyInvestment: number,
+                            reachedWithoutSIP: boolean
+                        }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'fd-calculator',
+            name: 'FD Calculator',
+            description: 'Fixed deposit maturity or periodic payouts with configurable compounding, senior-citizen rates, TDS and year-wise growth, in nominal and real terms',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/fd-calculator/calculate',
+                    inputSchema: schemas.fdCalculator,
+                    outputSchema: object({
+                        principal: number,
+                        interestRate: number,
+                        appliedRate: number,
+                        seniorCitizen: boolean,
+                        tenure: number,
+                        tenureUnit: { type: 'string', enum: schemas.FD_TENURE_UNITS },
+                        tenureYears: number,
+                        compounding: { type: 'string', enum: schemas.FD_COMPOUNDING },
+                        compoundingFrequency: nullable(integer),
+                        payout: { type: 'string', enum: schemas.FD_PAYOUTS },
+                        payoutAmount: nullable(number),
+                        payoutsCount: integer,
+                        maturityAmount: number,
+                        totalInterestEarned: number,
+                        effectiveRate: number,
+                        tds: object({
+                            assessmentYear: string,
+                            threshold: number,
+                            rate: number,
+                            totalTds: number
+                        }),
+                        netInterestEarned: number,
+                        inflationRate: nullable(number),
+                        realMaturityAmount: withDescription(nullable(number), "Maturity amount in today's money (null without an inflation rate)"),
+                        realInterestEarned: withDescription(nullable(number), "Each year's interest in today's money"),
+                        realEffectiveRate: nullable(number),
+                        yearWiseGrowth: arrayOf(object({
+                            year: integer,
+                            openingBalance: number,
+                            interestEarned: number,
+                            payout: number,
+                            tds: number,
+                            closingBalance: number,
+                            cumulativeInterest: number,
+                            realClosingBalance: nullable(number)
+                        })),
+                        notes: arrayOf(string)
+                    })
+                }
+            ]
+        },
+        {
+            id: 'rd-calculator',
+            name: 'RD Calculator',
+            description: 'Recurring deposit maturity with quarterly compounding and year-wise growth',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/rd-calculator/calculate',
+                    inputSchema: schemas.rdCalculator,
+                    outputSchema: object({
+                        monthlyDeposit: number,
+                        interestRate: number,
+                        tenureMonths: integer,
+                        compoundingFrequency: integer,
+                        totalDeposited: number,
+                        maturityAmount: number,
+                        totalInterestEarned: number,
+                        yearWiseGrowth: arrayOf(object({
+                            year: integer,
+                            totalDeposited: number,
+                            interestEarned: number,
+                            balance: number
+                        }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'ppf-calculator',
+            name: 'PPF Calculator',
+            description: 'Public Provident Fund maturity over the 15-year lock-in and optional 5-year extensions',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/ppf-calculator/calculate',
+                    inputSchema: schemas.ppfCalculator,
+                    outputSchema: object({
+                        yearlyContribution: number,
+                        interestRate: number,
+                        lockInYears: integer,
+                        extensionBlocks: integer,
+                        extendWithContributions: boolean,
+                        years: integer,
+                        totalContribution: number,
+                        totalInterestEarned: number,
+                        maturityAmount: number,
+                        lockInMaturityAmount: number,
+                        yearWiseGrowth: arrayOf(object({
+                            year: integer,
+                            phase: { type: 'string', enum: ['lock-in', 'extension'] },
+                            contribution: number,
+                            totalContributed: number,
+                            interestEarned: number,
+                            balance: number
+                        }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'epf-calculator',
+            name: 'EPF Calculator',
+            description: "Employees' Provident Fund balance at retirement with employee and employer contributions, pension diversion and salary growth",
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/epf-calculator/calculate',
+                    inputSchema: schemas.epfCalculator,
+                    outputSchema: object({
+                        monthlyBasicSalary: number,
+                        currentAge: integer,
+                        retirementAge: integer,
+                        years: integer,
+                        interestRate: number,
+                        salaryGrowth: number,
+                        employeeContributionRate: number,
+                        employerContributionRate: number,
+                        currentBalance: number,
+                        totalEmployeeContribution: number,
+                        totalEmployerContribution: number,
+                        totalPensionContribution: number,
+                        totalInterestEarned: number,
+                        maturityAmount: number,
+                        yearWiseGrowth: arrayOf(object({
+                            year: integer,
+                            age: integer,
+                            monthlyBasicSalary: number,
+                            employeeContribution: number,
+                            employerContribution: number,
+                            pensionContribution: number,
+                            interestEarned: number,
+                            balance: number
+                        })),
+                        notes: arrayOf(string)
+                    })
+                }
+            ]
+        },
+        {
+            id: 'retirement-corpus-calculator',
+            name: 'Retirement Corpus Calculator',
+            description: 'Corpus needed for inflation-adjusted retirement expenses, the projected corpus, the shortfall and a year-by-year drawdown, plus a Monte Carlo success probability over volatile returns',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/retirement-corpus-calculator/calculate',
+                    inputSchema: schemas.retirementCorpusCalculator,
+                    outputSchema: object({
+                        currentAge: integer,
+                        retirementAge: integer,
+                        lifeExpectancy: integer,
+                        yearsUntilRetirement: integer,
+                        yearsInRetirement: integer,
+                        monthlySavings: number,
+                        currentSavings: number,
+                        expectedROI: number,
+                        postRetirementROI: number,
+                        inflationRate: number,
+                        monthlyExpenses: number,
+                        monthlyExpensesAtRetirement: number,
+                        corpusRequired: number,
+                        corpusProjected: number,
+                        shortfall: number,
+                        surplus: number,
+                        extraMonthlySavingNeeded: number,
+                        totalSavingsInvested: number,
+                        totalReturnsEarned: number,
+                        monthlyPensionEstimate: withDescription(number, 'First-year monthly income the projected corpus sustains until life expectancy'),
+                        moneyRunsOutAtAge: withDescription(nullable(integer), 'Age at which the projected corpus can no longer cover expenses (null if it lasts)'),
+                        yearWiseGrowth: arrayOf(object({
+                            year: integer,
+                            age: integer,
+                            totalInvested: number,
+                            corpus: number
+                        })),
+                        drawdown: arrayOf(object({
+                            year: integer,
+                            age: integer,
+                            monthlyWithdrawal: number,
+                            openingBalance: number,
+                            withdrawals: number,
+                            returns: number,
+                            closingBalance: number,
+                            unfundedExpenses: number
+                        }))
+                    })
+                },
+                {
+                    method: 'POST',
+                    path: '/retirement-corpus-calculator/simulate',
+                    inputSchema: schemas.retirementSimulation,
+                    outputSchema: object({
+                        currentAge: integer,
+                        retirementAge: integer,
+                        lifeExpectancy: integer,
+                        yearsUntilRetirement: integer,
+                        yearsInRetirement: integer,
+                        monthlySavings: number,
+                        currentSavings: number,
+                        inflationRate: number,
+                        monthlyExpenses: number,
+                        monthlyExpensesAtRetirement: number,
+                        trials: integer,
+                        seed: withDescription(integer, 'Send back to reproduce the result'),
+                        portfolio: simulationPortfolio,
+                        postRetirementPortfolio: simulationPortfolio,
+                        successProbability: withDescription(number, 'Percentage of trials where the corpus lasts until life expectancy'),
+                        corpusAtRetirement: corpusPercentiles,
+                        medianDepletionAgeIfDepleted: withDescription(nullable(integer), 'Median age at which the money runs out, among only the trials that run out (not all trials; null if none do)'),
+                        earliestDepletionAge: nullable(integer),
+                        fixedReturnProjection: withDescription(
+                            object({ corpusAtRetirement: number, moneyRunsOutAtAge: nullable(integer) }),
+                            'The same plan with every year at the expected return'
+                        ),
+                        percentilePaths: withDescription(arrayOf(object({
+                            year: integer,
+                            age: integer,
+                            phase: { type: 'string', enum: ['accumulation', 'retirement'] },
+                            ...corpusPercentiles.properties
+                        })), 'Year-end corpus percentiles across trials')
+                    })
+                }
+            ]
+        },
+        {
+            id: 'loan-eligibility-calculator',
+            name: 'Loan Eligibility Calculator',
+            description: 'Eligible loan amount under FOIR, EMI capacity, age-based tenure and LTV limits, with co-applicants',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/loan-eligibility-calculator/calculate',
+                    inputSchema: schemas.loanEligibilityCalculator,
+                    outputSchema: object({
+                        monthlyIncome: number,
+                        totalMonthlyIncome: number,
+                        existingEMIs: number,
+                        foirCap: number,
+                        emiCapacity: nullable(number),
+                        interestRate: number,
+                        loanTenure: number,
+                        eligibleTenure: number,
+                        eligibleLoanAmount: number,
+                        maximumEMI: number,
+                        totalInterestPayable: number,
+                        totalAmountPayable: number,
+                        limitingConstraint: limitingConstraint,
+                        constraints: object({
+                            foir: object({ maxEMI: number, maxLoanAmount: number }),
+                            emiCapacity: nullable(object({ maxEMI: number, maxLoanAmount: number })),
+                            tenure: object({ requestedYears: number, maxYears: nullable(integer) }),
+                            ltv: nullable(object({ propertyValue: number, ltvCap: number, maxLoanAmount: number }))
+                        }),
+                        eligibilityDetails: object({
+                            incomeMultiplier: number,
+                            debtToIncomeRatio: withDescription(number, 'Percentage of income going to all EMIs including the new loan')
+                        }),
+                        eligibilityTable: arrayOf(object({
+                            tenureYears: number,
+                            rates: arrayOf(object({
+                                interestRate: number,
+                                eligibleLoanAmount: number,
+                                monthlyEMI: number,
+                                limitingConstraint: limitingConstraint
+                            }))
+                        }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'rent-vs-buy-calculator',
+            name: 'Rent vs Buy Calculator',
+            description: 'Buying with a home loan against renting and investing the difference: upfront costs, affordability, tax saved on the loan, the break-even year and year-by-year net worth',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/rent-vs-buy-calculator/calculate',
+                    inputSchema: schemas.rentVsBuy,
+                    outputSchema: object({
+                        propertyPrice: number,
+                        downPayment: number,
+                        loanAmount: number,
+                        interestRate: number,
+                        loanTenure: integer,
+                        monthlyEMI: number,
+                        years: integer,
+                        upfrontCost: object({ downPayment: number, stampDuty: number, registration: number, total: number }),
+                        monthlyRent: number,
+                        rentEscalation: number,
+                        appreciationRate: number,
+                        investmentReturn: number,
+                        taxRegime: { type: 'string', enum: TAX_REGIMES },
+                        affordability: nullable(object({
+                            monthlyIncome: number,
+                            emiToIncome: withDescription(number, 'EMI as a percentage of income'),
+                            rentToIncome: number,
+                            affordable: boolean
+                        })),
+                        breakEvenYear: withDescription(nullable(integer), 'First year buying is ahead on net worth (null if never)'),
+                        betterOption: { type: 'string', enum: ['buy', 'rent'] },
+                        finalNetWorth: object({ buy: number, rent: number, difference: number }),
+                        totals: object({ emiPaid: number, interestPaid: number, maintenance: number, taxSaved: number, rentPaid: number }),
+                        yearWiseComparison: arrayOf(object({
+                            year: integer,
+                            propertyValue: number,
+                            loanBalance: number,
+                            homeEquity: number,
+                            emiPaid: number,
+                            interestPaid: number,
+                            principalPaid: number,
+                            maintenance: number,
+                            taxSaved: number,
+                            rentPaid: number,
+                            buyerInvestments: number,
+                            renterInvestments: number,
+                            buyerNetWorth: withDescription(number, 'Property value less selling costs and the loan balance, plus investments'),
+                            renterNetWorth: number,
+                            difference: withDescription(number, 'Buyer minus renter')
+                        })),
+                        notes: arrayOf(string)
+                    })
+                }
+            ]
+        },
+        {
+            id: 'capital-gains-calculator',
+            name: 'Capital Gains Calculator',
+            description: 'Capital gains tax on equity, debt fund and property lots or a broker tradebook (FIFO), with holding periods, indexation, set-off and the LTCG exemption',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/capital-gains-calculator/calculate',
+                    inputSchema: schemas.capitalGainsCalculator,
+                    outputSchema: object({
+                        lots: arrayOf(object({
+                            lot: integer,
+                            source: { type: 'string', enum: ['lots', 'tradebook'] },
+                            name: nullable(string),
+                            assetClass: { type: 'string', enum: CAPITAL_GAINS_ASSET_CLASSES },
+                            quantity: number,
+                            buyDate: string,
+                            sellDate: string,
+                            holdingDays: integer,
+                            term: { type: 'string', enum: ['short', 'long'] },
+                            financialYear: string,
+                            purchaseCost: number,
+                            indexedCost: nullable(number),
+                            saleValue: number,
+                            expenses: number,
+                            gain: withDescription(number, 'Negative for a loss'),
+                            taxRate: number,
+                            taxedAtSlab: boolean,
+                            setOffApplied: withDescription(number, 'Losses set off against this gain'),
+                            exemptionApplied: withDescription(number, 'Section 112A exemption used by this gain'),
+                            taxableGain: number,
+                            tax: number,
+                            notes: arrayOf(string)
+                        })),
+                        years: arrayOf(object({
+                            financialYear: string,
+                            assessmentYear: string,
+                            shortTermGains: number,
+                            shortTermLosses: number,
+                            longTermGains: number,
+                            longTermLosses: number,
+                            ltcgExemption: number,
+                            exemptionUsed: number,
+                            taxableGains: number,
+                            tax: number,
+                            cess: number,
+                            totalTax: number,
+                            lossesCarriedForward: object({ shortTerm: number, longTerm: number })
+                        })),
+                        totals: object({
+                            shortTermGains: number,
+                            shortTermLosses: number,
+                            longTermGains: number,
+                            longTermLosses: number,
+                            exemptionUsed: number,
+                            taxableGains: number,
+                            tax: number,
+                            cess: number,
+                            totalTax: number
+                        }),
+                        openPositions: withDescription(arrayOf(object({
+                            symbol: string,
+                            quantity: number,
+                            buyDate: string,
+                            buyPrice: number
+                        })), 'Tradebook buys not yet sold')
+                    })
+                }
+            ]
+        },
+        {
+            id: 'xirr-calculator',
+            name: 'XIRR Calculator',
+            description: 'XIRR, absolute return and CAGR from dated cash flows (JSON or CSV) and a current valuation',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/xirr-calculator/calculate',
+                    inputSchema: schemas.xirrCalculator,
+                    outputSchema: object({
+                        xirr: withDescription(number, 'Annual percentage'),
+                        absoluteReturn: nullable(number),
+                        cagr: withDescription(nullable(number), 'Annual percentage, treating all investments as made on the first date'),
+                        totalInvested: number,
+                        totalWithdrawn: number,
+                        currentValue: number,
+                        gain: number,
+                        firstDate: string,
+                        valuationDate: string,
+                        years: number,
+                        cashFlowCount: integer,
+                        solver: object({
+                            method: { type: 'string', enum: ['newton', 'bisection'] },
+                            iterations: integer
+                        }),
+                        notes: arrayOf(string)
+                    })
+                }
+            ]
+        },
+        {
+            id: 'debt-payoff-planner',
+            name: 'Debt Payoff Planner',
+            description: 'Snowball, avalanche and custom-order payoff plans for several debts from one monthly budget',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/debt-payoff-planner/calculate',
+                    inputSchema: schemas.debtPayoffPlanner,
+                    outputSchema: object({
+                        monthlyBudget: number,
+                        totalMinimumPayment: number,
+                        totalBalance: number,
+                        startDate: yearMonth,
+                        debts: arrayOf(object({
+                            name: string,
+                            balance: number,
+                            apr: number,
+                            minimumPayment: number,
+                            monthlyInterest: number,
+                            coversInterest: withDescription(boolean, 'Whether the minimum payment covers the monthly interest'),
+                            minimumOnlyMonths: nullable(integer)
+                        })),
+                        strategies: arrayOf(object({
+                            strategy: { type: 'string', enum: DEBT_PAYOFF_STRATEGIES },
+                            order: arrayOf(string),
+                            debtFree: boolean,
+                            months: nullable(integer),
+                            debtFreeDate: nullable(yearMonth),
+                            totalInterest: number,
+                            totalPaid: number,
+                            debts: arrayOf(object({
+                                name: string,
+                                payoffMonth: nullable(integer),
+                                payoffDate: nullable(yearMonth),
+                                interestPaid: number,
+                                totalPaid: number
+                            })),
+                            timeline: arrayOf(object({
+                                month: integer,
+                                date: yearMonth,
+                                payment: number,
+                                interest: number,
+                                balance: number,
+                                debts: arrayOf(object({ name: string, payment: number, balance: number }))
+                            }))
+                        })),
+                        bestStrategy: nullable({ type: 'string', enum: DEBT_PAYOFF_STRATEGIES }),
+                        notes: arrayOf(string)
+                    })
+                }
+            ]
+        },
+        {
+            id: 'inflation-calculator',
+            name: 'Inflation Calculator',
+            description: 'Convert an amount between years with India or US CPI data, or project its future cost and purchasing power at an assumed inflation rate',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/inflation-calculator/calculate',
+                    inputSchema: schemas.inflationCalculator,
+                    outputSchema: object({
+                        mode: { type: 'string', enum: schemas.INFLATION_MODES },
+                        amount: number,
+                        years: integer,
+                        inflationRate: withDescription(number, 'Average yearly price rise (the assumed rate in projection mode)'),
+                        cumulativeInflation: number,
+                        equivalentAmount: withDescription(number, 'What the amount bought at the start costs at the end'),
+                        purchasingPower: withDescription(number, 'What the same amount buys at the end, in start money'),
+                        yearWise: arrayOf(object({
+                            year: integer,
+                            cpi: nullable(number),
+                            inflation: nullable(number),
+                            equivalentAmount: number,
+                            purchasingPower: number
+                        })),
+                        historical: nullable(object({
+                            series: cpiSeriesId,
+                            seriesName: string,
+                            currency: string,
+                            fromYear: integer,
+                            toYear: integer,
+                            cpiFrom: number,
+                            cpiTo: number,
+                            firstYear: integer,
+                            lastYear: integer
+                        }))
+                    })
+                },
+                {
+                    method: 'GET',
+                    path: '/inflation-calculator/series',
+                    outputSchema: object({
+                        series: arrayOf(object({
+                            id: cpiSeriesId,
+                            name: string,
+                            currency: string,
+                            firstYear: integer,
+                            lastYear: integer
+                        }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'goal-seek',
+            name: 'Goal Seek',
+            description: 'Solve one numeric input of a calculator so that a chosen result field hits a target value',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/goal-seek/solve',
+                    inputSchema: schemas.goalSeek,
+                    outputSchema: object({
+                        calculator: { type: 'string', enum: schemas.GOAL_SEEK_CALCULATORS },
+                        unknownField: string,
+                        targetField: string,
+                        targetValue: number,
+                        status: { type: 'string', enum: GOAL_SEEK_STATUSES },
+                        solvedValue: nullable(number),
+                        achievedValue: nullable(number),
+                        difference: nullable(number),
+                        iterations: integer,
+                        searchRange: nullable(withDescription(object({
+                            lower: number,
+                            upper: number,
+                            outputAtLower: number,
+                            outputAtUpper: number
+                        }), 'First and last values tried that gave an output')),
+                        bracket: nullable(object({
+                            lower: object({ value: integer, output: nullable(number) }),
+                            upper: object({ value: integer, output: nullable(number) })
+                        })),
+                        result: nullable(withDescription(object(), "The calculator's result at the solved value"))
+                    })
+                }
+            ]
+        }
+    ]
+};
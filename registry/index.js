@@ -0,0 +1,165 @@
+/**
+ * Tool Registry
+ *
+ * Central list of every tool, grouped by category. server.js mounts each
+ * category's router from here, GET /api/tools serves it to clients, and the
+ * OpenAPI spec uses it for response schemas and tool status.
+ *
+ * Category: { id, name, description, path, router, file, tools }
+ * Tool: {
+ *   id: string,
+ *   name: string,
+ *   description: string,
+ *   status: 'stable' (real results) | 'beta' (real but simplified or template-based) | 'placeholder' (mocked data),
+ *   endpoints: Array<{
+ *     method: string,
+ *     path: string (relative to the category path, as in the router),
+ *     inputSchema?: Object (request body schema the route validates with),
+ *     outputSchema?: Object (schema of "data" in the response; omitted when the response only has a message),
+ *     contentType?: string (for endpoints that return a file instead of JSON, e.g. 'text/csv')
+ *   }>
+ * }
+ *
+ * The registry is checked against the routers when this module loads, so an
+ * endpoint added to a router without a registry entry (or the other way
+ * round) fails at startup instead of silently drifting.
+ *
+ * Functions:
+ * - getCategory(categoryId) - Find a category by id
+ * - describeCategory(category) - Public summary of a category
+ * - describeTool(tool, category) - Public description of a tool and its endpoints
+ * - verifyRegistry(categories) - List mismatches between the registry and the routers
+ */
+
+const { requireAuth } = require('../middleware/auth');
+const { toOpenApiSchema } = require('../utils/openapi');
+
+const TOOL_STATUSES = ['stable', 'beta', 'placeholder'];
+
+const categories = [
+    require('./student'),
+    require('./finance'),
+    require('./seo'),
+    require('./social-media'),
+    require('./viral')
+];
+
+/**
+ * Get Category
+ * @param {string} categoryId - Category id (e.g. 'finance')
+ * @returns {Object|null} Category or null if unknown
+ */
+function getCategory(categoryId) {
+    return categories.find(category => category.id === categoryId) || null;
+}
+
+/**
+ * Describe Category
+ * @param {Object} category - Registry category
+ * @returns {Object} Public category summary
+ */
+function describeCategory(category) {
+    return {
+        id: category.id,
+        name: category.name,
+        description: category.description,
+        path: category.path,
+        toolCount: category.tools.length
+    };
+}
+
+/**
+ * Describe Tool
+ * @param {Object} tool - Registry tool
+ * @param {Object} category - Category the tool belongs to
+ * @returns {Object} Public tool description (schemas in OpenAPI form)
+ */
+function describeTool(tool, category) {
+    return {
+        id: tool.id,
+        name: tool.name,
+        category: category.id,
+        description: tool.description,
+        status: tool.status,
+        endpoints: tool.endpoints.map(endpoint => ({
+            method: endpoint.method,
+            path: category.path + endpoint.path,
+            requiresAuth: Boolean(endpoint.requiresAuth),
+            contentType: endpoint.contentType || 'application/json',
+            inputSchema: endpoint.inputSchema ? toOpenApiSchema(endpoint.inputSchema) : null,
+            outputSchema: endpoint.outputSchema ? toOpenApiSchema(endpoint.outputSchema) : null
+        }))
+    };
+}
+
+/**
+ * Verify Registry Against Routers
+ * Also records on each endpoint whether its route requires a signed-in user.
+ * @param {Array<Object>} registryCategories - Categories to check
+ * @returns {Array<string>} Problems found (empty if the registry matches)
+ */
+function verifyRegistry(registryCategories) {
+    const problems = [];
+    const toolIds = new Set();
+
+    registryCategories.forEach(category => {
+        const routes = new Map();
+        category.router.stack
+            .filter(layer => layer.route)
+            .forEach(layer => {
+                Object.keys(layer.route.methods).forEach(method => {
+                    routes.set(`${method.toUpperCase()} ${layer.route.path}`, layer.route.stack.map(routeLayer => routeLayer.handle));
+                });
+            });
+
+        category.tools.forEach(tool => {
+            if (toolIds.has(tool.id)) {
+                problems.push(`Duplicate tool id "${tool.id}"`);
+            }
+            toolIds.add(tool.id);
+
+            if (!TOOL_STATUSES.includes(tool.status)) {
+                problems.push(`Tool "${tool.id}" has invalid status "${tool.status}"`);
+            }
+
+            tool.endpoints.forEach(endpoint => {
+                const key = `${endpoint.method} ${endpoint.path}`;
+                const handlers = routes.get(key);
+
+                if (!handlers) {
+                    problems.push(`Tool "${tool.id}" lists ${endpoint.method} ${category.path}${endpoint.path}, which has no route`);
+                    return;
+                }
+                routes.delete(key);
+
+                const routeSchema = (handlers.find(handler => handler.schema) || {}).schema;
+                if (routeSchema !== endpoint.inputSchema) {
+                    problems.push(`Tool "${tool.id}" input schema for ${key} differs from the schema the route validates with`);
+                }
+
+                endpoint.requiresAuth = handlers.includes(requireAuth);
+            });
+        });
+
+        routes.forEach((handlers, key) => {
+            const [method, routePath] = key.split(' ');
+            problems.push(`Route ${method} ${category.path}${routePath} is not in the tool registry`);
+        });
+    });
+
+    return problems;
+}
+
+const problems = verifyRegistry(categories);
+if (problems.length > 0) {
+    throw new Error(`Tool registry does not match the routers:\n- ${problems.join('\n- ')}`);
+}
+
+module.exports = {
+    TOOL_STATUSES,
+    categories,
+    getCategory,
+    describeCategory,
+    describeTool,
+    verifyRegistry
+};
@@ -0,0 +1,287 @@
+/**
+ * SEO Tools Registry
+ *
+ * Tools served by routes/seo-tools.js. Endpoint paths are relative to the
+ * category path; input schemas are the ones the routes validate with. Apart
+ * from the meta description generator these tools return sample data until
+ * real data providers are connected.
+ */
+
+const schemas = require('../schemas/seo');
+const { number, integer, string, boolean, dateTime, object, arrayOf } = require('./types');
+
+const auditSection = object({
+    score: number,
+    issues: arrayOf(object({ type: string, severity: string, description: string }))
+});
+
+/**
+ * Registry entry for a single-endpoint SEO tool
+ * @param {Object} tool - { id, name, description, status, path, inputSchema, outputSchema }
+ * @returns {Object} Tool entry
+ */
+function seoTool({ id, name, description, status, path, inputSchema, outputSchema }) {
+    return {
+        id,
+        name,
+        description,
+        status,
+        endpoints: [{ method: 'POST', path, inputSchema, outputSchema }]
+    };
+}
+
+module.exports = {
+    id: 'seo',
+    name: 'SEO Tools',
+    description: 'Website, keyword and content analysis',
+    path: '/api/tools/seo',
+    router: require('../routes/seo-tools'),
+    file: require.resolve('../routes/seo-tools'),
+    tools: [
+        seoTool({
+            id: 'traffic-checker',
+            name: 'Traffic Checker',
+            description: 'Estimated visitors, traffic sources and engagement for a website',
+            status: 'placeholder',
+            path: '/traffic-checker/check',
+            inputSchema: schemas.trafficChecker,
+            outputSchema: object({
+                monthlyVisitors: integer,
+                dailyVisitors: integer,
+                trafficSource: object({ organic: number, direct: number, referral: number, social: number }),
+                topCountries: arrayOf(object({ country: string, percentage: number })),
+                bounceRate: number,
+                avgSessionDuration: string,
+                pagesPerVisit: number
+            })
+        }),
+        seoTool({
+            id: 'da-checker',
+            name: 'Domain Authority Checker',
+            description: 'Domain authority score (0-100) and ranking potential',
+            status: 'placeholder',
+            path: '/da-checker/check',
+            inputSchema: schemas.daChecker,
+            outputSchema: object({
+                domain: string,
+                domainAuthority: number,
+                strength: string,
+                rankingPotential: string,
+                comparedToAverage: string,
+                lastUpdated: dateTime
+            })
+        }),
+        seoTool({
+            id: 'serp-rank-checker',
+            name: 'SERP Rank Checker',
+            description: 'Search ranking of a URL for a keyword (0 if not in the top 100)',
+            status: 'placeholder',
+            path: '/serp-rank-checker/check',
+            inputSchema: schemas.serpRankChecker,
+            outputSchema: object({
+                url: string,
+                keyword: string,
+                ranking: integer,
+                searchVolume: integer,
+                competition: string,
+                lastChecked: dateTime,
+                rankingHistory: arrayOf(object({ date: string, position: integer })),
+                insights: arrayOf(string)
+            })
+        }),
+        seoTool({
+            id: 'backlink-analyzer',
+            name: 'Backlink Analyzer',
+            description: 'Backlinks, referring domains and anchor texts for a URL',
+            status: 'placeholder',
+            path: '/backlink-analyzer/analyze',
+            inputSchema: schemas.backlinkAnalyzer,
+            outputSchema: object({
+                url: string,
+                totalBacklinks: integer,
+                referringDomains: integer,
+                dofollowBacklinks: integer,
+                nofollowBacklinks: integer,
+                topReferrers: arrayOf(object({ domain: string, backlinks: integer, domainAuthority: number })),
+                anchorTexts: arrayOf(object({ text: string, count: integer })),
+                backlinkSources: arrayOf(object({
+                    sourceUrl: string,
+                    targetUrl: string,
+                    anchorText: string,
+                    type: string,
+                    dateFound: string
+                }))
+            })
+        }),
+        seoTool({
+            id: 'keyword-analyzer',
+            name: 'Keyword Analyzer',
+            description: 'Search volume, difficulty, CPC and related keywords',
+            status: 'placeholder',
+            path: '/keyword-analyzer/analyze',
+            inputSchema: schemas.keywordAnalyzer,
+            outputSchema: object({
+                keyword: string,
+                websiteUrl: string,
+                searchVolume: integer,
+                competition: string,
+                keywordDifficulty: number,
+                cpc: number,
+                relatedKeywords: arrayOf(object({
+                    keyword: string,
+                    searchVolume: integer,
+                    competition: string,
+                    difficulty: number
+                })),
+                searchTrends: arrayOf(object({ month: string, volume: integer })),
+                seoSuggestions: arrayOf(string)
+            })
+        }),
+        seoTool({
+            id: 'meta-tag-analyzer',
+            name: 'Meta Tag Analyzer',
+            description: 'Title, description, keyword and Open Graph tag review',
+            status: 'placeholder',
+            path: '/meta-tag-analyzer/analyze',
+            inputSchema: schemas.metaTagAnalyzer,
+            outputSchema: object({
+                url: string,
+                metaTitle: string,
+                metaDescription: string,
+                metaKeywords: string,
+                ogTags: object({ title: string, description: string, image: string }),
+                analysis: object({
+                    titleLength: integer,
+                    titleOptimal: boolean,
+                    descriptionLength: integer,
+                    descriptionOptimal: boolean,
+                    keywordsCount: integer,
+                    recommendations: arrayOf(string)
+                })
+            })
+        }),
+        seoTool({
+            id: 'page-speed-tester',
+            name: 'Page Speed Tester',
+            description: 'Load time, performance score and Core Web Vitals',
+            status: 'placeholder',
+            path: '/page-speed-tester/test',
+            inputSchema: schemas.pageSpeedTester,
+            outputSchema: object({
+                url: string,
+                loadTime: number,
+                score: number,
+                performanceMetrics: object({
+                    firstContentfulPaint: number,
+                    timeToInteractive: number,
+                    totalBlockingTime: number,
+                    largestContentfulPaint: number,
+                    cumulativeLayoutShift: number
+                }),
+                recommendations: arrayOf(string)
+            })
+        }),
+        seoTool({
+            id: 'seo-audit-tool',
+            name: 'SEO Audit Tool',
+            description: 'Technical, on-page, content and link profile audit',
+            status: 'placeholder',
+            path: '/seo-audit-tool/audit',
+            inputSchema: schemas.seoAuditTool,
+            outputSchema: object({
+                url: string,
+                overallScore: number,
+                auditDate: dateTime,
+                technicalSEO: auditSection,
+                onPageSEO: auditSection,
+                contentAnalysis: auditSection,
+                linkProfile: auditSection,
+                mobileFriendly: boolean,
+                performance: object({ score: number, loadTime: number }),
+                recommendations: arrayOf(object({ priority: string, action: string, impact: string }))
+            })
+        }),
+        seoTool({
+            id: 'content-optimization-tool',
+            name: 'Content Optimization Tool',
+            description: 'Readability, keyword usage and heading structure suggestions',
+            status: 'placeholder',
+            path: '/content-optimization-tool/optimize',
+            inputSchema: schemas.contentOptimizationTool,
+            outputSchema: object({
+                contentUrl: string,
+                contentLength: integer,
+                wordCount: integer,
+                readabilityScore: number,
+                keywordAnalysis: object({
+                    primaryKeyword: string,
+                    keywordDensity: number,
+                    keywordSuggestions: arrayOf(string)
+                }),
+                suggestions: arrayOf(object({
+                    type: string,
+                    priority: string,
+                    suggestion: string,
+                    explanation: string
+                })),
+                headingStructure: object({
+                    hasH1: boolean,
+                    h1Count: integer,
+                    headingHierarchy: arrayOf(object({ level: integer, text: string })),
+                    recommendations: arrayOf(string)
+                }),
+                contentMetrics: object({
+                    sentencesCount: integer,
+                    paragraphsCount: integer,
+                    avgSentenceLength: number,
+                    readingTime: string
+                }),
+                improvements: arrayOf(object({
+                    area: string,
+                    currentState: string,
+                    recommendedState: string,
+                    impact: string
+                }))
+            })
+        }),
+        seoTool({
+            id: 'keyword-density-checker',
+            name: 'Keyword Density Checker',
+            description: 'Keyword counts and density ranges for content or a URL',
+            status: 'placeholder',
+            path: '/keyword-density-checker/check',
+            inputSchema: schemas.keywordDensityChecker,
+            outputSchema: object({
+                contentUrl: string,
+                totalWords: integer,
+                uniqueKeywords: integer,
+                keywordDensity: arrayOf(object({ keyword: string, count: integer, density: number, percentage: string })),
+                topKeywords: arrayOf(object({ keyword: string, density: number, count: integer })),
+                analysis: object({
+                    optimalRange: string,
+                    recommendations: arrayOf(string),
+                    warnings: arrayOf(string)
+                }),
+                keywordDistribution: object({
+                    veryHigh: arrayOf(string),
+                    high: arrayOf(string),
+                    optimal: arrayOf(string),
+                    low: arrayOf(string)
+                })
+            })
+        }),
+        seoTool({
+            id: 'meta-description-generator',
+            name: 'Meta Description Generator',
+            description: 'Template-based meta description from a page title, keywords and tone',
+            status: 'beta',
+            path: '/meta-description-generator/generate',
+            inputSchema: schemas.metaDescriptionGenerator,
+            outputSchema: object({
+                metaDescription: string,
+                characterCount: integer,
+                seoTips: arrayOf(string)
+            })
+        })
+    ]
+};
@@ -0,0 +1,167 @@
+/**
+ * Social Media Tools Registry
+ *
+ * Tools served by routes/social-media-tools.js. Endpoint paths are relative
+ * to the category path; input schemas are the ones the routes validate with.
+ */
+
+const schemas = require('../schemas/social-media');
+const { number, integer, string, boolean, dateTime, object, arrayOf, nullable } = require('./types');
+
+const hashtagSet = object({
+    id: string,
+    hashtags: arrayOf(string),
+    keywords: string,
+    niche: nullable(string),
+    platform: string,
+    createdAt: dateTime
+});
+
+const scheduledPost = object({
+    id: string,
+    content: string,
+    scheduledDateTime: dateTime,
+    postType: string,
+    includeMedia: boolean,
+    enableNotifications: boolean,
+    status: string,
+    createdAt: dateTime,
+    updatedAt: dateTime
+});
+
+const titlesAndTags = object({
+    titles: arrayOf(string),
+    tags: arrayOf(string),
+    titleCount: integer,
+    tagCount: integer,
+    category: string
+});
+
+module.exports = {
+    id: 'social-media',
+    name: 'Social Media Tools',
+    description: 'Hashtags, titles and tags, engagement, LinkedIn and Twitter scheduling',
+    path: '/api/tools/social-media',
+    router: require('../routes/social-media-tools'),
+    file: require.resolve('../routes/social-media-tools'),
+    tools: [
+        {
+            id: 'hashtag-generator',
+            name: 'Hashtag Generator',
+            description: 'Hashtags from keywords and niche templates; signed-in users can save sets',
+            status: 'beta',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/hashtag-generator/generate',
+                    inputSchema: schemas.hashtagGenerate,
+                    outputSchema: object({
+                        hashtags: arrayOf(string),
+                        categories: arrayOf(object({ category: string, hashtags: arrayOf(string) })),
+                        totalCount: integer,
+                        platform: string
+                    })
+                },
+                { method: 'POST', path: '/hashtag-generator/save', inputSchema: schemas.hashtagSave, outputSchema: hashtagSet },
+                { method: 'GET', path: '/hashtag-generator/history', outputSchema: arrayOf(hashtagSet) }
+            ]
+        },
+        {
+            id: 'youtube-title-tag-generator',
+            name: 'YouTube Title & Tag Generator',
+            description: 'Template-based YouTube titles and tags for a topic',
+            status: 'beta',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/youtube-title-tag-generator/generate',
+                    inputSchema: schemas.youtubeTitleTagGenerator,
+                    outputSchema: titlesAndTags
+                }
+            ]
+        },
+        {
+            id: 'video-title-tag-generator',
+            name: 'Video Title & Tag Generator',
+            description: 'Template-based titles and tags for YouTube, TikTok, Instagram and Facebook',
+            status: 'beta',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/video-title-tag-generator/generate',
+                    inputSchema: schemas.videoTitleTagGenerator,
+                    outputSchema: object({ titles: arrayOf(string), tags: arrayOf(string) })
+                }
+            ]
+        },
+        {
+            id: 'post-engagement-calculator',
+            name: 'Post Engagement Calculator',
+            description: 'Engagement rate compared with platform benchmarks',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/post-engagement-calculator/calculate',
+                    inputSchema: schemas.postEngagementCalculator,
+                    outputSchema: object({
+                        engagementRate: number,
+                        totalEngagement: integer,
+                        engagementPerFollower: number,
+                        likes: integer,
+                        comments: integer,
+                        shares: integer,
+                        followers: integer,
+                        platform: string,
+                        performanceLevel: string,
+                        benchmark: object({ average: number, good: number, excellent: number, description: string })
+                    })
+                }
+            ]
+        },
+        {
+            id: 'linkedin-profile-optimizer',
+            name: 'LinkedIn Profile Optimizer',
+            description: 'Profile completeness score and recommendations',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/linkedin-profile-optimizer/analyze',
+                    inputSchema: schemas.linkedinProfileOptimizer,
+                    outputSchema: object({
+                        profileScore: number,
+                        scoreLevel: string,
+                        scoreColor: string,
+                        totalScore: number,
+                        maxScore: number,
+                        categoryScores: object(),
+                        recommendations: arrayOf(object({ priority: string, category: string, message: string }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'twitter-post-scheduler',
+            name: 'Twitter Post Scheduler',
+            description: 'Stores scheduled posts and scheduling analytics (posts are not published to Twitter)',
+            status: 'beta',
+            endpoints: [
+                { method: 'POST', path: '/twitter-post-scheduler/schedule', inputSchema: schemas.twitterSchedule, outputSchema: scheduledPost },
+                { method: 'GET', path: '/twitter-post-scheduler/posts', outputSchema: object({ posts: arrayOf(scheduledPost) }) },
+                {
+                    method: 'PUT',
+                    path: '/twitter-post-scheduler/posts/:id',
+                    inputSchema: schemas.twitterPostUpdate,
+                    outputSchema: scheduledPost
+                },
+                { method: 'DELETE', path: '/twitter-post-scheduler/posts/:id' },
+                {
+                    method: 'GET',
+                    path: '/twitter-post-scheduler/analytics',
+                    outputSchema: object({ totalScheduled: integer, thisWeek: integer, thisMonth: integer })
+                }
+            ]
+        }
+    ]
+};
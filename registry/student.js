@@ -0,0 +1,179 @@
+/**
+ * Student Tools Registry
+ *
+ * Tools served by routes/student-tools.js. Endpoint paths are relative to
+ * the category path; input schemas are the ones the routes validate with.
+ */
+
+const schemas = require('../schemas/student');
+const { number, integer, string, boolean, dateTime, object, arrayOf, nullable } = require('./types');
+
+const course = object({
+    courseName: string,
+    credits: number,
+    grade: string,
+    gradePoints: number,
+    qualityPoints: number
+});
+
+const task = object({
+    id: string,
+    taskName: string,
+    subject: string,
+    deadline: dateTime,
+    priority: string,
+    duration: number,
+    reminder: nullable(dateTime),
+    completed: boolean,
+    createdAt: dateTime,
+    updatedAt: dateTime
+});
+
+const reviewData = object({
+    lastReviewed: nullable(dateTime),
+    nextReview: dateTime,
+    difficulty: number,
+    reviewCount: integer,
+    correctCount: integer,
+    interval: integer,
+    easeFactor: number
+});
+
+const flashcard = object({
+    id: string,
+    front: string,
+    back: string,
+    category: string,
+    tags: arrayOf(string),
+    reviewData,
+    createdAt: dateTime,
+    updatedAt: dateTime
+});
+
+const citation = object({
+    full: string,
+    inText: string
+});
+
+const savedCitation = object({
+    id: string,
+    citation,
+    style: string,
+    sourceType: string,
+    data: object(),
+    createdAt: dateTime
+});
+
+const pdfFile = object({
+    fileId: string,
+    fileName: string,
+    fileUrl: string,
+    downloadUrl: string
+});
+
+module.exports = {
+    id: 'student',
+    name: 'Student Tools',
+    description: 'GPA calculator, study planner, flashcards, citations and PDF tools',
+    path: '/api/tools/student',
+    router: require('../routes/student-tools'),
+    file: require.resolve('../routes/student-tools'),
+    tools: [
+        {
+            id: 'gpa-calculator',
+            name: 'GPA Calculator',
+            description: 'Semester and cumulative GPA on a 4.0 scale; signed-in users keep a semester history',
+            status: 'stable',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/gpa-calculator/calculate',
+                    inputSchema: schemas.gpaCalculator,
+                    outputSchema: object({
+                        semester: integer,
+                        courses: arrayOf(course),
+                        semesterGPA: number,
+                        cumulativeGPA: number,
+                        totalCredits: number,
+                        totalQualityPoints: number,
+                        gradeDistribution: object()
+                    })
+                },
+                {
+                    method: 'GET',
+                    path: '/gpa-calculator/history',
+                    outputSchema: object({
+                        semesters: arrayOf(object({
+                            id: string,
+                            semester: integer,
+                            courses: arrayOf(course),
+                            semesterGPA: number,
+                            totalCredits: number,
+                            totalQualityPoints: number,
+                            createdAt: dateTime
+                        })),
+                        cumulativeGPA: number
+                    })
+                }
+            ]
+        },
+        {
+            id: 'study-planner',
+            name: 'Study Planner',
+            description: 'Study tasks with deadlines, priorities and reminders',
+            status: 'stable',
+            endpoints: [
+                { method: 'POST', path: '/study-planner/tasks', inputSchema: schemas.studyTask, outputSchema: task },
+                { method: 'GET', path: '/study-planner/tasks', outputSchema: arrayOf(task) },
+                { method: 'PUT', path: '/study-planner/tasks/:id', inputSchema: schemas.studyTaskUpdate, outputSchema: task },
+                { method: 'DELETE', path: '/study-planner/tasks/:id' },
+                { method: 'POST', path: '/study-planner/save', inputSchema: schemas.studySchedule, outputSchema: arrayOf(task) }
+            ]
+        },
+        {
+            id: 'flashcard-generator',
+            name: 'Flashcard Generator',
+            description: 'Flashcards with spaced-repetition review scheduling',
+            status: 'stable',
+            endpoints: [
+                { method: 'POST', path: '/flashcard-generator/cards', inputSchema: schemas.flashcard, outputSchema: flashcard },
+                { method: 'GET', path: '/flashcard-generator/cards', outputSchema: arrayOf(flashcard) },
+                { method: 'PUT', path: '/flashcard-generator/cards/:id', inputSchema: schemas.flashcardUpdate, outputSchema: flashcard },
+                { method: 'DELETE', path: '/flashcard-generator/cards/:id' },
+                {
+                    method: 'POST',
+                    path: '/flashcard-generator/review',
+                    inputSchema: schemas.flashcardReview,
+                    outputSchema: object({ reviewData })
+                }
+            ]
+        },
+        {
+            id: 'citation-generator',
+            name: 'Citation Generator',
+            description: 'APA, MLA and Chicago citations (generation returns empty citations for now; saving works)',
+            status: 'placeholder',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/citation-generator/generate',
+                    inputSchema: schemas.citationGenerate,
+                    outputSchema: object({ citation, style: string, sourceType: string })
+                },
+                { method: 'POST', path: '/citation-generator/save', inputSchema: schemas.citationSave, outputSchema: savedCitation },
+                { method: 'GET', path: '/citation-generator/history', outputSchema: arrayOf(savedCitation) }
+            ]
+        },
+        {
+            id: 'pdf-converter',
+            name: 'PDF Converter',
+            description: 'Convert, merge and split PDFs (file uploads are not wired up; responses are mocked)',
+            status: 'placeholder',
+            endpoints: [
+                { method: 'POST', path: '/pdf-converter/convert', outputSchema: pdfFile },
+                { method: 'POST', path: '/pdf-converter/merge', outputSchema: pdfFile },
+                { method: 'POST', path: '/pdf-converter/split', outputSchema: arrayOf(pdfFile) }
+            ]
+        }
+    ]
+};
@@ -0,0 +1,68 @@
+/**
+ * Output Schema Shorthands
+ *
+ * Builders for the registry's output schemas. They produce the same
+ * vocabulary as the request schemas in schemas/ (see utils/validation.js),
+ * so both can be published through utils/openapi.js.
+ *
+ * Functions:
+ * - object(properties) - Object schema (free-form when properties are omitted)
+ * - arrayOf(items) - Array schema
+ * - nullable(schema) - Copy of a schema that also allows null
+ * - withDescription(schema, description) - Copy of a schema with a description
+ */
+
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+/**
+ * Object Schema
+ * @param {Object} properties - Property schemas (optional)
+ * @returns {Object} Schema
+ */
+function object(properties) {
+    return properties ? { type: 'object', properties } : { type: 'object' };
+}
+
+/**
+ * Array Schema
+ * @param {Object} items - Item schema
+ * @returns {Object} Schema
+ */
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+/**
+ * Nullable Schema
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema allowing null
+ */
+function nullable(schema) {
+    return { ...schema, nullable: true };
+}
+
+/**
+ * Schema With Description
+ * @param {Object} schema - Schema
+ * @param {string} description - Description
+ * @returns {Object} Described schema
+ */
+function withDescription(schema, description) {
+    return { ...schema, description };
+}
+
+module.exports = {
+    number,
+    integer,
+    string,
+    boolean,
+    dateTime,
+    object,
+    arrayOf,
+    nullable,
+    withDescription
+};
@@ -0,0 +1,64 @@
+/**
+ * Viral Tools Registry
+ *
+ * Tools served by routes/viral-tools.js. Endpoint paths are relative to the
+ * category path; input schemas are the ones the routes validate with.
+ */
+
+const schemas = require('../schemas/viral');
+const { integer, string, dateTime, object, arrayOf } = require('./types');
+
+module.exports = {
+    id: 'viral',
+    name: 'Viral Tools',
+    description: 'AI image and QR code generators',
+    path: '/api/tools/viral',
+    router: require('../routes/viral-tools'),
+    file: require.resolve('../routes/viral-tools'),
+    tools: [
+        {
+            id: 'ai-image-generator',
+            name: 'AI Image Generator',
+            description: 'Images from text prompts (no image model is connected; URLs are placeholders)',
+            status: 'placeholder',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/ai-image-generator/generate',
+                    inputSchema: schemas.aiImageGenerator,
+                    outputSchema: object({
+                        images: arrayOf(object({
+                            id: string,
+                            url: string,
+                            prompt: string,
+                            style: string,
+                            aspectRatio: string,
+                            width: integer,
+                            height: integer,
+                            timestamp: dateTime
+                        }))
+                    })
+                }
+            ]
+        },
+        {
+            id: 'qr-code-generator',
+            name: 'QR Code Generator',
+            description: 'QR codes for text, URLs, email, phone, SMS and Wi-Fi (image data is a placeholder)',
+            status: 'placeholder',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/qr-code-generator/generate',
+                    inputSchema: schemas.qrCodeGenerator,
+                    outputSchema: object({
+                        dataUrl: string,
+                        size: integer,
+                        errorCorrection: string,
+                        content: string
+                    })
+                }
+            ]
+        }
+    ]
+};
@@ -0,0 +1,136 @@
+/**
+ * Admin Routes
+ *
+ * This file contains admin-only routes. Every route requires the
+ * "X-Admin-Token" header to match the ADMIN_API_TOKEN environment variable.
+ *
+ * Routes:
+ * - POST /api/admin/api-keys - Create an API key
+ * - GET /api/admin/api-keys - List API keys
+ * - DELETE /api/admin/api-keys/:id - Revoke an API key
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireAdmin } = require('../middleware/auth');
+const { getStatusCode } = require('../utils/errors');
+
+router.use(requireAdmin);
+
+/**
+ * Create API Key Route
+ * POST /api/admin/api-keys
+ *
+ * Request Body:
+ * {
+ *   name: string,
+ *   rateLimit?: { limit: number, windowSeconds: number } (default 120 per 60s),
+ *   quota?: { limit: number, period: 'day' | 'month' } (default 10000 per day)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     id: string,
+ *     name: string,
+ *     key: string (only returned here - send as "X-API-Key" header),
+ *     keyPrefix: string,
+ *     rateLimit: { limit: number, windowSeconds: number },
+ *     quota: { limit: number, period: string },
+ *     status: 'active',
+ *     createdAt: string,
+ *     revokedAt: null
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/api-keys', async (req, res) => {
+    try {
+        const { name, rateLimit, quota } = req.body || {};
+
+        const apiKey = await apiKeyController.createApiKey({ name, rateLimit, quota });
+
+        res.status(201).json({
+            success: true,
+            data: apiKey
+        });
+
+    } catch (error) {
+        console.error('API key admin error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+});
+
+/**
+ * List API Keys Route
+ * GET /api/admin/api-keys
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: Array<api key without the secret>,
+ *   error?: string
+ * }
+ */
+router.get('/api-keys', async (req, res) => {
+    try {
+        const apiKeys = await apiKeyController.listApiKeys();
+
+        res.json({
+            success: true,
+            data: apiKeys
+        });
+
+    } catch (error) {
+        console.error('API key admin error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Revoke API Key Route
+ * DELETE /api/admin/api-keys/:id
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: api key with status 'revoked',
+ *   error?: string
+ * }
+ */
+router.delete('/api-keys/:id', async (req, res) => {
+    try {
+        const apiKey = await apiKeyController.revokeApiKey(req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: apiKey
+        });
+
+    } catch (error) {
+        console.error('API key admin error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
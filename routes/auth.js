@@ -0,0 +1,153 @@
+/**
+ * Auth Routes
+ *
+ * This file contains all routes for user accounts and sessions
+ *
+ * Routes:
+ * - POST /api/auth/register - Create an account
+ * - POST /api/auth/login - Log in and get a session token
+ * - POST /api/auth/logout - End the current session
+ * - GET /api/auth/me - Get the current user
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+const { getStatusCode } = require('../utils/errors');
+
+/**
+ * Register Route
+ * POST /api/auth/register
+ *
+ * Request Body:
+ * {
+ *   email: string,
+ *   password: string (min 8 characters),
+ *   name: string (optional)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     user: { id: string, email: string, name: string, createdAt: string },
+ *     token: string (send as "Authorization: Bearer <token>"),
+ *     expiresAt: string
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/register', async (req, res) => {
+    try {
+        const { email, password, name } = req.body || {};
+
+        const result = await authController.registerUser(email, password, name);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Register error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Login Route
+ * POST /api/auth/login
+ *
+ * Request Body:
+ * {
+ *   email: string,
+ *   password: string
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     user: { id: string, email: string, name: string, createdAt: string },
+ *     token: string,
+ *     expiresAt: string
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+
+        const result = await authController.loginUser(email, password);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Logout Route
+ * POST /api/auth/logout
+ *
+ * Headers:
+ * Authorization: Bearer <token>
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   message: string,
+ *   error?: string
+ * }
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+    try {
+        await authController.logoutUser(req.authToken);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Current User Route
+ * GET /api/auth/me
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: { id: string, email: string, name: string, createdAt: string },
+ *   error?: string
+ * }
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+});
+
+module.exports = router;
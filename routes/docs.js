@@ -0,0 +1,64 @@
+/**
+ * API Documentation Routes
+ *
+ * This file contains the routes publishing the API contract
+ *
+ * Routes:
+ * - GET /api/openapi.json - OpenAPI 3 spec generated from the mounted routers
+ * - GET /api/docs - Interactive API docs page (self-hosted, no external assets)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const router = express.Router();
+
+const { apiRoutes } = require('./index');
+const { buildOpenApiSpec } = require('../utils/openapi');
+const { version } = require('../package.json');
+
+const docsPagePath = path.join(__dirname, '..', 'views', 'api-docs.html');
+
+// Routers don't change at runtime, so the spec is built once on first request
+let cachedSpec = null;
+
+/**
+ * OpenAPI Spec Route
+ * GET /api/openapi.json
+ *
+ * Response: OpenAPI 3.0 document (JSON)
+ */
+router.get('/openapi.json', (req, res) => {
+    try {
+        if (!cachedSpec) {
+            cachedSpec = buildOpenApiSpec(apiRoutes, {
+                title: 'FreeTools API',
+                version,
+                description: 'Student, finance, SEO, social media and viral tools. Every response uses the ' +
+                    '{ success, data, error } envelope; invalid request bodies return 400 with an "errors" ' +
+                    'array of { field, code, message }.'
+            });
+        }
+
+        res.json(cachedSpec);
+
+    } catch (error) {
+        console.error('OpenAPI spec error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * API Docs Page Route
+ * GET /api/docs
+ *
+ * Response: HTML page rendering /api/openapi.json with a request console
+ */
+router.get('/docs', (req, res) => {
+    res.sendFile(docsPagePath);
+});
+
+module.exports = router;
@@ -4,28 +4,62 @@
  * This file contains all routes for Finance Tools category
  * 
  * Routes:
- * - POST /api/tools/finance/emi-calculator/calculate - Calculate EMI
- * - POST /api/tools/finance/interest-calculator/calculate - Calculate Simple/Compound Interest
- * - POST /api/tools/finance/budget-planner/calculate - Calculate budget and savings
+ * - POST /api/tools/finance/emi-calculator/calculate - Calculate EMI, with optional prepayments and rate resets
+ * - POST /api/tools/finance/emi-calculator/export - Download the amortization schedule as CSV
+ * - POST /api/tools/finance/loan-comparison/compare - Rank loan offers by APR and total cost
+ * - POST /api/tools/finance/loan-comparison/refinance - Net savings and break-even month of moving a loan to a new lender
+ * - POST /api/tools/finance/interest-calculator/calculate - Calculate Simple/Compound Interest, in nominal and real terms
+ * - POST /api/tools/finance/budget-planner/calculate - Calculate budget, savings, rule score and overspend alerts
+ * - GET /api/tools/finance/budget-planner/history - Get saved monthly budgets with trends
+ * - POST /api/tools/finance/budget-planner/import - Import a bank statement CSV and budget one month of it
+ * - GET /api/tools/finance/budget-planner/category-rules - Get saved statement category rules
+ * - PUT /api/tools/finance/budget-planner/category-rules - Replace saved statement category rules
  * - POST /api/tools/finance/currency-converter/convert - Convert currency
- * - POST /api/tools/finance/income-tax-calculator/calculate - Calculate income tax
- * - POST /api/tools/finance/retirement-corpus-calculator/calculate - Calculate retirement corpus
- * - POST /api/tools/finance/sip-calculator/calculate - Calculate SIP returns
+ * - POST /api/tools/finance/income-tax-calculator/calculate - Calculate income tax under the old and new regimes
+ * - POST /api/tools/finance/sip-calculator/calculate - Calculate SIP (with step-up and lumpsum), SWP or goal SIP
+ * - POST /api/tools/finance/fd-calculator/calculate - Calculate FD maturity, payouts, TDS and year-wise growth, in nominal and real terms
+ * - POST /api/tools/finance/rd-calculator/calculate - Calculate RD maturity
+ * - POST /api/tools/finance/ppf-calculator/calculate - Calculate PPF maturity with extension blocks
+ * - POST /api/tools/finance/epf-calculator/calculate - Calculate the EPF balance at retirement
+ * - POST /api/tools/finance/retirement-corpus-calculator/calculate - Calculate retirement corpus and drawdown
+ * - POST /api/tools/finance/retirement-corpus-calculator/simulate - Monte Carlo success probability and percentile corpus paths
  * - POST /api/tools/finance/loan-eligibility-calculator/calculate - Calculate loan eligibility
+ * - POST /api/tools/finance/rent-vs-buy-calculator/calculate - Compare buying a home with a loan against renting, year by year
+ * - POST /api/tools/finance/capital-gains-calculator/calculate - Calculate capital gains tax for lots or a tradebook
+ * - POST /api/tools/finance/xirr-calculator/calculate - Calculate XIRR, absolute return and CAGR from dated cash flows
+ * - POST /api/tools/finance/debt-payoff-planner/calculate - Compare snowball, avalanche and custom debt payoff plans
+ * - POST /api/tools/finance/inflation-calculator/calculate - Convert an amount between years with CPI data, or project it at an assumed inflation rate
+ * - GET /api/tools/finance/inflation-calculator/series - List the bundled CPI series and the years they cover
+ * - POST /api/tools/finance/goal-seek/solve - Solve a calculator input for a target output
  */
 
 const express = require('express');
 const router = express.Router();
 
-// TODO: Import controllers when created
-// const emiCalculatorController = require('../controllers/emiCalculatorController');
-// const interestCalculatorController = require('../controllers/interestCalculatorController');
-// const budgetPlannerController = require('../controllers/budgetPlannerController');
-// const currencyConverterController = require('../controllers/currencyConverterController');
-// const incomeTaxCalculatorController = require('../controllers/incomeTaxCalculatorController');
-// const retirementCorpusCalculatorController = require('../controllers/retirementCorpusCalculatorController');
-// const sipCalculatorController = require('../controllers/sipCalculatorController');
-// const loanEligibilityCalculatorController = require('../controllers/loanEligibilityCalculatorController');
+const schemas = require('../schemas/finance');
+const { validateBody } = require('../middleware/validate');
+const { requireAuth } = require('../middleware/auth');
+const { getStatusCode } = require('../utils/errors');
+const emiCalculatorController = require('../controllers/emiCalculatorController');
+const loanComparisonController = require('../controllers/loanComparisonController');
+const currencyConverterController = require('../controllers/currencyConverterController');
+const incomeTaxCalculatorController = require('../controllers/incomeTaxCalculatorController');
+const retirementCorpusCalculatorController = require('../controllers/retirementCorpusCalculatorController');
+const loanEligibilityCalculatorController = require('../controllers/loanEligibilityCalculatorController');
+const rentVsBuyController = require('../controllers/rentVsBuyController');
+const capitalGainsCalculatorController = require('../controllers/capitalGainsCalculatorController');
+const sipCalculatorController = require('../controllers/sipCalculatorController');
+const xirrCalculatorController = require('../controllers/xirrCalculatorController');
+const fdCalculatorController = require('../controllers/fdCalculatorController');
+const rdCalculatorController = require('../controllers/rdCalculatorController');
+const ppfCalculatorController = require('../controllers/ppfCalculatorController');
+const epfCalculatorController = require('../controllers/epfCalculatorController');
+const debtPayoffPlannerController = require('../controllers/debtPayoffPlannerController');
+const budgetPlannerController = require('../controllers/budgetPlannerController');
+const statementImportController = require('../controllers/statementImportController');
+const goalSeekController = require('../controllers/goalSeekController');
+const interestCalculatorController = require('../controllers/interestCalculatorController');
+const inflationCalculatorController = require('../controllers/inflationCalculatorController');
 
 /**
  * EMI Calculator Route
@@ -35,7 +69,18 @@ const router = express.Router();
  * {
  *   loanAmount: number,
  *   interestRate: number (annual percentage),
- *   tenureMonths: number (loan tenure in months)
+ *   tenureMonths: number (loan tenure in months),
+ *   startDate?: string (month of the first EMI, YYYY-MM, default next month),
+ *   events?: Array<{
+ *     type: 'prepayment' | 'rate-change',
+ *     month: number (EMI number; prepayments are made after it, rate resets apply from it),
+ *     amount?: number (prepayment amount),
+ *     interestRate?: number (new annual rate for a rate reset),
+ *     frequency?: 'once' | 'monthly' | 'quarterly' | 'yearly' (default 'once', prepayments only),
+ *     untilMonth?: number (last EMI number a recurring prepayment applies to),
+ *     adjust?: 'tenure' | 'emi' (keep the EMI and shorten/extend the tenure, or keep the tenure and change the EMI; default 'tenure')
+ *   }>,
+ *   includeSchedule?: boolean (default false)
  * }
  * 
  * Response:
@@ -48,91 +93,202 @@ const router = express.Router();
  *     monthlyEMI: number,
  *     totalInterest: number,
  *     totalPayable: number,
+ *     startDate: string,
+ *     closureDate: string,
+ *     scenario?: {
+ *       tenureMonths: number,
+ *       closureDate: string,
+ *       emiAfterEvents: number,
+ *       totalInterest: number,
+ *       totalPrepayments: number,
+ *       totalPayable: number,
+ *       interestSaved: number (negative when rate resets add interest),
+ *       monthsSaved: number
+ *     },
  *     amortizationSchedule?: Array<{
  *       month: number,
+ *       date: string,
+ *       interestRate: number,
+ *       openingBalance: number,
+ *       emi: number,
  *       principal: number,
  *       interest: number,
+ *       prepayment: number,
  *       balance: number
  *     }>
  *   },
  *   error?: string
  * }
+ *
+ * "scenario" is included when events are given and compares them against
+ * the original loan. The schedule follows the events when there are any.
  */
-router.post('/emi-calculator/calculate', async (req, res) => {
+router.post('/emi-calculator/calculate', validateBody(schemas.emiCalculator), async (req, res) => {
     try {
-        const { loanAmount, interestRate, tenureMonths } = req.body;
-
-        // Validation
-        if (!loanAmount || loanAmount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Loan amount must be greater than 0'
-            });
-        }
-
-        if (!interestRate || interestRate < 0 || interestRate > 100) {
-            return res.status(400).json({
-                success: false,
-                error: 'Interest rate must be between 0 and 100'
-            });
-        }
-
-        if (!tenureMonths || tenureMonths <= 0 || !Number.isInteger(tenureMonths)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Loan tenure must be a positive integer (in months)'
-            });
-        }
-
-        // TODO: Implement EMI calculation logic
-        // This is a placeholder - actual implementation needed
-        // The calculator should:
-        // 1. Calculate monthly EMI using formula: EMI = [P × R × (1+R)^N] / [(1+R)^N - 1]
-        //    Where: P = Principal, R = Monthly Interest Rate, N = Number of months
-        // 2. Calculate total interest: (EMI × N) - P
-        // 3. Calculate total payable: EMI × N
-        // 4. Optionally generate amortization schedule
-        // Note: Frontend can also perform this calculation, but backend provides:
-        // - Validation and sanitization
-        // - Consistent calculation logic
-        // - Amortization schedule generation
-        // - Export capabilities (PDF, CSV)
-
-        // Placeholder calculation (basic implementation)
-        const monthlyRate = interestRate / (12 * 100);
-        let monthlyEMI;
-        
-        if (monthlyRate === 0) {
-            monthlyEMI = loanAmount / tenureMonths;
-        } else {
-            const factor = Math.pow(1 + monthlyRate, tenureMonths);
-            monthlyEMI = (loanAmount * monthlyRate * factor) / (factor - 1);
-        }
-
-        const totalPayable = monthlyEMI * tenureMonths;
-        const totalInterest = totalPayable - loanAmount;
-
-        const mockData = {
-            loanAmount,
-            interestRate,
-            tenureMonths,
-            monthlyEMI: Math.round(monthlyEMI * 100) / 100, // Round to 2 decimal places
-            totalInterest: Math.round(totalInterest * 100) / 100,
-            totalPayable: Math.round(totalPayable * 100) / 100
-            // amortizationSchedule: [] // TODO: Generate if requested
-        };
-
-        // TODO: Replace with actual implementation
-        // const calculationData = await emiCalculatorController.calculateEMI(loanAmount, interestRate, tenureMonths);
+        const result = await emiCalculatorController.calculateEMI(req.body);
 
         res.json({
             success: true,
-            data: mockData
+            data: result
         });
 
     } catch (error) {
         console.error('EMI calculator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Export EMI Schedule Route
+ * POST /api/tools/finance/emi-calculator/export
+ * 
+ * Request Body: same as POST /api/tools/finance/emi-calculator/calculate
+ * 
+ * Response: text/csv attachment (emi-schedule.csv) with one row per EMI:
+ * Month, Date, Interest Rate (%), Opening Balance, EMI, Interest, Principal,
+ * Prepayment, Closing Balance. Errors are returned as JSON.
+ */
+router.post('/emi-calculator/export', validateBody(schemas.emiCalculator), async (req, res) => {
+    try {
+        const csv = await emiCalculatorController.exportScheduleCsv(req.body);
+
+        res.attachment('emi-schedule.csv');
+        res.type('text/csv');
+        res.send(csv);
+
+    } catch (error) {
+        console.error('EMI schedule export error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Loan Comparison Route
+ * POST /api/tools/finance/loan-comparison/compare
+ * 
+ * The APR is the yearly rate (monthly × 12) at which the amount received
+ * after upfront costs equals all EMIs, prepayments and penalties.
+ * 
+ * Request Body:
+ * {
+ *   loanAmount: number,
+ *   offers: Array<{
+ *     name: string,
+ *     interestRate: number (annual percentage),
+ *     tenureMonths: number,
+ *     processingFeePercent?: number (of the loan amount, default 0),
+ *     processingFeeCap?: number,
+ *     otherCharges?: number (default 0),
+ *     prepaymentPenaltyPercent?: number (of each prepayment, default 0),
+ *     insurancePremium?: number (default 0),
+ *     insuranceFinanced?: boolean (added to the loan instead of paid upfront, default false)
+ *   }>,
+ *   prepayments?: Array<{
+ *     month: number,
+ *     amount: number,
+ *     frequency?: 'once' | 'monthly' | 'quarterly' | 'yearly',
+ *     untilMonth?: number,
+ *     adjust?: 'tenure' | 'emi'
+ *   }>
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     loanAmount: number,
+ *     offers: Array<{
+ *       rank: number (by APR, then total cost),
+ *       name, interestRate, tenureMonths, monthlyEMI,
+ *       closingMonth: number (last EMI, earlier with prepayments),
+ *       processingFee, otherCharges, insurancePremium, insuranceFinanced,
+ *       upfrontCosts: number (fees plus insurance not financed),
+ *       totalInterest, prepaymentPenalties,
+ *       totalCost: number (interest, fees, insurance and penalties),
+ *       totalPayable: number,
+ *       apr: number | null
+ *     }>,
+ *     lowestApr: string,
+ *     lowestTotalCost: string,
+ *     notes: Array<string>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/loan-comparison/compare', validateBody(schemas.loanComparison), async (req, res) => {
+    try {
+        const result = await loanComparisonController.compareLoans(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Loan comparison error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Loan Refinance Route
+ * POST /api/tools/finance/loan-comparison/refinance
+ * 
+ * Request Body:
+ * {
+ *   currentLoan: {
+ *     outstandingBalance: number,
+ *     interestRate: number (annual percentage),
+ *     remainingMonths: number,
+ *     foreclosurePenaltyPercent?: number (of the outstanding balance, default 0)
+ *   },
+ *   offers: Array<same as the compare route; tenureMonths defaults to the remaining months>
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     currentLoan: { outstandingBalance, interestRate, remainingMonths, monthlyEMI, totalInterest, totalPayable, foreclosurePenalty },
+ *     offers: Array<{
+ *       rank: number (by net savings),
+ *       name, interestRate, tenureMonths, monthlyEMI,
+ *       monthlySaving: number (negative when the EMI goes up),
+ *       switchingCosts: { foreclosurePenalty, processingFee, otherCharges, insurancePremium, total },
+ *       insuranceFinanced: boolean,
+ *       totalInterest, interestSaved,
+ *       netSavings: number (payments saved less switching costs; negative = switching costs more),
+ *       breakEvenMonth: number | null (month from which the EMIs saved cover the switching costs; null with no switching costs or if they never do),
+ *       worthSwitching: boolean,
+ *       apr: number | null
+ *     }>,
+ *     bestOffer: string | null,
+ *     notes: Array<string>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/loan-comparison/refinance', validateBody(schemas.loanRefinance), async (req, res) => {
+    try {
+        const result = await loanComparisonController.analyzeRefinance(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Loan comparison error:', error);
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -148,7 +304,8 @@ router.post('/emi-calculator/calculate', async (req, res) => {
  *   principal: number,
  *   interestRate: number (annual percentage),
  *   timePeriod: number (in years),
- *   interestType: 'simple' | 'compound'
+ *   interestType: 'simple' | 'compound',
+ *   inflationRate?: number (expected annual percentage; adds real values)
  * }
  * 
  * Response:
@@ -162,138 +319,34 @@ router.post('/emi-calculator/calculate', async (req, res) => {
  *     interestAmount: number,
  *     totalAmount: number,
  *     growthRate: number,
+ *     inflationRate: number | null,
+ *     realTotalAmount: number | null (total in today's money),
+ *     realInterestAmount: number | null,
+ *     realGrowthRate: number | null,
  *     yearWiseBreakdown: Array<{
  *       year: number,
  *       principalAtStart: number,
  *       interestForYear: number,
- *       totalAtEnd: number
+ *       totalAtEnd: number,
+ *       realTotalAtEnd: number | null
  *     }>
  *   },
  *   error?: string
  * }
  */
-router.post('/interest-calculator/calculate', async (req, res) => {
+router.post('/interest-calculator/calculate', validateBody(schemas.interestCalculator), async (req, res) => {
     try {
-        const { principal, interestRate, timePeriod, interestType } = req.body;
-
-        // Validation
-        if (!principal || principal <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Principal amount must be greater than 0'
-            });
-        }
-
-        if (!interestRate || interestRate < 0 || interestRate > 100) {
-            return res.status(400).json({
-                success: false,
-                error: 'Interest rate must be between 0 and 100'
-            });
-        }
-
-        if (!timePeriod || timePeriod <= 0 || timePeriod > 100) {
-            return res.status(400).json({
-                success: false,
-                error: 'Time period must be between 0.1 and 100 years'
-            });
-        }
-
-        if (!interestType || !['simple', 'compound'].includes(interestType)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Interest type must be "simple" or "compound"'
-            });
-        }
-
-        // TODO: Implement interest calculation logic
-        // This is a placeholder - actual implementation needed
-        // The calculator should:
-        // 1. Calculate simple interest: SI = (P × R × T) / 100
-        // 2. Calculate compound interest: CI = P × (1 + R/100)^T - P
-        // 3. Generate year-wise breakdown
-        // 4. Calculate growth rate
-        // Note: Frontend can also perform this calculation, but backend provides:
-        // - Validation and sanitization
-        // - Consistent calculation logic
-        // - Advanced breakdown generation
-        // - Export capabilities (PDF, CSV)
-
-        // Placeholder calculation (basic implementation)
-        let interestAmount, totalAmount;
-        
-        if (interestType === 'simple') {
-            interestAmount = (principal * interestRate * timePeriod) / 100;
-            totalAmount = principal + interestAmount;
-        } else {
-            // Compound interest
-            totalAmount = principal * Math.pow(1 + interestRate / 100, timePeriod);
-            interestAmount = totalAmount - principal;
-        }
-
-        const growthRate = (interestAmount / principal) * 100;
-
-        // Generate year-wise breakdown (simplified - full implementation in controller)
-        const yearWiseBreakdown = [];
-        const roundedTime = Math.ceil(timePeriod);
-        
-        if (interestType === 'simple') {
-            const yearlyInterest = (principal * interestRate) / 100;
-            for (let year = 1; year <= roundedTime; year++) {
-                const actualYear = year > timePeriod ? timePeriod : year;
-                yearWiseBreakdown.push({
-                    year: actualYear,
-                    principalAtStart: principal,
-                    interestForYear: year > timePeriod ? (yearlyInterest * (timePeriod - Math.floor(timePeriod))) : yearlyInterest,
-                    totalAtEnd: principal + (yearlyInterest * actualYear)
-                });
-                if (year === Math.floor(timePeriod)) break;
-            }
-        } else {
-            // Compound interest breakdown
-            let runningPrincipal = principal;
-            for (let year = 1; year <= roundedTime; year++) {
-                const actualYear = year > timePeriod ? (timePeriod - Math.floor(timePeriod)) : 1;
-                const principalAtStart = runningPrincipal;
-                const interestForYear = runningPrincipal * (Math.pow(1 + interestRate / 100, actualYear) - 1);
-                const totalAtEnd = principalAtStart + interestForYear;
-                yearWiseBreakdown.push({
-                    year: year > timePeriod ? timePeriod : year,
-                    principalAtStart: principalAtStart,
-                    interestForYear: interestForYear,
-                    totalAtEnd: totalAtEnd
-                });
-                runningPrincipal = totalAtEnd;
-                if (year === Math.floor(timePeriod)) break;
-            }
-        }
-
-        const mockData = {
-            principal,
-            interestRate,
-            timePeriod,
-            interestType,
-            interestAmount: Math.round(interestAmount * 100) / 100,
-            totalAmount: Math.round(totalAmount * 100) / 100,
-            growthRate: Math.round(growthRate * 100) / 100,
-            yearWiseBreakdown: yearWiseBreakdown.map(item => ({
-                year: item.year,
-                principalAtStart: Math.round(item.principalAtStart * 100) / 100,
-                interestForYear: Math.round(item.interestForYear * 100) / 100,
-                totalAtEnd: Math.round(item.totalAtEnd * 100) / 100
-            }))
-        };
-
-        // TODO: Replace with actual implementation
-        // const calculationData = await interestCalculatorController.calculateInterest(principal, interestRate, timePeriod, interestType);
+        const { principal, interestRate, timePeriod, interestType, inflationRate } = req.body;
+        const result = await interestCalculatorController.calculateInterest(principal, interestRate, timePeriod, interestType, inflationRate);
 
         res.json({
             success: true,
-            data: mockData
+            data: result
         });
 
     } catch (error) {
         console.error('Interest calculator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -304,13 +357,21 @@ router.post('/interest-calculator/calculate', async (req, res) => {
  * Budget Planner Route
  * POST /api/tools/finance/budget-planner/calculate
  * 
+ * Signed-in users get the budget saved for its month (replacing an earlier
+ * one for the same month) and trends across their saved months.
+ * 
  * Request Body:
  * {
  *   income: number,
  *   expenses: Array<{
  *     category: string,
- *     amount: number
- *   }>
+ *     amount: number,
+ *     type?: 'need' | 'want' | 'savings' (guessed from the category name when omitted),
+ *     budget?: number (planned limit; an alert is raised when the amount is over it)
+ *   }>,
+ *   rule?: '50/30/20' | '70/20/10' (needs/wants/savings percent of income, default '50/30/20'),
+ *   customRule?: { needs: number, wants: number, savings: number } (adds up to 100; overrides rule),
+ *   month?: string (YYYY-MM, default this month)
  * }
  * 
  * Response:
@@ -318,8 +379,10 @@ router.post('/interest-calculator/calculate', async (req, res) => {
  *   success: boolean,
  *   data: {
  *     income: number,
+ *     month: string,
  *     expenses: Array<{
  *       category: string,
+ *       type: string,
  *       amount: number,
  *       percentage: number
  *     }>,
@@ -337,95 +400,208 @@ router.post('/interest-calculator/calculate', async (req, res) => {
  *         value: number,
  *         percentage: number
  *       }>
+ *     },
+ *     rule: {
+ *       name: string ('custom' for a custom split),
+ *       split: { needs, wants, savings },
+ *       buckets: { needs | wants | savings: { amount, percentage (of income), target, targetAmount } },
+ *       score: number (0-100; 100 minus the points needs and wants go over and savings fall short)
+ *     },
+ *     alerts: Array<{
+ *       scope: 'category' | 'bucket' | 'total',
+ *       name: string,
+ *       amount: number,
+ *       limit: number,
+ *       difference: number,
+ *       message: string
+ *     }>,
+ *     guessedTypes: Array<string> (categories whose type was guessed),
+ *     trends: object | null (see the history route; null when not signed in)
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/budget-planner/calculate', validateBody(schemas.budgetPlanner), async (req, res) => {
+    try {
+        const result = await budgetPlannerController.calculateBudget(req.body, req.user?.id);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Budget planner error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Budget History Route
+ * GET /api/tools/finance/budget-planner/history
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     months: Array<{
+ *       id, month, income, totalExpenses, savings, savingsPercentage,
+ *       buckets: { needs, wants, savings }, score,
+ *       expenses: Array<{ category, type, amount }>,
+ *       createdAt
+ *     }>,
+ *     trends: {
+ *       rollingWindow: number (saved months in each rolling average),
+ *       months: Array<{
+ *         month, income, totalExpenses, savings, savingsPercentage, score,
+ *         change: { income | totalExpenses | savings: { amount, percentage } } | null (against the previous saved month),
+ *         rollingAverage: { income, totalExpenses, savings }
+ *       }>,
+ *       categoryChanges: Array<{ category, previous, current, change: { amount, percentage } }> (latest month against the one before)
  *     }
  *   },
  *   error?: string
  * }
  */
-router.post('/budget-planner/calculate', async (req, res) => {
+router.get('/budget-planner/history', requireAuth, async (req, res) => {
+    try {
+        const history = await budgetPlannerController.getBudgetHistory(req.user.id);
+
+        res.json({
+            success: true,
+            data: history
+        });
+
+    } catch (error) {
+        console.error('Budget planner error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Budget Statement Import Route
+ * POST /api/tools/finance/budget-planner/import
+ * 
+ * Reads a bank statement CSV, categorizes its debits and runs the budget
+ * planner on one month. The statement is sent as text in the JSON body, so
+ * it is limited by the JSON body size limit. Signed-in users' saved category
+ * rules apply after the request's rules, and the budget is saved as with the
+ * calculate route.
+ * 
+ * Request Body:
+ * {
+ *   statement: string (CSV text; rows above the header row are ignored),
+ *   bank?: 'generic' | 'hdfc' | 'icici' | 'sbi' | 'axis' | 'kotak' (column preset, default 'generic'),
+ *   columns?: {
+ *     date?: string, description?: string,
+ *     amount?: string (negative = debit unless drCr is mapped), drCr?: string,
+ *     debit?: string, credit?: string
+ *   } (header names overriding the preset),
+ *   rules?: Array<{ pattern: string (regex), category: string, type?: 'need' | 'want' | 'savings' }>,
+ *   month?: string (YYYY-MM, default: the latest month in the statement),
+ *   income?: number (default: credits in the month),
+ *   rule?: '50/30/20' | '70/20/10',
+ *   customRule?: { needs: number, wants: number, savings: number },
+ *   includeDuplicates?: boolean (default false)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     import: {
+ *       bank: string,
+ *       transactionsRead: number,
+ *       skippedRows: number (rows without a readable date or amount),
+ *       duplicates: Array<{ row, duplicateOf, date, description, amount, direction }>,
+ *       month: string,
+ *       income: number,
+ *       incomeFromStatement: boolean,
+ *       categories: Array<{ category, type, amount, count }>,
+ *       uncategorized: number,
+ *       transactions: Array<{
+ *         row, date, description, amount, direction: 'debit' | 'credit',
+ *         duplicateOf: number | null, category, type, matchedBy: 'rule' | 'keyword' | null
+ *       }> (the month's transactions)
+ *     },
+ *     budget: object (see the calculate route)
+ *   },
+ *   error?: string,
+ *   errors?: Array<{ field, code, message }>
+ * }
+ */
+router.post('/budget-planner/import', validateBody(schemas.budgetStatementImport), async (req, res) => {
+    try {
+        const result = await statementImportController.importStatement(req.body, req.user?.id);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Budget planner error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+});
+
+/**
+ * Category Rules Routes
+ * GET /api/tools/finance/budget-planner/category-rules
+ * PUT /api/tools/finance/budget-planner/category-rules
+ * 
+ * Request Body (PUT):
+ * {
+ *   rules: Array<{ pattern: string (regex), category: string, type?: 'need' | 'want' | 'savings' }> (tried in order)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: { rules: Array<{ pattern, category, type? }> },
+ *   error?: string
+ * }
+ */
+router.get('/budget-planner/category-rules', requireAuth, async (req, res) => {
+    try {
+        const rules = await statementImportController.getCategoryRules(req.user.id);
+
+        res.json({
+            success: true,
+            data: { rules }
+        });
+
+    } catch (error) {
+        console.error('Budget planner error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+router.put('/budget-planner/category-rules', requireAuth, validateBody(schemas.categoryRules), async (req, res) => {
     try {
-        const { income, expenses } = req.body;
-
-        // Validation
-        if (!income || income <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Income must be greater than 0'
-            });
-        }
-
-        if (!expenses || !Array.isArray(expenses)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Expenses must be an array'
-            });
-        }
-
-        // TODO: Implement budget calculation logic
-        // This is a placeholder - actual implementation needed
-        // The calculator should:
-        // 1. Calculate total expenses from expense array
-        // 2. Calculate savings (income - total expenses)
-        // 3. Calculate savings percentage
-        // 4. Calculate percentage for each expense category
-        // 5. Sort expenses by amount
-        // 6. Prepare chart data for visualization
-        // Note: Frontend can also perform this calculation, but backend provides:
-        // - Validation and sanitization
-        // - Consistent calculation logic
-        // - Advanced analytics
-        // - Export capabilities (PDF, CSV)
-
-        // Placeholder calculation (basic implementation)
-        const totalExpenses = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
-        const savings = income - totalExpenses;
-        const savingsPercentage = (savings / income) * 100;
-
-        // Calculate percentage for each expense category
-        const expensesWithPercentage = expenses
-            .filter(exp => exp.amount > 0)
-            .map(exp => ({
-                category: exp.category || 'Uncategorized',
-                amount: exp.amount,
-                percentage: totalExpenses > 0 ? (exp.amount / totalExpenses) * 100 : 0
-            }))
-            .sort((a, b) => b.amount - a.amount);
-
-        const mockData = {
-            income,
-            expenses: expensesWithPercentage.map(exp => ({
-                category: exp.category,
-                amount: Math.round(exp.amount * 100) / 100,
-                percentage: Math.round(exp.percentage * 100) / 100
-            })),
-            totalExpenses: Math.round(totalExpenses * 100) / 100,
-            savings: Math.round(savings * 100) / 100,
-            savingsPercentage: Math.round(savingsPercentage * 100) / 100,
-            breakdown: {
-                byCategory: expensesWithPercentage.map(exp => ({
-                    category: exp.category,
-                    amount: Math.round(exp.amount * 100) / 100,
-                    percentage: Math.round(exp.percentage * 100) / 100
-                })),
-                chartData: expensesWithPercentage.map(exp => ({
-                    category: exp.category,
-                    value: Math.round(exp.amount * 100) / 100,
-                    percentage: Math.round(exp.percentage * 100) / 100
-                }))
-            }
-        };
-
-        // TODO: Replace with actual implementation
-        // const budgetData = await budgetPlannerController.calculateBudget(income, expenses);
+        const rules = await statementImportController.saveCategoryRules(req.user.id, req.body);
 
         res.json({
             success: true,
-            data: mockData
+            data: { rules }
         });
 
     } catch (error) {
         console.error('Budget planner error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -440,7 +616,8 @@ router.post('/budget-planner/calculate', async (req, res) => {
  * {
  *   amount: number,
  *   fromCurrency: string (currency code, e.g., "USD", "EUR", "INR"),
- *   toCurrency: string (currency code)
+ *   toCurrency: string (currency code),
+ *   date?: string (YYYY-MM-DD, convert at historical rates; latest rates if omitted)
  * }
  * 
  * Response:
@@ -451,102 +628,35 @@ router.post('/budget-planner/calculate', async (req, res) => {
  *     fromCurrency: string,
  *     toCurrency: string,
  *     exchangeRate: number,
+ *     inverseRate: number,
  *     convertedAmount: number,
+ *     requestedDate: string | null,
+ *     rateDate: string (date of the rates used),
+ *     baseCurrency: string (currency the provider quotes rates against),
+ *     source: string (rate provider),
  *     conversionDate: string,
- *     lastUpdated: string
+ *     lastUpdated: string (when the rates were loaded)
  *   },
  *   error?: string
  * }
+ *
+ * Pairs the rate provider does not quote (or dates before its data starts)
+ * return 422 instead of a made-up rate.
  */
-router.post('/currency-converter/convert', async (req, res) => {
+router.post('/currency-converter/convert', validateBody(schemas.currencyConverter), async (req, res) => {
     try {
-        const { amount, fromCurrency, toCurrency } = req.body;
-
-        // Validation
-        if (!amount || amount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Amount must be greater than 0'
-            });
-        }
-
-        if (!fromCurrency || !toCurrency) {
-            return res.status(400).json({
-                success: false,
-                error: 'Both fromCurrency and toCurrency are required'
-            });
-        }
-
-        if (fromCurrency === toCurrency) {
-            return res.status(400).json({
-                success: false,
-                error: 'From and to currencies must be different'
-            });
-        }
-
-        // Valid currency codes (major currencies)
-        const validCurrencies = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'SGD', 'HKD', 'NZD', 'KRW', 'BRL', 'MXN', 'ZAR', 'RUB', 'AED', 'SAR', 'THB'];
-        
-        if (!validCurrencies.includes(fromCurrency) || !validCurrencies.includes(toCurrency)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid currency code'
-            });
-        }
-
-        // TODO: Implement currency conversion logic
-        // This is a placeholder - actual implementation needed
-        // The converter should:
-        // 1. Fetch real-time exchange rates from a currency API (e.g., ExchangeRate-API, Fixer.io, Open Exchange Rates)
-        // 2. Calculate converted amount: convertedAmount = amount × exchangeRate
-        // 3. Return conversion result with rate and date
-        // Options:
-        // - Use free tier APIs (ExchangeRate-API, CurrencyAPI)
-        // - Use paid APIs for more reliable data (Fixer.io, Open Exchange Rates)
-        // - Cache rates for performance
-        // - Handle API errors gracefully
-
-        // Placeholder conversion (using mock exchange rate)
-        // In production, this should fetch real exchange rates
-        const mockExchangeRates = {
-            'USD': { 'EUR': 0.92, 'GBP': 0.79, 'INR': 83.50, 'JPY': 149.50 },
-            'EUR': { 'USD': 1.09, 'GBP': 0.86, 'INR': 90.75, 'JPY': 162.50 },
-            'INR': { 'USD': 0.012, 'EUR': 0.011, 'GBP': 0.0095, 'JPY': 1.79 },
-            // Add more rates as needed
-        };
-
-        // Get exchange rate (fallback to 1 if not in mock data)
-        let exchangeRate = 1;
-        if (mockExchangeRates[fromCurrency] && mockExchangeRates[fromCurrency][toCurrency]) {
-            exchangeRate = mockExchangeRates[fromCurrency][toCurrency];
-        } else if (mockExchangeRates[toCurrency] && mockExchangeRates[toCurrency][fromCurrency]) {
-            exchangeRate = 1 / mockExchangeRates[toCurrency][fromCurrency];
-        }
-
-        const convertedAmount = amount * exchangeRate;
-        const now = new Date().toISOString();
-
-        const mockData = {
-            amount,
-            fromCurrency,
-            toCurrency,
-            exchangeRate: Math.round(exchangeRate * 100000) / 100000, // Round to 5 decimal places
-            convertedAmount: Math.round(convertedAmount * 100) / 100, // Round to 2 decimal places
-            conversionDate: now,
-            lastUpdated: now
-        };
-
-        // TODO: Replace with actual implementation
-        // const conversionData = await currencyConverterController.convertCurrency(amount, fromCurrency, toCurrency);
+        const { amount, fromCurrency, toCurrency, date } = req.body;
+
+        const result = await currencyConverterController.convertCurrency(amount, fromCurrency, toCurrency, date);
 
         res.json({
             success: true,
-            data: mockData
+            data: result
         });
 
     } catch (error) {
         console.error('Currency converter error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -559,12 +669,28 @@ router.post('/currency-converter/convert', async (req, res) => {
  * 
  * Request Body:
  * {
- *   annualIncome: number,
+ *   assessmentYear?: string (e.g. '2026-27', default latest available),
+ *   annualIncome?: number (gross; required without salary, defaults to the gross salary),
  *   age: string ('below-60' | '60-80' | 'above-80'),
- *   deductions: {
+ *   salaried?: boolean (standard deduction applies, default true),
+ *   parentsSeniorCitizen?: boolean (default false),
+ *   salary?: {                  // annual amounts
+ *     basic: number,
+ *     da?: number,
+ *     hraReceived?: number,
+ *     rentPaid?: number,
+ *     metroCity?: boolean (default false),
+ *     lta?: number,
+ *     ltaClaimed?: number (eligible travel fare),
+ *     employerNps?: number,
+ *     otherAllowances?: number
+ *   },
+ *   deductions?: {
  *     section80C: number,
+ *     section80CCD1B: number,
  *     section80D: number,
- *     hra: number,
+ *     section80DParents: number,
+ *     hra: number (ignored when salary is given),
  *     section80G: number,
  *     other: number
  *   }
@@ -574,9 +700,30 @@ router.post('/currency-converter/convert', async (req, res) => {
  * {
  *   success: boolean,
  *   data: {
+ *     assessmentYear: string,
+ *     financialYear: string,
  *     annualIncome: number,
  *     age: string,
+ *     salaried: boolean,
  *     deductions: object,
+ *     salaryBreakdown: {           // null without salary
+ *       components: { basic, da, hraReceived, lta, employerNps, otherAllowances },
+ *       grossSalary: number,
+ *       otherIncome: number,
+ *       hraExemption: {
+ *         hraReceived, rentPaid, metroCity, salaryForHra, rentInExcessOfSalary,
+ *         percentOfSalary, percent, exemption, taxableHra,
+ *         limitingFactor: 'hra-received' | 'rent-paid' | 'percent-of-salary'
+ *       },
+ *       ltaExemption: number
+ *     } | null,
+ *     regimes: {
+ *       old: regimeResult,
+ *       new: regimeResult
+ *     },
+ *     recommendedRegime: 'old' | 'new',
+ *     savings: number,
+ *     recommendation: string,
  *     totalDeductions: number,
  *     taxableIncome: number,
  *     taxSlabs: Array<{
@@ -593,128 +740,29 @@ router.post('/currency-converter/convert', async (req, res) => {
  *   },
  *   error?: string
  * }
+ *
+ * regimeResult: {
+ *   regime, name, standardDeduction, allowedDeductions, totalDeductions, taxableIncome,
+ *   salaryBreakdown: { grossSalary, hraExemption, ltaExemption, standardDeduction,
+ *     taxableSalary, employerNpsDeduction } | null,
+ *   taxSlabs, taxBeforeRebate, rebate87A, incomeTax, surchargeRate, surcharge,
+ *   marginalRelief, cess, totalTaxPayable, effectiveTaxRate, afterTaxIncome,
+ *   notes: Array<string> (capped or disallowed deductions, rebate and relief applied)
+ * }
+ * The top-level totalDeductions ... afterTaxIncome are those of the recommended regime.
  */
-router.post('/income-tax-calculator/calculate', async (req, res) => {
+router.post('/income-tax-calculator/calculate', validateBody(schemas.incomeTaxCalculator), async (req, res) => {
     try {
-        const { annualIncome, age, deductions } = req.body;
-
-        // Validation
-        if (!annualIncome || annualIncome < 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Annual income must be greater than or equal to 0'
-            });
-        }
-
-        if (!age || !['below-60', '60-80', 'above-80'].includes(age)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid age category'
-            });
-        }
-
-        if (!deductions || typeof deductions !== 'object') {
-            return res.status(400).json({
-                success: false,
-                error: 'Deductions must be an object'
-            });
-        }
-
-        // TODO: Implement income tax calculation logic
-        // This is a placeholder - actual implementation needed
-        // The calculator should:
-        // 1. Calculate total deductions from deduction object
-        // 2. Calculate taxable income: annualIncome - totalDeductions
-        // 3. Apply tax slabs based on age category
-        // 4. Calculate tax for each slab
-        // 5. Calculate cess (typically 4% of income tax)
-        // 6. Calculate total tax payable
-        // 7. Calculate effective tax rate
-        // 8. Calculate after-tax income
-        // Note: Tax slabs vary by country and change annually
-        // This implementation should be updated based on current tax laws
-
-        // Placeholder calculation (simplified India tax slabs)
-        const totalDeductions = (deductions.section80C || 0) + 
-                               (deductions.section80D || 0) + 
-                               (deductions.hra || 0) + 
-                               (deductions.section80G || 0) + 
-                               (deductions.other || 0);
-
-        const taxableIncome = Math.max(0, annualIncome - totalDeductions);
-
-        // Get tax slabs based on age (simplified)
-        let taxSlabs = [];
-        if (age === 'below-60') {
-            taxSlabs = [
-                { min: 0, max: 250000, rate: 0 },
-                { min: 250000, max: 500000, rate: 5 },
-                { min: 500000, max: 1000000, rate: 20 },
-                { min: 1000000, max: Infinity, rate: 30 }
-            ];
-        } else if (age === '60-80') {
-            taxSlabs = [
-                { min: 0, max: 300000, rate: 0 },
-                { min: 300000, max: 500000, rate: 5 },
-                { min: 500000, max: 1000000, rate: 20 },
-                { min: 1000000, max: Infinity, rate: 30 }
-            ];
-        } else {
-            taxSlabs = [
-                { min: 0, max: 500000, rate: 0 },
-                { min: 500000, max: 1000000, rate: 20 },
-                { min: 1000000, max: Infinity, rate: 30 }
-            ];
-        }
-
-        // Calculate tax by slabs
-        let incomeTax = 0;
-        const taxBreakdown = [];
-        for (const slab of taxSlabs) {
-            if (taxableIncome <= slab.min) break;
-            const slabIncome = Math.min(taxableIncome - slab.min, slab.max === Infinity ? taxableIncome : slab.max - slab.min);
-            if (slabIncome <= 0) continue;
-            const slabTax = (slabIncome * slab.rate) / 100;
-            incomeTax += slabTax;
-            taxBreakdown.push({
-                slab: `₹${Math.round(slab.min / 1000)}k - ${slab.max === Infinity ? 'Above' : `₹${Math.round(slab.max / 1000)}k`}`,
-                income: Math.round(slabIncome * 100) / 100,
-                rate: slab.rate,
-                tax: Math.round(slabTax * 100) / 100
-            });
-        }
-
-        // Calculate cess (4%)
-        const cess = Math.round((incomeTax * 4) / 100 * 100) / 100;
-        const totalTaxPayable = Math.round((incomeTax + cess) * 100) / 100;
-        const effectiveTaxRate = annualIncome > 0 ? Math.round((totalTaxPayable / annualIncome) * 100 * 100) / 100 : 0;
-        const afterTaxIncome = Math.round((annualIncome - totalTaxPayable) * 100) / 100;
-
-        const mockData = {
-            annualIncome,
-            age,
-            deductions,
-            totalDeductions: Math.round(totalDeductions * 100) / 100,
-            taxableIncome: Math.round(taxableIncome * 100) / 100,
-            taxSlabs: taxBreakdown,
-            incomeTax: Math.round(incomeTax * 100) / 100,
-            cess,
-            totalTaxPayable,
-            effectiveTaxRate,
-            afterTaxIncome
-        };
-
-        // TODO: Replace with actual implementation
-        // const taxData = await incomeTaxCalculatorController.calculateTax(annualIncome, age, deductions);
+        const result = await incomeTaxCalculatorController.calculateTax(req.body);
 
         res.json({
             success: true,
-            data: mockData
+            data: result
         });
 
     } catch (error) {
         console.error('Income tax calculator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -727,127 +775,79 @@ router.post('/income-tax-calculator/calculate', async (req, res) => {
  * 
  * Request Body:
  * {
+ *   mode?: 'sip' | 'swp' | 'goal' (default 'sip'),
+ *   expectedROI: number (annual percentage),
+ *   inflationRate?: number (annual percentage for real values, default 6),
+ *   stepUp?: { type: 'percentage' | 'amount', value: number } (yearly increase of the SIP or withdrawal),
+ *
+ *   // sip
  *   monthlyInvestment: number,
  *   investmentPeriod: number (years),
- *   expectedROI: number (annual percentage)
+ *   lumpsum?: number (invested at the start, default 0; also in goal mode),
+ *
+ *   // swp
+ *   corpus: number,
+ *   monthlyWithdrawal: number,
+ *   investmentPeriod: number (years of withdrawals),
+ *
+ *   // goal
+ *   targetAmount: number,
+ *   targetDate: string (YYYY-MM),
+ *   targetInTodaysMoney?: boolean (default false)
  * }
  * 
  * Response:
  * {
  *   success: boolean,
  *   data: {
- *     monthlyInvestment: number,
- *     investmentPeriod: number,
+ *     mode: string,
+ *     monthlyInvestment: number | null (starting SIP; the required SIP in goal mode; null in swp mode),
+ *     investmentPeriod: number (years),
+ *     months: number,
  *     expectedROI: number,
- *     totalInvestment: number,
+ *     inflationRate: number,
+ *     lumpsum: number,
+ *     stepUp: object | null,
+ *     totalInvestment: number (amount paid in, or the corpus in swp mode),
  *     estimatedReturns: number,
- *     totalValue: number,
+ *     totalValue: number (nominal value at the end; the remaining corpus in swp mode),
+ *     realValue: number (totalValue in today's money),
  *     returnsPercentage: number,
  *     yearWiseGrowth: Array<{
  *       year: number,
+ *       monthlyInvestment: number,
+ *       monthlyWithdrawal: number,
  *       totalInvestment: number,
+ *       totalWithdrawn: number,
  *       estimatedReturns: number,
- *       totalValue: number
- *     }>
+ *       totalValue: number (nominal),
+ *       realValue: number (today's money)
+ *     }>,
+ *     withdrawal: {               // swp mode, otherwise null
+ *       monthlyWithdrawal, finalMonthlyWithdrawal, totalWithdrawn, realTotalWithdrawn,
+ *       sustainableMonthlyWithdrawal (level withdrawal lasting exactly the period),
+ *       depleted: boolean, depletionMonth: number | null
+ *     } | null,
+ *     goal: {                     // goal mode, otherwise null
+ *       targetAmount, targetDate, targetInTodaysMoney, nominalTarget,
+ *       requiredMonthlyInvestment, reachedWithoutSIP: boolean
+ *     } | null
  *   },
  *   error?: string
  * }
  */
-router.post('/sip-calculator/calculate', async (req, res) => {
+router.post('/sip-calculator/calculate', validateBody(schemas.sipCalculator), async (req, res) => {
     try {
-        const { monthlyInvestment, investmentPeriod, expectedROI } = req.body;
-
-        // Validation
-        if (!monthlyInvestment || monthlyInvestment < 500) {
-            return res.status(400).json({
-                success: false,
-                error: 'Monthly investment must be at least ₹500'
-            });
-        }
-
-        if (!investmentPeriod || investmentPeriod < 1 || investmentPeriod > 50) {
-            return res.status(400).json({
-                success: false,
-                error: 'Investment period must be between 1 and 50 years'
-            });
-        }
-
-        if (!expectedROI || expectedROI < 1 || expectedROI > 20) {
-            return res.status(400).json({
-                success: false,
-                error: 'Expected ROI must be between 1% and 20%'
-            });
-        }
-
-        // TODO: Implement SIP calculation logic
-        // This is a placeholder - actual implementation needed
-        // The calculator should:
-        // 1. Calculate total investment (monthlyInvestment × months)
-        // 2. Calculate SIP returns using Future Value of Annuity formula
-        //    FV = PMT × [((1 + r)^n - 1) / r] × (1 + r)
-        //    Where: PMT = Monthly Payment, r = Monthly ROI, n = Number of months
-        // 3. Calculate estimated returns (totalValue - totalInvestment)
-        // 4. Calculate returns percentage
-        // 5. Generate year-wise growth data for chart/table visualization
-
-        const months = investmentPeriod * 12;
-        const monthlyROI = expectedROI / 12 / 100;
-        const totalInvestmentAmount = monthlyInvestment * months;
-
-        // Calculate SIP returns
-        let totalValue;
-        if (monthlyROI === 0) {
-            totalValue = totalInvestmentAmount;
-        } else {
-            const factor = Math.pow(1 + monthlyROI, months);
-            totalValue = monthlyInvestment * ((factor - 1) / monthlyROI) * (1 + monthlyROI);
-        }
-
-        const estimatedReturns = totalValue - totalInvestmentAmount;
-        const returnsPercentage = totalInvestmentAmount > 0 ? (estimatedReturns / totalInvestmentAmount) * 100 : 0;
-
-        // Generate year-wise growth
-        const yearWiseGrowth = [];
-        for (let year = 1; year <= investmentPeriod; year++) {
-            const yearMonths = year * 12;
-            const yearTotalInvestment = monthlyInvestment * yearMonths;
-            let yearTotalValue;
-            if (monthlyROI === 0) {
-                yearTotalValue = yearTotalInvestment;
-            } else {
-                const yearFactor = Math.pow(1 + monthlyROI, yearMonths);
-                yearTotalValue = monthlyInvestment * ((yearFactor - 1) / monthlyROI) * (1 + monthlyROI);
-            }
-            yearWiseGrowth.push({
-                year,
-                totalInvestment: Math.round(yearTotalInvestment * 100) / 100,
-                estimatedReturns: Math.round((yearTotalValue - yearTotalInvestment) * 100) / 100,
-                totalValue: Math.round(yearTotalValue * 100) / 100
-            });
-        }
-
-        const mockData = {
-            monthlyInvestment,
-            investmentPeriod,
-            expectedROI,
-            totalInvestment: Math.round(totalInvestmentAmount * 100) / 100,
-            estimatedReturns: Math.round(estimatedReturns * 100) / 100,
-            totalValue: Math.round(totalValue * 100) / 100,
-            returnsPercentage: Math.round(returnsPercentage * 100) / 100,
-            yearWiseGrowth
-        };
-
-        // TODO: Replace with actual implementation
-        // const sipData = await sipCalculatorController.calculateSIP(monthlyInvestment, investmentPeriod, expectedROI);
+        const result = await sipCalculatorController.calculateSIP(req.body);
 
         res.json({
             success: true,
-            data: mockData
+            data: result
         });
 
     } catch (error) {
         console.error('SIP calculator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -862,7 +862,15 @@ router.post('/sip-calculator/calculate', async (req, res) => {
  * {
  *   principal: number,
  *   interestRate: number (annual percentage),
- *   tenure: number (years)
+ *   tenure: number (7 days to 10 years),
+ *   tenureUnit?: 'years' | 'months' | 'days' (default 'years'),
+ *   compounding?: 'monthly' | 'quarterly' | 'half-yearly' | 'yearly' | 'simple' (default 'quarterly'),
+ *   payout?: 'cumulative' | 'monthly' | 'quarterly' | 'half-yearly' | 'yearly' (default 'cumulative'),
+ *   seniorCitizen?: boolean (default false),
+ *   seniorCitizenBonus?: number (percentage points added for senior citizens, default 0.5),
+ *   panProvided?: boolean (default true),
+ *   form15Submitted?: boolean (Form 15G/15H, no TDS; default false),
+ *   inflationRate?: number (expected annual percentage; adds real values)
  * }
  * 
  * Response:
@@ -871,86 +879,835 @@ router.post('/sip-calculator/calculate', async (req, res) => {
  *   data: {
  *     principal: number,
  *     interestRate: number,
+ *     appliedRate: number (including any senior-citizen bonus),
+ *     seniorCitizen: boolean,
  *     tenure: number,
+ *     tenureUnit: string,
+ *     tenureYears: number,
+ *     compounding: string (simple for deposits under 6 months),
+ *     compoundingFrequency: number | null (null for simple interest),
+ *     payout: string,
+ *     payoutAmount: number | null (interest paid each period; null for cumulative deposits or when no period completes),
+ *     payoutsCount: number,
+ *     maturityAmount: number (paid at maturity: principal plus any interest not paid out),
+ *     totalInterestEarned: number,
+ *     effectiveRate: number,
+ *     tds: { assessmentYear, threshold, rate, totalTds },
+ *     netInterestEarned: number (after TDS),
+ *     inflationRate: number | null,
+ *     realMaturityAmount: number | null (maturity amount in today's money),
+ *     realInterestEarned: number | null (each year's interest in today's money),
+ *     realEffectiveRate: number | null (effective rate after inflation),
+ *     yearWiseGrowth: Array<{
+ *       year: number,
+ *       openingBalance: number,
+ *       interestEarned: number,
+ *       payout: number,
+ *       tds: number,
+ *       closingBalance: number,
+ *       cumulativeInterest: number,
+ *       realClosingBalance: number | null
+ *     }>,
+ *     notes: Array<string>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/fd-calculator/calculate', validateBody(schemas.fdCalculator), async (req, res) => {
+    try {
+        const result = await fdCalculatorController.calculateFD(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('FD calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * RD Calculator Route
+ * POST /api/tools/finance/rd-calculator/calculate
+ * 
+ * Request Body:
+ * {
+ *   monthlyDeposit: number,
+ *   interestRate: number (annual percentage, compounded quarterly),
+ *   tenureMonths: number (6 to 120)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     monthlyDeposit: number,
+ *     interestRate: number,
+ *     tenureMonths: number,
  *     compoundingFrequency: number,
+ *     totalDeposited: number,
  *     maturityAmount: number,
  *     totalInterestEarned: number,
- *     effectiveRate: number
+ *     yearWiseGrowth: Array<{ year, totalDeposited, interestEarned, balance }>
  *   },
  *   error?: string
  * }
  */
-router.post('/fd-calculator/calculate', async (req, res) => {
+router.post('/rd-calculator/calculate', validateBody(schemas.rdCalculator), async (req, res) => {
     try {
-        const { principal, interestRate, tenure } = req.body;
-
-        // Validation
-        if (!principal || principal < 1000) {
-            return res.status(400).json({
-                success: false,
-                error: 'Principal amount must be at least ₹1,000'
-            });
-        }
-
-        if (!interestRate || interestRate < 1 || interestRate > 15) {
-            return res.status(400).json({
-                success: false,
-                error: 'Interest rate must be between 1% and 15%'
-            });
-        }
-
-        if (!tenure || tenure <= 0 || tenure > 10) {
-            return res.status(400).json({
-                success: false,
-                error: 'Tenure must be between 1 and 10 years'
-            });
-        }
-
-        // TODO: Implement FD calculation logic
-        // This is a placeholder - actual implementation needed
-        // The calculator should:
-        // 1. Calculate FD maturity using compound interest formula
-        //    Maturity Amount = Principal × (1 + r/n)^(n×t)
-        //    Where: r = Annual interest rate, n = Compounding frequency (quarterly = 4), t = Time in years
-        // 2. Calculate total interest earned
-        // 3. Calculate effective annual rate (EAR)
-        // 4. Generate year-wise growth data for graph visualization
-
-        const COMPOUNDING_FREQUENCY = 4; // Quarterly compounding
-        const rateDecimal = interestRate / 100;
-        const factor = Math.pow(1 + rateDecimal / COMPOUNDING_FREQUENCY, COMPOUNDING_FREQUENCY * tenure);
-        const maturityAmount = principal * factor;
-        const totalInterestEarned = maturityAmount - principal;
-        
-        // Calculate effective annual rate
-        const effectiveRate = (Math.pow(1 + rateDecimal / COMPOUNDING_FREQUENCY, COMPOUNDING_FREQUENCY) - 1) * 100;
-
-        const mockData = {
-            principal,
-            interestRate,
-            tenure,
-            compoundingFrequency: COMPOUNDING_FREQUENCY,
-            maturityAmount: Math.round(maturityAmount * 100) / 100,
-            totalInterestEarned: Math.round(totalInterestEarned * 100) / 100,
-            effectiveRate: Math.round(effectiveRate * 100) / 100
-        };
-
-        // TODO: Replace with actual implementation
-        // const fdData = await fdCalculatorController.calculateFD(principal, interestRate, tenure);
+        const result = await rdCalculatorController.calculateRD(req.body);
 
         res.json({
             success: true,
-            data: mockData
+            data: result
         });
 
     } catch (error) {
-        console.error('FD calculator error:', error);
-        res.status(500).json({
+        console.error('RD calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * PPF Calculator Route
+ * POST /api/tools/finance/ppf-calculator/calculate
+ * 
+ * Request Body:
+ * {
+ *   yearlyContribution: number (₹500 to ₹1,50,000, deposited by 5 April),
+ *   interestRate?: number (annual percentage, default 7.1),
+ *   extensionBlocks?: number (5-year extensions after the 15-year lock-in, default 0),
+ *   extendWithContributions?: boolean (default true)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     yearlyContribution: number,
+ *     interestRate: number,
+ *     lockInYears: number,
+ *     extensionBlocks: number,
+ *     extendWithContributions: boolean,
+ *     years: number,
+ *     totalContribution: number,
+ *     totalInterestEarned: number,
+ *     maturityAmount: number,
+ *     lockInMaturityAmount: number (balance when the 15-year lock-in ends),
+ *     yearWiseGrowth: Array<{
+ *       year: number,
+ *       phase: 'lock-in' | 'extension',
+ *       contribution: number,
+ *       totalContributed: number,
+ *       interestEarned: number,
+ *       balance: number
+ *     }>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/ppf-calculator/calculate', validateBody(schemas.ppfCalculator), async (req, res) => {
+    try {
+        const result = await ppfCalculatorController.calculatePPF(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('PPF calculator error:', error);
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
     }
 });
 
+/**
+ * EPF Calculator Route
+ * POST /api/tools/finance/epf-calculator/calculate
+ * 
+ * Request Body:
+ * {
+ *   monthlyBasicSalary: number (basic + DA),
+ *   currentAge: number,
+ *   retirementAge?: number (default 58),
+ *   currentBalance?: number (default 0),
+ *   interestRate?: number (annual percentage, default 8.25),
+ *   salaryGrowth?: number (yearly percentage, default 5),
+ *   employeeContributionRate?: number (percentage of basic + DA, 12 to 100, default 12),
+ *   employerOnWageCeiling?: boolean (employer contributes on ₹15,000 only, default false)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     monthlyBasicSalary: number,
+ *     currentAge: number,
+ *     retirementAge: number,
+ *     years: number,
+ *     interestRate: number,
+ *     salaryGrowth: number,
+ *     employeeContributionRate: number,
+ *     employerContributionRate: number,
+ *     currentBalance: number,
+ *     totalEmployeeContribution: number,
+ *     totalEmployerContribution: number (to EPF, after the pension diversion),
+ *     totalPensionContribution: number (diverted to EPS; not part of the EPF balance),
+ *     totalInterestEarned: number,
+ *     maturityAmount: number,
+ *     yearWiseGrowth: Array<{
+ *       year: number,
+ *       age: number,
+ *       monthlyBasicSalary: number,
+ *       employeeContribution: number,
+ *       employerContribution: number,
+ *       pensionContribution: number,
+ *       interestEarned: number,
+ *       balance: number
+ *     }>,
+ *     notes: Array<string>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/epf-calculator/calculate', validateBody(schemas.epfCalculator), async (req, res) => {
+    try {
+        const result = await epfCalculatorController.calculateEPF(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('EPF calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Retirement Corpus Calculator Route
+ * POST /api/tools/finance/retirement-corpus-calculator/calculate
+ * 
+ * Request Body:
+ * {
+ *   currentAge: number,
+ *   retirementAge: number,
+ *   lifeExpectancy?: number (default 85),
+ *   monthlySavings: number,
+ *   currentSavings?: number (default 0),
+ *   expectedROI: number (annual percentage until retirement),
+ *   postRetirementROI?: number (annual percentage after retirement, default 7),
+ *   inflationRate?: number (annual percentage, default 6),
+ *   monthlyExpenses: number (desired monthly expenses in today's money)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     currentAge: number,
+ *     retirementAge: number,
+ *     lifeExpectancy: number,
+ *     yearsUntilRetirement: number,
+ *     yearsInRetirement: number,
+ *     monthlySavings: number,
+ *     currentSavings: number,
+ *     expectedROI: number,
+ *     postRetirementROI: number,
+ *     inflationRate: number,
+ *     monthlyExpenses: number,
+ *     monthlyExpensesAtRetirement: number,
+ *     corpusRequired: number,
+ *     corpusProjected: number,
+ *     shortfall: number,
+ *     surplus: number,
+ *     extraMonthlySavingNeeded: number,
+ *     totalSavingsInvested: number,
+ *     totalReturnsEarned: number,
+ *     monthlyPensionEstimate: number,
+ *     moneyRunsOutAtAge: number | null,
+ *     yearWiseGrowth: Array<{ year: number, age: number, totalInvested: number, corpus: number }>,
+ *     drawdown: Array<{
+ *       year: number,
+ *       age: number,
+ *       monthlyWithdrawal: number,
+ *       openingBalance: number,
+ *       withdrawals: number,
+ *       returns: number,
+ *       closingBalance: number,
+ *       unfundedExpenses: number
+ *     }>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/retirement-corpus-calculator/calculate', validateBody(schemas.retirementCorpusCalculator), async (req, res) => {
+    try {
+        const result = await retirementCorpusCalculatorController.calculateCorpus(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Retirement corpus calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Retirement Corpus Simulation Route
+ * POST /api/tools/finance/retirement-corpus-calculator/simulate
+ * 
+ * Runs the retirement plan over random yearly returns drawn from each asset
+ * class's expected return and volatility. Send the returned seed back to
+ * reproduce a result.
+ * 
+ * Request Body:
+ * {
+ *   currentAge: number,
+ *   retirementAge: number,
+ *   lifeExpectancy?: number (default 85),
+ *   monthlySavings: number,
+ *   currentSavings?: number (default 0),
+ *   inflationRate?: number (annual percentage, default 6),
+ *   monthlyExpenses: number (desired monthly expenses in today's money),
+ *   assetClasses: Array<{
+ *     name: string,
+ *     allocation: number (percentage; allocations add up to 100),
+ *     expectedReturn: number (mean annual percentage),
+ *     volatility: number (standard deviation of the annual return, percentage)
+ *   }>,
+ *   postRetirementAssetClasses?: Array<same as assetClasses> (default: assetClasses),
+ *   trials?: number (100 to 10,000, default 1000),
+ *   seed?: number (default random)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     currentAge, retirementAge, lifeExpectancy, yearsUntilRetirement, yearsInRetirement,
+ *     monthlySavings, currentSavings, inflationRate, monthlyExpenses, monthlyExpensesAtRetirement,
+ *     trials: number,
+ *     seed: number,
+ *     portfolio: { expectedReturn, volatility, assetClasses },
+ *     postRetirementPortfolio: { expectedReturn, volatility, assetClasses },
+ *     successProbability: number (percentage of trials where the corpus lasts until life expectancy),
+ *     corpusAtRetirement: { p10, p50, p90 },
+ *     medianDepletionAgeIfDepleted: number | null (median among only the trials that run out, not all trials; null if none do),
+ *     earliestDepletionAge: number | null,
+ *     fixedReturnProjection: { corpusAtRetirement, moneyRunsOutAtAge } (every year at the expected return),
+ *     percentilePaths: Array<{ year, age, phase: 'accumulation' | 'retirement', p10, p50, p90 }> (year-end corpus)
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/retirement-corpus-calculator/simulate', validateBody(schemas.retirementSimulation), async (req, res) => {
+    try {
+        const result = await retirementCorpusCalculatorController.simulateCorpus(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Retirement corpus calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Loan Eligibility Calculator Route
+ * POST /api/tools/finance/loan-eligibility-calculator/calculate
+ * 
+ * Request Body:
+ * {
+ *   monthlyIncome: number,
+ *   existingEMIs?: number (default 0),
+ *   coApplicants?: Array<{ name?: string, monthlyIncome: number, existingEMIs?: number }> (max 3),
+ *   foirCap?: number (percentage of income for all EMIs, default 50),
+ *   emiCapacity?: number (maximum EMI the borrower wants to pay),
+ *   interestRate: number (annual percentage),
+ *   loanTenure: number (years),
+ *   applicantAge?: number,
+ *   maxAgeAtMaturity?: number (default 60),
+ *   propertyValue?: number,
+ *   ltvCap?: number (percentage of property value, default 80)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     monthlyIncome: number,
+ *     totalMonthlyIncome: number,
+ *     existingEMIs: number,
+ *     foirCap: number,
+ *     emiCapacity: number | null,
+ *     interestRate: number,
+ *     loanTenure: number,
+ *     eligibleTenure: number,
+ *     eligibleLoanAmount: number,
+ *     maximumEMI: number,
+ *     totalInterestPayable: number,
+ *     totalAmountPayable: number,
+ *     limitingConstraint: 'foir' | 'emi-capacity' | 'tenure' | 'ltv',
+ *     constraints: {
+ *       foir: { maxEMI: number, maxLoanAmount: number },
+ *       emiCapacity: { maxEMI: number, maxLoanAmount: number } | null,
+ *       tenure: { requestedYears: number, maxYears: number | null },
+ *       ltv: { propertyValue: number, ltvCap: number, maxLoanAmount: number } | null
+ *     },
+ *     eligibilityDetails: {
+ *       incomeMultiplier: number,
+ *       debtToIncomeRatio: number
+ *     },
+ *     eligibilityTable: Array<{
+ *       tenureYears: number,
+ *       rates: Array<{ interestRate: number, eligibleLoanAmount: number, monthlyEMI: number, limitingConstraint: string }>
+ *     }>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/loan-eligibility-calculator/calculate', validateBody(schemas.loanEligibilityCalculator), async (req, res) => {
+    try {
+        const result = await loanEligibilityCalculatorController.calculateLoanEligibility(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Loan eligibility calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Rent vs Buy Calculator Route
+ * POST /api/tools/finance/rent-vs-buy-calculator/calculate
+ * 
+ * Both sides spend the same each month; whoever pays less (EMI plus
+ * maintenance vs rent) invests the difference, and the renter also invests
+ * the buyer's upfront costs.
+ * 
+ * Request Body:
+ * {
+ *   propertyPrice: number,
+ *   downPayment: number (the rest of the price is borrowed),
+ *   interestRate: number (home loan annual percentage),
+ *   loanTenure: number (years),
+ *   stampDutyPercent?: number (default 6),
+ *   registrationPercent?: number (default 1),
+ *   maintenancePercent?: number (yearly, of the current value, default 1),
+ *   appreciationRate?: number (yearly percentage, default 5),
+ *   sellingCostPercent?: number (deducted from the property value in net worth, default 1),
+ *   monthlyRent: number,
+ *   rentEscalation?: number (yearly percentage, default 5),
+ *   investmentReturn?: number (annual percentage on invested money, default 10),
+ *   years?: number (default: the loan tenure),
+ *   taxRegime?: 'old' | 'new' (default 'old'; home loan deductions apply only under the old regime),
+ *   marginalTaxRate?: number (percentage including surcharge and cess, default 31.2),
+ *   otherSection80C?: number (80C already claimed elsewhere, default 0),
+ *   monthlyIncome?: number (take-home, for the affordability check)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     propertyPrice, downPayment, loanAmount, interestRate, loanTenure, monthlyEMI, years,
+ *     upfrontCost: { downPayment, stampDuty, registration, total },
+ *     monthlyRent, rentEscalation, appreciationRate, investmentReturn, taxRegime,
+ *     affordability: { monthlyIncome, emiToIncome, rentToIncome, affordable } | null,
+ *     breakEvenYear: number | null (first year buying is ahead on net worth),
+ *     betterOption: 'buy' | 'rent' (at the end of the comparison),
+ *     finalNetWorth: { buy, rent, difference },
+ *     totals: { emiPaid, interestPaid, maintenance, taxSaved, rentPaid },
+ *     yearWiseComparison: Array<{
+ *       year, propertyValue, loanBalance, homeEquity, emiPaid, interestPaid, principalPaid,
+ *       maintenance, taxSaved, rentPaid, buyerInvestments, renterInvestments,
+ *       buyerNetWorth, renterNetWorth, difference (buyer minus renter)
+ *     }>,
+ *     notes: Array<string>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/rent-vs-buy-calculator/calculate', validateBody(schemas.rentVsBuy), async (req, res) => {
+    try {
+        const result = await rentVsBuyController.compareRentVsBuy(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Rent vs buy calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Capital Gains Calculator Route
+ * POST /api/tools/finance/capital-gains-calculator/calculate
+ *
+ * Request Body (lots and/or tradebook):
+ * {
+ *   lots?: Array<{
+ *     name?: string,
+ *     assetClass: 'equity' | 'debt' | 'property',
+ *     quantity?: number (default 1; prices are per unit),
+ *     buyDate: string (YYYY-MM-DD),
+ *     buyPrice: number,
+ *     sellDate: string (YYYY-MM-DD),
+ *     sellPrice: number,
+ *     expenses?: number (transfer expenses, default 0)
+ *   }>,
+ *   tradebook?: string (broker tradebook CSV: symbol, trade_date, trade_type, quantity, price),
+ *   tradebookAssetClass?: 'equity' | 'debt' | 'property' (default 'equity'),
+ *   slabRate?: number (marginal slab rate for gains taxed at slab rates, default 30),
+ *   resident?: boolean (default true)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     lots: Array<{
+ *       lot: number, source: 'lots' | 'tradebook', name: string | null, assetClass: string,
+ *       quantity, buyDate, sellDate, holdingDays, term: 'short' | 'long', financialYear,
+ *       purchaseCost, indexedCost: number | null, saleValue, expenses, gain,
+ *       taxRate, taxedAtSlab: boolean, setOffApplied, exemptionApplied, taxableGain, tax,
+ *       notes: Array<string>
+ *     }>,
+ *     years: Array<{
+ *       financialYear, assessmentYear, shortTermGains, shortTermLosses, longTermGains,
+ *       longTermLosses, ltcgExemption, exemptionUsed, taxableGains, tax, cess, totalTax,
+ *       lossesCarriedForward: { shortTerm: number, longTerm: number }
+ *     }>,
+ *     totals: {
+ *       shortTermGains, shortTermLosses, longTermGains, longTermLosses,
+ *       exemptionUsed, taxableGains, tax, cess, totalTax
+ *     },
+ *     openPositions: Array<{ symbol, quantity, buyDate, buyPrice }> (unsold tradebook buys)
+ *   },
+ *   error?: string,
+ *   errors?: Array<{ field, code, message }> (invalid tradebook rows)
+ * }
+ * Surcharge is not included. A sale in a financial year without tax rules,
+ * or a tradebook sell exceeding the quantity bought before it, returns 422.
+ */
+router.post('/capital-gains-calculator/calculate', validateBody(schemas.capitalGainsCalculator), async (req, res) => {
+    try {
+        const result = await capitalGainsCalculatorController.calculateCapitalGains(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Capital gains calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+});
+
+/**
+ * XIRR Calculator Route
+ * POST /api/tools/finance/xirr-calculator/calculate
+ *
+ * Request Body (cashFlows and/or cashFlowsCsv):
+ * {
+ *   cashFlows?: Array<{ date: string (YYYY-MM-DD), amount: number (negative invested, positive received) }>,
+ *   cashFlowsCsv?: string (CSV with date and amount columns),
+ *   currentValue: number,
+ *   valuationDate?: string (YYYY-MM-DD, default today)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     xirr: number (annual percentage),
+ *     absoluteReturn: number | null (percentage),
+ *     cagr: number | null (annual percentage),
+ *     totalInvested: number,
+ *     totalWithdrawn: number,
+ *     currentValue: number,
+ *     gain: number,
+ *     firstDate: string,
+ *     valuationDate: string,
+ *     years: number,
+ *     cashFlowCount: number,
+ *     solver: { method: 'newton' | 'bisection', iterations: number },
+ *     notes: Array<string>
+ *   },
+ *   error?: string,
+ *   errors?: Array<{ field, code, message }> (invalid CSV rows)
+ * }
+ * Cash flows that never change sign, for which no rate solves, or whose rate
+ * is too high to compute (over a million-fold a year), return 422.
+ */
+router.post('/xirr-calculator/calculate', validateBody(schemas.xirrCalculator), async (req, res) => {
+    try {
+        const result = await xirrCalculatorController.calculateReturns(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('XIRR calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+});
+
+/**
+ * Debt Payoff Planner Route
+ * POST /api/tools/finance/debt-payoff-planner/calculate
+ * 
+ * Request Body:
+ * {
+ *   debts: Array<{
+ *     name: string (unique),
+ *     balance: number,
+ *     apr: number (annual percentage),
+ *     minimumPayment: number,
+ *     priority?: number (custom order; 1 is paid off first)
+ *   }>,
+ *   monthlyBudget: number (at least the total of the minimum payments),
+ *   startDate?: string (month of the first payment, YYYY-MM, default next month)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     monthlyBudget: number,
+ *     totalMinimumPayment: number,
+ *     totalBalance: number,
+ *     startDate: string,
+ *     debts: Array<{
+ *       name, balance, apr, minimumPayment, monthlyInterest,
+ *       coversInterest: boolean (false when the minimum payment does not cover the monthly interest),
+ *       minimumOnlyMonths: number | null (months to clear the debt paying only the minimum)
+ *     }>,
+ *     strategies: Array<{
+ *       strategy: 'snowball' | 'avalanche' | 'custom',
+ *       order: Array<string> (debt names, first target first),
+ *       debtFree: boolean,
+ *       months: number | null,
+ *       debtFreeDate: string | null,
+ *       totalInterest: number,
+ *       totalPaid: number,
+ *       debts: Array<{ name, payoffMonth, payoffDate, interestPaid, totalPaid }>,
+ *       timeline: Array<{
+ *         month, date, payment, interest, balance (all debts),
+ *         debts: Array<{ name, payment, balance }>
+ *       }>
+ *     }>,
+ *     bestStrategy: string | null (least interest),
+ *     notes: Array<string>
+ *   },
+ *   error?: string
+ * }
+ */
+router.post('/debt-payoff-planner/calculate', validateBody(schemas.debtPayoffPlanner), async (req, res) => {
+    try {
+        const result = await debtPayoffPlannerController.planDebtPayoff(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Debt payoff planner error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Inflation Calculator Route
+ * POST /api/tools/finance/inflation-calculator/calculate
+ * 
+ * Request Body:
+ * {
+ *   mode?: 'historical' | 'projection' (default 'historical'),
+ *   amount: number,
+ *   series?: 'india-cpi' | 'us-cpi-u' (default 'india-cpi'; historical),
+ *   fromYear?: number (year the amount is in; required in historical mode),
+ *   toYear?: number (earlier or later; required in historical mode),
+ *   inflationRate?: number (annual percentage; required in projection mode),
+ *   years?: number (required in projection mode)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data?: {
+ *     mode: string,
+ *     amount: number,
+ *     years: number,
+ *     inflationRate: number (average yearly price rise; the assumed rate in projection mode),
+ *     cumulativeInflation: number (percentage),
+ *     equivalentAmount: number (what the amount bought at the start costs at the end),
+ *     purchasingPower: number (what the same amount buys at the end, in start money),
+ *     yearWise: Array<{ year, cpi: number | null, inflation: number | null, equivalentAmount, purchasingPower }>,
+ *     historical: {
+ *       series, seriesName, currency, fromYear, toYear, cpiFrom, cpiTo,
+ *       firstYear, lastYear (years the series covers)
+ *     } | null
+ *   },
+ *   error?: string,
+ *   errors?: Array<{ field, code, message }>
+ * }
+ */
+router.post('/inflation-calculator/calculate', validateBody(schemas.inflationCalculator), async (req, res) => {
+    try {
+        const result = await inflationCalculatorController.calculateInflation(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Inflation calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+});
+
+/**
+ * CPI Series Route
+ * GET /api/tools/finance/inflation-calculator/series
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data?: { series: Array<{ id, name, currency, firstYear, lastYear }> },
+ *   error?: string
+ * }
+ */
+router.get('/inflation-calculator/series', async (req, res) => {
+    try {
+        const result = await inflationCalculatorController.listCpiSeries();
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('CPI series error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Goal Seek Route
+ * POST /api/tools/finance/goal-seek/solve
+ * 
+ * Request Body:
+ * {
+ *   calculator: 'emi-calculator' | 'sip-calculator' | 'fd-calculator' | 'rd-calculator' | 'ppf-calculator'
+ *     | 'epf-calculator' | 'retirement-corpus-calculator' | 'loan-eligibility-calculator' | 'rent-vs-buy-calculator',
+ *   inputs?: object (the calculator's request body without the unknown field),
+ *   targetField: string (numeric result field, with dots for nested fields, e.g. 'monthlyEMI'),
+ *   targetValue: number,
+ *   unknownField: string (numeric input to solve for, e.g. 'tenureMonths'),
+ *   tolerance?: number (largest acceptable difference from the target, default 0.01)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data?: {
+ *     calculator, unknownField, targetField, targetValue,
+ *     status: 'converged' | 'closest-integer' | 'not-converged' | 'out-of-range',
+ *     solvedValue: number | null,
+ *     achievedValue: number | null (the target field at the solved value),
+ *     difference: number | null,
+ *     iterations: number,
+ *     searchRange: { lower, upper, outputAtLower, outputAtUpper } | null (first and last values tried that gave an output),
+ *     bracket: { lower: { value, output }, upper: { value, output } } | null (whole-number inputs),
+ *     result: object | null (the calculator result at the solved value)
+ *   },
+ *   error?: string,
+ *   errors?: Array<{ field, code, message }>
+ * }
+ */
+router.post('/goal-seek/solve', validateBody(schemas.goalSeek), async (req, res) => {
+    try {
+        const result = await goalSeekController.goalSeek(req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Goal seek error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error',
+            ...(error.errors && { errors: error.errors })
+        });
+    }
+});
+
 module.exports = router;
 
@@ -0,0 +1,59 @@
+/**
+ * API Route Mounts
+ *
+ * Lists the API routers with their mount paths. server.js mounts them in this
+ * order and routes/docs.js describes them in the OpenAPI spec, so a router
+ * added here is documented automatically. Tool category routers come from the
+ * tool registry (registry/index.js).
+ *
+ * Each entry:
+ * {
+ *   path: string (mount path),
+ *   router: express.Router,
+ *   file: string (router source, read for the route JSDoc comments),
+ *   tag: string (OpenAPI tag),
+ *   description: string,
+ *   rateLimited: boolean (throttled per API key or client IP, see middleware/rateLimit.js),
+ *   category: Object (registry category, for tool routers)
+ * }
+ */
+
+const registry = require('../registry');
+
+const apiRoutes = [
+    {
+        path: '/api/auth',
+        router: require('./auth'),
+        file: require.resolve('./auth'),
+        tag: 'Auth',
+        description: 'User accounts and session tokens'
+    },
+    {
+        path: '/api/admin',
+        router: require('./admin'),
+        file: require.resolve('./admin'),
+        tag: 'Admin',
+        description: 'API key management (X-Admin-Token required)'
+    },
+    {
+        path: '/api/tools',
+        router: require('./tools'),
+        file: require.resolve('./tools'),
+        tag: 'Tool Registry',
+        description: 'Available tools, their schemas and status',
+        rateLimited: true
+    },
+    ...registry.categories.map(category => ({
+        path: category.path,
+        router: category.router,
+        file: category.file,
+        tag: category.name,
+        description: category.description,
+        rateLimited: true,
+        category
+    }))
+];
+
+module.exports = {
+    apiRoutes
+};
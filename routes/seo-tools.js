@@ -20,6 +20,10 @@
 const express = require('express');
 const router = express.Router();
 
+const schemas = require('../schemas/seo');
+const { validateBody } = require('../middleware/validate');
+const { getStatusCode } = require('../utils/errors');
+
 // TODO: Import controllers when created
 // const trafficCheckerController = require('../controllers/trafficCheckerController');
 // const daCheckerController = require('../controllers/daCheckerController');
@@ -61,18 +65,10 @@ const router = express.Router();
  *   error?: string
  * }
  */
-router.post('/traffic-checker/check', async (req, res) => {
+router.post('/traffic-checker/check', validateBody(schemas.trafficChecker), async (req, res) => {
     try {
         const { url } = req.body;
 
-        // Validation
-        if (!url) {
-            return res.status(400).json({
-                success: false,
-                error: 'URL is required'
-            });
-        }
-
         // Generate dynamic traffic data based on URL
         // In production, this would use third-party APIs (SimilarWeb, Alexa, etc.)
         // For now, generating realistic estimates based on URL characteristics
@@ -144,7 +140,7 @@ router.post('/traffic-checker/check', async (req, res) => {
 
     } catch (error) {
         console.error('Traffic checker error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -174,18 +170,10 @@ router.post('/traffic-checker/check', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/da-checker/check', async (req, res) => {
+router.post('/da-checker/check', validateBody(schemas.daChecker), async (req, res) => {
     try {
         const { domain } = req.body;
 
-        // Validation
-        if (!domain) {
-            return res.status(400).json({
-                success: false,
-                error: 'Domain is required'
-            });
-        }
-
         // TODO: Implement domain authority checking logic
         // This is a placeholder - actual implementation needed
         // Options:
@@ -215,7 +203,7 @@ router.post('/da-checker/check', async (req, res) => {
 
     } catch (error) {
         console.error('DA checker error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -248,18 +236,10 @@ router.post('/da-checker/check', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/serp-rank-checker/check', async (req, res) => {
+router.post('/serp-rank-checker/check', validateBody(schemas.serpRankChecker), async (req, res) => {
     try {
         const { url, keyword } = req.body;
 
-        // Validation
-        if (!url || !keyword) {
-            return res.status(400).json({
-                success: false,
-                error: 'URL and keyword are required'
-            });
-        }
-
         // Normalize URL
         let normalizedUrl = url.trim();
         if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
@@ -320,7 +300,7 @@ router.post('/serp-rank-checker/check', async (req, res) => {
 
     } catch (error) {
         console.error('SERP rank checker error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -352,18 +332,10 @@ router.post('/serp-rank-checker/check', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/backlink-analyzer/analyze', async (req, res) => {
+router.post('/backlink-analyzer/analyze', validateBody(schemas.backlinkAnalyzer), async (req, res) => {
     try {
         const { url } = req.body;
 
-        // Validation
-        if (!url) {
-            return res.status(400).json({
-                success: false,
-                error: 'URL is required'
-            });
-        }
-
         // Normalize URL
         let normalizedUrl = url.trim();
         if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
@@ -420,7 +392,7 @@ router.post('/backlink-analyzer/analyze', async (req, res) => {
 
     } catch (error) {
         console.error('Backlink analyzer error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -454,18 +426,10 @@ router.post('/backlink-analyzer/analyze', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/keyword-analyzer/analyze', async (req, res) => {
+router.post('/keyword-analyzer/analyze', validateBody(schemas.keywordAnalyzer), async (req, res) => {
     try {
         const { keyword, websiteUrl } = req.body;
 
-        // Validation
-        if (!keyword) {
-            return res.status(400).json({
-                success: false,
-                error: 'Keyword is required'
-            });
-        }
-
         // TODO: Implement keyword analysis logic
         // This is a placeholder - actual implementation needed
         // Options:
@@ -510,7 +474,7 @@ router.post('/keyword-analyzer/analyze', async (req, res) => {
 
     } catch (error) {
         console.error('Keyword analyzer error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -551,18 +515,10 @@ router.post('/keyword-analyzer/analyze', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/meta-tag-analyzer/analyze', async (req, res) => {
+router.post('/meta-tag-analyzer/analyze', validateBody(schemas.metaTagAnalyzer), async (req, res) => {
     try {
         const { url } = req.body;
 
-        // Validation
-        if (!url) {
-            return res.status(400).json({
-                success: false,
-                error: 'URL is required'
-            });
-        }
-
         // Normalize URL
         let normalizedUrl = url.trim();
         if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
@@ -617,7 +573,7 @@ router.post('/meta-tag-analyzer/analyze', async (req, res) => {
 
     } catch (error) {
         console.error('Meta tag analyzer error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -652,18 +608,10 @@ router.post('/meta-tag-analyzer/analyze', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/page-speed-tester/test', async (req, res) => {
+router.post('/page-speed-tester/test', validateBody(schemas.pageSpeedTester), async (req, res) => {
     try {
         const { url } = req.body;
 
-        // Validation
-        if (!url) {
-            return res.status(400).json({
-                success: false,
-                error: 'URL is required'
-            });
-        }
-
         // Normalize URL
         let normalizedUrl = url.trim();
         if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
@@ -715,7 +663,7 @@ router.post('/page-speed-tester/test', async (req, res) => {
 
     } catch (error) {
         console.error('Page speed tester error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -764,18 +712,10 @@ router.post('/page-speed-tester/test', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/seo-audit-tool/audit', async (req, res) => {
+router.post('/seo-audit-tool/audit', validateBody(schemas.seoAuditTool), async (req, res) => {
     try {
         const { url } = req.body;
 
-        // Validation
-        if (!url) {
-            return res.status(400).json({
-                success: false,
-                error: 'URL is required'
-            });
-        }
-
         // Normalize URL
         let normalizedUrl = url.trim();
         if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
@@ -856,7 +796,7 @@ router.post('/seo-audit-tool/audit', async (req, res) => {
 
     } catch (error) {
         console.error('SEO audit tool error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -914,18 +854,10 @@ router.post('/seo-audit-tool/audit', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/content-optimization-tool/optimize', async (req, res) => {
+router.post('/content-optimization-tool/optimize', validateBody(schemas.contentOptimizationTool), async (req, res) => {
     try {
         const { content, url } = req.body;
 
-        // Validation
-        if (!content && !url) {
-            return res.status(400).json({
-                success: false,
-                error: 'Either content or URL is required'
-            });
-        }
-
         // Normalize URL if provided
         let normalizedUrl = null;
         if (url) {
@@ -1026,7 +958,7 @@ router.post('/content-optimization-tool/optimize', async (req, res) => {
 
     } catch (error) {
         console.error('Content optimization tool error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -1076,18 +1008,10 @@ router.post('/content-optimization-tool/optimize', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/keyword-density-checker/check', async (req, res) => {
+router.post('/keyword-density-checker/check', validateBody(schemas.keywordDensityChecker), async (req, res) => {
     try {
         const { content, url } = req.body;
 
-        // Validation
-        if (!content && !url) {
-            return res.status(400).json({
-                success: false,
-                error: 'Either content or URL is required'
-            });
-        }
-
         // Normalize URL if provided
         let normalizedUrl = null;
         if (url) {
@@ -1162,7 +1086,7 @@ router.post('/keyword-density-checker/check', async (req, res) => {
 
     } catch (error) {
         console.error('Keyword density checker error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -1192,18 +1116,10 @@ router.post('/keyword-density-checker/check', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/meta-description-generator/generate', async (req, res) => {
+router.post('/meta-description-generator/generate', validateBody(schemas.metaDescriptionGenerator), async (req, res) => {
     try {
         const { pageTitle, keywords, contentSummary, tone = 'professional' } = req.body;
 
-        // Validation
-        if (!pageTitle) {
-            return res.status(400).json({
-                success: false,
-                error: 'Page title is required'
-            });
-        }
-
         // Generate meta description
         const metaDescription = generateMetaDescription(pageTitle, keywords, contentSummary, tone);
         const characterCount = metaDescription.length;
@@ -1222,7 +1138,7 @@ router.post('/meta-description-generator/generate', async (req, res) => {
 
     } catch (error) {
         console.error('Meta description generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -16,18 +16,24 @@
  * - PUT /api/tools/social-media/twitter-post-scheduler/posts/:id - Update scheduled post
  * - DELETE /api/tools/social-media/twitter-post-scheduler/posts/:id - Delete scheduled post
  * - GET /api/tools/social-media/twitter-post-scheduler/analytics - Get scheduling analytics
+ *
+ * Routes that read or store saved data (saved hashtags, scheduled posts)
+ * require an "Authorization: Bearer <token>" header and only see the caller's records.
  */
 
 const express = require('express');
 const router = express.Router();
 
-// TODO: Import controllers when created
-// const hashtagGeneratorController = require('../controllers/hashtagGeneratorController');
+const hashtagGeneratorController = require('../controllers/hashtagGeneratorController');
 const youtubeTitleTagGeneratorController = require('../controllers/youtubeTitleTagGeneratorController');
 const videoTitleTagGeneratorController = require('../controllers/videoTitleTagGeneratorController');
 const postEngagementCalculatorController = require('../controllers/postEngagementCalculatorController');
 const linkedinProfileOptimizerController = require('../controllers/linkedinProfileOptimizerController');
 const twitterPostSchedulerController = require('../controllers/twitterPostSchedulerController');
+const schemas = require('../schemas/social-media');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { getStatusCode } = require('../utils/errors');
 
 /**
  * Generate Hashtags Route
@@ -53,25 +59,10 @@ const twitterPostSchedulerController = require('../controllers/twitterPostSchedu
  *   error?: string
  * }
  */
-router.post('/hashtag-generator/generate', async (req, res) => {
+router.post('/hashtag-generator/generate', validateBody(schemas.hashtagGenerate), async (req, res) => {
     try {
         const { keywords, niche, platform, count } = req.body;
 
-        // Validation
-        if (!keywords || keywords.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Keywords are required'
-            });
-        }
-
-        if (count && (count < 20 || count > 50)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Count must be between 20 and 50'
-            });
-        }
-
         // Generate hashtags based on input
         const keywordArray = keywords.toLowerCase().split(/[,\s]+/).filter(k => k);
         const hashtags = [];
@@ -136,7 +127,7 @@ router.post('/hashtag-generator/generate', async (req, res) => {
 
     } catch (error) {
         console.error('Hashtag generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -159,31 +150,72 @@ router.post('/hashtag-generator/generate', async (req, res) => {
  * {
  *   success: boolean,
  *   message: string,
+ *   data: {
+ *     id: string,
+ *     hashtags: Array<string>,
+ *     keywords: string,
+ *     niche: string | null,
+ *     platform: string,
+ *     createdAt: string
+ *   },
  *   error?: string
  * }
  */
-router.post('/hashtag-generator/save', async (req, res) => {
+router.post('/hashtag-generator/save', requireAuth, validateBody(schemas.hashtagSave), async (req, res) => {
     try {
         const { hashtags, keywords, niche, platform } = req.body;
 
-        if (!hashtags || !Array.isArray(hashtags)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Hashtags array is required'
-            });
-        }
+        const userId = req.user.id;
 
-        // TODO: Implement save logic
-        // await hashtagGeneratorController.saveHashtags(userId, { hashtags, keywords, niche, platform });
+        const saved = await hashtagGeneratorController.saveHashtags(userId, { hashtags, keywords, niche, platform });
 
         res.json({
             success: true,
-            message: 'Hashtags saved successfully'
+            message: 'Hashtags saved successfully',
+            data: saved
         });
 
     } catch (error) {
         console.error('Hashtag generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Get Hashtag History Route
+ * GET /api/tools/social-media/hashtag-generator/history
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: Array<{
+ *     id: string,
+ *     hashtags: Array<string>,
+ *     keywords: string,
+ *     niche: string | null,
+ *     platform: string,
+ *     createdAt: string
+ *   }>,
+ *   error?: string
+ * }
+ */
+router.get('/hashtag-generator/history', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const history = await hashtagGeneratorController.getHashtagHistory(userId);
+
+        res.json({
+            success: true,
+            data: history
+        });
+
+    } catch (error) {
+        console.error('Hashtag generator error:', error);
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -215,38 +247,16 @@ router.post('/hashtag-generator/save', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/youtube-title-tag-generator/generate', async (req, res) => {
+router.post('/youtube-title-tag-generator/generate', validateBody(schemas.youtubeTitleTagGenerator), async (req, res) => {
     try {
         const { topic, category, titleCount, tagCount } = req.body;
 
-        // Validation
-        if (!topic || topic.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Topic is required'
-            });
-        }
-
-        if (titleCount && (titleCount < 5 || titleCount > 20)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Title count must be between 5 and 20'
-            });
-        }
-
-        if (tagCount && (tagCount < 15 || tagCount > 40)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Tag count must be between 15 and 40'
-            });
-        }
-
         // Generate titles and tags
         const result = await youtubeTitleTagGeneratorController.generateTitlesAndTags(
             topic,
             category,
-            titleCount || 10,
-            tagCount || 20
+            titleCount,
+            tagCount
         );
 
         res.json({
@@ -256,7 +266,7 @@ router.post('/youtube-title-tag-generator/generate', async (req, res) => {
 
     } catch (error) {
         console.error('YouTube title & tag generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -286,40 +296,17 @@ router.post('/youtube-title-tag-generator/generate', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/video-title-tag-generator/generate', async (req, res) => {
+router.post('/video-title-tag-generator/generate', validateBody(schemas.videoTitleTagGenerator), async (req, res) => {
     try {
         const { topic, platform, category, titleCount, tagCount } = req.body;
 
-        // Validation
-        if (!topic || topic.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Topic is required'
-            });
-        }
-
-        const selectedPlatform = platform || 'all';
-        if (!videoTitleTagGeneratorController.validatePlatform(selectedPlatform)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid platform selected'
-            });
-        }
-
-        if (category && !videoTitleTagGeneratorController.validateCategory(category)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid category selected'
-            });
-        }
-
-        const targetTitleCount = Math.min(Math.max(parseInt(titleCount) || 10, 5), 20);
-        const targetTagCount = Math.min(Math.max(parseInt(tagCount) || 20, 15), 40);
+        const targetTitleCount = Math.min(Math.max(titleCount, 5), 20);
+        const targetTagCount = Math.min(Math.max(tagCount, 15), 40);
 
         // Generate titles and tags
         const result = await videoTitleTagGeneratorController.generateTitlesAndTags(
             topic,
-            selectedPlatform,
+            platform,
             category,
             targetTitleCount,
             targetTagCount
@@ -332,7 +319,7 @@ router.post('/video-title-tag-generator/generate', async (req, res) => {
 
     } catch (error) {
         console.error('Video title & tag generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -370,46 +357,17 @@ router.post('/video-title-tag-generator/generate', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/post-engagement-calculator/calculate', async (req, res) => {
+router.post('/post-engagement-calculator/calculate', validateBody(schemas.postEngagementCalculator), async (req, res) => {
     try {
         const { likes, comments, shares, followers, platform } = req.body;
 
-        // Validation
-        if (likes === undefined || likes === null || likes < 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Likes must be a non-negative number'
-            });
-        }
-
-        if (comments === undefined || comments === null || comments < 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Comments must be a non-negative number'
-            });
-        }
-
-        if (shares === undefined || shares === null || shares < 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Shares must be a non-negative number'
-            });
-        }
-
-        if (followers === undefined || followers === null || followers <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Followers must be a positive number'
-            });
-        }
-
         // Calculate engagement rate
         const result = await postEngagementCalculatorController.calculateEngagementRate(
-            parseInt(likes),
-            parseInt(comments),
-            parseInt(shares),
-            parseInt(followers),
-            platform || 'all'
+            likes,
+            comments,
+            shares,
+            followers,
+            platform
         );
 
         res.json({
@@ -419,7 +377,7 @@ router.post('/post-engagement-calculator/calculate', async (req, res) => {
 
     } catch (error) {
         console.error('Post engagement calculator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -459,7 +417,7 @@ router.post('/post-engagement-calculator/calculate', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/linkedin-profile-optimizer/analyze', async (req, res) => {
+router.post('/linkedin-profile-optimizer/analyze', validateBody(schemas.linkedinProfileOptimizer), async (req, res) => {
     try {
         const {
             headline,
@@ -475,16 +433,16 @@ router.post('/linkedin-profile-optimizer/analyze', async (req, res) => {
         } = req.body;
 
         const profileData = {
-            headline: headline || '',
-            summary: summary || '',
-            experienceCount: parseInt(experienceCount) || 0,
-            educationCount: parseInt(educationCount) || 0,
-            skillsCount: parseInt(skillsCount) || 0,
-            connections: parseInt(connections) || 0,
-            hasProfilePicture: Boolean(hasProfilePicture),
-            hasCustomUrl: Boolean(hasCustomUrl),
-            hasCoverPhoto: Boolean(hasCoverPhoto),
-            hasRecommendations: Boolean(hasRecommendations)
+            headline,
+            summary,
+            experienceCount,
+            educationCount,
+            skillsCount,
+            connections,
+            hasProfilePicture,
+            hasCustomUrl,
+            hasCoverPhoto,
+            hasRecommendations
         };
 
         // Analyze profile
@@ -497,7 +455,7 @@ router.post('/linkedin-profile-optimizer/analyze', async (req, res) => {
 
     } catch (error) {
         console.error('LinkedIn profile optimizer error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -530,23 +488,25 @@ router.post('/linkedin-profile-optimizer/analyze', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/twitter-post-scheduler/schedule', async (req, res) => {
+router.post('/twitter-post-scheduler/schedule', requireAuth, validateBody(schemas.twitterSchedule), async (req, res) => {
     try {
-        const { content, date, time, postType, includeMedia, enableNotifications } = req.body;
+        const { content, postType, includeMedia, enableNotifications } = req.body;
 
-        // Combine date and time
-        const scheduledDateTime = new Date(`${date}T${time}`);
+        // Combine date and time (or use scheduledDateTime as sent)
+        const scheduledDateTime = schemas.getScheduledDate(req.body);
 
         const postData = {
             content,
             scheduledDateTime: scheduledDateTime.toISOString(),
-            postType: postType || 'tweet',
-            includeMedia: Boolean(includeMedia),
-            enableNotifications: Boolean(enableNotifications)
+            postType,
+            includeMedia,
+            enableNotifications
         };
 
+        const userId = req.user.id;
+
         // Schedule post
-        const result = await twitterPostSchedulerController.schedulePost(postData);
+        const result = await twitterPostSchedulerController.schedulePost(userId, postData);
 
         res.json({
             success: true,
@@ -555,7 +515,7 @@ router.post('/twitter-post-scheduler/schedule', async (req, res) => {
 
     } catch (error) {
         console.error('Twitter post scheduler error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -575,10 +535,9 @@ router.post('/twitter-post-scheduler/schedule', async (req, res) => {
  *   error?: string
  * }
  */
-router.get('/twitter-post-scheduler/posts', async (req, res) => {
+router.get('/twitter-post-scheduler/posts', requireAuth, async (req, res) => {
     try {
-        // TODO: Get userId from session/auth
-        const userId = req.user?.id || 'anonymous';
+        const userId = req.user.id;
 
         const posts = await twitterPostSchedulerController.getScheduledPosts(userId);
 
@@ -589,7 +548,7 @@ router.get('/twitter-post-scheduler/posts', async (req, res) => {
 
     } catch (error) {
         console.error('Twitter post scheduler error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -616,19 +575,25 @@ router.get('/twitter-post-scheduler/posts', async (req, res) => {
  *   error?: string
  * }
  */
-router.put('/twitter-post-scheduler/posts/:id', async (req, res) => {
+router.put('/twitter-post-scheduler/posts/:id', requireAuth, validateBody(schemas.twitterPostUpdate), async (req, res) => {
     try {
         const { id } = req.params;
-        const updates = req.body;
+        const { date, time, ...updates } = req.body;
+        const userId = req.user.id;
 
         // Convert date and time if provided
-        if (updates.date && updates.time) {
-            updates.scheduledDateTime = new Date(`${updates.date}T${updates.time}`).toISOString();
-            delete updates.date;
-            delete updates.time;
+        if (date !== undefined) {
+            updates.scheduledDateTime = schemas.getScheduledDate({ date, time }).toISOString();
         }
 
-        const result = await twitterPostSchedulerController.updateScheduledPost(id, updates);
+        const result = await twitterPostSchedulerController.updateScheduledPost(userId, id, updates);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Post not found'
+            });
+        }
 
         res.json({
             success: true,
@@ -637,7 +602,7 @@ router.put('/twitter-post-scheduler/posts/:id', async (req, res) => {
 
     } catch (error) {
         console.error('Twitter post scheduler error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -655,11 +620,19 @@ router.put('/twitter-post-scheduler/posts/:id', async (req, res) => {
  *   error?: string
  * }
  */
-router.delete('/twitter-post-scheduler/posts/:id', async (req, res) => {
+router.delete('/twitter-post-scheduler/posts/:id', requireAuth, async (req, res) => {
     try {
         const { id } = req.params;
+        const userId = req.user.id;
+
+        const deleted = await twitterPostSchedulerController.deleteScheduledPost(userId, id);
 
-        await twitterPostSchedulerController.deleteScheduledPost(id);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Post not found'
+            });
+        }
 
         res.json({
             success: true,
@@ -668,7 +641,7 @@ router.delete('/twitter-post-scheduler/posts/:id', async (req, res) => {
 
     } catch (error) {
         console.error('Twitter post scheduler error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -690,10 +663,9 @@ router.delete('/twitter-post-scheduler/posts/:id', async (req, res) => {
  *   error?: string
  * }
  */
-router.get('/twitter-post-scheduler/analytics', async (req, res) => {
+router.get('/twitter-post-scheduler/analytics', requireAuth, async (req, res) => {
     try {
-        // TODO: Get userId from session/auth
-        const userId = req.user?.id || 'anonymous';
+        const userId = req.user.id;
 
         const analytics = await twitterPostSchedulerController.getAnalytics(userId);
 
@@ -704,7 +676,7 @@ router.get('/twitter-post-scheduler/analytics', async (req, res) => {
 
     } catch (error) {
         console.error('Twitter post scheduler error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -5,13 +5,36 @@
  * 
  * Routes:
  * - POST /api/tools/student/gpa-calculator/calculate - Calculate GPA
+ * - GET /api/tools/student/gpa-calculator/history - Get saved semester GPAs
+ * - POST /api/tools/student/study-planner/tasks - Add a study task
+ * - GET /api/tools/student/study-planner/tasks - Get study tasks
+ * - PUT /api/tools/student/study-planner/tasks/:id - Update a study task
+ * - DELETE /api/tools/student/study-planner/tasks/:id - Delete a study task
+ * - POST /api/tools/student/study-planner/save - Save study schedule
+ * - POST /api/tools/student/flashcard-generator/cards - Create a flashcard
+ * - GET /api/tools/student/flashcard-generator/cards - Get flashcards
+ * - PUT /api/tools/student/flashcard-generator/cards/:id - Update a flashcard
+ * - DELETE /api/tools/student/flashcard-generator/cards/:id - Delete a flashcard
+ * - POST /api/tools/student/flashcard-generator/review - Update review data
+ * - POST /api/tools/student/citation-generator/generate - Generate a citation
+ * - POST /api/tools/student/citation-generator/save - Save a citation
+ * - GET /api/tools/student/citation-generator/history - Get citation history
+ * - POST /api/tools/student/pdf-converter/convert - Convert files to PDF
+ * - POST /api/tools/student/pdf-converter/merge - Merge PDFs
+ * - POST /api/tools/student/pdf-converter/split - Split PDF
+ *
+ * Routes that read or store saved data (tasks, flashcards, citations, GPA history)
+ * require an "Authorization: Bearer <token>" header and only see the caller's records.
  */
 
 const express = require('express');
 const router = express.Router();
 
-// TODO: Import controllers when created
-// const gpaCalculatorController = require('../controllers/gpaCalculatorController');
+const gpaCalculatorController = require('../controllers/gpaCalculatorController');
+const schemas = require('../schemas/student');
+const { requireAuth } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { getStatusCode } = require('../utils/errors');
 
 /**
  * GPA Calculator Route
@@ -48,121 +71,68 @@ const router = express.Router();
  *   error?: string
  * }
  */
-router.post('/gpa-calculator/calculate', async (req, res) => {
+router.post('/gpa-calculator/calculate', validateBody(schemas.gpaCalculator), async (req, res) => {
     try {
         const { semester, courses } = req.body;
 
-        // Validation
-        if (!semester || semester < 1 || semester > 8) {
-            return res.status(400).json({
-                success: false,
-                error: 'Semester must be between 1 and 8'
-            });
-        }
-
-        if (!courses || !Array.isArray(courses) || courses.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'At least one course is required'
-            });
-        }
-
-        // Validate courses
-        const GRADE_POINTS = {
-            'A+': 4.0, 'A': 4.0, 'A-': 3.7,
-            'B+': 3.3, 'B': 3.0, 'B-': 2.7,
-            'C+': 2.3, 'C': 2.0, 'C-': 1.7,
-            'D+': 1.3, 'D': 1.0, 'F': 0.0
-        };
-
-        for (const course of courses) {
-            if (!course.courseName || course.courseName.trim().length < 2) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid course name'
-                });
-            }
-
-            if (!course.credits || course.credits < 1 || course.credits > 10) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Credits must be between 1 and 10'
-                });
-            }
-
-            if (!course.grade || !GRADE_POINTS[course.grade]) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid grade'
-                });
-            }
-        }
+        // Signed-in users get the semester saved and a cumulative GPA across saved semesters
+        const gpaData = await gpaCalculatorController.calculateGPA(semester, courses, req.user?.id);
 
-        // TODO: Implement GPA calculation logic
-        // This is a placeholder - actual implementation needed
-        // The calculator should:
-        // 1. Calculate semester GPA: GPA = Σ (Grade Points × Credits) / Σ Credits
-        // 2. Calculate cumulative GPA (considering previous semesters if stored)
-        // 3. Calculate grade distribution
-        // 4. Store courses and grades (backend storage)
-
-        // Calculate GPA
-        let totalQualityPoints = 0;
-        let totalCredits = 0;
-        
-        const coursesWithPoints = courses.map(course => {
-            const gradePoints = GRADE_POINTS[course.grade];
-            const qualityPoints = gradePoints * course.credits;
-            totalQualityPoints += qualityPoints;
-            totalCredits += course.credits;
-            
-            return {
-                courseName: course.courseName,
-                credits: course.credits,
-                grade: course.grade,
-                gradePoints,
-                qualityPoints: Math.round(qualityPoints * 100) / 100
-            };
+        res.json({
+            success: true,
+            data: gpaData
         });
-        
-        const semesterGPA = totalCredits > 0 ? Math.round((totalQualityPoints / totalCredits) * 100) / 100 : 0;
-        const cumulativeGPA = semesterGPA; // TODO: Calculate based on previous semesters
-        
-        // Calculate grade distribution
-        const gradeDistribution = {
-            'A+': 0, 'A': 0, 'A-': 0,
-            'B+': 0, 'B': 0, 'B-': 0,
-            'C+': 0, 'C': 0, 'C-': 0,
-            'D+': 0, 'D': 0, 'F': 0
-        };
-        
-        courses.forEach(course => {
-            if (gradeDistribution.hasOwnProperty(course.grade)) {
-                gradeDistribution[course.grade]++;
-            }
+
+    } catch (error) {
+        console.error('GPA calculator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
         });
+    }
+});
 
-        const mockData = {
-            semester,
-            courses: coursesWithPoints,
-            semesterGPA,
-            cumulativeGPA,
-            totalCredits,
-            totalQualityPoints: Math.round(totalQualityPoints * 100) / 100,
-            gradeDistribution
-        };
+/**
+ * GPA History Route
+ * GET /api/tools/student/gpa-calculator/history
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     semesters: Array<{
+ *       id: string,
+ *       semester: number,
+ *       courses: Array<object>,
+ *       semesterGPA: number,
+ *       totalCredits: number,
+ *       totalQualityPoints: number,
+ *       createdAt: string
+ *     }>,
+ *     cumulativeGPA: number
+ *   },
+ *   error?: string
+ * }
+ */
+router.get('/gpa-calculator/history', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
 
-        // TODO: Replace with actual implementation
-        // const gpaData = await gpaCalculatorController.calculateGPA(semester, courses);
+        const semesters = await gpaCalculatorController.getGPAHistory(userId);
+        const lastSemester = semesters.length > 0 ? semesters[semesters.length - 1].semester : 0;
+        const cumulativeGPA = await gpaCalculatorController.getCumulativeGPA(userId, lastSemester);
 
         res.json({
             success: true,
-            data: mockData
+            data: {
+                semesters,
+                cumulativeGPA
+            }
         });
 
     } catch (error) {
         console.error('GPA calculator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -178,8 +148,7 @@ router.post('/gpa-calculator/calculate', async (req, res) => {
  * POST /api/tools/student/study-planner/save - Save schedule
  */
 
-// TODO: Import controllers when created
-// const studyPlannerController = require('../controllers/studyPlannerController');
+const studyPlannerController = require('../controllers/studyPlannerController');
 
 /**
  * Add Task Route
@@ -212,55 +181,102 @@ router.post('/gpa-calculator/calculate', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/study-planner/tasks', async (req, res) => {
+router.post('/study-planner/tasks', requireAuth, validateBody(schemas.studyTask), async (req, res) => {
     try {
         const { taskName, subject, deadline, priority, duration, reminder } = req.body;
 
-        // Validation
-        if (!taskName || !subject || !deadline || !priority || !duration) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields'
-            });
-        }
+        const userId = req.user.id;
 
-        if (!['high', 'medium', 'low'].includes(priority)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid priority. Must be high, medium, or low'
-            });
-        }
+        const task = await studyPlannerController.createTask(userId, { taskName, subject, deadline, priority, duration, reminder });
 
-        if (duration <= 0 || duration > 24) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            data: task
+        });
+
+    } catch (error) {
+        console.error('Study planner error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Get All Tasks Route
+ * GET /api/tools/student/study-planner/tasks
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: Array<task>,
+ *   error?: string
+ * }
+ */
+router.get('/study-planner/tasks', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const tasks = await studyPlannerController.getTasks(userId);
+
+        res.json({
+            success: true,
+            data: tasks
+        });
+
+    } catch (error) {
+        console.error('Study planner error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Update Task Route
+ * PUT /api/tools/student/study-planner/tasks/:id
+ * 
+ * Request Body:
+ * {
+ *   taskName?: string,
+ *   subject?: string,
+ *   deadline?: string,
+ *   priority?: string,
+ *   duration?: number,
+ *   reminder?: string,
+ *   completed?: boolean
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: task,
+ *   error?: string
+ * }
+ */
+router.put('/study-planner/tasks/:id', requireAuth, validateBody(schemas.studyTaskUpdate), async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const task = await studyPlannerController.updateTask(userId, req.params.id, req.body);
+
+        if (!task) {
+            return res.status(404).json({
                 success: false,
-                error: 'Duration must be between 0.5 and 24 hours'
+                error: 'Task not found'
             });
         }
 
-        // TODO: Implement task creation logic
-        // const task = await studyPlannerController.createTask({ taskName, subject, deadline, priority, duration, reminder });
-
-        const mockTask = {
-            id: Date.now().toString(36),
-            taskName,
-            subject,
-            deadline,
-            priority,
-            duration,
-            reminder: reminder || null,
-            completed: false,
-            createdAt: new Date().toISOString()
-        };
-
         res.json({
             success: true,
-            data: mockTask
+            data: task
         });
 
     } catch (error) {
         console.error('Study planner error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -268,29 +284,37 @@ router.post('/study-planner/tasks', async (req, res) => {
 });
 
 /**
- * Get All Tasks Route
- * GET /api/tools/student/study-planner/tasks
+ * Delete Task Route
+ * DELETE /api/tools/student/study-planner/tasks/:id
  * 
  * Response:
  * {
  *   success: boolean,
- *   data: Array<task>,
+ *   message: string,
  *   error?: string
  * }
  */
-router.get('/study-planner/tasks', async (req, res) => {
+router.delete('/study-planner/tasks/:id', requireAuth, async (req, res) => {
     try {
-        // TODO: Implement get tasks logic
-        // const tasks = await studyPlannerController.getTasks(userId);
+        const userId = req.user.id;
+
+        const deleted = await studyPlannerController.deleteTask(userId, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
 
         res.json({
             success: true,
-            data: []
+            message: 'Task deleted successfully'
         });
 
     } catch (error) {
         console.error('Study planner error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -310,31 +334,27 @@ router.get('/study-planner/tasks', async (req, res) => {
  * {
  *   success: boolean,
  *   message: string,
+ *   data: Array<task>,
  *   error?: string
  * }
  */
-router.post('/study-planner/save', async (req, res) => {
+router.post('/study-planner/save', requireAuth, validateBody(schemas.studySchedule), async (req, res) => {
     try {
         const { tasks } = req.body;
 
-        if (!Array.isArray(tasks)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Tasks must be an array'
-            });
-        }
+        const userId = req.user.id;
 
-        // TODO: Implement save schedule logic
-        // await studyPlannerController.saveSchedule(userId, tasks);
+        const savedTasks = await studyPlannerController.saveSchedule(userId, tasks);
 
         res.json({
             success: true,
-            message: 'Schedule saved successfully'
+            message: 'Schedule saved successfully',
+            data: savedTasks
         });
 
     } catch (error) {
         console.error('Study planner error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -350,8 +370,7 @@ router.post('/study-planner/save', async (req, res) => {
  * POST /api/tools/student/flashcard-generator/review - Update review data
  */
 
-// TODO: Import controllers when created
-// const flashcardController = require('../controllers/flashcardController');
+const flashcardController = require('../controllers/flashcardController');
 
 /**
  * Create Flashcard Route
@@ -380,47 +399,22 @@ router.post('/study-planner/save', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/flashcard-generator/cards', async (req, res) => {
+router.post('/flashcard-generator/cards', requireAuth, validateBody(schemas.flashcard), async (req, res) => {
     try {
         const { front, back, category, tags } = req.body;
 
-        // Validation
-        if (!front || !back || !category) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields (front, back, category)'
-            });
-        }
+        const userId = req.user.id;
 
-        // TODO: Implement flashcard creation logic
-        // const card = await flashcardController.createCard({ front, back, category, tags });
-
-        const mockCard = {
-            id: Date.now().toString(36),
-            front,
-            back,
-            category,
-            tags: tags || [],
-            createdAt: new Date().toISOString(),
-            reviewData: {
-                lastReviewed: null,
-                nextReview: new Date().toISOString(),
-                difficulty: 2.5,
-                reviewCount: 0,
-                correctCount: 0,
-                interval: 1,
-                easeFactor: 2.5
-            }
-        };
+        const card = await flashcardController.createCard(userId, { front, back, category, tags });
 
         res.json({
             success: true,
-            data: mockCard
+            data: card
         });
 
     } catch (error) {
         console.error('Flashcard generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -438,19 +432,104 @@ router.post('/flashcard-generator/cards', async (req, res) => {
  *   error?: string
  * }
  */
-router.get('/flashcard-generator/cards', async (req, res) => {
+router.get('/flashcard-generator/cards', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const cards = await flashcardController.getCards(userId);
+
+        res.json({
+            success: true,
+            data: cards
+        });
+
+    } catch (error) {
+        console.error('Flashcard generator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Update Flashcard Route
+ * PUT /api/tools/student/flashcard-generator/cards/:id
+ * 
+ * Request Body:
+ * {
+ *   front?: string,
+ *   back?: string,
+ *   category?: string,
+ *   tags?: Array<string>
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: flashcard,
+ *   error?: string
+ * }
+ */
+router.put('/flashcard-generator/cards/:id', requireAuth, validateBody(schemas.flashcardUpdate), async (req, res) => {
     try {
-        // TODO: Implement get flashcards logic
-        // const cards = await flashcardController.getCards(userId);
+        const userId = req.user.id;
+
+        const card = await flashcardController.updateCard(userId, req.params.id, req.body);
+
+        if (!card) {
+            return res.status(404).json({
+                success: false,
+                error: 'Flashcard not found'
+            });
+        }
 
         res.json({
             success: true,
-            data: []
+            data: card
         });
 
     } catch (error) {
         console.error('Flashcard generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Delete Flashcard Route
+ * DELETE /api/tools/student/flashcard-generator/cards/:id
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   message: string,
+ *   error?: string
+ * }
+ */
+router.delete('/flashcard-generator/cards/:id', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const deleted = await flashcardController.deleteCard(userId, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Flashcard not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Flashcard deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Flashcard generator error:', error);
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -477,37 +556,31 @@ router.get('/flashcard-generator/cards', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/flashcard-generator/review', async (req, res) => {
+router.post('/flashcard-generator/review', requireAuth, validateBody(schemas.flashcardReview), async (req, res) => {
     try {
         const { cardId, difficulty, correct } = req.body;
 
-        if (!cardId || !difficulty || typeof correct !== 'boolean') {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields'
-            });
-        }
+        const userId = req.user.id;
 
-        if (!['easy', 'medium', 'hard'].includes(difficulty)) {
-            return res.status(400).json({
+        const reviewData = await flashcardController.updateReview(userId, cardId, difficulty, correct);
+
+        if (!reviewData) {
+            return res.status(404).json({
                 success: false,
-                error: 'Invalid difficulty. Must be easy, medium, or hard'
+                error: 'Flashcard not found'
             });
         }
 
-        // TODO: Implement review update logic with spaced repetition
-        // const reviewData = await flashcardController.updateReview(cardId, difficulty, correct);
-
         res.json({
             success: true,
             data: {
-                reviewData: {}
+                reviewData
             }
         });
 
     } catch (error) {
         console.error('Flashcard generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -521,8 +594,7 @@ router.post('/flashcard-generator/review', async (req, res) => {
  * GET /api/tools/student/citation-generator/history - Get citation history
  */
 
-// TODO: Import controllers when created
-// const citationController = require('../controllers/citationController');
+const citationController = require('../controllers/citationController');
 
 /**
  * Generate Citation Route
@@ -549,24 +621,10 @@ router.post('/flashcard-generator/review', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/citation-generator/generate', async (req, res) => {
+router.post('/citation-generator/generate', validateBody(schemas.citationGenerate), async (req, res) => {
     try {
         const { style, sourceType, data } = req.body;
 
-        if (!style || !sourceType || !data) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields'
-            });
-        }
-
-        if (!['APA', 'MLA', 'Chicago'].includes(style)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid citation style. Must be APA, MLA, or Chicago'
-            });
-        }
-
         // TODO: Implement citation generation logic
         // const citation = await citationController.generateCitation(style, sourceType, data);
 
@@ -584,7 +642,7 @@ router.post('/citation-generator/generate', async (req, res) => {
 
     } catch (error) {
         console.error('Citation generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -607,31 +665,65 @@ router.post('/citation-generator/generate', async (req, res) => {
  * {
  *   success: boolean,
  *   message: string,
+ *   data: {
+ *     id: string,
+ *     citation: object,
+ *     style: string,
+ *     sourceType: string,
+ *     data: object,
+ *     createdAt: string
+ *   },
  *   error?: string
  * }
  */
-router.post('/citation-generator/save', async (req, res) => {
+router.post('/citation-generator/save', requireAuth, validateBody(schemas.citationSave), async (req, res) => {
     try {
         const { citation, style, sourceType, data } = req.body;
 
-        if (!citation || !style || !sourceType) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields'
-            });
-        }
+        const userId = req.user.id;
+
+        const savedCitation = await citationController.saveCitation(userId, { citation, style, sourceType, data });
+
+        res.json({
+            success: true,
+            message: 'Citation saved successfully',
+            data: savedCitation
+        });
+
+    } catch (error) {
+        console.error('Citation generator error:', error);
+        res.status(getStatusCode(error)).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Get Citation History Route
+ * GET /api/tools/student/citation-generator/history
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: Array<citation>,
+ *   error?: string
+ * }
+ */
+router.get('/citation-generator/history', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
 
-        // TODO: Implement save citation logic
-        // await citationController.saveCitation(userId, { citation, style, sourceType, data });
+        const citations = await citationController.getCitationHistory(userId);
 
         res.json({
             success: true,
-            message: 'Citation saved successfully'
+            data: citations
         });
 
     } catch (error) {
         console.error('Citation generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -696,7 +788,7 @@ router.post('/pdf-converter/convert', async (req, res) => {
 
     } catch (error) {
         console.error('PDF converter error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -749,7 +841,7 @@ router.post('/pdf-converter/merge', async (req, res) => {
 
     } catch (error) {
         console.error('PDF converter error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -811,7 +903,7 @@ router.post('/pdf-converter/split', async (req, res) => {
 
     } catch (error) {
         console.error('PDF converter error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -0,0 +1,138 @@
+/**
+ * Tool Discovery Routes
+ *
+ * This file contains the routes describing the available tools, so clients
+ * can build their UIs from the tool registry (see registry/index.js)
+ *
+ * Routes:
+ * - GET /api/tools - List all categories and tools
+ * - GET /api/tools/:category - List the tools in one category
+ *
+ * Both routes accept an optional "status" query parameter
+ * ('stable' | 'beta' | 'placeholder') to filter tools.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const registry = require('../registry');
+
+/**
+ * List Tools Route
+ * GET /api/tools
+ *
+ * Query Parameters:
+ *   status: string (optional, 'stable' | 'beta' | 'placeholder')
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     categories: Array<{ id: string, name: string, description: string, path: string, toolCount: number }>,
+ *     tools: Array<{
+ *       id: string,
+ *       name: string,
+ *       category: string,
+ *       description: string,
+ *       status: 'stable' | 'beta' | 'placeholder',
+ *       endpoints: Array<{
+ *         method: string,
+ *         path: string,
+ *         requiresAuth: boolean,
+ *         contentType: string ('application/json', or e.g. 'text/csv' for file downloads),
+ *         inputSchema: object | null,
+ *         outputSchema: object | null
+ *       }>
+ *     }>
+ *   },
+ *   error?: string
+ * }
+ */
+router.get('/', (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status !== undefined && !registry.TOOL_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Status must be one of: ${registry.TOOL_STATUSES.join(', ')}`
+            });
+        }
+
+        const tools = registry.categories.flatMap(category => category.tools
+            .filter(tool => !status || tool.status === status)
+            .map(tool => registry.describeTool(tool, category)));
+
+        res.json({
+            success: true,
+            data: {
+                categories: registry.categories.map(registry.describeCategory),
+                tools
+            }
+        });
+
+    } catch (error) {
+        console.error('List tools error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * List Category Tools Route
+ * GET /api/tools/:category
+ *
+ * Query Parameters:
+ *   status: string (optional, 'stable' | 'beta' | 'placeholder')
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     category: { id: string, name: string, description: string, path: string, toolCount: number },
+ *     tools: Array<tool> (same shape as GET /api/tools)
+ *   },
+ *   error?: string
+ * }
+ */
+router.get('/:category', (req, res) => {
+    try {
+        const { status } = req.query;
+        const category = registry.getCategory(req.params.category);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown tool category: ${req.params.category}`
+            });
+        }
+
+        if (status !== undefined && !registry.TOOL_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Status must be one of: ${registry.TOOL_STATUSES.join(', ')}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                category: registry.describeCategory(category),
+                tools: category.tools
+                    .filter(tool => !status || tool.status === status)
+                    .map(tool => registry.describeTool(tool, category))
+            }
+        });
+
+    } catch (error) {
+        console.error('List category tools error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
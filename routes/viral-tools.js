@@ -13,6 +13,9 @@ const router = express.Router();
 
 const aiImageGeneratorController = require('../controllers/aiImageGeneratorController');
 const qrCodeGeneratorController = require('../controllers/qrCodeGeneratorController');
+const schemas = require('../schemas/viral');
+const { validateBody } = require('../middleware/validate');
+const { getStatusCode } = require('../utils/errors');
 
 /**
  * Generate AI Image Route
@@ -44,55 +47,17 @@ const qrCodeGeneratorController = require('../controllers/qrCodeGeneratorControl
  *   error?: string
  * }
  */
-router.post('/ai-image-generator/generate', async (req, res) => {
+router.post('/ai-image-generator/generate', validateBody(schemas.aiImageGenerator), async (req, res) => {
     try {
         const { prompt, style, aspectRatio, imageCount } = req.body;
 
-        // Validation
-        if (!prompt || prompt.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Prompt is required'
-            });
-        }
-
-        if (prompt.length < 10) {
-            return res.status(400).json({
-                success: false,
-                error: 'Prompt must be at least 10 characters long'
-            });
-        }
-
-        if (prompt.length > 1000) {
-            return res.status(400).json({
-                success: false,
-                error: 'Prompt must be less than 1000 characters'
-            });
-        }
-
-        const selectedStyle = style || 'realistic';
-        if (!aiImageGeneratorController.validateStyle(selectedStyle)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid style selected'
-            });
-        }
-
-        const selectedAspectRatio = aspectRatio || '1:1';
-        if (!aiImageGeneratorController.validateAspectRatio(selectedAspectRatio)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid aspect ratio selected'
-            });
-        }
-
-        const count = Math.min(Math.max(parseInt(imageCount) || 1, 1), 4);
+        const count = Math.min(Math.max(imageCount, 1), 4);
 
         // Generate images
         const images = await aiImageGeneratorController.generateImage(
             prompt,
-            selectedStyle,
-            selectedAspectRatio,
+            style,
+            aspectRatio,
             count
         );
 
@@ -103,7 +68,7 @@ router.post('/ai-image-generator/generate', async (req, res) => {
 
     } catch (error) {
         console.error('AI image generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
@@ -136,48 +101,24 @@ router.post('/ai-image-generator/generate', async (req, res) => {
  *   error?: string
  * }
  */
-router.post('/qr-code-generator/generate', async (req, res) => {
+router.post('/qr-code-generator/generate', validateBody(schemas.qrCodeGenerator), async (req, res) => {
     try {
         const { content, inputType, size, errorCorrection, foregroundColor, backgroundColor } = req.body;
 
-        // Validation
-        if (!content || content.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Content is required'
-            });
-        }
-
-        const selectedInputType = inputType || 'text';
-        if (!qrCodeGeneratorController.validateInputType(selectedInputType)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid input type'
-            });
-        }
-
         // Format content based on input type
-        const formattedContent = qrCodeGeneratorController.formatContent(content, selectedInputType);
-
-        const selectedSize = Math.min(Math.max(parseInt(size) || 300, 200), 500);
-        const selectedErrorCorrection = errorCorrection || 'M';
-        if (!qrCodeGeneratorController.validateErrorCorrection(selectedErrorCorrection)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid error correction level'
-            });
-        }
+        const formattedContent = qrCodeGeneratorController.formatContent(content, inputType);
 
+        const selectedSize = Math.min(Math.max(size, 200), 500);
         const colors = {
-            foreground: foregroundColor || '#000000',
-            background: backgroundColor || '#FFFFFF'
+            foreground: foregroundColor,
+            background: backgroundColor
         };
 
         // Generate QR code
         const result = await qrCodeGeneratorController.generateQRCode(
             formattedContent,
             selectedSize,
-            selectedErrorCorrection,
+            errorCorrection,
             colors
         );
 
@@ -193,7 +134,7 @@ router.post('/qr-code-generator/generate', async (req, res) => {
 
     } catch (error) {
         console.error('QR code generator error:', error);
-        res.status(500).json({
+        res.status(getStatusCode(error)).json({
             success: false,
             error: error.message || 'Internal server error'
         });
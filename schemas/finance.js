@@ -0,0 +1,1878 @@
+/**
+ * Finance Tool Schemas
+ *
+ * Request schemas for Finance Tools. Each schema is used by the route
+ * (validateBody middleware) and by the controller's validation function,
+ * so both always apply the same rules.
+ *
+ * Schemas:
+ * - loanEvent - Prepayment or rate reset on an EMI schedule
+ * - emiCalculator - EMI calculator inputs, with optional prepayments and rate resets
+ * - loanPrepayment - Prepayment applied to every offer in a loan comparison
+ * - loanOffer - One lender's offer: rate, tenure, fees, prepayment penalty and insurance
+ * - loanComparison - Loan amount, offers and planned prepayments
+ * - loanRefinance - Current loan and the offers to switch to
+ * - interestCalculator - Simple/compound interest inputs, with optional inflation for real values
+ * - budgetPlanner - Income, expenses tagged need/want/savings, budget rule and month
+ * - categoryRule - Description pattern to category rule for statement imports
+ * - categoryRules - A user's saved category rules
+ * - budgetStatementImport - Bank statement CSV, column mapping, category rules and budget options
+ * - currencyConverter - Amount, currency pair and optional rate date
+ * - incomeTaxCalculator - Income or salary structure, age category, deductions and assessment year
+ * - sipCalculator - SIP, SWP and goal inputs
+ * - fdCalculator - Fixed deposit inputs (compounding, payout, TDS, senior-citizen rate, optional inflation)
+ * - rdCalculator - Recurring deposit inputs
+ * - ppfCalculator - PPF yearly deposit, rate and extension blocks
+ * - epfCalculator - EPF salary, age, contribution rates and salary growth
+ * - retirementCorpusCalculator - Retirement corpus inputs
+ * - assetClass - One asset class of a portfolio, with its expected return and volatility
+ * - retirementSimulation - Monte Carlo retirement inputs (portfolio, trials and seed)
+ * - loanEligibilityCalculator - Loan eligibility inputs
+ * - rentVsBuy - Property, home loan, purchase and ownership costs, rent and tax inputs
+ * - capitalGainsLot - One bought-and-sold lot for the capital gains calculator
+ * - capitalGainsCalculator - Lots or broker tradebook, slab rate
+ * - cashFlow - One dated cash flow for the XIRR calculator
+ * - xirrCalculator - Dated cash flows (JSON or CSV) and current valuation
+ * - debt - One debt for the debt payoff planner
+ * - debtPayoffPlanner - Debts and the monthly budget for paying them off
+ * - inflationCalculator - Amount and years for a CPI conversion, or an assumed rate for a projection
+ * - goalSeek - Calculator, fixed inputs, target output and the input to solve for
+ */
+
+const { ASSESSMENT_YEARS, LATEST_ASSESSMENT_YEAR, TAX_REGIMES, CAPITAL_GAINS_ASSET_CLASSES } = require('../taxRules');
+const { CPI_SERIES_IDS } = require('../cpi');
+const { MAX_QUANTIFIERS, checkPattern } = require('../utils/regex');
+
+const CURRENCIES = [
+    'USD', 'EUR', 'GBP', 'INR', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY',
+    'SGD', 'HKD', 'NZD', 'KRW', 'BRL', 'MXN', 'ZAR', 'RUB', 'AED', 'SAR', 'THB'
+];
+const AGE_CATEGORIES = ['below-60', '60-80', 'above-80'];
+const INTEREST_TYPES = ['simple', 'compound'];
+const LOAN_EVENT_TYPES = ['prepayment', 'rate-change'];
+const LOAN_EVENT_FREQUENCIES = ['once', 'monthly', 'quarterly', 'yearly'];
+const LOAN_EVENT_ADJUSTMENTS = ['tenure', 'emi'];
+const EXPENSE_TYPES = ['need', 'want', 'savings'];
+const BUDGET_RULES = ['50/30/20', '70/20/10'];
+const STATEMENT_PRESETS = ['generic', 'hdfc', 'icici', 'sbi', 'axis', 'kotak'];
+const SIP_MODES = ['sip', 'swp', 'goal'];
+const STEP_UP_TYPES = ['percentage', 'amount'];
+const FD_TENURE_UNITS = ['years', 'months', 'days'];
+const FD_COMPOUNDING = ['monthly', 'quarterly', 'half-yearly', 'yearly', 'simple'];
+const FD_PAYOUTS = ['cumulative', 'monthly', 'quarterly', 'half-yearly', 'yearly'];
+const GOAL_SEEK_CALCULATORS = [
+    'emi-calculator', 'sip-calculator', 'fd-calculator', 'rd-calculator', 'ppf-calculator',
+    'epf-calculator', 'retirement-corpus-calculator', 'loan-eligibility-calculator', 'rent-vs-buy-calculator'
+];
+const INFLATION_MODES = ['historical', 'projection'];
+const YEAR_MONTH_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])$';
+const DATE_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])$';
+
+/**
+ * Loan event (prepayment or floating-rate reset) on the EMI schedule
+ */
+const loanEvent = {
+    type: 'object',
+    required: ['type', 'month'],
+    properties: {
+        type: {
+            type: 'string',
+            enum: LOAN_EVENT_TYPES,
+            errorMessage: `Event type must be one of: ${LOAN_EVENT_TYPES.join(', ')}`
+        },
+        month: {
+            type: 'integer',
+            description: 'EMI number the event applies to (prepayments are made after that EMI, rate resets apply from it)',
+            minimum: 1,
+            errorMessage: 'Event month must be a positive integer'
+        },
+        amount: {
+            type: 'number',
+            description: 'Prepayment amount',
+            exclusiveMinimum: 0,
+            errorMessage: 'Prepayment amount must be greater than 0'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'New annual interest rate for a rate reset (percentage)',
+            minimum: 0,
+            maximum: 100,
+            errorMessage: 'Interest rate must be between 0 and 100'
+        },
+        frequency: {
+            type: 'string',
+            description: 'Repeat a prepayment every month, quarter or year from its month',
+            enum: LOAN_EVENT_FREQUENCIES,
+            default: 'once',
+            errorMessage: `Frequency must be one of: ${LOAN_EVENT_FREQUENCIES.join(', ')}`
+        },
+        untilMonth: {
+            type: 'integer',
+            description: 'Last EMI number a recurring prepayment applies to (default: until the loan closes)',
+            minimum: 1,
+            errorMessage: 'Until month must be a positive integer'
+        },
+        adjust: {
+            type: 'string',
+            description: 'Whether the event changes the remaining tenure (EMI unchanged) or the EMI (tenure unchanged)',
+            enum: LOAN_EVENT_ADJUSTMENTS,
+            default: 'tenure',
+            errorMessage: `Adjust must be one of: ${LOAN_EVENT_ADJUSTMENTS.join(', ')}`
+        }
+    },
+    refine: value => {
+        if (value.type === 'prepayment' && value.amount === undefined) {
+            return [{ field: 'amount', code: 'required', message: 'Prepayment amount is required' }];
+        }
+        if (value.type === 'rate-change' && value.interestRate === undefined) {
+            return [{ field: 'interestRate', code: 'required', message: 'Interest rate is required for a rate change' }];
+        }
+        if (value.untilMonth !== undefined && value.untilMonth < value.month) {
+            return [{ field: 'untilMonth', message: 'Until month cannot be before the event month' }];
+        }
+        return [];
+    }
+};
+
+const emiCalculator = {
+    type: 'object',
+    required: ['loanAmount', 'interestRate', 'tenureMonths'],
+    properties: {
+        loanAmount: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            errorMessage: 'Loan amount must be greater than 0'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Annual interest rate (percentage)',
+            minimum: 0,
+            maximum: 100,
+            errorMessage: 'Interest rate must be between 0 and 100'
+        },
+        tenureMonths: {
+            type: 'integer',
+            description: 'Loan tenure in months',
+            exclusiveMinimum: 0,
+            errorMessage: 'Loan tenure must be a positive integer (in months)'
+        },
+        startDate: {
+            type: 'string',
+            description: 'Month of the first EMI (YYYY-MM, default: next month)',
+            pattern: YEAR_MONTH_PATTERN,
+            errorMessage: 'Start date must be in YYYY-MM format'
+        },
+        events: {
+            type: 'array',
+            description: 'Prepayments and floating-rate resets',
+            maxItems: 100,
+            default: [],
+            errorMessage: { type: 'Events must be an array', maxItems: 'At most 100 events are allowed' },
+            items: loanEvent
+        },
+        includeSchedule: {
+            type: 'boolean',
+            description: 'Include the month-by-month amortization schedule',
+            default: false
+        }
+    },
+    refine: value => value.events
+        .map((event, index) => event.month > value.tenureMonths
+            ? { field: `events[${index}].month`, message: 'Event month cannot be after the loan tenure' }
+            : null)
+        .filter(Boolean)
+};
+
+/**
+ * Prepayment made on whichever loan offer is taken
+ */
+const loanPrepayment = {
+    type: 'object',
+    required: ['month', 'amount'],
+    properties: {
+        month: loanEvent.properties.month,
+        amount: loanEvent.properties.amount,
+        frequency: loanEvent.properties.frequency,
+        untilMonth: loanEvent.properties.untilMonth,
+        adjust: loanEvent.properties.adjust
+    },
+    refine: value => (value.untilMonth !== undefined && value.untilMonth < value.month
+        ? [{ field: 'untilMonth', message: 'Until month cannot be before the event month' }]
+        : [])
+};
+
+/**
+ * One lender's loan offer
+ */
+const loanOffer = {
+    type: 'object',
+    required: ['name', 'interestRate', 'tenureMonths'],
+    properties: {
+        name: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100,
+            errorMessage: 'Offer name must be 1 to 100 characters'
+        },
+        interestRate: emiCalculator.properties.interestRate,
+        tenureMonths: emiCalculator.properties.tenureMonths,
+        processingFeePercent: {
+            type: 'number',
+            description: 'Processing fee (percentage of the loan amount)',
+            minimum: 0,
+            maximum: 10,
+            default: 0,
+            errorMessage: 'Processing fee must be between 0% and 10%'
+        },
+        processingFeeCap: {
+            type: 'number',
+            description: 'Maximum processing fee',
+            minimum: 0,
+            errorMessage: 'Processing fee cap cannot be negative'
+        },
+        otherCharges: {
+            type: 'number',
+            description: 'Other upfront charges (documentation, legal, valuation)',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Other charges cannot be negative'
+        },
+        prepaymentPenaltyPercent: {
+            type: 'number',
+            description: 'Charge on each prepayment (percentage of the amount prepaid)',
+            minimum: 0,
+            maximum: 10,
+            default: 0,
+            errorMessage: 'Prepayment penalty must be between 0% and 10%'
+        },
+        insurancePremium: {
+            type: 'number',
+            description: 'Single premium for loan protection insurance sold with the loan',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Insurance premium cannot be negative'
+        },
+        insuranceFinanced: {
+            type: 'boolean',
+            description: 'Whether the premium is added to the loan instead of paid upfront',
+            default: false
+        }
+    }
+};
+
+/**
+ * Check that loan offer names are unique
+ * @param {Object} value - Comparison fields
+ * @returns {Array<Object>} Field errors
+ */
+function checkOfferNames(value) {
+    const names = value.offers.map(offer => offer.name.trim().toLowerCase());
+    const duplicate = names.findIndex((name, index) => names.indexOf(name) !== index);
+    return duplicate === -1 ? [] : [{ field: `offers[${duplicate}].name`, message: 'Offer names must be unique' }];
+}
+
+const loanComparison = {
+    type: 'object',
+    required: ['loanAmount', 'offers'],
+    properties: {
+        loanAmount: emiCalculator.properties.loanAmount,
+        offers: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10,
+            errorMessage: { type: 'Offers must be an array', minItems: 'At least one offer is required', maxItems: 'At most 10 offers are allowed' },
+            items: loanOffer
+        },
+        prepayments: {
+            type: 'array',
+            description: 'Prepayments planned whichever offer is taken; the prepayment penalty applies to them',
+            maxItems: 100,
+            default: [],
+            errorMessage: { type: 'Prepayments must be an array', maxItems: 'At most 100 prepayments are allowed' },
+            items: loanPrepayment
+        }
+    },
+    refine: checkOfferNames
+};
+
+const loanRefinance = {
+    type: 'object',
+    required: ['currentLoan', 'offers'],
+    properties: {
+        currentLoan: {
+            type: 'object',
+            required: ['outstandingBalance', 'interestRate', 'remainingMonths'],
+            properties: {
+                outstandingBalance: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    errorMessage: 'Outstanding balance must be greater than 0'
+                },
+                interestRate: emiCalculator.properties.interestRate,
+                remainingMonths: {
+                    type: 'integer',
+                    description: 'EMIs left on the current loan',
+                    exclusiveMinimum: 0,
+                    errorMessage: 'Remaining months must be a positive integer'
+                },
+                foreclosurePenaltyPercent: {
+                    type: 'number',
+                    description: 'Charge for closing the current loan early (percentage of the outstanding balance)',
+                    minimum: 0,
+                    maximum: 10,
+                    default: 0,
+                    errorMessage: 'Foreclosure penalty must be between 0% and 10%'
+                }
+            }
+        },
+        offers: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10,
+            errorMessage: { type: 'Offers must be an array', minItems: 'At least one offer is required', maxItems: 'At most 10 offers are allowed' },
+            items: {
+                ...loanOffer,
+                required: ['name', 'interestRate'],
+                properties: {
+                    ...loanOffer.properties,
+                    tenureMonths: { ...loanOffer.properties.tenureMonths, description: 'New loan tenure in months (default: the remaining months)' }
+                }
+            }
+        }
+    },
+    refine: checkOfferNames
+};
+
+const expectedInflation = {
+    type: 'number',
+    description: 'Expected annual inflation (percentage); when given, real (today\'s money) values are returned next to nominal ones',
+    minimum: 0,
+    maximum: 15,
+    errorMessage: 'Inflation rate must be between 0% and 15%'
+};
+
+const interestCalculator = {
+    type: 'object',
+    required: ['principal', 'interestRate', 'timePeriod', 'interestType'],
+    properties: {
+        principal: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            errorMessage: 'Principal amount must be greater than 0'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Annual interest rate (percentage)',
+            minimum: 0,
+            maximum: 100,
+            errorMessage: 'Interest rate must be between 0 and 100'
+        },
+        timePeriod: {
+            type: 'number',
+            description: 'Time period in years',
+            exclusiveMinimum: 0,
+            maximum: 100,
+            errorMessage: 'Time period must be between 0.1 and 100 years'
+        },
+        interestType: {
+            type: 'string',
+            enum: INTEREST_TYPES,
+            errorMessage: 'Interest type must be "simple" or "compound"'
+        },
+        inflationRate: expectedInflation
+    }
+};
+
+const budgetPlanner = {
+    type: 'object',
+    required: ['income', 'expenses'],
+    properties: {
+        income: {
+            type: 'number',
+            description: 'Monthly income',
+            exclusiveMinimum: 0,
+            errorMessage: 'Income must be greater than 0'
+        },
+        expenses: {
+            type: 'array',
+            errorMessage: { required: 'Expenses must be an array', type: 'Expenses must be an array' },
+            items: {
+                type: 'object',
+                required: ['amount'],
+                properties: {
+                    category: { type: 'string', minLength: 1, default: 'Uncategorized' },
+                    amount: {
+                        type: 'number',
+                        minimum: 0,
+                        errorMessage: {
+                            required: 'Expense amount is required',
+                            type: 'Expense amount must be a number',
+                            range: 'Expense amount cannot be negative'
+                        }
+                    },
+                    type: {
+                        type: 'string',
+                        description: 'Need, want or savings (guessed from the category name when omitted)',
+                        enum: EXPENSE_TYPES,
+                        errorMessage: `Expense type must be one of: ${EXPENSE_TYPES.join(', ')}`
+                    },
+                    budget: {
+                        type: 'number',
+                        description: 'Planned monthly limit for the category',
+                        minimum: 0,
+                        errorMessage: 'Category budget cannot be negative'
+                    }
+                }
+            }
+        },
+        rule: {
+            type: 'string',
+            description: 'Needs/wants/savings split to score against',
+            enum: BUDGET_RULES,
+            default: '50/30/20',
+            errorMessage: `Rule must be one of: ${BUDGET_RULES.join(', ')}`
+        },
+        customRule: {
+            type: 'object',
+            description: 'Own split in percent of income; overrides rule',
+            required: ['needs', 'wants', 'savings'],
+            properties: {
+                needs: { type: 'number', minimum: 0, maximum: 100, errorMessage: 'Needs must be between 0 and 100' },
+                wants: { type: 'number', minimum: 0, maximum: 100, errorMessage: 'Wants must be between 0 and 100' },
+                savings: { type: 'number', minimum: 0, maximum: 100, errorMessage: 'Savings must be between 0 and 100' }
+            },
+            refine: value => (Math.abs(value.needs + value.wants + value.savings - 100) > 0.001
+                ? [{ message: 'Needs, wants and savings must add up to 100' }]
+                : [])
+        },
+        month: {
+            type: 'string',
+            description: 'Month the budget is for (YYYY-MM, default: this month); saved per month for signed-in users',
+            pattern: YEAR_MONTH_PATTERN,
+            errorMessage: 'Month must be in YYYY-MM format'
+        }
+    }
+};
+
+/**
+ * Rule assigning a category to bank transactions whose description matches a pattern
+ */
+const categoryRule = {
+    type: 'object',
+    required: ['pattern', 'category'],
+    properties: {
+        pattern: {
+            type: 'string',
+            description: `Regular expression matched case-insensitively against the transaction description; no backreferences, repeated groups containing quantifiers or alternation, or more than ${MAX_QUANTIFIERS} quantifiers`,
+            minLength: 1,
+            maxLength: 200,
+            errorMessage: { minLength: 'Pattern must be 1 to 200 characters', maxLength: 'Pattern must be 1 to 200 characters' },
+            refine: checkPattern
+        },
+        category: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100,
+            errorMessage: 'Category must be 1 to 100 characters'
+        },
+        type: {
+            type: 'string',
+            description: 'Need, want or savings (guessed from the category name when omitted)',
+            enum: EXPENSE_TYPES,
+            errorMessage: `Type must be one of: ${EXPENSE_TYPES.join(', ')}`
+        }
+    }
+};
+
+const categoryRules = {
+    type: 'object',
+    required: ['rules'],
+    properties: {
+        rules: {
+            type: 'array',
+            maxItems: 200,
+            errorMessage: { type: 'Rules must be an array', maxItems: 'At most 200 rules are allowed' },
+            items: categoryRule
+        }
+    }
+};
+
+const budgetStatementImport = {
+    type: 'object',
+    required: ['statement'],
+    properties: {
+        statement: {
+            type: 'string',
+            description: 'Bank statement CSV',
+            minLength: 1,
+            errorMessage: 'Statement CSV is required'
+        },
+        bank: {
+            type: 'string',
+            description: 'Column preset for the bank the statement was exported from',
+            enum: STATEMENT_PRESETS,
+            default: 'generic',
+            errorMessage: `Bank must be one of: ${STATEMENT_PRESETS.join(', ')}`
+        },
+        columns: {
+            type: 'object',
+            description: 'Header names overriding the preset; use amount (negative = debit, or with drCr) or debit and credit',
+            properties: {
+                date: { type: 'string', minLength: 1 },
+                description: { type: 'string', minLength: 1 },
+                amount: { type: 'string', minLength: 1 },
+                debit: { type: 'string', minLength: 1 },
+                credit: { type: 'string', minLength: 1 },
+                drCr: { type: 'string', minLength: 1 }
+            },
+            default: {}
+        },
+        rules: {
+            type: 'array',
+            description: 'Category rules tried before saved rules and the keyword dictionary; the first match wins',
+            maxItems: 200,
+            default: [],
+            errorMessage: { type: 'Rules must be an array', maxItems: 'At most 200 rules are allowed' },
+            items: categoryRule
+        },
+        month: {
+            type: 'string',
+            description: 'Month to budget (YYYY-MM, default: the latest month in the statement)',
+            pattern: YEAR_MONTH_PATTERN,
+            errorMessage: 'Month must be in YYYY-MM format'
+        },
+        income: {
+            type: 'number',
+            description: 'Monthly income (default: credits in the month)',
+            exclusiveMinimum: 0,
+            errorMessage: 'Income must be greater than 0'
+        },
+        rule: budgetPlanner.properties.rule,
+        customRule: budgetPlanner.properties.customRule,
+        includeDuplicates: {
+            type: 'boolean',
+            description: 'Count transactions that look like duplicates instead of skipping them',
+            default: false
+        }
+    }
+};
+
+const currencyConverter = {
+    type: 'object',
+    required: ['amount', 'fromCurrency', 'toCurrency'],
+    properties: {
+        amount: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            errorMessage: 'Amount must be greater than 0'
+        },
+        fromCurrency: {
+            type: 'string',
+            title: 'From currency',
+            enum: CURRENCIES,
+            errorMessage: { enum: 'Invalid currency code' }
+        },
+        toCurrency: {
+            type: 'string',
+            title: 'To currency',
+            enum: CURRENCIES,
+            errorMessage: { enum: 'Invalid currency code' }
+        },
+        date: {
+            type: 'string',
+            description: 'Convert at the rates of this date (YYYY-MM-DD; the latest rates on or before it are used). Defaults to the latest rates.',
+            pattern: DATE_PATTERN,
+            errorMessage: 'Date must be in YYYY-MM-DD format'
+        }
+    },
+    refine: value => {
+        if (value.fromCurrency === value.toCurrency) {
+            return [{ field: 'toCurrency', message: 'From and to currencies must be different' }];
+        }
+        if (value.date !== undefined && value.date > new Date().toISOString().slice(0, 10)) {
+            return [{ field: 'date', message: 'Date cannot be in the future' }];
+        }
+        return [];
+    }
+};
+
+const deductionAmount = {
+    type: 'number',
+    minimum: 0,
+    default: 0,
+    errorMessage: { range: 'Deductions cannot be negative' }
+};
+
+const salaryAmount = {
+    type: 'number',
+    minimum: 0,
+    default: 0,
+    errorMessage: { range: 'Salary amounts cannot be negative' }
+};
+
+/**
+ * Annual salary structure; the HRA and LTA exemptions and the employer NPS
+ * deduction are computed from it
+ */
+const salaryStructure = {
+    type: 'object',
+    required: ['basic'],
+    errorMessage: { type: 'Salary must be an object' },
+    properties: {
+        basic: {
+            type: 'number',
+            description: 'Basic salary',
+            minimum: 0,
+            errorMessage: 'Basic salary must be greater than or equal to 0'
+        },
+        da: { ...salaryAmount, description: 'Dearness allowance (counted as salary for HRA and NPS limits)' },
+        hraReceived: { ...salaryAmount, description: 'House rent allowance received' },
+        rentPaid: { ...salaryAmount, description: 'Rent paid for the year' },
+        metroCity: {
+            type: 'boolean',
+            description: 'Whether the rented home is in Delhi, Mumbai, Kolkata or Chennai (50% instead of 40% of salary)',
+            default: false
+        },
+        lta: { ...salaryAmount, description: 'Leave travel allowance received' },
+        ltaClaimed: { ...salaryAmount, description: 'Eligible travel fare claimed against the LTA' },
+        employerNps: { ...salaryAmount, description: 'Employer contribution to NPS' },
+        otherAllowances: { ...salaryAmount, description: 'Special and other fully taxable allowances' }
+    }
+};
+
+const incomeTaxCalculator = {
+    type: 'object',
+    required: ['age'],
+    properties: {
+        assessmentYear: {
+            type: 'string',
+            description: `Assessment year whose tax rules apply (default ${LATEST_ASSESSMENT_YEAR})`,
+            enum: ASSESSMENT_YEARS,
+            default: LATEST_ASSESSMENT_YEAR,
+            errorMessage: `Assessment year must be one of: ${ASSESSMENT_YEARS.join(', ')}`
+        },
+        annualIncome: {
+            type: 'number',
+            description: 'Gross annual income (required without salary; with salary, defaults to the gross salary and any excess is income from other sources)',
+            minimum: 0,
+            errorMessage: 'Annual income must be greater than or equal to 0'
+        },
+        age: {
+            type: 'string',
+            description: 'Age category',
+            enum: AGE_CATEGORIES,
+            errorMessage: 'Invalid age category'
+        },
+        salaried: {
+            type: 'boolean',
+            description: 'Whether the income is salary or pension (the standard deduction applies)',
+            default: true
+        },
+        parentsSeniorCitizen: {
+            type: 'boolean',
+            description: 'Whether the parents covered by section80DParents are senior citizens (higher 80D limit)',
+            default: false
+        },
+        salary: salaryStructure,
+        deductions: {
+            type: 'object',
+            description: 'Amounts claimed; caps are applied by the calculator. Only allowed under the old regime.',
+            default: {},
+            errorMessage: { type: 'Deductions must be an object' },
+            properties: {
+                section80C: deductionAmount,
+                section80CCD1B: deductionAmount,
+                section80D: { ...deductionAmount, description: 'Health insurance for self, spouse and children' },
+                section80DParents: { ...deductionAmount, description: 'Health insurance for parents' },
+                hra: { ...deductionAmount, description: 'Exempt HRA (ignored when salary is given; the exemption is computed from it)' },
+                section80G: deductionAmount,
+                other: deductionAmount
+            }
+        }
+    },
+    refine: value => {
+        if (!value.salary) {
+            return value.annualIncome === undefined
+                ? [{ field: 'annualIncome', code: 'required', message: 'Annual income is required when salary is not given' }]
+                : [];
+        }
+        const { basic, da, hraReceived, lta, employerNps, otherAllowances } = value.salary;
+        const grossSalary = basic + da + hraReceived + lta + employerNps + otherAllowances;
+        if (value.annualIncome !== undefined && value.annualIncome < grossSalary) {
+            return [{ field: 'annualIncome', message: 'Annual income cannot be less than the gross salary' }];
+        }
+        return [];
+    }
+};
+
+/**
+ * SIP calculator: 'sip' projects a monthly SIP (optionally stepped up each
+ * year, with a lumpsum at the start), 'swp' draws a corpus down month by
+ * month and 'goal' solves for the monthly SIP reaching a target by a date
+ */
+const sipCalculator = {
+    type: 'object',
+    required: ['expectedROI'],
+    properties: {
+        mode: {
+            type: 'string',
+            enum: SIP_MODES,
+            default: 'sip',
+            errorMessage: `Mode must be one of: ${SIP_MODES.join(', ')}`
+        },
+        monthlyInvestment: {
+            type: 'number',
+            description: 'Monthly SIP (first year\'s when stepped up); sip mode',
+            minimum: 500,
+            errorMessage: 'Monthly investment must be at least ₹500'
+        },
+        investmentPeriod: {
+            type: 'number',
+            description: 'Investment period (sip) or withdrawal period (swp) in years',
+            minimum: 1,
+            maximum: 50,
+            errorMessage: 'Investment period must be between 1 and 50 years'
+        },
+        expectedROI: {
+            type: 'number',
+            description: 'Expected annual return (percentage)',
+            minimum: 1,
+            maximum: 20,
+            errorMessage: 'Expected ROI must be between 1% and 20%'
+        },
+        lumpsum: {
+            type: 'number',
+            description: 'One-time investment at the start; sip and goal modes',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Lumpsum cannot be negative'
+        },
+        stepUp: {
+            type: 'object',
+            description: 'Yearly increase of the SIP (sip and goal modes) or of the withdrawal (swp mode)',
+            required: ['type', 'value'],
+            errorMessage: { type: 'Step-up must be an object' },
+            properties: {
+                type: {
+                    type: 'string',
+                    enum: STEP_UP_TYPES,
+                    errorMessage: `Step-up type must be one of: ${STEP_UP_TYPES.join(', ')}`
+                },
+                value: {
+                    type: 'number',
+                    description: 'Percentage, or amount added to the monthly figure each year',
+                    exclusiveMinimum: 0,
+                    errorMessage: 'Step-up value must be greater than 0'
+                }
+            },
+            refine: value => (value.type === 'percentage' && value.value > 100
+                ? [{ field: 'value', message: 'Step-up percentage must be at most 100%' }]
+                : [])
+        },
+        inflationRate: {
+            type: 'number',
+            description: 'Expected annual inflation for real (today\'s money) values (percentage)',
+            minimum: 0,
+            maximum: 15,
+            default: 6,
+            errorMessage: 'Inflation rate must be between 0% and 15%'
+        },
+        corpus: {
+            type: 'number',
+            description: 'Corpus to withdraw from; swp mode',
+            minimum: 10000,
+            errorMessage: 'Corpus must be at least ₹10,000'
+        },
+        monthlyWithdrawal: {
+            type: 'number',
+            description: 'Monthly withdrawal (first year\'s when stepped up); swp mode',
+            exclusiveMinimum: 0,
+            errorMessage: 'Monthly withdrawal must be greater than 0'
+        },
+        targetAmount: {
+            type: 'number',
+            description: 'Amount to reach; goal mode',
+            minimum: 1000,
+            errorMessage: 'Target amount must be at least ₹1,000'
+        },
+        targetDate: {
+            type: 'string',
+            description: 'Month to reach the target by (YYYY-MM); goal mode',
+            pattern: YEAR_MONTH_PATTERN,
+            errorMessage: 'Target date must be in YYYY-MM format'
+        },
+        targetInTodaysMoney: {
+            type: 'boolean',
+            description: 'Whether the target is in today\'s money (inflated to the target date); goal mode',
+            default: false
+        }
+    },
+    refine: value => {
+        const modeFields = {
+            sip: { monthlyInvestment: 'Monthly investment', investmentPeriod: 'Investment period' },
+            swp: { corpus: 'Corpus', monthlyWithdrawal: 'Monthly withdrawal', investmentPeriod: 'Investment period' },
+            goal: { targetAmount: 'Target amount', targetDate: 'Target date' }
+        };
+        const fields = modeFields[value.mode];
+        const missing = Object.keys(fields).find(field => value[field] === undefined);
+        if (missing) {
+            return [{ field: missing, code: 'required', message: `${fields[missing]} is required in ${value.mode} mode` }];
+        }
+        if (value.mode === 'swp' && value.monthlyWithdrawal > value.corpus) {
+            return [{ field: 'monthlyWithdrawal', message: 'Monthly withdrawal cannot exceed the corpus' }];
+        }
+        if (value.mode === 'goal') {
+            const now = new Date();
+            const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+            const [year, month] = value.targetDate.split('-').map(Number);
+            if (value.targetDate <= currentMonth) {
+                return [{ field: 'targetDate', message: 'Target date must be after the current month' }];
+            }
+            if ((year - now.getFullYear()) * 12 + (month - now.getMonth() - 1) > 600) {
+                return [{ field: 'targetDate', message: 'Target date must be within 50 years' }];
+            }
+        }
+        return [];
+    }
+};
+
+const fdCalculator = {
+    type: 'object',
+    required: ['principal', 'interestRate', 'tenure'],
+    properties: {
+        principal: {
+            type: 'number',
+            minimum: 1000,
+            errorMessage: 'Principal amount must be at least ₹1,000'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Annual interest rate (percentage), before any senior-citizen bonus',
+            minimum: 1,
+            maximum: 15,
+            errorMessage: 'Interest rate must be between 1% and 15%'
+        },
+        tenure: {
+            type: 'number',
+            description: 'Tenure in tenureUnit (7 days to 10 years)',
+            exclusiveMinimum: 0,
+            errorMessage: 'Tenure must be greater than 0'
+        },
+        tenureUnit: {
+            type: 'string',
+            enum: FD_TENURE_UNITS,
+            default: 'years',
+            errorMessage: `Tenure unit must be one of: ${FD_TENURE_UNITS.join(', ')}`
+        },
+        compounding: {
+            type: 'string',
+            description: 'How often interest compounds; simple interest does not compound',
+            enum: FD_COMPOUNDING,
+            default: 'quarterly',
+            errorMessage: `Compounding must be one of: ${FD_COMPOUNDING.join(', ')}`
+        },
+        payout: {
+            type: 'string',
+            description: 'cumulative: interest paid at maturity; otherwise interest is paid out at this interval',
+            enum: FD_PAYOUTS,
+            default: 'cumulative',
+            errorMessage: `Payout must be one of: ${FD_PAYOUTS.join(', ')}`
+        },
+        seniorCitizen: {
+            type: 'boolean',
+            description: 'Depositor aged 60 or more (rate bonus, higher TDS threshold)',
+            default: false
+        },
+        seniorCitizenBonus: {
+            type: 'number',
+            description: 'Extra interest for senior citizens (percentage points)',
+            minimum: 0,
+            maximum: 1,
+            default: 0.5,
+            errorMessage: 'Senior citizen bonus must be between 0 and 1 percentage point'
+        },
+        panProvided: {
+            type: 'boolean',
+            description: 'Whether the depositor has given a PAN (TDS doubles without one)',
+            default: true
+        },
+        form15Submitted: {
+            type: 'boolean',
+            description: 'Whether Form 15G/15H was submitted (no TDS)',
+            default: false
+        },
+        inflationRate: expectedInflation
+    },
+    refine: value => {
+        const days = value.tenureUnit === 'days' ? value.tenure : value.tenure * (value.tenureUnit === 'months' ? 365 / 12 : 365);
+        if (days < 7 || days > 3650) {
+            return [{ field: 'tenure', message: 'Tenure must be between 7 days and 10 years' }];
+        }
+        if (value.tenureUnit === 'days' && !Number.isInteger(value.tenure)) {
+            return [{ field: 'tenure', message: 'Tenure in days must be a whole number' }];
+        }
+        return [];
+    }
+};
+
+const rdCalculator = {
+    type: 'object',
+    required: ['monthlyDeposit', 'interestRate', 'tenureMonths'],
+    properties: {
+        monthlyDeposit: {
+            type: 'number',
+            minimum: 100,
+            errorMessage: 'Monthly deposit must be at least ₹100'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Annual interest rate (percentage), compounded quarterly',
+            minimum: 1,
+            maximum: 15,
+            errorMessage: 'Interest rate must be between 1% and 15%'
+        },
+        tenureMonths: {
+            type: 'integer',
+            minimum: 6,
+            maximum: 120,
+            errorMessage: 'Tenure must be between 6 and 120 months'
+        }
+    }
+};
+
+const ppfCalculator = {
+    type: 'object',
+    required: ['yearlyContribution'],
+    properties: {
+        yearlyContribution: {
+            type: 'number',
+            description: 'Deposit made at the start of each financial year',
+            minimum: 500,
+            maximum: 150000,
+            errorMessage: 'PPF deposits must be between ₹500 and ₹1,50,000 a year'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Annual interest rate (percentage), compounded yearly',
+            minimum: 0,
+            maximum: 15,
+            default: 7.1,
+            errorMessage: 'Interest rate must be between 0% and 15%'
+        },
+        extensionBlocks: {
+            type: 'integer',
+            description: 'Number of 5-year extensions after the 15-year lock-in',
+            minimum: 0,
+            maximum: 10,
+            default: 0,
+            errorMessage: 'Extension blocks must be between 0 and 10'
+        },
+        extendWithContributions: {
+            type: 'boolean',
+            description: 'Whether yearly deposits continue during extensions',
+            default: true
+        }
+    }
+};
+
+const epfCalculator = {
+    type: 'object',
+    required: ['monthlyBasicSalary', 'currentAge'],
+    properties: {
+        monthlyBasicSalary: {
+            type: 'number',
+            description: 'Monthly basic salary plus dearness allowance',
+            exclusiveMinimum: 0,
+            errorMessage: 'Monthly basic salary must be greater than 0'
+        },
+        currentAge: {
+            type: 'integer',
+            minimum: 18,
+            maximum: 59,
+            errorMessage: 'Current age must be between 18 and 59'
+        },
+        retirementAge: {
+            type: 'integer',
+            minimum: 19,
+            maximum: 60,
+            default: 58,
+            errorMessage: 'Retirement age must be between 19 and 60'
+        },
+        currentBalance: {
+            type: 'number',
+            description: 'EPF balance today',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Current balance cannot be negative'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Annual EPF interest rate (percentage)',
+            minimum: 0,
+            maximum: 15,
+            default: 8.25,
+            errorMessage: 'Interest rate must be between 0% and 15%'
+        },
+        salaryGrowth: {
+            type: 'number',
+            description: 'Yearly increase in basic salary (percentage)',
+            minimum: 0,
+            maximum: 30,
+            default: 5,
+            errorMessage: 'Salary growth must be between 0% and 30%'
+        },
+        employeeContributionRate: {
+            type: 'number',
+            description: 'Employee contribution (percentage of basic + DA); above 12 is voluntary PF',
+            minimum: 12,
+            maximum: 100,
+            default: 12,
+            errorMessage: 'Employee contribution must be between 12% and 100%'
+        },
+        employerOnWageCeiling: {
+            type: 'boolean',
+            description: 'Whether the employer contributes only on the ₹15,000 wage ceiling',
+            default: false
+        }
+    },
+    refine: value => {
+        if (value.retirementAge <= value.currentAge) {
+            return [{ field: 'retirementAge', message: 'Retirement age must be greater than current age' }];
+        }
+        return [];
+    }
+};
+
+const retirementCorpusCalculator = {
+    type: 'object',
+    required: ['currentAge', 'retirementAge', 'monthlySavings', 'expectedROI', 'monthlyExpenses'],
+    properties: {
+        currentAge: {
+            type: 'integer',
+            minimum: 18,
+            maximum: 100,
+            errorMessage: 'Current age must be between 18 and 100'
+        },
+        retirementAge: {
+            type: 'integer',
+            minimum: 40,
+            maximum: 100,
+            errorMessage: 'Retirement age must be between 40 and 100'
+        },
+        lifeExpectancy: {
+            type: 'integer',
+            maximum: 120,
+            default: 85,
+            errorMessage: 'Life expectancy must be at most 120'
+        },
+        monthlySavings: {
+            type: 'number',
+            minimum: 0,
+            errorMessage: 'Monthly savings cannot be negative'
+        },
+        currentSavings: {
+            type: 'number',
+            description: 'Retirement savings already invested',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Current savings cannot be negative'
+        },
+        expectedROI: {
+            type: 'number',
+            description: 'Expected annual return until retirement (percentage)',
+            minimum: 1,
+            maximum: 20,
+            errorMessage: 'Expected ROI must be between 1% and 20%'
+        },
+        postRetirementROI: {
+            type: 'number',
+            description: 'Expected annual return after retirement (percentage)',
+            minimum: 0,
+            maximum: 15,
+            default: 7,
+            errorMessage: 'Post-retirement return must be between 0% and 15%'
+        },
+        inflationRate: {
+            type: 'number',
+            description: 'Expected annual inflation (percentage)',
+            minimum: 0,
+            maximum: 15,
+            default: 6,
+            errorMessage: 'Inflation rate must be between 0% and 15%'
+        },
+        monthlyExpenses: {
+            type: 'number',
+            description: "Desired monthly expenses in retirement, in today's money",
+            exclusiveMinimum: 0,
+            errorMessage: 'Monthly expenses must be greater than 0'
+        }
+    },
+    refine: value => {
+        if (value.retirementAge <= value.currentAge) {
+            return [{ field: 'retirementAge', message: 'Retirement age must be greater than current age' }];
+        }
+        if (value.lifeExpectancy <= value.retirementAge) {
+            return [{ field: 'lifeExpectancy', message: 'Life expectancy must be greater than retirement age' }];
+        }
+        return [];
+    }
+};
+
+/**
+ * One asset class of a retirement portfolio
+ */
+const assetClass = {
+    type: 'object',
+    required: ['name', 'allocation', 'expectedReturn', 'volatility'],
+    properties: {
+        name: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 50,
+            errorMessage: 'Asset class name must be 1 to 50 characters'
+        },
+        allocation: {
+            type: 'number',
+            description: 'Share of the portfolio (percentage)',
+            minimum: 0,
+            maximum: 100,
+            errorMessage: 'Allocation must be between 0 and 100'
+        },
+        expectedReturn: {
+            type: 'number',
+            description: 'Expected (mean) annual return (percentage)',
+            minimum: -20,
+            maximum: 30,
+            errorMessage: 'Expected return must be between -20% and 30%'
+        },
+        volatility: {
+            type: 'number',
+            description: 'Standard deviation of the annual return (percentage)',
+            minimum: 0,
+            maximum: 60,
+            errorMessage: 'Volatility must be between 0% and 60%'
+        }
+    }
+};
+
+const assetClasses = {
+    type: 'array',
+    minItems: 1,
+    maxItems: 10,
+    errorMessage: { type: 'Asset classes must be an array', minItems: 'At least one asset class is required', maxItems: 'At most 10 asset classes are allowed' },
+    items: assetClass
+};
+
+const retirementSimulation = {
+    type: 'object',
+    required: ['currentAge', 'retirementAge', 'monthlySavings', 'monthlyExpenses', 'assetClasses'],
+    properties: {
+        currentAge: retirementCorpusCalculator.properties.currentAge,
+        retirementAge: retirementCorpusCalculator.properties.retirementAge,
+        lifeExpectancy: retirementCorpusCalculator.properties.lifeExpectancy,
+        monthlySavings: retirementCorpusCalculator.properties.monthlySavings,
+        currentSavings: retirementCorpusCalculator.properties.currentSavings,
+        inflationRate: retirementCorpusCalculator.properties.inflationRate,
+        monthlyExpenses: retirementCorpusCalculator.properties.monthlyExpenses,
+        assetClasses: {
+            ...assetClasses,
+            description: 'Portfolio until retirement; allocations add up to 100'
+        },
+        postRetirementAssetClasses: {
+            ...assetClasses,
+            description: 'Portfolio after retirement (default: the same as before); allocations add up to 100'
+        },
+        trials: {
+            type: 'integer',
+            description: 'Number of simulated return sequences',
+            minimum: 100,
+            maximum: 10000,
+            default: 1000,
+            errorMessage: 'Trials must be a whole number between 100 and 10,000'
+        },
+        seed: {
+            type: 'integer',
+            description: 'Random seed; the same seed and inputs give the same results (default: random, returned in the response)',
+            minimum: 0,
+            maximum: 2147483647,
+            errorMessage: 'Seed must be a whole number between 0 and 2147483647'
+        }
+    },
+    refine: value => {
+        const errors = retirementCorpusCalculator.refine(value);
+        ['assetClasses', 'postRetirementAssetClasses'].forEach(field => {
+            if (!value[field]) return;
+
+            const total = value[field].reduce((sum, item) => sum + item.allocation, 0);
+            if (Math.abs(total - 100) > 0.001) {
+                errors.push({ field, message: 'Allocations must add up to 100' });
+            }
+            const names = value[field].map(item => item.name.trim().toLowerCase());
+            const duplicate = names.findIndex((name, index) => names.indexOf(name) !== index);
+            if (duplicate !== -1) {
+                errors.push({ field: `${field}[${duplicate}].name`, message: 'Asset class names must be unique' });
+            }
+        });
+        return errors;
+    }
+};
+
+const loanEligibilityCalculator = {
+    type: 'object',
+    required: ['monthlyIncome', 'interestRate', 'loanTenure'],
+    properties: {
+        monthlyIncome: {
+            type: 'number',
+            minimum: 10000,
+            errorMessage: 'Monthly income must be at least ₹10,000'
+        },
+        existingEMIs: {
+            type: 'number',
+            description: 'Total EMIs already being paid per month',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Existing EMIs cannot be negative'
+        },
+        coApplicants: {
+            type: 'array',
+            maxItems: 3,
+            default: [],
+            errorMessage: { type: 'Co-applicants must be an array', maxItems: 'At most 3 co-applicants are allowed' },
+            items: {
+                type: 'object',
+                required: ['monthlyIncome'],
+                properties: {
+                    name: { type: 'string', maxLength: 100 },
+                    monthlyIncome: {
+                        type: 'number',
+                        minimum: 0,
+                        errorMessage: {
+                            required: 'Co-applicant monthly income is required',
+                            type: 'Co-applicant monthly income must be a number',
+                            range: 'Co-applicant monthly income cannot be negative'
+                        }
+                    },
+                    existingEMIs: {
+                        type: 'number',
+                        minimum: 0,
+                        default: 0,
+                        errorMessage: 'Co-applicant existing EMIs cannot be negative'
+                    }
+                }
+            }
+        },
+        foirCap: {
+            type: 'number',
+            description: 'Lender cap on fixed obligations (all EMIs) as a percentage of income',
+            minimum: 10,
+            maximum: 80,
+            default: 50,
+            errorMessage: 'FOIR cap must be between 10% and 80%'
+        },
+        emiCapacity: {
+            type: 'number',
+            description: 'Maximum EMI per month the borrower is comfortable with',
+            minimum: 1000,
+            errorMessage: 'EMI capacity must be at least ₹1,000'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Annual interest rate (percentage)',
+            minimum: 1,
+            maximum: 30,
+            errorMessage: 'Interest rate must be between 1% and 30%'
+        },
+        loanTenure: {
+            type: 'number',
+            description: 'Requested loan tenure in years',
+            minimum: 1,
+            maximum: 30,
+            errorMessage: 'Loan tenure must be between 1 and 30 years'
+        },
+        applicantAge: {
+            type: 'integer',
+            description: 'Age of the primary applicant, used to cap the tenure',
+            minimum: 18,
+            maximum: 75,
+            errorMessage: 'Applicant age must be between 18 and 75'
+        },
+        maxAgeAtMaturity: {
+            type: 'integer',
+            description: 'Lender limit on the applicant age when the loan ends',
+            minimum: 50,
+            maximum: 80,
+            default: 60,
+            errorMessage: 'Maximum age at maturity must be between 50 and 80'
+        },
+        propertyValue: {
+            type: 'number',
+            description: 'Value of the property being financed',
+            exclusiveMinimum: 0,
+            errorMessage: 'Property value must be greater than 0'
+        },
+        ltvCap: {
+            type: 'number',
+            description: 'Lender cap on the loan as a percentage of the property value',
+            minimum: 10,
+            maximum: 90,
+            default: 80,
+            errorMessage: 'LTV cap must be between 10% and 90%'
+        }
+    },
+    refine: value => {
+        const totalIncome = value.monthlyIncome + value.coApplicants.reduce((sum, coApplicant) => sum + coApplicant.monthlyIncome, 0);
+
+        if (value.emiCapacity !== undefined && value.emiCapacity >= totalIncome) {
+            return [{ field: 'emiCapacity', message: 'EMI capacity must be less than monthly income' }];
+        }
+        if (value.emiCapacity !== undefined && value.emiCapacity > totalIncome * 0.8) {
+            return [{ field: 'emiCapacity', message: 'EMI capacity should not exceed 80% of monthly income' }];
+        }
+        if (value.applicantAge !== undefined && value.applicantAge >= value.maxAgeAtMaturity) {
+            return [{ field: 'applicantAge', message: 'Applicant age must be below the maximum age at maturity' }];
+        }
+        return [];
+    }
+};
+
+const rentVsBuy = {
+    type: 'object',
+    required: ['propertyPrice', 'downPayment', 'interestRate', 'loanTenure', 'monthlyRent'],
+    properties: {
+        propertyPrice: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            errorMessage: 'Property price must be greater than 0'
+        },
+        downPayment: {
+            type: 'number',
+            description: 'Paid upfront; the rest of the price is the home loan',
+            minimum: 0,
+            errorMessage: 'Down payment cannot be negative'
+        },
+        interestRate: {
+            type: 'number',
+            description: 'Home loan annual interest rate (percentage)',
+            minimum: 1,
+            maximum: 30,
+            errorMessage: 'Interest rate must be between 1% and 30%'
+        },
+        loanTenure: {
+            type: 'integer',
+            description: 'Home loan tenure in years',
+            minimum: 1,
+            maximum: 30,
+            errorMessage: 'Loan tenure must be between 1 and 30 years'
+        },
+        stampDutyPercent: {
+            type: 'number',
+            description: 'Stamp duty (percentage of the price)',
+            minimum: 0,
+            maximum: 15,
+            default: 6,
+            errorMessage: 'Stamp duty must be between 0% and 15%'
+        },
+        registrationPercent: {
+            type: 'number',
+            description: 'Registration charges (percentage of the price)',
+            minimum: 0,
+            maximum: 5,
+            default: 1,
+            errorMessage: 'Registration charges must be between 0% and 5%'
+        },
+        maintenancePercent: {
+            type: 'number',
+            description: "Yearly maintenance, repairs and property tax (percentage of the property's current value)",
+            minimum: 0,
+            maximum: 10,
+            default: 1,
+            errorMessage: 'Maintenance must be between 0% and 10%'
+        },
+        appreciationRate: {
+            type: 'number',
+            description: 'Yearly property price growth (percentage)',
+            minimum: -10,
+            maximum: 20,
+            default: 5,
+            errorMessage: 'Appreciation rate must be between -10% and 20%'
+        },
+        sellingCostPercent: {
+            type: 'number',
+            description: 'Brokerage and other costs of selling, deducted from the property value in net worth (percentage)',
+            minimum: 0,
+            maximum: 10,
+            default: 1,
+            errorMessage: 'Selling costs must be between 0% and 10%'
+        },
+        monthlyRent: {
+            type: 'number',
+            description: 'Rent for a comparable home today',
+            exclusiveMinimum: 0,
+            errorMessage: 'Monthly rent must be greater than 0'
+        },
+        rentEscalation: {
+            type: 'number',
+            description: 'Yearly rent increase (percentage)',
+            minimum: 0,
+            maximum: 20,
+            default: 5,
+            errorMessage: 'Rent escalation must be between 0% and 20%'
+        },
+        investmentReturn: {
+            type: 'number',
+            description: 'Annual return on money not tied up in the home: the upfront costs and any monthly savings (percentage)',
+            minimum: 0,
+            maximum: 20,
+            default: 10,
+            errorMessage: 'Investment return must be between 0% and 20%'
+        },
+        years: {
+            type: 'integer',
+            description: 'Years to compare (default: the loan tenure)',
+            minimum: 1,
+            maximum: 40,
+            errorMessage: 'Years must be between 1 and 40'
+        },
+        taxRegime: {
+            type: 'string',
+            description: 'Home loan interest (section 24(b)) and principal (section 80C) are deductible only under the old regime',
+            enum: TAX_REGIMES,
+            default: 'old',
+            errorMessage: `Tax regime must be one of: ${TAX_REGIMES.join(', ')}`
+        },
+        marginalTaxRate: {
+            type: 'number',
+            description: 'Tax rate on the last rupee of income, including surcharge and cess (percentage)',
+            minimum: 0,
+            maximum: 45,
+            default: 31.2,
+            errorMessage: 'Marginal tax rate must be between 0% and 45%'
+        },
+        otherSection80C: {
+            type: 'number',
+            description: 'Section 80C deductions already claimed through other investments',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Other section 80C deductions cannot be negative'
+        },
+        monthlyIncome: {
+            type: 'number',
+            description: 'Monthly take-home income, for the affordability check',
+            exclusiveMinimum: 0,
+            errorMessage: 'Monthly income must be greater than 0'
+        }
+    },
+    refine: value => (value.downPayment > value.propertyPrice
+        ? [{ field: 'downPayment', message: 'Down payment cannot exceed the property price' }]
+        : [])
+};
+
+/**
+ * Lot bought and sold, for the capital gains calculator
+ */
+const capitalGainsLot = {
+    type: 'object',
+    required: ['assetClass', 'buyDate', 'buyPrice', 'sellDate', 'sellPrice'],
+    properties: {
+        name: { type: 'string', description: 'Security or property name', maxLength: 100 },
+        assetClass: {
+            type: 'string',
+            description: 'equity: listed shares and equity funds (STT paid); debt: debt mutual funds; property: land and buildings',
+            enum: CAPITAL_GAINS_ASSET_CLASSES,
+            errorMessage: `Asset class must be one of: ${CAPITAL_GAINS_ASSET_CLASSES.join(', ')}`
+        },
+        quantity: {
+            type: 'number',
+            description: 'Units sold (prices are per unit)',
+            exclusiveMinimum: 0,
+            default: 1,
+            errorMessage: 'Quantity must be greater than 0'
+        },
+        buyDate: {
+            type: 'string',
+            description: 'Acquisition date (YYYY-MM-DD)',
+            pattern: DATE_PATTERN,
+            errorMessage: 'Buy date must be in YYYY-MM-DD format'
+        },
+        buyPrice: {
+            type: 'number',
+            description: 'Cost per unit (fair market value on 1 April 2001 if acquired earlier)',
+            minimum: 0,
+            errorMessage: 'Buy price must be greater than or equal to 0'
+        },
+        sellDate: {
+            type: 'string',
+            description: 'Transfer date (YYYY-MM-DD)',
+            pattern: DATE_PATTERN,
+            errorMessage: 'Sell date must be in YYYY-MM-DD format'
+        },
+        sellPrice: {
+            type: 'number',
+            description: 'Sale price per unit',
+            minimum: 0,
+            errorMessage: 'Sell price must be greater than or equal to 0'
+        },
+        expenses: {
+            type: 'number',
+            description: 'Transfer expenses for the lot (brokerage, stamp duty, legal fees)',
+            minimum: 0,
+            default: 0,
+            errorMessage: 'Expenses cannot be negative'
+        }
+    },
+    refine: value => {
+        if (value.sellDate < value.buyDate) {
+            return [{ field: 'sellDate', message: 'Sell date cannot be before buy date' }];
+        }
+        if (value.sellDate > new Date().toISOString().slice(0, 10)) {
+            return [{ field: 'sellDate', message: 'Sell date cannot be in the future' }];
+        }
+        return [];
+    }
+};
+
+const capitalGainsCalculator = {
+    type: 'object',
+    properties: {
+        lots: {
+            type: 'array',
+            maxItems: 1000,
+            default: [],
+            errorMessage: { type: 'Lots must be an array', maxItems: 'At most 1000 lots are allowed' },
+            items: capitalGainsLot
+        },
+        tradebook: {
+            type: 'string',
+            description: 'Broker tradebook CSV (columns symbol, trade_date, trade_type, quantity, price); buys and sells are matched FIFO per symbol'
+        },
+        tradebookAssetClass: {
+            type: 'string',
+            description: 'Asset class of every tradebook trade',
+            enum: CAPITAL_GAINS_ASSET_CLASSES,
+            default: 'equity',
+            errorMessage: `Tradebook asset class must be one of: ${CAPITAL_GAINS_ASSET_CLASSES.join(', ')}`
+        },
+        slabRate: {
+            type: 'number',
+            description: 'Marginal slab rate for gains taxed at slab rates (percentage)',
+            minimum: 0,
+            maximum: 30,
+            default: 30,
+            errorMessage: 'Slab rate must be between 0% and 30%'
+        },
+        resident: {
+            type: 'boolean',
+            description: 'Resident individual (may choose indexation on property acquired before 23 July 2024)',
+            default: true
+        }
+    },
+    refine: value => (value.lots.length === 0 && !value.tradebook
+        ? [{ field: 'lots', code: 'required', message: 'Provide lots or a tradebook' }]
+        : [])
+};
+
+/**
+ * Dated cash flow: negative for money invested, positive for money taken out
+ */
+const cashFlow = {
+    type: 'object',
+    required: ['date', 'amount'],
+    properties: {
+        date: {
+            type: 'string',
+            description: 'Date (YYYY-MM-DD)',
+            pattern: DATE_PATTERN,
+            errorMessage: 'Cash flow date must be in YYYY-MM-DD format'
+        },
+        amount: {
+            type: 'number',
+            description: 'Negative for an investment, positive for a withdrawal or dividend',
+            errorMessage: 'Cash flow amount must be a number'
+        }
+    },
+    refine: value => (value.amount === 0 ? [{ field: 'amount', message: 'Cash flow amount cannot be 0' }] : [])
+};
+
+const xirrCalculator = {
+    type: 'object',
+    required: ['currentValue'],
+    properties: {
+        cashFlows: {
+            type: 'array',
+            maxItems: 5000,
+            default: [],
+            errorMessage: { type: 'Cash flows must be an array', maxItems: 'At most 5000 cash flows are allowed' },
+            items: cashFlow
+        },
+        cashFlowsCsv: {
+            type: 'string',
+            description: 'Cash flows as CSV with date and amount columns (same sign convention); added to cashFlows'
+        },
+        currentValue: {
+            type: 'number',
+            description: 'Value of the holdings on the valuation date',
+            minimum: 0,
+            errorMessage: 'Current value must be greater than or equal to 0'
+        },
+        valuationDate: {
+            type: 'string',
+            description: 'Date of the current value (YYYY-MM-DD, default today)',
+            pattern: DATE_PATTERN,
+            errorMessage: 'Valuation date must be in YYYY-MM-DD format'
+        }
+    },
+    refine: value => {
+        if (value.cashFlows.length === 0 && !value.cashFlowsCsv) {
+            return [{ field: 'cashFlows', code: 'required', message: 'Provide cashFlows or cashFlowsCsv' }];
+        }
+        if (value.valuationDate !== undefined && value.valuationDate > new Date().toISOString().slice(0, 10)) {
+            return [{ field: 'valuationDate', message: 'Valuation date cannot be in the future' }];
+        }
+        return [];
+    }
+};
+
+/**
+ * One debt for the debt payoff planner
+ */
+const debt = {
+    type: 'object',
+    required: ['name', 'balance', 'apr', 'minimumPayment'],
+    properties: {
+        name: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100,
+            errorMessage: 'Debt name must be 1 to 100 characters'
+        },
+        balance: {
+            type: 'number',
+            description: 'Outstanding balance',
+            exclusiveMinimum: 0,
+            errorMessage: 'Balance must be greater than 0'
+        },
+        apr: {
+            type: 'number',
+            description: 'Annual interest rate (percentage)',
+            minimum: 0,
+            maximum: 100,
+            errorMessage: 'APR must be between 0 and 100'
+        },
+        minimumPayment: {
+            type: 'number',
+            description: 'Minimum monthly payment',
+            exclusiveMinimum: 0,
+            errorMessage: 'Minimum payment must be greater than 0'
+        },
+        priority: {
+            type: 'integer',
+            description: 'Position in the custom payoff order (1 is paid off first; debts without one follow in the order given)',
+            minimum: 1,
+            errorMessage: 'Priority must be a positive integer'
+        }
+    }
+};
+
+const debtPayoffPlanner = {
+    type: 'object',
+    required: ['debts', 'monthlyBudget'],
+    properties: {
+        debts: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 50,
+            errorMessage: { type: 'Debts must be an array', minItems: 'At least one debt is required', maxItems: 'At most 50 debts are allowed' },
+            items: debt
+        },
+        monthlyBudget: {
+            type: 'number',
+            description: 'Total paid towards all debts each month',
+            exclusiveMinimum: 0,
+            errorMessage: 'Monthly budget must be greater than 0'
+        },
+        startDate: {
+            type: 'string',
+            description: 'Month of the first payment (YYYY-MM, default: next month)',
+            pattern: YEAR_MONTH_PATTERN,
+            errorMessage: 'Start date must be in YYYY-MM format'
+        }
+    },
+    refine: value => {
+        const names = value.debts.map(item => item.name.trim().toLowerCase());
+        const duplicate = names.findIndex((name, index) => names.indexOf(name) !== index);
+        if (duplicate !== -1) {
+            return [{ field: `debts[${duplicate}].name`, message: 'Debt names must be unique' }];
+        }
+
+        const totalMinimum = value.debts.reduce((total, item) => total + item.minimumPayment, 0);
+        if (value.monthlyBudget < totalMinimum) {
+            return [{ field: 'monthlyBudget', message: `Monthly budget must cover the minimum payments (₹${totalMinimum.toLocaleString('en-IN')})` }];
+        }
+
+        // A budget that only pays the interest never reduces the balances
+        const totalInterest = value.debts.reduce((total, item) => total + item.balance * item.apr / (12 * 100), 0);
+        if (value.monthlyBudget <= totalInterest) {
+            return [{ field: 'monthlyBudget', message: `Monthly budget must be more than the monthly interest on the debts (₹${(Math.round(totalInterest * 100) / 100).toLocaleString('en-IN')})` }];
+        }
+        return [];
+    }
+};
+
+/**
+ * Inflation calculator: 'historical' converts an amount between two years
+ * with a CPI series, 'projection' grows it at an assumed inflation rate
+ */
+const inflationCalculator = {
+    type: 'object',
+    required: ['amount'],
+    properties: {
+        mode: {
+            type: 'string',
+            enum: INFLATION_MODES,
+            default: 'historical',
+            errorMessage: `Mode must be one of: ${INFLATION_MODES.join(', ')}`
+        },
+        amount: {
+            type: 'number',
+            description: 'Amount in fromYear money (historical) or today\'s money (projection)',
+            exclusiveMinimum: 0,
+            errorMessage: 'Amount must be greater than 0'
+        },
+        series: {
+            type: 'string',
+            description: 'CPI series; historical mode',
+            enum: CPI_SERIES_IDS,
+            default: 'india-cpi',
+            errorMessage: `Series must be one of: ${CPI_SERIES_IDS.join(', ')}`
+        },
+        fromYear: {
+            type: 'integer',
+            description: 'Year the amount is in; historical mode',
+            minimum: 1900,
+            maximum: 2100,
+            errorMessage: 'From year must be a year between 1900 and 2100'
+        },
+        toYear: {
+            type: 'integer',
+            description: 'Year to convert the amount to (earlier or later); historical mode',
+            minimum: 1900,
+            maximum: 2100,
+            errorMessage: 'To year must be a year between 1900 and 2100'
+        },
+        inflationRate: {
+            ...expectedInflation,
+            description: 'Assumed annual inflation (percentage); projection mode'
+        },
+        years: {
+            type: 'integer',
+            description: 'Years to project; projection mode',
+            minimum: 1,
+            maximum: 100,
+            errorMessage: 'Years must be a whole number between 1 and 100'
+        }
+    },
+    refine: value => {
+        const modeFields = {
+            historical: { fromYear: 'From year', toYear: 'To year' },
+            projection: { inflationRate: 'Inflation rate', years: 'Years' }
+        };
+        const fields = modeFields[value.mode];
+        const missing = Object.keys(fields).find(field => value[field] === undefined);
+        if (missing) {
+            return [{ field: missing, code: 'required', message: `${fields[missing]} is required in ${value.mode} mode` }];
+        }
+        return [];
+    }
+};
+
+const goalSeek = {
+    type: 'object',
+    required: ['calculator', 'targetField', 'targetValue', 'unknownField'],
+    properties: {
+        calculator: {
+            type: 'string',
+            description: 'Calculator whose inputs are solved for',
+            enum: GOAL_SEEK_CALCULATORS,
+            errorMessage: `Calculator must be one of: ${GOAL_SEEK_CALCULATORS.join(', ')}`
+        },
+        inputs: {
+            type: 'object',
+            description: "Fixed inputs, as sent to the calculator's own endpoint",
+            default: {},
+            errorMessage: { type: 'Inputs must be an object' }
+        },
+        targetField: {
+            type: 'string',
+            description: "Numeric field of the calculator's result to hit, with dots for nested fields (e.g. monthlyEMI, scenario.totalInterest)",
+            pattern: '^[A-Za-z]\\w*(\\.[A-Za-z]\\w*)*$',
+            errorMessage: 'Target field must be a field name, with dots for nested fields'
+        },
+        targetValue: {
+            type: 'number',
+            errorMessage: 'Target value must be a number'
+        },
+        unknownField: {
+            type: 'string',
+            description: 'Numeric top-level input to solve for',
+            minLength: 1,
+            errorMessage: 'Unknown field is required'
+        },
+        tolerance: {
+            type: 'number',
+            description: 'Largest acceptable difference between the output and the target (default 0.01)',
+            exclusiveMinimum: 0,
+            default: 0.01,
+            errorMessage: 'Tolerance must be greater than 0'
+        }
+    }
+};
+
+module.exports = {
+    CURRENCIES,
+    AGE_CATEGORIES,
+    INTEREST_TYPES,
+    LOAN_EVENT_TYPES,
+    LOAN_EVENT_FREQUENCIES,
+    LOAN_EVENT_ADJUSTMENTS,
+    EXPENSE_TYPES,
+    BUDGET_RULES,
+    STATEMENT_PRESETS,
+    SIP_MODES,
+    STEP_UP_TYPES,
+    FD_TENURE_UNITS,
+    FD_COMPOUNDING,
+    FD_PAYOUTS,
+    GOAL_SEEK_CALCULATORS,
+    INFLATION_MODES,
+    loanEvent,
+    emiCalculator,
+    loanPrepayment,
+    loanOffer,
+    loanComparison,
+    loanRefinance,
+    interestCalculator,
+    budgetPlanner,
+    categoryRule,
+    categoryRules,
+    budgetStatementImport,
+    currencyConverter,
+    incomeTaxCalculator,
+    sipCalculator,
+    fdCalculator,
+    rdCalculator,
+    ppfCalculator,
+    epfCalculator,
+    retirementCorpusCalculator,
+    assetClass,
+    retirementSimulation,
+    loanEligibilityCalculator,
+    rentVsBuy,
+    capitalGainsLot,
+    capitalGainsCalculator,
+    cashFlow,
+    xirrCalculator,
+    debt,
+    debtPayoffPlanner,
+    inflationCalculator,
+    goalSeek
+};
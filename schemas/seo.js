@@ -0,0 +1,123 @@
+/**
+ * SEO Tool Schemas
+ *
+ * Request schemas for SEO Tools, used by the routes (validateBody middleware).
+ * URL normalization (adding https://, extracting the domain) stays in the
+ * routes; the schemas only check that the inputs are present and well typed.
+ *
+ * Schemas:
+ * - trafficChecker, backlinkAnalyzer, metaTagAnalyzer, pageSpeedTester, seoAuditTool - Website URL
+ * - daChecker - Domain name
+ * - serpRankChecker - URL and keyword
+ * - keywordAnalyzer - Keyword and optional website URL
+ * - contentOptimizationTool, keywordDensityChecker - Content or URL
+ * - metaDescriptionGenerator - Page title and optional keywords/summary/tone
+ */
+
+const url = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 2048,
+    description: 'Website URL (https:// is added when missing)',
+    errorMessage: { required: 'URL is required', minLength: 'URL is required' }
+};
+
+const urlOnly = {
+    type: 'object',
+    required: ['url'],
+    properties: { url }
+};
+
+const contentOrUrl = {
+    type: 'object',
+    properties: {
+        content: { type: 'string', description: 'Text or HTML content to analyze' },
+        url: { ...url, errorMessage: undefined }
+    },
+    refine: value => (!value.content && !value.url
+        ? [{ field: 'content', code: 'required', message: 'Either content or URL is required' }]
+        : [])
+};
+
+const trafficChecker = urlOnly;
+const backlinkAnalyzer = urlOnly;
+const metaTagAnalyzer = urlOnly;
+const pageSpeedTester = urlOnly;
+const seoAuditTool = urlOnly;
+
+const daChecker = {
+    type: 'object',
+    required: ['domain'],
+    properties: {
+        domain: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 253,
+            errorMessage: { required: 'Domain is required', minLength: 'Domain is required' }
+        }
+    }
+};
+
+const serpRankChecker = {
+    type: 'object',
+    required: ['url', 'keyword'],
+    properties: {
+        url: { ...url, errorMessage: 'URL and keyword are required' },
+        keyword: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 200,
+            errorMessage: { required: 'URL and keyword are required', minLength: 'URL and keyword are required' }
+        }
+    }
+};
+
+const keywordAnalyzer = {
+    type: 'object',
+    required: ['keyword'],
+    properties: {
+        keyword: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 200,
+            errorMessage: { required: 'Keyword is required', minLength: 'Keyword is required' }
+        },
+        websiteUrl: { type: 'string', maxLength: 2048 }
+    }
+};
+
+const contentOptimizationTool = contentOrUrl;
+const keywordDensityChecker = contentOrUrl;
+
+const metaDescriptionGenerator = {
+    type: 'object',
+    required: ['pageTitle'],
+    properties: {
+        pageTitle: {
+            type: 'string',
+            minLength: 1,
+            errorMessage: { required: 'Page title is required', minLength: 'Page title is required' }
+        },
+        keywords: { type: 'string', description: 'Comma-separated keywords' },
+        contentSummary: { type: 'string' },
+        tone: {
+            type: 'string',
+            description: 'professional, friendly, casual, persuasive or informative',
+            default: 'professional'
+        }
+    }
+};
+
+module.exports = {
+    trafficChecker,
+    daChecker,
+    backlinkAnalyzer,
+    keywordAnalyzer,
+    serpRankChecker,
+    metaTagAnalyzer,
+    pageSpeedTester,
+    seoAuditTool,
+    contentOptimizationTool,
+    keywordDensityChecker,
+    metaDescriptionGenerator
+};
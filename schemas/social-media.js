@@ -0,0 +1,268 @@
+/**
+ * Social Media Tool Schemas
+ *
+ * Request schemas for Social Media Tools, shared by the routes (validateBody
+ * middleware) and the controllers' validation functions.
+ *
+ * Schemas:
+ * - hashtagGenerate - Hashtag generation inputs
+ * - hashtagSave - Hashtag set to save
+ * - youtubeTitleTagGenerator - YouTube title/tag generation inputs
+ * - videoTitleTagGenerator - Multi-platform video title/tag generation inputs
+ * - postEngagementCalculator - Post engagement numbers
+ * - linkedinProfileOptimizer - LinkedIn profile summary
+ * - twitterSchedule - Schedule request (date + time, or scheduledDateTime)
+ * - twitterPost - Post as stored by the scheduler
+ * - twitterPostUpdate - Partial post update
+ */
+
+const VIDEO_PLATFORMS = ['youtube', 'tiktok', 'instagram', 'facebook', 'all'];
+const VIDEO_CATEGORIES = [
+    'education', 'entertainment', 'gaming', 'music', 'sports', 'tech',
+    'lifestyle', 'food', 'travel', 'fitness', 'beauty', 'business', 'comedy'
+];
+const POST_TYPES = ['tweet', 'thread', 'reply'];
+const MAX_COUNT = 1000000000; // 1 billion - prevents overflow in engagement maths
+
+const hashtagGenerate = {
+    type: 'object',
+    required: ['keywords'],
+    properties: {
+        keywords: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 500,
+            errorMessage: {
+                required: 'Keywords are required',
+                minLength: 'Keywords are required',
+                maxLength: 'Keywords must be less than 500 characters'
+            }
+        },
+        niche: { type: 'string' },
+        platform: { type: 'string', description: "'instagram' | 'twitter' | 'tiktok' | 'all'" },
+        count: {
+            type: 'integer',
+            minimum: 20,
+            maximum: 50,
+            errorMessage: 'Count must be between 20 and 50'
+        }
+    }
+};
+
+const hashtagSave = {
+    type: 'object',
+    required: ['hashtags'],
+    properties: {
+        hashtags: {
+            type: 'array',
+            items: { type: 'string' },
+            errorMessage: { required: 'Hashtags array is required', type: 'Hashtags array is required' }
+        },
+        keywords: { type: 'string' },
+        niche: { type: 'string', nullable: true },
+        platform: { type: 'string' }
+    }
+};
+
+const youtubeTitleTagGenerator = {
+    type: 'object',
+    required: ['topic'],
+    properties: {
+        topic: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 200,
+            errorMessage: { maxLength: 'Topic must be less than 200 characters' }
+        },
+        category: { type: 'string' },
+        titleCount: {
+            type: 'integer',
+            minimum: 5,
+            maximum: 20,
+            default: 10,
+            errorMessage: 'Title count must be between 5 and 20'
+        },
+        tagCount: {
+            type: 'integer',
+            minimum: 15,
+            maximum: 40,
+            default: 20,
+            errorMessage: 'Tag count must be between 15 and 40'
+        }
+    }
+};
+
+const videoTitleTagGenerator = {
+    type: 'object',
+    required: ['topic'],
+    properties: {
+        topic: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 200,
+            errorMessage: {
+                minLength: 'Topic must be at least 2 characters long',
+                maxLength: 'Topic must be less than 200 characters'
+            }
+        },
+        platform: {
+            type: 'string',
+            enum: VIDEO_PLATFORMS,
+            default: 'all',
+            errorMessage: 'Invalid platform selected'
+        },
+        category: {
+            type: 'string',
+            enum: VIDEO_CATEGORIES,
+            errorMessage: 'Invalid category selected'
+        },
+        titleCount: { type: 'integer', default: 10, description: 'Clamped to 5-20' },
+        tagCount: { type: 'integer', default: 20, description: 'Clamped to 15-40' }
+    }
+};
+
+const postEngagementCalculator = {
+    type: 'object',
+    required: ['likes', 'comments', 'shares', 'followers'],
+    properties: {
+        likes: { type: 'integer', minimum: 0, maximum: MAX_COUNT },
+        comments: { type: 'integer', minimum: 0, maximum: MAX_COUNT },
+        shares: { type: 'integer', minimum: 0, maximum: MAX_COUNT },
+        followers: { type: 'integer', minimum: 1, maximum: MAX_COUNT },
+        platform: { type: 'string', default: 'all' }
+    }
+};
+
+const linkedinProfileOptimizer = {
+    type: 'object',
+    properties: {
+        headline: { type: 'string', maxLength: 120, default: '', errorMessage: 'Headline must be 120 characters or less' },
+        summary: { type: 'string', maxLength: 2000, default: '', errorMessage: 'Summary must be 2000 characters or less' },
+        experienceCount: {
+            type: 'integer', minimum: 0, maximum: 50, default: 0,
+            errorMessage: 'Experience count must be between 0 and 50'
+        },
+        educationCount: {
+            type: 'integer', minimum: 0, maximum: 20, default: 0,
+            errorMessage: 'Education count must be between 0 and 20'
+        },
+        skillsCount: {
+            type: 'integer', minimum: 0, maximum: 50, default: 0,
+            errorMessage: 'Skills count must be between 0 and 50'
+        },
+        connections: { type: 'integer', minimum: 0, default: 0, errorMessage: 'Connections must be a non-negative number' },
+        hasProfilePicture: { type: 'boolean', default: false },
+        hasCustomUrl: { type: 'boolean', default: false },
+        hasCoverPhoto: { type: 'boolean', default: false },
+        hasRecommendations: { type: 'boolean', default: false }
+    }
+};
+
+const postFields = {
+    content: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 280,
+        errorMessage: {
+            required: 'Post content is required',
+            minLength: 'Post content is required',
+            maxLength: 'Post content cannot exceed 280 characters'
+        }
+    },
+    scheduledDateTime: {
+        type: 'string',
+        format: 'date-time',
+        errorMessage: {
+            required: 'Scheduled date and time are required',
+            format: 'Invalid scheduled date and time'
+        }
+    },
+    postType: { type: 'string', enum: POST_TYPES, errorMessage: 'Invalid post type' },
+    includeMedia: { type: 'boolean' },
+    enableNotifications: { type: 'boolean' }
+};
+
+const dateTimeParts = {
+    date: { type: 'string', description: 'Scheduled date (YYYY-MM-DD), used with time' },
+    time: { type: 'string', description: 'Scheduled time (HH:mm), used with date' }
+};
+
+/**
+ * Resolve the scheduled time from date + time or scheduledDateTime
+ * @param {Object} post - Post fields
+ * @returns {Date|null} Scheduled time, or null if none was given
+ */
+function getScheduledDate(post) {
+    if (post.date !== undefined || post.time !== undefined) {
+        return new Date(`${post.date}T${post.time}`);
+    }
+    return post.scheduledDateTime !== undefined ? new Date(post.scheduledDateTime) : null;
+}
+
+/**
+ * Check that a scheduled time is valid and in the future
+ * @param {Object} post - Post fields
+ * @param {boolean} required - Whether a scheduled time must be given
+ * @returns {Array<Object>} Field errors
+ */
+function checkScheduledDate(post, required) {
+    const scheduledDate = getScheduledDate(post);
+    const field = post.date !== undefined || post.time !== undefined ? 'date' : 'scheduledDateTime';
+
+    if (!scheduledDate) {
+        return required ? [{ field, code: 'required', message: 'Scheduled date and time are required' }] : [];
+    }
+    if (isNaN(scheduledDate.getTime())) {
+        return [{ field, code: 'format', message: 'Invalid scheduled date and time' }];
+    }
+    if (scheduledDate <= new Date()) {
+        return [{ field, message: 'Scheduled time must be in the future' }];
+    }
+    return [];
+}
+
+const twitterSchedule = {
+    type: 'object',
+    required: ['content'],
+    properties: {
+        content: postFields.content,
+        ...dateTimeParts,
+        scheduledDateTime: postFields.scheduledDateTime,
+        postType: { ...postFields.postType, default: 'tweet' },
+        includeMedia: { type: 'boolean', default: false },
+        enableNotifications: { type: 'boolean', default: false }
+    },
+    refine: post => checkScheduledDate(post, true)
+};
+
+const twitterPost = {
+    type: 'object',
+    required: ['content', 'scheduledDateTime'],
+    properties: postFields,
+    refine: post => checkScheduledDate(post, true)
+};
+
+const twitterPostUpdate = {
+    type: 'object',
+    properties: {
+        ...postFields,
+        ...dateTimeParts
+    },
+    refine: post => checkScheduledDate(post, false)
+};
+
+module.exports = {
+    VIDEO_PLATFORMS,
+    VIDEO_CATEGORIES,
+    POST_TYPES,
+    hashtagGenerate,
+    hashtagSave,
+    youtubeTitleTagGenerator,
+    videoTitleTagGenerator,
+    postEngagementCalculator,
+    linkedinProfileOptimizer,
+    twitterSchedule,
+    twitterPost,
+    twitterPostUpdate,
+    getScheduledDate
+};
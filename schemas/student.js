@@ -0,0 +1,184 @@
+/**
+ * Student Tool Schemas
+ *
+ * Request schemas for Student Tools, shared by the routes (validateBody
+ * middleware) and the controllers' validation functions.
+ *
+ * Schemas:
+ * - gpaCalculator - Semester and courses
+ * - studyTask - New study task
+ * - studyTaskUpdate - Partial study task update
+ * - studySchedule - Full schedule (array of tasks)
+ * - flashcard - New flashcard
+ * - flashcardUpdate - Partial flashcard update
+ * - flashcardReview - Review result for a flashcard
+ * - citationGenerate - Citation generation inputs
+ * - citationSave - Citation to save
+ */
+
+const GRADES = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'F'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const REVIEW_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const CITATION_STYLES = ['APA', 'MLA', 'Chicago'];
+
+const gpaCalculator = {
+    type: 'object',
+    required: ['semester', 'courses'],
+    properties: {
+        semester: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 8,
+            errorMessage: 'Semester must be between 1 and 8'
+        },
+        courses: {
+            type: 'array',
+            minItems: 1,
+            errorMessage: 'At least one course is required',
+            items: {
+                type: 'object',
+                required: ['courseName', 'credits', 'grade'],
+                properties: {
+                    courseName: { type: 'string', minLength: 2, errorMessage: 'Invalid course name' },
+                    credits: { type: 'number', minimum: 1, maximum: 10, errorMessage: 'Credits must be between 1 and 10' },
+                    grade: { type: 'string', enum: GRADES, errorMessage: 'Invalid grade' }
+                }
+            }
+        }
+    }
+};
+
+const studyTaskFields = {
+    taskName: { type: 'string', minLength: 2, errorMessage: 'Task name must be at least 2 characters' },
+    subject: { type: 'string', minLength: 2, errorMessage: 'Subject must be at least 2 characters' },
+    deadline: { type: 'string', format: 'date-time' },
+    priority: { type: 'string', enum: PRIORITIES, errorMessage: 'Priority must be high, medium, or low' },
+    duration: {
+        type: 'number',
+        description: 'Duration in hours',
+        exclusiveMinimum: 0,
+        maximum: 24,
+        errorMessage: 'Duration must be between 0.5 and 24 hours'
+    },
+    reminder: { type: 'string', format: 'date-time', nullable: true },
+    completed: { type: 'boolean' }
+};
+
+const studyTask = {
+    type: 'object',
+    required: ['taskName', 'subject', 'deadline', 'priority', 'duration'],
+    properties: studyTaskFields,
+    refine: task => {
+        const now = new Date();
+        const errors = [];
+        if (new Date(task.deadline) < now) {
+            errors.push({ field: 'deadline', message: 'Deadline cannot be in the past' });
+        }
+        if (task.reminder && new Date(task.reminder) < now) {
+            errors.push({ field: 'reminder', message: 'Reminder cannot be in the past' });
+        }
+        return errors;
+    }
+};
+
+const studyTaskUpdate = {
+    type: 'object',
+    properties: studyTaskFields
+};
+
+const studySchedule = {
+    type: 'object',
+    required: ['tasks'],
+    properties: {
+        tasks: {
+            type: 'array',
+            errorMessage: { required: 'Tasks must be an array', type: 'Tasks must be an array' },
+            items: studyTask
+        }
+    }
+};
+
+const flashcardFields = {
+    front: { type: 'string', minLength: 1, errorMessage: 'Front text is required' },
+    back: { type: 'string', minLength: 1, errorMessage: 'Back text is required' },
+    category: { type: 'string', minLength: 1, errorMessage: 'Category is required' },
+    tags: {
+        type: 'array',
+        items: { type: 'string' },
+        errorMessage: { type: 'Tags must be an array' }
+    }
+};
+
+const flashcard = {
+    type: 'object',
+    required: ['front', 'back', 'category'],
+    properties: flashcardFields
+};
+
+const flashcardUpdate = {
+    type: 'object',
+    properties: flashcardFields
+};
+
+const flashcardReview = {
+    type: 'object',
+    required: ['cardId', 'difficulty', 'correct'],
+    properties: {
+        cardId: { type: 'string', minLength: 1 },
+        difficulty: {
+            type: 'string',
+            enum: REVIEW_DIFFICULTIES,
+            errorMessage: { enum: 'Invalid difficulty. Must be easy, medium, or hard' }
+        },
+        correct: { type: 'boolean', description: 'Whether the card was answered correctly' }
+    }
+};
+
+const citationStyle = {
+    type: 'string',
+    enum: CITATION_STYLES,
+    errorMessage: { enum: 'Invalid citation style. Must be APA, MLA, or Chicago' }
+};
+
+const citationGenerate = {
+    type: 'object',
+    required: ['style', 'sourceType', 'data'],
+    properties: {
+        style: citationStyle,
+        sourceType: { type: 'string', minLength: 1, description: 'Type of source (book, article, website...)' },
+        data: { type: 'object', description: 'Source information' }
+    }
+};
+
+const citationSave = {
+    type: 'object',
+    required: ['citation', 'style', 'sourceType'],
+    properties: {
+        citation: {
+            type: 'object',
+            properties: {
+                full: { type: 'string' },
+                inText: { type: 'string' }
+            }
+        },
+        style: citationStyle,
+        sourceType: { type: 'string', minLength: 1 },
+        data: { type: 'object', default: {} }
+    }
+};
+
+module.exports = {
+    GRADES,
+    PRIORITIES,
+    REVIEW_DIFFICULTIES,
+    CITATION_STYLES,
+    gpaCalculator,
+    studyTask,
+    studyTaskUpdate,
+    studySchedule,
+    flashcard,
+    flashcardUpdate,
+    flashcardReview,
+    citationGenerate,
+    citationSave
+};
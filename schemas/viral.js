@@ -0,0 +1,90 @@
+/**
+ * Viral Tool Schemas
+ *
+ * Request schemas for Viral Tools, shared by the routes (validateBody
+ * middleware) and the controllers' validation functions.
+ *
+ * Schemas:
+ * - aiImageGenerator - Prompt and image options
+ * - qrCodeGenerator - QR code content and options
+ */
+
+const IMAGE_STYLES = [
+    'realistic', 'artistic', 'cartoon', 'anime', '3d',
+    'oil-painting', 'watercolor', 'sketch', 'cyberpunk', 'fantasy'
+];
+const ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4'];
+const QR_INPUT_TYPES = ['url', 'text', 'email', 'phone', 'sms', 'wifi'];
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const HEX_COLOR_PATTERN = '^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$';
+
+const aiImageGenerator = {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+        prompt: {
+            type: 'string',
+            minLength: 10,
+            maxLength: 1000,
+            errorMessage: {
+                required: 'Prompt is required',
+                minLength: 'Prompt must be at least 10 characters long',
+                maxLength: 'Prompt must be less than 1000 characters'
+            }
+        },
+        style: {
+            type: 'string',
+            enum: IMAGE_STYLES,
+            default: 'realistic',
+            errorMessage: 'Invalid style selected'
+        },
+        aspectRatio: {
+            type: 'string',
+            enum: ASPECT_RATIOS,
+            default: '1:1',
+            errorMessage: 'Invalid aspect ratio selected'
+        },
+        imageCount: { type: 'integer', default: 1, description: 'Clamped to 1-4' }
+    }
+};
+
+const qrCodeGenerator = {
+    type: 'object',
+    required: ['content'],
+    properties: {
+        content: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 2953,
+            errorMessage: {
+                required: 'Content is required',
+                minLength: 'Content is required',
+                maxLength: 'Content is too long. Maximum length is 2953 characters for QR codes.'
+            }
+        },
+        inputType: {
+            type: 'string',
+            enum: QR_INPUT_TYPES,
+            default: 'text',
+            errorMessage: 'Invalid input type'
+        },
+        size: { type: 'integer', default: 300, description: 'Size in pixels, clamped to 200-500' },
+        errorCorrection: {
+            type: 'string',
+            enum: QR_ERROR_CORRECTION_LEVELS,
+            default: 'M',
+            errorMessage: 'Invalid error correction level'
+        },
+        foregroundColor: { type: 'string', pattern: HEX_COLOR_PATTERN, default: '#000000' },
+        backgroundColor: { type: 'string', pattern: HEX_COLOR_PATTERN, default: '#FFFFFF' }
+    }
+};
+
+module.exports = {
+    IMAGE_STYLES,
+    ASPECT_RATIOS,
+    QR_INPUT_TYPES,
+    QR_ERROR_CORRECTION_LEVELS,
+    aiImageGenerator,
+    qrCodeGenerator
+};
@@ -7,10 +7,21 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const { authenticate } = require('./middleware/auth');
+const { createRateLimiter } = require('./middleware/rateLimit');
+const { apiRoutes } = require('./routes');
+const registry = require('./registry');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Vercel (api/index.js) or another proxy, take the client IP from X-Forwarded-For
+// so rate limits apply per client rather than per proxy. TRUST_PROXY sets the number of proxy hops.
+const trustedProxyHops = process.env.TRUST_PROXY !== undefined
+    ? Number(process.env.TRUST_PROXY) || 0
+    : (process.env.VERCEL === '1' ? 1 : 0);
+app.set('trust proxy', trustedProxyHops);
+
 // Middleware
 // CORS configuration - Allow requests from Netlify frontend and localhost
 app.use(cors({
@@ -36,11 +47,18 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
+    exposedHeaders: [
+        'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+        'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After'
+    ]
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Resolve "Authorization: Bearer <token>" to req.user for every router below
+app.use(authenticate);
+
 // Handle favicon requests (browsers automatically request this)
 app.get('/favicon.ico', (req, res) => {
     res.status(204).end(); // 204 No Content - standard for missing favicon
@@ -55,12 +73,17 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// API Routes (must be before static file serving)
-app.use('/api/tools/student', require('./routes/student-tools'));
-app.use('/api/tools/finance', require('./routes/finance-tools'));
-app.use('/api/tools/seo', require('./routes/seo-tools'));
-app.use('/api/tools/social-media', require('./routes/social-media-tools'));
-app.use('/api/tools/viral', require('./routes/viral-tools'));
+// API docs: OpenAPI spec (/api/openapi.json) and docs page (/api/docs)
+app.use('/api', require('./routes/docs'));
+
+// Every tool router is throttled per API key ("X-API-Key" header) or per client IP
+app.use('/api/tools', createRateLimiter());
+
+// API Routes (must be before static file serving) - listed in routes/index.js,
+// tool category routers come from the tool registry (registry/index.js)
+apiRoutes.forEach(route => {
+    app.use(route.path, route.router);
+});
 
 const frontendPath = path.join(__dirname, '..', 'frontend');
 
@@ -137,15 +160,16 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             health: '/api/health',
+            openapi: '/api/openapi.json',
+            docs: '/api/docs',
+            auth: '/api/auth/*',
+            admin: '/api/admin/* (X-Admin-Token required)',
             tools: {
-                seo: '/api/tools/seo/*',
-                finance: '/api/tools/finance/*',
-                socialMedia: '/api/tools/social-media/*',
-                student: '/api/tools/student/*',
-                viral: '/api/tools/viral/*'
+                registry: '/api/tools',
+                ...Object.fromEntries(registry.categories.map(category => [category.id, `${category.path}/*`]))
             }
         },
-        documentation: 'This is an API-only backend. Frontend is deployed separately.',
+        documentation: 'This is an API-only backend. Frontend is deployed separately. Interactive API docs: /api/docs',
         timestamp: new Date().toISOString()
     });
 });
@@ -0,0 +1,78 @@
+/**
+ * Counter Stores
+ *
+ * Fixed-window counters used by the rate limiter. A counter store only has
+ * to implement increment(key, expiresAt, amount = 1) -> Promise<{ count }>
+ * (a negative amount takes a request back off the count), so a shared
+ * backend (e.g. Redis) can be plugged in without touching the middleware.
+ *
+ * Functions:
+ * - createMemoryCounterStore() - Counters kept in process memory
+ * - createPersistentCounterStore(resolveStore) - Counters kept in the storage layer (file or memory store)
+ */
+
+const COUNTERS_COLLECTION = 'rateLimitCounters';
+
+/**
+ * Create In-Memory Counter Store
+ * @returns {Object} Counter store
+ */
+function createMemoryCounterStore() {
+    const counters = new Map();
+
+    return {
+        backend: 'memory',
+
+        async increment(key, expiresAt, amount = 1) {
+            const now = Date.now();
+
+            // Drop expired windows so the map does not grow without bound
+            for (const [counterKey, counter] of counters) {
+                if (counter.expiresAt <= now) counters.delete(counterKey);
+            }
+
+            const counter = counters.get(key) || { count: 0, expiresAt };
+            counter.count += amount;
+            counters.set(key, counter);
+
+            return { count: counter.count };
+        }
+    };
+}
+
+/**
+ * Create Persistent Counter Store
+ * Stores counters through the storage layer so they survive restarts and
+ * can be shared by every instance reading the same data file.
+ * @param {Function} resolveStore - Function returning the active store
+ * @returns {Object} Counter store
+ */
+function createPersistentCounterStore(resolveStore) {
+    return {
+        backend: 'persistent',
+
+        async increment(key, expiresAt, amount = 1) {
+            const now = Date.now();
+
+            return resolveStore().update(COUNTERS_COLLECTION, records => {
+                const active = records.filter(record => record.expiresAt > now);
+                const existing = active.find(record => record.id === key);
+
+                if (existing) {
+                    existing.count += amount;
+                    return { records: active, result: { count: existing.count } };
+                }
+
+                return {
+                    records: [...active, { id: key, count: amount, expiresAt }],
+                    result: { count: amount }
+                };
+            });
+        }
+    };
+}
+
+module.exports = {
+    createMemoryCounterStore,
+    createPersistentCounterStore
+};
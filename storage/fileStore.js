@@ -0,0 +1,96 @@
+/**
+ * File Store
+ *
+ * Storage backend that persists every collection to a single JSON file.
+ * The file is loaded lazily on first access and rewritten atomically
+ * (write to a temp file, then rename) after every change, so data
+ * survives server restarts.
+ *
+ * Functions:
+ * - createFileStore(filePath) - Create a store backed by a JSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create File Store
+ * @param {string} filePath - Absolute path of the JSON data file
+ * @returns {Object} Store implementing read(collection), update(collection, mutator) and clear()
+ */
+function createFileStore(filePath) {
+    let data = null;
+    // All operations are chained so concurrent requests never interleave a read-modify-write
+    let queue = Promise.resolve();
+
+    function enqueue(operation) {
+        const run = queue.then(operation);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function load() {
+        if (data) return data;
+
+        try {
+            const contents = await fs.promises.readFile(filePath, 'utf8');
+            data = contents.trim() ? JSON.parse(contents) : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to load data file ${filePath}: ${error.message}`);
+            }
+            data = {};
+        }
+
+        return data;
+    }
+
+    async function persist() {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    return {
+        backend: 'file',
+        filePath,
+
+        read(collection) {
+            return enqueue(async () => {
+                const current = await load();
+                return clone(current[collection] || []);
+            });
+        },
+
+        update(collection, mutator) {
+            return enqueue(async () => {
+                const current = await load();
+                const { records, result } = mutator(clone(current[collection] || []));
+                current[collection] = clone(records);
+                await persist();
+                return clone(result);
+            });
+        },
+
+        clear() {
+            return enqueue(async () => {
+                data = {};
+                await persist();
+            });
+        }
+    };
+}
+
+/**
+ * Deep-copy JSON-compatible data so callers never share references with the store
+ * @param {*} value - Value to copy
+ * @returns {*} Copied value
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    createFileStore
+};
@@ -0,0 +1,90 @@
+/**
+ * Storage Layer
+ *
+ * Single entry point for persistence. Controllers ask for a repository by
+ * collection name and never talk to a backend directly, so the backend can
+ * be swapped without touching them.
+ *
+ * Backend selection (environment variables):
+ * - STORAGE_BACKEND: 'file' (default) | 'memory'
+ * - STORAGE_FILE: path of the JSON data file for the file backend
+ *   (defaults to .data/store.json, or the OS temp directory on Vercel
+ *   where the deployment directory is read-only)
+ *
+ * Functions:
+ * - getRepository(collection) - Get the repository for a collection
+ * - getStore() - Get the active store (created on first use)
+ * - setStore(store) - Replace the active store (e.g. with a memory store in tests)
+ * - createStoreFromEnv() - Create a store from environment configuration
+ */
+
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+const { createRepository } = require('./repository');
+
+let activeStore = null;
+const repositories = new Map();
+
+/**
+ * Get Repository for a Collection
+ * @param {string} collection - Collection name
+ * @returns {Object} Repository bound to the collection
+ */
+function getRepository(collection) {
+    if (!repositories.has(collection)) {
+        repositories.set(collection, createRepository(collection, getStore));
+    }
+    return repositories.get(collection);
+}
+
+/**
+ * Get Active Store
+ * @returns {Object} Active store
+ */
+function getStore() {
+    if (!activeStore) {
+        activeStore = createStoreFromEnv();
+    }
+    return activeStore;
+}
+
+/**
+ * Set Active Store
+ * @param {Object} store - Store created by createFileStore or createMemoryStore
+ */
+function setStore(store) {
+    activeStore = store;
+}
+
+/**
+ * Create Store from Environment Configuration
+ * @returns {Object} Configured store
+ */
+function createStoreFromEnv() {
+    const backend = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
+
+    if (backend === 'memory') {
+        return createMemoryStore();
+    }
+
+    if (backend !== 'file') {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+
+    const defaultFile = process.env.VERCEL === '1'
+        ? path.join(os.tmpdir(), 'freetools-store.json')
+        : path.join(__dirname, '..', '.data', 'store.json');
+
+    return createFileStore(process.env.STORAGE_FILE || defaultFile);
+}
+
+module.exports = {
+    getRepository,
+    getStore,
+    setStore,
+    createStoreFromEnv,
+    createFileStore,
+    createMemoryStore
+};
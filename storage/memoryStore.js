@@ -0,0 +1,54 @@
+/**
+ * In-Memory Store
+ *
+ * Storage backend that keeps every collection in process memory.
+ * Data is lost on restart - intended for tests and local experiments.
+ *
+ * Functions:
+ * - createMemoryStore(initialData) - Create a new in-memory store
+ */
+
+/**
+ * Create In-Memory Store
+ * @param {Object} initialData - Optional initial data keyed by collection name
+ * @returns {Object} Store implementing read(collection), update(collection, mutator) and clear()
+ */
+function createMemoryStore(initialData = {}) {
+    const collections = new Map();
+
+    Object.keys(initialData).forEach(name => {
+        collections.set(name, clone(initialData[name]));
+    });
+
+    return {
+        backend: 'memory',
+
+        async read(collection) {
+            return clone(collections.get(collection) || []);
+        },
+
+        async update(collection, mutator) {
+            const records = clone(collections.get(collection) || []);
+            const { records: nextRecords, result } = mutator(records);
+            collections.set(collection, clone(nextRecords));
+            return clone(result);
+        },
+
+        async clear() {
+            collections.clear();
+        }
+    };
+}
+
+/**
+ * Deep-copy JSON-compatible data so callers never share references with the store
+ * @param {*} value - Value to copy
+ * @returns {*} Copied value
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    createMemoryStore
+};
@@ -0,0 +1,168 @@
+/**
+ * Repository
+ *
+ * Collection-level data access shared by every controller. A repository is
+ * bound to one collection name and delegates the actual persistence to the
+ * currently configured store (file or memory).
+ *
+ * Filters are plain objects matched field-by-field against each record,
+ * e.g. { id: 'abc', userId: 'u1' }.
+ *
+ * Functions:
+ * - createRepository(collection, resolveStore) - Create a repository for a collection
+ * - generateId() - Generate a unique record ID
+ * - matchesFilter(record, filter) - Check whether a record matches a filter
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create Repository
+ * @param {string} collection - Collection name (e.g. 'tasks', 'flashcards')
+ * @param {Function} resolveStore - Function returning the active store
+ * @returns {Object} Repository with create, find, findOne, updateOne, deleteOne, deleteMany and replaceMany
+ */
+function createRepository(collection, resolveStore) {
+    return {
+        collection,
+
+        /**
+         * Insert a record, assigning an ID when it has none
+         * @param {Object} record - Record to insert
+         * @returns {Promise<Object>} Inserted record
+         */
+        async create(record) {
+            const newRecord = withId(record);
+            return resolveStore().update(collection, records => ({
+                records: [...records, newRecord],
+                result: newRecord
+            }));
+        },
+
+        /**
+         * Find records matching a filter
+         * @param {Object} filter - Field filter
+         * @param {Object} options - { sortBy: string, order: 'asc' | 'desc' }
+         * @returns {Promise<Array<Object>>} Matching records
+         */
+        async find(filter = {}, options = {}) {
+            const records = await resolveStore().read(collection);
+            const matches = records.filter(record => matchesFilter(record, filter));
+
+            if (options.sortBy) {
+                const direction = options.order === 'desc' ? -1 : 1;
+                matches.sort((a, b) => {
+                    if (a[options.sortBy] === b[options.sortBy]) return 0;
+                    return a[options.sortBy] > b[options.sortBy] ? direction : -direction;
+                });
+            }
+
+            return matches;
+        },
+
+        /**
+         * Find the first record matching a filter
+         * @param {Object} filter - Field filter
+         * @returns {Promise<Object|null>} Matching record or null
+         */
+        async findOne(filter) {
+            const records = await resolveStore().read(collection);
+            return records.find(record => matchesFilter(record, filter)) || null;
+        },
+
+        /**
+         * Apply updates to the first record matching a filter
+         * @param {Object} filter - Field filter
+         * @param {Object} updates - Fields to change (id is never overwritten)
+         * @returns {Promise<Object|null>} Updated record or null if nothing matched
+         */
+        async updateOne(filter, updates) {
+            return resolveStore().update(collection, records => {
+                const index = records.findIndex(record => matchesFilter(record, filter));
+                if (index === -1) {
+                    return { records, result: null };
+                }
+
+                const updated = { ...records[index], ...updates, id: records[index].id };
+                const nextRecords = [...records];
+                nextRecords[index] = updated;
+                return { records: nextRecords, result: updated };
+            });
+        },
+
+        /**
+         * Delete the first record matching a filter
+         * @param {Object} filter - Field filter
+         * @returns {Promise<boolean>} True if a record was deleted
+         */
+        async deleteOne(filter) {
+            return resolveStore().update(collection, records => {
+                const index = records.findIndex(record => matchesFilter(record, filter));
+                if (index === -1) {
+                    return { records, result: false };
+                }
+                return { records: records.filter((_, i) => i !== index), result: true };
+            });
+        },
+
+        /**
+         * Delete every record matching a filter
+         * @param {Object} filter - Field filter
+         * @returns {Promise<number>} Number of deleted records
+         */
+        async deleteMany(filter = {}) {
+            return resolveStore().update(collection, records => {
+                const remaining = records.filter(record => !matchesFilter(record, filter));
+                return { records: remaining, result: records.length - remaining.length };
+            });
+        },
+
+        /**
+         * Replace every record matching a filter with a new set of records
+         * @param {Object} filter - Field filter selecting the records to replace
+         * @param {Array<Object>} newRecords - Records to insert in their place
+         * @returns {Promise<Array<Object>>} Inserted records
+         */
+        async replaceMany(filter, newRecords) {
+            const inserted = newRecords.map(withId);
+            return resolveStore().update(collection, records => ({
+                records: [...records.filter(record => !matchesFilter(record, filter)), ...inserted],
+                result: inserted
+            }));
+        }
+    };
+}
+
+/**
+ * Generate Unique Record ID
+ * @returns {string} Random ID
+ */
+function generateId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Ensure a record has an ID, keeping the ID as the first field
+ * @param {Object} record - Record to insert
+ * @returns {Object} Record with an ID
+ */
+function withId(record) {
+    const { id, ...fields } = record;
+    return { id: id || generateId(), ...fields };
+}
+
+/**
+ * Check whether a record matches a filter
+ * @param {Object} record - Stored record
+ * @param {Object} filter - Field filter
+ * @returns {boolean} True if every filter field equals the record field
+ */
+function matchesFilter(record, filter = {}) {
+    return Object.keys(filter).every(key => record[key] === filter[key]);
+}
+
+module.exports = {
+    createRepository,
+    generateId,
+    matchesFilter
+};
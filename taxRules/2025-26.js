@@ -0,0 +1,122 @@
+/**
+ * Income Tax Rules - Assessment Year 2025-26 (Financial Year 2024-25)
+ *
+ * Individual (resident) income tax under the old regime and the new regime
+ * (section 115BAC) as amended by the Finance (No. 2) Act 2024. Amounts in ₹, rates in percent.
+ */
+
+const OLD_REGIME_SLABS = {
+    'below-60': [
+        { min: 0, max: 250000, rate: 0 },
+        { min: 250000, max: 500000, rate: 5 },
+        { min: 500000, max: 1000000, rate: 20 },
+        { min: 1000000, max: Infinity, rate: 30 }
+    ],
+    '60-80': [
+        { min: 0, max: 300000, rate: 0 },
+        { min: 300000, max: 500000, rate: 5 },
+        { min: 500000, max: 1000000, rate: 20 },
+        { min: 1000000, max: Infinity, rate: 30 }
+    ],
+    'above-80': [
+        { min: 0, max: 500000, rate: 0 },
+        { min: 500000, max: 1000000, rate: 20 },
+        { min: 1000000, max: Infinity, rate: 30 }
+    ]
+};
+
+// The new regime has the same slabs for every age
+const NEW_REGIME_SLABS = [
+    { min: 0, max: 300000, rate: 0 },
+    { min: 300000, max: 700000, rate: 5 },
+    { min: 700000, max: 1000000, rate: 10 },
+    { min: 1000000, max: 1200000, rate: 15 },
+    { min: 1200000, max: 1500000, rate: 20 },
+    { min: 1500000, max: Infinity, rate: 30 }
+];
+
+// Capital gains (shortTermRate null: taxed at the slab rate). Rates changed
+// for transfers from 23 July 2024 and indexation was withdrawn, except as an
+// option for land and buildings acquired before that date.
+const CAPITAL_GAINS_BEFORE_23_JULY = {
+    equity: { longTermMonths: 12, shortTermRate: 15, longTermRate: 10, indexation: false, exemptionApplies: true },
+    debt: { longTermMonths: 36, shortTermRate: null, longTermRate: 20, indexation: true, shortTermIfAcquiredFrom: '2023-04-01' },
+    property: { longTermMonths: 24, shortTermRate: null, longTermRate: 20, indexation: true }
+};
+
+const CAPITAL_GAINS_FROM_23_JULY = {
+    equity: { longTermMonths: 12, shortTermRate: 20, longTermRate: 12.5, indexation: false, exemptionApplies: true },
+    debt: { longTermMonths: 24, shortTermRate: null, longTermRate: 12.5, indexation: false, shortTermIfAcquiredFrom: '2023-04-01' },
+    property: {
+        longTermMonths: 24,
+        shortTermRate: null,
+        longTermRate: 12.5,
+        indexation: false,
+        indexedOption: { rate: 20, acquiredBefore: '2024-07-23' }
+    }
+};
+
+module.exports = {
+    assessmentYear: '2025-26',
+    financialYear: '2024-25',
+    cessRate: 4,
+    regimes: {
+        old: {
+            name: 'Old regime',
+            slabs: OLD_REGIME_SLABS,
+            standardDeduction: 50000,
+            rebate87A: { incomeLimit: 500000, maxRebate: 12500, marginalRelief: false },
+            surcharge: [
+                { threshold: 5000000, rate: 10 },
+                { threshold: 10000000, rate: 15 },
+                { threshold: 20000000, rate: 25 },
+                { threshold: 50000000, rate: 37 }
+            ],
+            allowsDeductions: true,
+            employerNpsLimit: 10
+        },
+        new: {
+            name: 'New regime (section 115BAC)',
+            slabs: {
+                'below-60': NEW_REGIME_SLABS,
+                '60-80': NEW_REGIME_SLABS,
+                'above-80': NEW_REGIME_SLABS
+            },
+            standardDeduction: 75000,
+            rebate87A: { incomeLimit: 700000, maxRebate: 25000, marginalRelief: true },
+            surcharge: [
+                { threshold: 5000000, rate: 10 },
+                { threshold: 10000000, rate: 15 },
+                { threshold: 20000000, rate: 25 }
+            ],
+            allowsDeductions: false,
+            employerNpsLimit: 14
+        }
+    },
+    hraExemption: {
+        metroPercent: 50,
+        nonMetroPercent: 40,
+        rentExcessPercent: 10
+    },
+    capitalGains: {
+        ltcgExemption: 125000,
+        periods: [
+            { soldFrom: '2024-04-01', assetClasses: CAPITAL_GAINS_BEFORE_23_JULY },
+            { soldFrom: '2024-07-23', assetClasses: CAPITAL_GAINS_FROM_23_JULY }
+        ]
+    },
+    tdsOnInterest: {
+        threshold: { regular: 40000, senior: 50000 },
+        rate: 10,
+        rateWithoutPan: 20
+    },
+    deductionLimits: {
+        section80C: 150000,
+        section80CCD1B: 50000,
+        section24b: 200000,
+        section80D: {
+            self: { 'below-60': 25000, '60-80': 50000, 'above-80': 50000 },
+            parents: { regular: 25000, senior: 50000 }
+        }
+    }
+};
@@ -0,0 +1,60 @@
+/**
+ * Cost Inflation Index
+ *
+ * Cost inflation index notified under section 48 for each financial year,
+ * used to index the cost of long-term capital assets. The base year is
+ * 2001-02; assets acquired earlier are indexed from the base year (their
+ * cost being the fair market value on 1 April 2001). A new year is added
+ * once it is notified.
+ *
+ * Functions:
+ * - getCostInflationIndex(financialYear) - Get the index for a financial year
+ */
+
+const BASE_FINANCIAL_YEAR = '2001-02';
+
+const COST_INFLATION_INDEX = {
+    '2001-02': 100,
+    '2002-03': 105,
+    '2003-04': 109,
+    '2004-05': 113,
+    '2005-06': 117,
+    '2006-07': 122,
+    '2007-08': 129,
+    '2008-09': 137,
+    '2009-10': 148,
+    '2010-11': 167,
+    '2011-12': 184,
+    '2012-13': 200,
+    '2013-14': 220,
+    '2014-15': 240,
+    '2015-16': 254,
+    '2016-17': 264,
+    '2017-18': 272,
+    '2018-19': 280,
+    '2019-20': 289,
+    '2020-21': 301,
+    '2021-22': 317,
+    '2022-23': 331,
+    '2023-24': 348,
+    '2024-25': 363,
+    '2025-26': 376
+};
+
+/**
+ * Get Cost Inflation Index
+ * @param {string} financialYear - Financial year (e.g. '2024-25')
+ * @returns {number|null} Index (the base year's for earlier years), or null if not notified yet
+ */
+function getCostInflationIndex(financialYear) {
+    if (financialYear < BASE_FINANCIAL_YEAR) {
+        return COST_INFLATION_INDEX[BASE_FINANCIAL_YEAR];
+    }
+    return COST_INFLATION_INDEX[financialYear] || null;
+}
+
+module.exports = {
+    BASE_FINANCIAL_YEAR,
+    COST_INFLATION_INDEX,
+    getCostInflationIndex
+};
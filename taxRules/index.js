@@ -0,0 +1,118 @@
+/**
+ * Income Tax Rule Sets
+ *
+ * Versioned Indian income tax rules keyed by assessment year, one file per
+ * year. A new year is added by copying the latest file, updating it and
+ * listing it below; earlier years stay unchanged so past calculations can
+ * be reproduced.
+ *
+ * Rule set:
+ * {
+ *   assessmentYear: string ('2026-27'),
+ *   financialYear: string ('2025-26'),
+ *   cessRate: number (health and education cess, percent of tax + surcharge),
+ *   regimes: {
+ *     old | new: {
+ *       name: string,
+ *       slabs: { [ageCategory]: Array<{ min, max, rate }> },
+ *       standardDeduction: number (salaried individuals),
+ *       rebate87A: { incomeLimit, maxRebate, marginalRelief: boolean },
+ *       surcharge: Array<{ threshold, rate }> (ascending; marginal relief always applies),
+ *       allowsDeductions: boolean (Chapter VI-A deductions and HRA/LTA exemptions),
+ *       employerNpsLimit: number (section 80CCD(2) cap, percent of basic + DA; allowed in both regimes)
+ *     }
+ *   },
+ *   hraExemption: {
+ *     metroPercent: number, nonMetroPercent: number (percent of basic + DA),
+ *     rentExcessPercent: number (rent paid above this percent of basic + DA)
+ *   },
+ *   capitalGains: {
+ *     ltcgExemption: number (section 112A, per year),
+ *     periods: Array<{             // ascending; a sale uses the last period starting on or before it
+ *       soldFrom: string (YYYY-MM-DD),
+ *       assetClasses: {
+ *         [assetClass]: {
+ *           longTermMonths: number (held longer than this is long-term),
+ *           shortTermRate: number | null (null: slab rate),
+ *           longTermRate: number,
+ *           indexation: boolean,
+ *           exemptionApplies?: boolean (section 112A exemption),
+ *           shortTermIfAcquiredFrom?: string (always short-term if acquired on or after, e.g. specified mutual funds),
+ *           indexedOption?: { rate, acquiredBefore } (resident individuals may pay the lower of both)
+ *         }
+ *       }
+ *     }>
+ *   },
+ *   tdsOnInterest: {                // section 194A, bank and post office deposits
+ *     threshold: { regular: number, senior: number } (interest per year before TDS applies),
+ *     rate: number, rateWithoutPan: number
+ *   },
+ *   deductionLimits: {
+ *     section80C: number,
+ *     section80CCD1B: number,
+ *     section24b: number (interest on a self-occupied home loan, old regime),
+ *     section80D: { self: { [ageCategory]: number }, parents: { regular: number, senior: number } }
+ *   }
+ * }
+ *
+ * Functions:
+ * - getRuleSet(assessmentYear) - Get the rules for an assessment year
+ * - getFinancialYear(date) - Get the financial year a date falls in
+ * - getAssessmentYear(financialYear) - Get the assessment year of a financial year
+ * - getCostInflationIndex(financialYear) - Get the cost inflation index (see costInflationIndex.js)
+ */
+
+const { getCostInflationIndex } = require('./costInflationIndex');
+
+const RULE_SETS = [
+    require('./2024-25'),
+    require('./2025-26'),
+    require('./2026-27')
+];
+
+const ASSESSMENT_YEARS = RULE_SETS.map(ruleSet => ruleSet.assessmentYear);
+const LATEST_ASSESSMENT_YEAR = ASSESSMENT_YEARS[ASSESSMENT_YEARS.length - 1];
+const TAX_REGIMES = ['old', 'new'];
+const CAPITAL_GAINS_ASSET_CLASSES = ['equity', 'debt', 'property'];
+
+/**
+ * Get Rule Set
+ * @param {string} assessmentYear - Assessment year (e.g. '2026-27')
+ * @returns {Object|null} Rule set or null if the year is not available
+ */
+function getRuleSet(assessmentYear) {
+    return RULE_SETS.find(ruleSet => ruleSet.assessmentYear === assessmentYear) || null;
+}
+
+/**
+ * Get Financial Year
+ * The financial year runs from 1 April to 31 March.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Financial year (e.g. '2024-25')
+ */
+function getFinancialYear(date) {
+    const year = Number(date.slice(0, 4));
+    const startYear = date.slice(5, 7) >= '04' ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Get Assessment Year
+ * @param {string} financialYear - Financial year (e.g. '2024-25')
+ * @returns {string} Assessment year, the year after (e.g. '2025-26')
+ */
+function getAssessmentYear(financialYear) {
+    const startYear = Number(financialYear.slice(0, 4)) + 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+module.exports = {
+    ASSESSMENT_YEARS,
+    LATEST_ASSESSMENT_YEAR,
+    TAX_REGIMES,
+    CAPITAL_GAINS_ASSET_CLASSES,
+    getRuleSet,
+    getFinancialYear,
+    getAssessmentYear,
+    getCostInflationIndex
+};
@@ -0,0 +1,159 @@
+/**
+ * CSV Helpers
+ *
+ * Builds RFC 4180 CSV text for tool exports (e.g. the EMI amortization
+ * schedule download) and parses CSV files supplied to tools (e.g. exchange
+ * reference rates, broker tradebooks).
+ *
+ * Functions:
+ * - toCsv(columns, rows) - Build CSV text from rows of objects
+ * - escapeCsvValue(value) - Quote a single value if needed
+ * - parseCsv(text) - Parse CSV text into rows of fields
+ * - parseCsvDate(value) - Parse a date written as YYYY-MM-DD or day first (DD-MM-YYYY, DD/MM/YY, DD Mon YYYY)
+ * - parseCsvAmount(value) - Parse an amount with separators, currency symbols or accounting brackets
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Build CSV Text
+ * @param {Array<{ key: string, header: string }>} columns - Columns in output order
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} CSV text (header line first, CRLF line endings)
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+    rows.forEach(row => {
+        lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape a CSV Value
+ * Values containing commas, quotes or line breaks are quoted; null and
+ * undefined become empty fields.
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV Text
+ * Handles quoted fields (with escaped quotes and line breaks), CRLF or LF
+ * line endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Parse CSV Date
+ * Accepts YYYY-MM-DD, or day first with a numeric or named month separated
+ * by -, /, . or spaces (DD-MM-YYYY, DD/MM/YY, DD Mon YYYY), optionally
+ * followed by a time, as exported by brokers and banks. Two-digit years are
+ * taken as 20YY.
+ * @param {string} value - Date as written in the file
+ * @returns {string|null} Date (YYYY-MM-DD), or null if not recognised
+ */
+function parseCsvDate(value) {
+    const text = value.trim();
+    const isoMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    const dayFirstMatch = /^(\d{1,2})[-/. ]+(\d{1,2}|[A-Za-z]{3})[A-Za-z]*[-/. ]+(\d{4}|\d{2})(?!\d)/.exec(text);
+
+    let date = null;
+    if (isoMatch) {
+        date = `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+    } else if (dayFirstMatch) {
+        const [, day, monthText, yearText] = dayFirstMatch;
+        const month = /^\d+$/.test(monthText) ? Number(monthText) : MONTH_NAMES.indexOf(monthText.toLowerCase()) + 1;
+        const year = yearText.length === 2 ? `20${yearText}` : yearText;
+        date = `${year}-${String(month).padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+
+    // Round-tripping rejects impossible dates such as 31-02-2024
+    return date && !Number.isNaN(Date.parse(date)) && new Date(date).toISOString().slice(0, 10) === date ? date : null;
+}
+
+/**
+ * Parse CSV Amount
+ * @param {string} value - Amount as written in the file (e.g. "-1,00,000", "(5000)", "₹2,500.50")
+ * @returns {number|null} Amount, or null if not a number
+ */
+function parseCsvAmount(value) {
+    let text = value.trim().replace(/[,\s₹$€£]/g, '');
+    let sign = 1;
+
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+
+    const amount = Number(text);
+    return text !== '' && Number.isFinite(amount) ? sign * amount : null;
+}
+
+module.exports = {
+    toCsv,
+    escapeCsvValue,
+    parseCsv,
+    parseCsvDate,
+    parseCsvAmount
+};
@@ -0,0 +1,51 @@
+/**
+ * Error Helpers
+ *
+ * Errors carrying an HTTP status code so controllers can signal client
+ * errors (400, 401, 404, 409...) and routes can forward the right status.
+ *
+ * Classes:
+ * - HttpError(statusCode, message) - Error with an HTTP status code
+ * - ValidationError(errors) - 400 error carrying per-field errors ({ field, code, message })
+ *
+ * Functions:
+ * - getStatusCode(error) - Get the HTTP status code for an error (500 if unknown)
+ */
+
+class HttpError extends Error {
+    /**
+     * @param {number} statusCode - HTTP status code
+     * @param {string} message - Error message
+     */
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+class ValidationError extends HttpError {
+    /**
+     * @param {Array<Object>} errors - Field errors ({ field, code, message })
+     */
+    constructor(errors) {
+        super(400, errors.length > 0 ? errors[0].message : 'Invalid request');
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Get HTTP Status Code for an Error
+ * @param {Error} error - Thrown error
+ * @returns {number} HTTP status code
+ */
+function getStatusCode(error) {
+    return error && Number.isInteger(error.statusCode) ? error.statusCode : 500;
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    getStatusCode
+};
@@ -0,0 +1,401 @@
+/**
+ * OpenAPI Spec Builder
+ *
+ * Builds an OpenAPI 3 document from the mounted Express routers (see
+ * routes/index.js), so the published contract always matches the code:
+ * - request bodies come from the schemas attached by validateBody (middleware/validate.js)
+ * - authentication comes from requireAuth / requireAdmin in the route's middleware
+ * - summaries and descriptions come from the JSDoc block above each route definition
+ * - response schemas and tool status come from the tool registry (registry/index.js)
+ *
+ * Functions:
+ * - buildOpenApiSpec(mounts, info) - Build the OpenAPI document
+ * - toOpenApiSchema(schema) - Convert a validation schema to an OpenAPI schema object
+ * - readRouteDocs(file) - Read the route JSDoc comments from a routes file
+ */
+
+const fs = require('fs');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+// Schema keywords published as-is; errorMessage and refine are validation-only extensions
+const PUBLISHED_KEYWORDS = [
+    'type', 'title', 'description', 'format', 'pattern', 'enum', 'default', 'nullable',
+    'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems'
+];
+
+const ERROR_CODES = [
+    'required', 'type', 'range', 'enum', 'minLength', 'maxLength',
+    'pattern', 'format', 'minItems', 'maxItems', 'invalid'
+];
+
+// JSDoc block directly followed by router.<method>('<path>'
+const ROUTE_DOC_PATTERN = /\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*router\.(get|post|put|delete|patch)\(\s*'([^']+)'/g;
+
+/**
+ * Build OpenAPI Document
+ * @param {Array<Object>} mounts - Mounted routers ({ path, router, file, tag, description, rateLimited, category })
+ * @param {Object} info - OpenAPI info object ({ title, version, description })
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiSpec(mounts, info) {
+    const paths = {};
+
+    mounts.forEach(mount => {
+        const docs = mount.file ? readRouteDocs(mount.file) : {};
+        let routerSecurity = null;
+
+        mount.router.stack.forEach(layer => {
+            // Router-level middleware (router.use) applies to every route defined after it
+            if (!layer.route) {
+                if (layer.handle === requireAdmin) {
+                    routerSecurity = 'admin';
+                }
+                return;
+            }
+
+            const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+            const bodySchema = (handlers.find(handler => handler.schema) || {}).schema;
+            const security = handlers.includes(requireAdmin) ? 'admin'
+                : handlers.includes(requireAuth) ? 'user'
+                    : routerSecurity;
+
+            Object.keys(layer.route.methods).forEach(method => {
+                const routePath = layer.route.path === '/' ? '' : layer.route.path;
+                const fullPath = (mount.path + routePath).replace(/:(\w+)/g, '{$1}');
+                const doc = docs[`${method.toUpperCase()} ${layer.route.path}`] || {};
+                const registered = mount.category ? findRegisteredEndpoint(mount.category, method, layer.route.path) : null;
+
+                paths[fullPath] = paths[fullPath] || {};
+                paths[fullPath][method] = buildOperation({
+                    method,
+                    fullPath,
+                    mount,
+                    doc,
+                    bodySchema,
+                    security,
+                    registered
+                });
+            });
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info,
+        tags: mounts.map(mount => ({ name: mount.tag, description: mount.description })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Session token from POST /api/auth/login or /api/auth/register'
+                },
+                apiKey: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'Optional API key; requests without one are rate limited per client IP. An unknown or revoked key is rejected with 401.'
+                },
+                adminToken: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Admin-Token',
+                    description: 'Must match the ADMIN_API_TOKEN environment variable'
+                }
+            },
+            schemas: {
+                SuccessResponse: {
+                    type: 'object',
+                    required: ['success'],
+                    properties: {
+                        success: { type: 'boolean', enum: [true] },
+                        message: { type: 'string' },
+                        data: { description: 'Tool result (see the operation description)' }
+                    }
+                },
+                ErrorResponse: {
+                    type: 'object',
+                    required: ['success', 'error'],
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: { type: 'string' }
+                    }
+                },
+                FieldError: {
+                    type: 'object',
+                    required: ['field', 'code', 'message'],
+                    properties: {
+                        field: { type: 'string', description: 'Path of the invalid field, e.g. "expenses[0].amount"' },
+                        code: { type: 'string', enum: ERROR_CODES },
+                        message: { type: 'string' }
+                    }
+                },
+                ValidationErrorResponse: {
+                    type: 'object',
+                    required: ['success', 'error', 'errors'],
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: { type: 'string', description: 'First error message' },
+                        errors: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Build Operation Object
+ * @param {Object} route - Route details ({ method, fullPath, mount, doc, bodySchema, security, registered })
+ * @returns {Object} OpenAPI operation object
+ */
+function buildOperation({ method, fullPath, mount, doc, bodySchema, security, registered }) {
+    const operation = {
+        tags: [mount.tag],
+        summary: doc.summary || `${method.toUpperCase()} ${fullPath}`,
+        operationId: getOperationId(method, fullPath)
+    };
+
+    if (registered) {
+        operation['x-tool-id'] = registered.tool.id;
+        operation['x-tool-status'] = registered.tool.status;
+    }
+
+    if (doc.description) {
+        operation.description = doc.description;
+    }
+
+    const pathParams = (fullPath.match(/\{(\w+)\}/g) || []).map(param => param.slice(1, -1));
+    if (pathParams.length > 0) {
+        operation.parameters = pathParams.map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: { type: 'string' }
+        }));
+    }
+
+    if (bodySchema) {
+        const schema = toOpenApiSchema(bodySchema);
+        operation.requestBody = {
+            required: true,
+            content: {
+                'application/json': { schema },
+                'application/x-www-form-urlencoded': { schema }
+            }
+        };
+    }
+
+    operation.responses = {
+        200: registered && registered.endpoint.contentType
+            ? fileResponse(registered.endpoint.contentType)
+            : registered && registered.endpoint.outputSchema
+                ? successResponse(toOpenApiSchema(registered.endpoint.outputSchema))
+                : jsonResponse('Success', 'SuccessResponse')
+    };
+    if (bodySchema) {
+        operation.responses[400] = jsonResponse('Invalid request body', 'ValidationErrorResponse');
+    }
+    if (security === 'user') {
+        operation.responses[401] = jsonResponse('Missing, invalid or expired session token', 'ErrorResponse');
+    }
+    if (security === 'admin') {
+        operation.responses[401] = jsonResponse('Missing or invalid admin token', 'ErrorResponse');
+    }
+    if (pathParams.length > 0) {
+        operation.responses[404] = jsonResponse('Not found', 'ErrorResponse');
+    }
+    if (mount.rateLimited) {
+        operation.responses[429] = jsonResponse('Rate limit or quota exceeded (see Retry-After)', 'ErrorResponse');
+    }
+    operation.responses[500] = jsonResponse('Internal server error', 'ErrorResponse');
+
+    if (security === 'admin') {
+        operation.security = [{ adminToken: [] }];
+    } else if (security === 'user') {
+        operation.security = mount.rateLimited
+            ? [{ bearerAuth: [], apiKey: [] }, { bearerAuth: [] }]
+            : [{ bearerAuth: [] }];
+    } else if (mount.rateLimited) {
+        operation.security = [{}, { apiKey: [] }];
+    }
+
+    return operation;
+}
+
+/**
+ * Convert Validation Schema to OpenAPI Schema
+ * @param {Object} schema - Schema in the utils/validation.js vocabulary
+ * @returns {Object} OpenAPI 3.0 schema object
+ */
+function toOpenApiSchema(schema) {
+    const result = {};
+
+    PUBLISHED_KEYWORDS.forEach(keyword => {
+        if (schema[keyword] !== undefined) {
+            result[keyword] = schema[keyword];
+        }
+    });
+
+    // OpenAPI 3.0 expresses exclusive bounds as booleans next to minimum/maximum
+    if (schema.exclusiveMinimum !== undefined) {
+        result.minimum = schema.exclusiveMinimum;
+        result.exclusiveMinimum = true;
+    }
+    if (schema.exclusiveMaximum !== undefined) {
+        result.maximum = schema.exclusiveMaximum;
+        result.exclusiveMaximum = true;
+    }
+
+    if (schema.properties) {
+        result.properties = {};
+        Object.keys(schema.properties).forEach(key => {
+            result.properties[key] = toOpenApiSchema(schema.properties[key]);
+        });
+    }
+    if (schema.required && schema.required.length > 0) {
+        result.required = [...schema.required];
+    }
+    if (schema.type === 'array') {
+        result.items = schema.items ? toOpenApiSchema(schema.items) : {};
+    }
+
+    return result;
+}
+
+/**
+ * Read Route Docs
+ * Parses the JSDoc block above each router.<method>() call: the first line
+ * (without the trailing "Route") is the summary, the rest - request body and
+ * response shapes - becomes the description.
+ * @param {string} file - Path to the routes file
+ * @returns {Object} Docs keyed by "METHOD /path" ({ summary, description })
+ */
+function readRouteDocs(file) {
+    const docs = {};
+    const source = fs.readFileSync(file, 'utf8');
+
+    for (const match of source.matchAll(ROUTE_DOC_PATTERN)) {
+        const [, comment, method, routePath] = match;
+        const lines = comment
+            .split('\n')
+            .map(line => line.replace(/^\s*\* ?/, '').trimEnd());
+
+        while (lines.length > 0 && !lines[0].trim()) {
+            lines.shift();
+        }
+
+        const summary = (lines.shift() || '').trim().replace(/ Route\b/, '');
+
+        // Skip the "POST /api/..." line that repeats the path
+        if (lines.length > 0 && /^(GET|POST|PUT|DELETE|PATCH) \//.test(lines[0].trim())) {
+            lines.shift();
+        }
+
+        const description = lines.join('\n').trim();
+        docs[`${method.toUpperCase()} ${routePath}`] = {
+            summary,
+            description: description ? '```\n' + description + '\n```' : ''
+        };
+    }
+
+    return docs;
+}
+
+/**
+ * Build Operation ID
+ * @param {string} method - HTTP method
+ * @param {string} fullPath - OpenAPI path (e.g. /api/tools/student/study-planner/tasks/{id})
+ * @returns {string} Operation ID (e.g. putStudentStudyPlannerTasksById)
+ */
+function getOperationId(method, fullPath) {
+    const words = fullPath
+        .replace(/^\/api\/(tools\/)?/, '')
+        .replace(/\{(\w+)\}/g, 'by-$1')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean);
+
+    return method + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Find Registered Endpoint
+ * @param {Object} category - Tool registry category
+ * @param {string} method - HTTP method (lowercase, as in Express routes)
+ * @param {string} routePath - Route path relative to the category
+ * @returns {Object|null} { tool, endpoint } or null if not registered
+ */
+function findRegisteredEndpoint(category, method, routePath) {
+    for (const tool of category.tools) {
+        const endpoint = tool.endpoints.find(candidate =>
+            candidate.method === method.toUpperCase() && candidate.path === routePath);
+        if (endpoint) {
+            return { tool, endpoint };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build Success Response Object
+ * @param {Object} dataSchema - OpenAPI schema of the "data" field
+ * @returns {Object} OpenAPI response object
+ */
+function successResponse(dataSchema) {
+    return {
+        description: 'Success',
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    required: ['success', 'data'],
+                    properties: {
+                        success: { type: 'boolean', enum: [true] },
+                        message: { type: 'string' },
+                        data: dataSchema
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Build File Response Object
+ * @param {string} contentType - Media type of the file (e.g. 'text/csv')
+ * @returns {Object} OpenAPI response object
+ */
+function fileResponse(contentType) {
+    return {
+        description: 'File download',
+        content: {
+            [contentType]: {
+                schema: { type: 'string' }
+            }
+        }
+    };
+}
+
+/**
+ * Build JSON Response Object
+ * @param {string} description - Response description
+ * @param {string} schemaName - Name of a schema in components.schemas
+ * @returns {Object} OpenAPI response object
+ */
+function jsonResponse(description, schemaName) {
+    return {
+        description,
+        content: {
+            'application/json': {
+                schema: { $ref: `#/components/schemas/${schemaName}` }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiSpec,
+    toOpenApiSchema,
+    readRouteDocs
+};
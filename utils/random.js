@@ -0,0 +1,68 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Pseudo-random generators that give the same sequence for the same seed,
+ * so simulations can be reproduced. Not suitable for anything
+ * security-related.
+ *
+ * Functions:
+ * - createRandom(seed) - Uniform generator on [0, 1) (Mulberry32)
+ * - createNormalRandom(random) - Standard normal generator (Box-Muller) on top of a uniform one
+ * - randomSeed() - Seed for callers that did not supply one
+ */
+
+/**
+ * Create Random
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create Normal Random
+ * Box-Muller gives two independent values per pair of uniforms; the second
+ * is kept for the next call.
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {Function} Generator returning standard normal values (mean 0, standard deviation 1)
+ */
+function createNormalRandom(random) {
+    let spare = null;
+
+    return () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+
+        // 1 - random() is in (0, 1], so the logarithm is finite
+        const radius = Math.sqrt(-2 * Math.log(1 - random()));
+        const angle = 2 * Math.PI * random();
+        spare = radius * Math.sin(angle);
+        return radius * Math.cos(angle);
+    };
+}
+
+/**
+ * Random Seed
+ * @returns {number} Integer seed between 0 and 2^31 - 1
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 2147483647);
+}
+
+module.exports = {
+    createRandom,
+    createNormalRandom,
+    randomSeed
+};
@@ -0,0 +1,87 @@
+/**
+ * User Regular Expressions
+ *
+ * Checks regular expressions supplied by callers (e.g. statement category
+ * rules) before they are run. JavaScript regular expressions backtrack, so
+ * some patterns take exponential time on a short non-matching string
+ * ((a+)+$ against 30 a's blocks the server for seconds). Patterns are
+ * rejected when they have:
+ * - a repeated group that itself contains a quantifier or alternation ((a+)+, (a|ab)*)
+ * - a backreference (\1, \k<name>)
+ * - more than MAX_QUANTIFIERS quantifiers (a*a*a*a*b is polynomial in the input length)
+ * Together with a cap on the length of the text matched, this keeps every
+ * accepted pattern fast.
+ *
+ * Functions:
+ * - checkPattern(pattern) - Reason a pattern is unsafe or invalid, or null if it can be used
+ */
+
+const MAX_QUANTIFIERS = 3;
+
+/**
+ * Check Pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Error message, or null if the pattern is valid and safe
+ */
+function checkPattern(pattern) {
+    try {
+        new RegExp(pattern);
+    } catch (error) {
+        return 'Pattern must be a valid regular expression';
+    }
+
+    // Open groups, innermost last: whether each contains a quantifier or alternation
+    const groups = [{ quantified: false, alternation: false }];
+    let quantifiers = 0;
+    let closedGroup = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const group = groups[groups.length - 1];
+        const previousGroup = closedGroup;
+        closedGroup = null;
+
+        if (char === '\\') {
+            const next = pattern[i + 1];
+            if (/[1-9]/.test(next) || next === 'k') {
+                return 'Pattern cannot use backreferences';
+            }
+            i++;
+        } else if (char === '[') {
+            // Skip the character class; quantifier characters inside it are literal
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ quantified: false, alternation: false });
+            // Skip group prefixes (?: (?= (?! (?<= (?<! (?<name>
+            const prefix = pattern.slice(i + 1).match(/^\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/);
+            if (prefix) i += prefix[0].length;
+        } else if (char === ')') {
+            closedGroup = groups.pop();
+            const parent = groups[groups.length - 1];
+            parent.quantified = parent.quantified || closedGroup.quantified;
+            parent.alternation = parent.alternation || closedGroup.alternation;
+        } else if (char === '|') {
+            group.alternation = true;
+        } else if (char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)))) {
+            if (char === '{') i = pattern.indexOf('}', i);
+            if (pattern[i + 1] === '?') i++;
+
+            if (previousGroup && (previousGroup.quantified || previousGroup.alternation)) {
+                return 'Pattern cannot repeat a group that contains a quantifier or alternation';
+            }
+            if (++quantifiers > MAX_QUANTIFIERS) {
+                return `Pattern can have at most ${MAX_QUANTIFIERS} quantifiers`;
+            }
+            group.quantified = true;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    MAX_QUANTIFIERS,
+    checkPattern
+};
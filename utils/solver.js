@@ -0,0 +1,204 @@
+/**
+ * Root Finding
+ *
+ * Numeric solvers for equations f(x) = 0 that have no closed form (e.g. the
+ * rate at which dated cash flows have zero net present value). Newton's
+ * method is tried first for speed; when it fails to converge or leaves the
+ * valid range, bisection over a bracketing interval is used instead.
+ *
+ * Functions:
+ * - findRoot(f, options) - Newton's method with a bisection fallback
+ * - newton(f, derivative, guess, options) - Newton's method
+ * - bisection(f, lower, upper, options) - Bisection over an interval where f changes sign
+ * - bisectionAsync(f, lower, upper, options) - Bisection for an async f
+ * - expandBracket(f, lower, upper, maxUpper) - Widen an interval upwards until f changes sign
+ */
+
+const DEFAULT_TOLERANCE = 1e-10;
+const DEFAULT_MAX_ITERATIONS = 100;
+const BISECTION_MAX_ITERATIONS = 300;
+
+/**
+ * Find a Root
+ * @param {Function} f - Function of one variable
+ * @param {Object} options - Solver options
+ * @param {Function} options.derivative - f'(x); Newton's method is skipped without it
+ * @param {number} options.guess - Starting point for Newton's method
+ * @param {number} options.lower - Lower end of the search interval
+ * @param {number} options.upper - Upper end of the search interval (widened up to maxUpper if needed)
+ * @param {number} options.maxUpper - Largest upper end to try when widening (default upper × 2^20)
+ * @param {number} options.tolerance - Convergence tolerance on x (default 1e-10)
+ * @returns {Object|null} { root, iterations, method: 'newton' | 'bisection' }, or null if no root was found
+ */
+function findRoot(f, { derivative, guess, lower, upper, maxUpper, tolerance = DEFAULT_TOLERANCE } = {}) {
+    if (derivative && guess !== undefined) {
+        const result = newton(f, derivative, guess, { tolerance });
+        if (result && (lower === undefined || result.root > lower) && (maxUpper === undefined || result.root < maxUpper)) {
+            return { ...result, method: 'newton' };
+        }
+    }
+
+    const bracket = expandBracket(f, lower, upper, maxUpper === undefined ? upper * Math.pow(2, 20) : maxUpper);
+    if (!bracket) {
+        return null;
+    }
+
+    const result = bisection(f, bracket.lower, bracket.upper, { tolerance });
+    return result ? { ...result, method: 'bisection' } : null;
+}
+
+/**
+ * Newton's Method
+ * @param {Function} f - Function of one variable
+ * @param {Function} derivative - f'(x)
+ * @param {number} guess - Starting point
+ * @param {Object} options - { tolerance, maxIterations }
+ * @returns {Object|null} { root, iterations }, or null if it did not converge
+ */
+function newton(f, derivative, guess, { tolerance = DEFAULT_TOLERANCE, maxIterations = DEFAULT_MAX_ITERATIONS } = {}) {
+    let x = guess;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        const value = f(x);
+        const slope = derivative(x);
+
+        if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) {
+            return null;
+        }
+
+        const next = x - value / slope;
+        if (!Number.isFinite(next)) {
+            return null;
+        }
+        if (Math.abs(next - x) <= tolerance * Math.max(1, Math.abs(x))) {
+            return { root: next, iterations: iteration };
+        }
+        x = next;
+    }
+
+    return null;
+}
+
+/**
+ * Bisection
+ * @param {Function} f - Function of one variable
+ * @param {number} lower - Lower end of the interval
+ * @param {number} upper - Upper end of the interval
+ * @param {Object} options - Bisection options
+ * @param {number} options.tolerance - Convergence tolerance on x (default 1e-10)
+ * @param {number} options.maxIterations - Most halvings to try (default 300)
+ * @param {boolean} options.integer - Whole numbers only: stop when the ends are neighbours and use the one with f closer to 0
+ * @param {boolean} options.firstRoot - Where f is 0 over a stretch (e.g. an output clamped at 0), find where the stretch starts instead of stopping at the first 0
+ * @returns {Object|null} { root, lower, upper (final interval), iterations }, or null if f does not change sign over the interval
+ */
+function bisection(f, lower, upper, options = {}) {
+    const steps = bisectionSteps(lower, upper, options);
+    let step = steps.next();
+    while (!step.done) {
+        step = steps.next(f(step.value));
+    }
+    return step.value;
+}
+
+/**
+ * Bisection (async)
+ * Same as bisection, for an f that returns a promise.
+ * @param {Function} f - Async function of one variable
+ * @param {number} lower - Lower end of the interval
+ * @param {number} upper - Upper end of the interval
+ * @param {Object} options - See bisection
+ * @returns {Promise<Object|null>} See bisection
+ */
+async function bisectionAsync(f, lower, upper, options = {}) {
+    const steps = bisectionSteps(lower, upper, options);
+    let step = steps.next();
+    while (!step.done) {
+        step = steps.next(await f(step.value));
+    }
+    return step.value;
+}
+
+/**
+ * Bisection steps shared by bisection and bisectionAsync: yields each x to
+ * evaluate, receives f(x) back and returns the result.
+ */
+function* bisectionSteps(lower, upper, {
+    tolerance = DEFAULT_TOLERANCE,
+    maxIterations = BISECTION_MAX_ITERATIONS,
+    integer = false,
+    firstRoot = false
+} = {}) {
+    let low = integer ? Math.ceil(lower) : lower;
+    let high = integer ? Math.floor(upper) : upper;
+    let lowValue = yield low;
+    let highValue = yield high;
+
+    if (lowValue === 0) return { root: low, lower: low, upper: low, iterations: 0 };
+    if (highValue === 0 && !firstRoot) return { root: high, lower: high, upper: high, iterations: 0 };
+    if (Math.sign(lowValue) === Math.sign(highValue)) {
+        return null;
+    }
+
+    const closerEnd = () => ((firstRoot && highValue === 0) || Math.abs(highValue) < Math.abs(lowValue) ? high : low);
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        if (integer && high - low <= 1) {
+            return { root: closerEnd(), lower: low, upper: high, iterations: iteration - 1 };
+        }
+
+        const middle = integer ? Math.floor((low + high) / 2) : (low + high) / 2;
+        const value = yield middle;
+        const converged = !integer && (high - low) / 2 <= tolerance * Math.max(1, Math.abs(middle));
+
+        if (value === 0 && !firstRoot) {
+            return { root: middle, lower: middle, upper: middle, iterations: iteration };
+        }
+
+        // With firstRoot a 0 belongs to the upper side, so the interval closes in on where f first reaches 0
+        if (value !== 0 && Math.sign(value) === Math.sign(lowValue)) {
+            low = middle;
+            lowValue = value;
+        } else {
+            high = middle;
+            highValue = value;
+        }
+
+        if (converged) {
+            return { root: firstRoot ? high : middle, lower: low, upper: high, iterations: iteration };
+        }
+    }
+
+    return { root: integer ? closerEnd() : (low + high) / 2, lower: low, upper: high, iterations: maxIterations };
+}
+
+/**
+ * Expand Bracket
+ * Doubles the upper end until f changes sign between the two ends.
+ * @param {Function} f - Function of one variable
+ * @param {number} lower - Lower end (kept fixed)
+ * @param {number} upper - Initial upper end
+ * @param {number} maxUpper - Largest upper end to try
+ * @returns {Object|null} { lower, upper }, or null if no sign change was found
+ */
+function expandBracket(f, lower, upper, maxUpper) {
+    const lowValue = f(lower);
+    let high = upper;
+
+    while (high <= maxUpper) {
+        const highValue = f(high);
+        if (Number.isFinite(lowValue) && Number.isFinite(highValue) && Math.sign(lowValue) !== Math.sign(highValue)) {
+            return { lower, upper: high };
+        }
+        high = high > 0 ? high * 2 : 1;
+    }
+
+    return null;
+}
+
+module.exports = {
+    findRoot,
+    newton,
+    bisection,
+    bisectionAsync,
+    expandBracket
+};
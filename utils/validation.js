@@ -0,0 +1,331 @@
+/**
+ * Schema Validation
+ *
+ * Declarative request validation shared by routes and controllers. Schemas
+ * use a JSON-Schema-like vocabulary so they can also be published as
+ * OpenAPI documentation:
+ *
+ *   {
+ *     type: 'object',
+ *     required: ['loanAmount'],
+ *     properties: {
+ *       loanAmount: { type: 'number', title: 'Loan amount', exclusiveMinimum: 0 },
+ *       interestType: { type: 'string', enum: ['simple', 'compound'] }
+ *     }
+ *   }
+ *
+ * Supported keywords: type ('object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'),
+ * properties, required, items, minItems, maxItems, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern, enum,
+ * format ('date-time' | 'email' | 'uri'), default, nullable, title, description.
+ * Extensions (not published): errorMessage - message used for every failure
+ * on that value, or an object of messages keyed by error code (e.g.
+ * { required: '...', enum: '...' }); refine(value, parent) - custom check
+ * returning a message (fields) or an array of errors (objects).
+ *
+ * Coercion is applied the same way everywhere, so urlencoded form posts
+ * behave like JSON: numeric strings become numbers, 'true'/'false' become
+ * booleans, empty strings count as missing and index-keyed objects become arrays.
+ *
+ * Functions:
+ * - validate(schema, input) - Validate and coerce input, returning { value, errors }
+ * - assertValid(schema, input) - Validate input and throw ValidationError on failure
+ * - coerceNumber(value) - Convert a numeric string to a number
+ */
+
+const { ValidationError } = require('./errors');
+
+const NUMERIC_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate Input Against a Schema
+ * @param {Object} schema - Schema definition
+ * @param {*} input - Input value (usually req.body)
+ * @returns {Object} { value: coerced input, errors: Array<{ field, code, message }> }
+ */
+function validate(schema, input) {
+    const errors = [];
+    const value = validateValue(schema, input, '', errors, undefined);
+    return { value, errors };
+}
+
+/**
+ * Assert Input is Valid
+ * @param {Object} schema - Schema definition
+ * @param {*} input - Input value
+ * @returns {*} Coerced input
+ * @throws {ValidationError} If validation fails
+ */
+function assertValid(schema, input) {
+    const { value, errors } = validate(schema, input);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    return value;
+}
+
+/**
+ * Coerce Numeric String to Number
+ * @param {*} value - Raw value
+ * @returns {*} Number for numeric strings, the original value otherwise
+ */
+function coerceNumber(value) {
+    if (typeof value === 'string' && NUMERIC_PATTERN.test(value.trim())) {
+        return Number(value.trim());
+    }
+    return value;
+}
+
+/**
+ * Validate a single value (recursive)
+ * @param {Object} rule - Schema for this value
+ * @param {*} rawValue - Raw value
+ * @param {string} path - Field path (e.g. 'expenses[0].amount')
+ * @param {Array} errors - Error accumulator
+ * @param {Object} parent - Parent object (for refine)
+ * @returns {*} Coerced value
+ */
+function validateValue(rule, rawValue, path, errors, parent) {
+    const fail = (code, defaultMessage) => {
+        errors.push({
+            field: path || null,
+            code,
+            message: getErrorMessage(rule, code) || defaultMessage
+        });
+        return rawValue;
+    };
+    const label = rule.title || humanize(path) || 'Value';
+
+    let value = rawValue;
+
+    if (value === null && rule.nullable) {
+        return null;
+    }
+
+    switch (rule.type) {
+        case 'number':
+        case 'integer':
+            value = coerceNumber(value);
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return fail('type', `${label} must be a number`);
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return fail('type', `${label} must be a whole number`);
+            }
+            if (!checkRange(rule, value)) {
+                return fail('range', describeRange(label, rule));
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value === 'string') {
+                const normalized = value.trim().toLowerCase();
+                if (['true', '1', 'on', 'yes'].includes(normalized)) value = true;
+                else if (['false', '0', 'off', 'no'].includes(normalized)) value = false;
+            } else if (value === 1 || value === 0) {
+                value = value === 1;
+            }
+            if (typeof value !== 'boolean') {
+                return fail('type', `${label} must be true or false`);
+            }
+            break;
+
+        case 'string':
+            if (typeof value === 'number') {
+                value = String(value);
+            }
+            if (typeof value !== 'string') {
+                return fail('type', `${label} must be a string`);
+            }
+            if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+                return fail('minLength', rule.minLength === 1
+                    ? `${label} is required`
+                    : `${label} must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail('maxLength', `${label} must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+                return fail('pattern', `${label} has an invalid format`);
+            }
+            if (rule.format === 'date-time' && isNaN(new Date(value).getTime())) {
+                return fail('format', `${label} must be a valid date`);
+            }
+            if (rule.format === 'email' && !EMAIL_PATTERN.test(value.trim())) {
+                return fail('format', `${label} must be a valid email address`);
+            }
+            break;
+
+        case 'array':
+            value = toArray(value);
+            if (!Array.isArray(value)) {
+                return fail('type', `${label} must be an array`);
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return fail('minItems', rule.minItems === 1
+                    ? `At least one ${singular(label)} is required`
+                    : `${label} must contain at least ${rule.minItems} items`);
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return fail('maxItems', `${label} must contain at most ${rule.maxItems} items`);
+            }
+            if (rule.items) {
+                value = value.map((item, index) => validateValue(rule.items, item, `${path}[${index}]`, errors, value));
+            }
+            break;
+
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return fail('type', `${label} must be an object`);
+            }
+            value = validateObject(rule, value, path, errors);
+            break;
+
+        default:
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return fail('enum', `${label} must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    if (typeof rule.refine === 'function' && rule.type !== 'object') {
+        const message = rule.refine(value, parent);
+        if (message) {
+            return fail('invalid', message);
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Validate object properties, required fields, defaults and object-level refine
+ */
+function validateObject(rule, input, path, errors) {
+    const result = { ...input };
+    const properties = rule.properties || {};
+    const required = rule.required || [];
+    const errorCountBefore = errors.length;
+
+    Object.keys(properties).forEach(key => {
+        const propertyRule = properties[key];
+        const propertyPath = path ? `${path}.${key}` : key;
+        let propertyValue = input[key];
+
+        if (propertyValue === '' && propertyRule.type !== 'string') {
+            propertyValue = undefined;
+        }
+
+        if (propertyValue === undefined || (propertyValue === null && !propertyRule.nullable)) {
+            if (required.includes(key)) {
+                errors.push({
+                    field: propertyPath,
+                    code: 'required',
+                    message: getErrorMessage(propertyRule, 'required') || `${propertyRule.title || humanize(propertyPath)} is required`
+                });
+            } else if (propertyRule.default !== undefined) {
+                result[key] = JSON.parse(JSON.stringify(propertyRule.default));
+            } else {
+                delete result[key];
+            }
+            return;
+        }
+
+        result[key] = validateValue(propertyRule, propertyValue, propertyPath, errors, result);
+    });
+
+    // Object-level checks only run once every field is individually valid
+    if (typeof rule.refine === 'function' && errors.length === errorCountBefore) {
+        const refineErrors = rule.refine(result) || [];
+        refineErrors.forEach(error => {
+            errors.push({
+                field: error.field ? (path ? `${path}.${error.field}` : error.field) : (path || null),
+                code: error.code || 'invalid',
+                message: error.message
+            });
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Check numeric range keywords
+ */
+function checkRange(rule, value) {
+    if (rule.minimum !== undefined && value < rule.minimum) return false;
+    if (rule.maximum !== undefined && value > rule.maximum) return false;
+    if (rule.exclusiveMinimum !== undefined && value <= rule.exclusiveMinimum) return false;
+    if (rule.exclusiveMaximum !== undefined && value >= rule.exclusiveMaximum) return false;
+    return true;
+}
+
+/**
+ * Describe numeric range for error messages
+ */
+function describeRange(label, rule) {
+    const lower = rule.minimum !== undefined ? rule.minimum : rule.exclusiveMinimum;
+    const upper = rule.maximum !== undefined ? rule.maximum : rule.exclusiveMaximum;
+
+    if (lower !== undefined && upper !== undefined) {
+        return `${label} must be between ${lower} and ${upper}`;
+    }
+    if (rule.exclusiveMinimum !== undefined) {
+        return `${label} must be greater than ${rule.exclusiveMinimum}`;
+    }
+    if (rule.minimum !== undefined) {
+        return `${label} must be at least ${rule.minimum}`;
+    }
+    if (rule.exclusiveMaximum !== undefined) {
+        return `${label} must be less than ${rule.exclusiveMaximum}`;
+    }
+    return `${label} must be at most ${rule.maximum}`;
+}
+
+/**
+ * Convert index-keyed objects produced by urlencoded parsing (e.g. items[0]=...) to arrays
+ */
+function toArray(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const keys = Object.keys(value);
+        if (keys.length > 0 && keys.every(key => /^\d+$/.test(key))) {
+            return keys.sort((a, b) => Number(a) - Number(b)).map(key => value[key]);
+        }
+    }
+    return value;
+}
+
+/**
+ * Get the custom message for an error code, if the schema defines one
+ */
+function getErrorMessage(rule, code) {
+    if (!rule.errorMessage) return null;
+    if (typeof rule.errorMessage === 'string') return rule.errorMessage;
+    return rule.errorMessage[code] || null;
+}
+
+/**
+ * Turn a field path into a readable label ('loanAmount' -> 'Loan amount')
+ */
+function humanize(path) {
+    if (!path) return '';
+    const lastSegment = path.split('.').pop().replace(/\[\d+\]$/, '');
+    const words = lastSegment.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Naive singular form of a label ('Courses' -> 'course')
+ */
+function singular(label) {
+    const lower = label.toLowerCase();
+    return lower.endsWith('s') ? lower.slice(0, -1) : lower;
+}
+
+module.exports = {
+    validate,
+    assertValid,
+    coerceNumber
+};